@@ -0,0 +1,170 @@
+/**
+ * Benchmark for RouteManager shortest-path search
+ * Builds a synthetic grid network of several thousand segments and times the
+ * heap-based A* search against the previous linear-scan Dijkstra.
+ *
+ * Usage: node benchmark-route-manager.js [gridSize] [queries]
+ */
+
+const RouteManager = require("./route-manager.js");
+
+// Deterministic PRNG so runs are comparable
+function mulberry32(seed) {
+  return function () {
+    let t = (seed += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Grid of junctions ~300m apart; every grid edge becomes a segment with a
+// jittered midpoint, and a few edges are dropped so the network isn't uniform.
+// Segment ends stop a few meters off the junction, as digitised data does, so
+// junction edges bridge real gaps.
+function buildSyntheticNetwork(gridSize, random) {
+  const spacing = 0.003; // degrees
+  const origin = { lat: 33.0, lng: 35.4 };
+  const features = [];
+
+  const junction = (row, col) => [
+    origin.lng + col * spacing,
+    origin.lat + row * spacing,
+    200 + Math.round(random() * 50),
+  ];
+
+  const jitter = ([lng, lat, elevation]) => [
+    lng + (random() - 0.5) * spacing * 0.06,
+    lat + (random() - 0.5) * spacing * 0.06,
+    elevation,
+  ];
+
+  const addSegment = (from, to) => {
+    if (random() < 0.08) return;
+    from = jitter(from);
+    to = jitter(to);
+    const mid = [
+      (from[0] + to[0]) / 2 + (random() - 0.5) * spacing * 0.3,
+      (from[1] + to[1]) / 2 + (random() - 0.5) * spacing * 0.3,
+      (from[2] + to[2]) / 2,
+    ];
+    features.push({
+      type: "Feature",
+      properties: { name: `Synthetic ${features.length + 1}` },
+      geometry: { type: "LineString", coordinates: [from, mid, to] },
+    });
+  };
+
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      if (col + 1 < gridSize) addSegment(junction(row, col), junction(row, col + 1));
+      if (row + 1 < gridSize) addSegment(junction(row, col), junction(row + 1, col));
+    }
+  }
+
+  return { type: "FeatureCollection", features };
+}
+
+// The pre-heap implementation, kept here as the baseline
+function linearScanDijkstra(graph, srcNode, dstNode) {
+  const nodes = Array.from(graph.keys());
+  const dist = new Map();
+  const prev = new Map();
+  const visited = new Set();
+
+  for (const n of nodes) dist.set(n, Infinity);
+  dist.set(srcNode, 0);
+
+  while (visited.size < nodes.length) {
+    let u = null;
+    let best = Infinity;
+    for (const n of nodes) {
+      if (!visited.has(n) && dist.get(n) < best) {
+        best = dist.get(n);
+        u = n;
+      }
+    }
+    if (u === null || u === dstNode) break;
+
+    visited.add(u);
+    for (const { to, weight } of graph.get(u) || []) {
+      if (visited.has(to)) continue;
+      const alt = dist.get(u) + weight;
+      if (alt < dist.get(to)) {
+        dist.set(to, alt);
+        prev.set(to, u);
+      }
+    }
+  }
+
+  const path = [dstNode];
+  let curr = dstNode;
+  while (prev.has(curr)) {
+    curr = prev.get(curr);
+    path.unshift(curr);
+  }
+  return path;
+}
+
+function timeQueries(label, queries, search) {
+  const start = process.hrtime.bigint();
+  const results = queries.map(([src, dst]) => search(src, dst));
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(
+    `${label.padEnd(24)} ${elapsedMs.toFixed(1).padStart(10)} ms total  ${(elapsedMs / queries.length).toFixed(2).padStart(8)} ms/query`,
+  );
+  return results;
+}
+
+async function runBenchmark(gridSize = 45, queryCount = 10) {
+  const random = mulberry32(42);
+  const geoJson = buildSyntheticNetwork(gridSize, random);
+
+  console.log("=".repeat(60));
+  console.log(
+    `SHORTEST PATH BENCHMARK (${geoJson.features.length} segments, ${queryCount} queries)`,
+  );
+  console.log("=".repeat(60));
+
+  const manager = new RouteManager();
+  const loadStart = Date.now();
+  await manager.load(geoJson, {});
+  console.log(`Graph built in ${Date.now() - loadStart} ms`);
+
+  const nodes = Array.from(manager.endpointGraph.keys());
+  const queries = [];
+  for (let i = 0; i < queryCount; i++) {
+    queries.push([
+      nodes[Math.floor(random() * nodes.length)],
+      nodes[Math.floor(random() * nodes.length)],
+    ]);
+  }
+
+  const heapResults = timeQueries("A* (binary heap)", queries, (src, dst) =>
+    manager._dijkstraPath(src, dst),
+  );
+  const baselineResults = timeQueries("Dijkstra (linear scan)", queries, (src, dst) =>
+    linearScanDijkstra(manager.endpointGraph, src, dst),
+  );
+
+  const mismatches = heapResults.filter(
+    (path, i) =>
+      Math.abs(manager._pathWeight(path) - manager._pathWeight(baselineResults[i])) > 1e-6,
+  ).length;
+
+  console.log("-".repeat(60));
+  console.log(
+    mismatches === 0
+      ? "✓ Path weights match the baseline for every query"
+      : `❌ ${mismatches} queries differ from the baseline`,
+  );
+  console.log("=".repeat(60));
+}
+
+if (require.main === module) {
+  const gridSize = parseInt(process.argv[2], 10) || 45;
+  const queryCount = parseInt(process.argv[3], 10) || 10;
+  runBenchmark(gridSize, queryCount);
+}
+
+module.exports = { buildSyntheticNetwork, linearScanDijkstra, runBenchmark };
@@ -0,0 +1,732 @@
+/**
+ * Dataset builder for a new bike roads geojson export
+ * Matches the new features against the previous geojson by geometry, so
+ * segments keep their segments.json id and metadata through renames,
+ * reversed geometry and small edits. Share URLs encode these ids, so a
+ * previous segment that now lies on several features keeps its entry with
+ * `split: [ids]`, and previous segments joined into one feature point to
+ * it with `merged: id`. Previous segments that are gone keep their entry
+ * with `removed: true` so their id is never handed out again.
+ * The same changes make up the migration table of the new dataset revision,
+ * which --migrations adds to dataset-migrations.json.
+ *
+ * Usage: node dataset-builder.js <new.geojson> <previous.geojson>
+ *          [segments.json] [--out segments.json] [--json report.json]
+ *          [--migrations dataset-migrations.json]
+ *
+ * Without --out nothing is written, only the change report is printed.
+ */
+
+// Lines are compared at points this far apart (meters)
+const SAMPLE_SPACING = 20;
+// A sample this close (meters) to a line lies on it
+const MATCH_TOLERANCE = 30;
+// Two features are the same road when they share at least this many meters
+// and that is at least MATCH_SHARE of one of them
+const MIN_OVERLAP = 50;
+const MATCH_SHARE = 0.5;
+// Matched features sharing this much of each other have the same geometry
+const UNCHANGED_SHARE = 0.95;
+// Grid cell size (meters) for looking up the lines near a sample
+const INDEX_CELL_SIZE = 100;
+
+class DatasetBuilder {
+  constructor(options = {}) {
+    this.tolerance = options.tolerance || MATCH_TOLERANCE;
+  }
+
+  /**
+   * Build segments.json for a new geojson export
+   * @param {Object} geoJsonData - The new geojson feature collection
+   * @param {Object} previousGeoJsonData - The geojson segmentsData describes
+   * @param {Object} segmentsData - The previous segments metadata
+   * @returns {Object} {segments, report}: the new segments metadata, sorted
+   *   by id, and the report {summary, changes, issues, migration}; migration
+   *   is the table {split, merge, rename, delete} from the previous ids
+   */
+  build(geoJsonData, previousGeoJsonData, segmentsData) {
+    const entries = segmentsData || {};
+    const current = this._getLines(geoJsonData);
+    const previous = this._getLines(previousGeoJsonData);
+    this._prepareLines([...current, ...previous]);
+
+    const groups = this._groupLines(
+      previous,
+      current,
+      this._findLinks(previous, current),
+    );
+
+    this.entries = entries;
+    this.nextId =
+      Object.values(entries).reduce(
+        (max, entry) =>
+          Number.isInteger(entry?.id) ? Math.max(max, entry.id) : max,
+        0,
+      ) + 1;
+    this.segments = new Map(); // name -> entry
+    this.markers = []; // [name, entry] of previous segments without a feature
+    this.changes = [];
+    this.issues = [];
+    this.migration = { split: {}, merge: {}, rename: {}, delete: [] };
+
+    // Current features claim their names first, markers go around them
+    const currentNames = new Set();
+    current.forEach((line) => {
+      if (currentNames.has(line.name)) {
+        this.issues.push(`Name used by several features: ${line.name}`);
+      }
+      currentNames.add(line.name);
+    });
+
+    groups.forEach((group) => this._buildGroup(group));
+
+    // Entries the previous geojson has no feature for carry over untouched
+    const previousNames = new Set(previous.map((line) => line.name));
+    for (const [name, entry] of Object.entries(entries)) {
+      if (previousNames.has(name)) continue;
+      const isMarker =
+        Array.isArray(entry?.split) ||
+        Number.isInteger(entry?.merged) ||
+        entry?.removed;
+      if (!isMarker) {
+        this.issues.push(
+          `segments.json entry without a feature in the previous geojson: ${name}`,
+        );
+      }
+      this.markers.push([name, entry]);
+    }
+
+    const segments = {};
+    const ordered = [
+      ...this.segments.entries(),
+      ...this.markers.map(([name, entry]) => [
+        currentNames.has(name) || this.segments.has(name)
+          ? `${name} (${entry.id})`
+          : name,
+        entry,
+      ]),
+    ].sort(([, a], [, b]) => (a.id || 0) - (b.id || 0));
+    ordered.forEach(([name, entry]) => (segments[name] = entry));
+
+    const count = (type) =>
+      this.changes.filter((change) => change.type === type).length;
+    const report = {
+      summary: {
+        previousFeatures: previous.length,
+        features: current.length,
+        unchanged: count("unchanged"),
+        changed: count("changed"),
+        renamed: count("renamed"),
+        split: count("split"),
+        merged: count("merged"),
+        reshaped: count("reshaped"),
+        added: count("added"),
+        removed: count("removed"),
+        nextId: this.nextId,
+      },
+      changes: this.changes,
+      issues: this.issues,
+      migration: this.migration,
+    };
+
+    return { segments, report };
+  }
+
+  /**
+   * Give the features of one group their entries
+   * @param {Object} group - {previous, current, links} from _groupLines()
+   */
+  _buildGroup({ previous, current, links }) {
+    const linkOf = (p, c) =>
+      links.find((link) => link.previous === p && link.current === c);
+
+    if (current.length === 0) {
+      const [line] = previous;
+      const id = this._getId(line);
+      if (id) {
+        this._addMarker(line.name, { id, removed: true });
+      }
+      this.changes.push({ type: "removed", id, name: line.name });
+      return;
+    }
+
+    if (previous.length === 0) {
+      const [line] = current;
+      const id = this._setEntry(line, null, null);
+      this.changes.push({ type: "added", id, name: line.name });
+      return;
+    }
+
+    if (previous.length === 1 && current.length === 1) {
+      const link = linkOf(previous[0], current[0]);
+      const id = this._setEntry(current[0], previous[0], link, true);
+      const sameGeometry =
+        link.previousShare >= UNCHANGED_SHARE &&
+        link.currentShare >= UNCHANGED_SHARE;
+      let type = sameGeometry ? "unchanged" : "changed";
+      if (previous[0].name !== current[0].name) type = "renamed";
+      this.changes.push({
+        type,
+        id,
+        name: current[0].name,
+        previousName: previous[0].name,
+        reversed: link.reversed,
+        matchedBy: link.matchedBy,
+      });
+      return;
+    }
+
+    if (previous.length === 1) {
+      // Pieces in the order they follow the previous segment
+      const [line] = previous;
+      const pieces = current
+        .map((piece) => ({ piece, link: linkOf(line, piece) }))
+        .sort((a, b) => a.link.position - b.link.position);
+      const into = pieces.map(({ piece, link }) => ({
+        id: this._setEntry(piece, line, link),
+        name: piece.name,
+      }));
+      const id = this._getId(line);
+      if (id) {
+        this._addMarker(line.name, { id, split: into.map((s) => s.id) });
+      }
+      if (this._hasMetadata(line)) {
+        this.issues.push(
+          `Metadata of ${line.name} copied to ${into
+            .map((piece) => piece.name)
+            .join(", ")}, check it applies to each`,
+        );
+      }
+      this.changes.push({ type: "split", id, name: line.name, into });
+      return;
+    }
+
+    if (current.length === 1) {
+      // The previous segment of the same name, or else the one covering
+      // most of the feature, lends it its id
+      const [line] = current;
+      const keeper =
+        previous.find((p) => p.name === line.name && this._getId(p)) ||
+        previous
+          .filter((p) => this._getId(p))
+          .sort(
+            (a, b) =>
+              linkOf(b, line).currentShare - linkOf(a, line).currentShare,
+          )[0] ||
+        previous[0];
+      const id = this._setEntry(line, keeper, linkOf(keeper, line), true);
+      const from = previous.map((p) => ({ id: this._getId(p), name: p.name }));
+      previous
+        .filter((p) => p !== keeper && this._getId(p))
+        .forEach((p) => {
+          this._addMarker(p.name, { id: this._getId(p), merged: id });
+          if (this._hasMetadata(p)) {
+            this.issues.push(
+              `Metadata of ${p.name} not carried over to ${line.name}`,
+            );
+          }
+        });
+      this.changes.push({ type: "merged", id, name: line.name, from });
+      return;
+    }
+
+    // Several features over several previous segments: every feature gets
+    // a new id and the metadata of the segment it overlaps most, every
+    // previous segment is split into the features along it
+    const into = current.map((c) => {
+      const main = previous
+        .filter((p) => linkOf(p, c))
+        .sort(
+          (a, b) => linkOf(b, c).currentShare - linkOf(a, c).currentShare,
+        )[0];
+      return { id: this._setEntry(c, main, linkOf(main, c)), name: c.name };
+    });
+    const from = previous.map((p) => {
+      const id = this._getId(p);
+      if (id) {
+        const split = current
+          .filter((c) => linkOf(p, c))
+          .sort((a, b) => linkOf(p, a).position - linkOf(p, b).position)
+          .map((c) => into[current.indexOf(c)].id);
+        this._addMarker(p.name, { id, split });
+      }
+      return { id, name: p.name };
+    });
+    this.changes.push({ type: "reshaped", from, into });
+  }
+
+  // Entry of a previous segment without a feature, and its migration
+  _addMarker(name, entry) {
+    this.markers.push([name, entry]);
+    if (entry.split) this.migration.split[entry.id] = entry.split;
+    if (entry.merged) this.migration.merge[entry.id] = entry.merged;
+    if (entry.removed) this.migration.delete.push(entry.id);
+  }
+
+  /**
+   * Add the entry of a current feature
+   * @param {Object} line - The current feature
+   * @param {Object|null} source - Previous feature to copy metadata from
+   * @param {Object|null} link - Link between them, for the orientation
+   * @param {boolean} keepId - Keep the id of source instead of a new one
+   * @returns {number} The feature's id
+   */
+  _setEntry(line, source, link, keepId = false) {
+    const previousEntry = source ? this.entries[source.name] || {} : {};
+    const { id, split, merged, removed, ...metadata } = previousEntry;
+    const newId = keepId && Number.isInteger(id) ? id : this.nextId++;
+
+    if (!this.segments.has(line.name)) {
+      this.segments.set(line.name, {
+        id: newId,
+        ...this._orientMetadata(metadata, link?.reversed),
+      });
+    }
+    return newId;
+  }
+
+  // Direction rules follow the geometry when it was reversed
+  _orientMetadata(metadata, reversed) {
+    if (!reversed || !metadata.direction) return metadata;
+
+    const { forward, reverse, oneWay, ...rules } = metadata.direction;
+    const direction = { ...rules };
+    if (oneWay) direction.oneWay = oneWay === "forward" ? "reverse" : "forward";
+    if (reverse) direction.forward = reverse;
+    if (forward) direction.reverse = forward;
+    return { ...metadata, direction };
+  }
+
+  _getId(line) {
+    const id = this.entries[line.name]?.id;
+    return Number.isInteger(id) && id > 0 ? id : null;
+  }
+
+  _hasMetadata(line) {
+    return Object.keys(this.entries[line.name] || {}).some(
+      (key) => key !== "id",
+    );
+  }
+
+  _getLines(geoJsonData) {
+    return (geoJsonData?.features || [])
+      .filter((feature) => feature.geometry?.type === "LineString")
+      .map((feature) => ({
+        name: feature.properties?.name || "Unnamed Route",
+        coordinates: feature.geometry.coordinates,
+      }));
+  }
+
+  /**
+   * Project the lines to meters around their mean latitude and sample them
+   * every SAMPLE_SPACING meters
+   * @param {Array} lines - Lines from _getLines(), updated in place with
+   *   points [{x, y}], along (meters to each point), length and samples
+   *   [{x, y, position}]
+   */
+  _prepareLines(lines) {
+    const lats = lines.flatMap((line) => line.coordinates.map((c) => c[1]));
+    const meanLat =
+      lats.reduce((sum, lat) => sum + lat, 0) / (lats.length || 1);
+    const metersPerDegree = (6371000 * Math.PI) / 180;
+    const xScale = metersPerDegree * Math.cos((meanLat * Math.PI) / 180);
+
+    lines.forEach((line) => {
+      line.points = line.coordinates.map(([lng, lat]) => ({
+        x: lng * xScale,
+        y: lat * metersPerDegree,
+      }));
+      line.along = [0];
+      for (let i = 1; i < line.points.length; i++) {
+        const a = line.points[i - 1];
+        const b = line.points[i];
+        line.along.push(line.along[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+      }
+      line.length = line.along[line.along.length - 1] || 0;
+
+      line.samples = [];
+      const count = Math.max(1, Math.ceil(line.length / SAMPLE_SPACING));
+      let i = 0;
+      for (let s = 0; s <= count; s++) {
+        const position = (line.length * s) / count;
+        while (i < line.points.length - 2 && line.along[i + 1] < position) i++;
+        const a = line.points[i];
+        const b = line.points[Math.min(i + 1, line.points.length - 1)];
+        const edge = line.along[i + 1] - line.along[i] || 1;
+        const t = Math.min(1, Math.max(0, (position - line.along[i]) / edge));
+        line.samples.push({
+          x: a.x + (b.x - a.x) * t,
+          y: a.y + (b.y - a.y) * t,
+          position,
+        });
+      }
+    });
+  }
+
+  /**
+   * Overlaps between previous and current features: every sample is put on
+   * each line of the other version within the tolerance
+   * @returns {Array} [{previous, current, previousShare, currentShare,
+   *   reversed, position, matchedBy}]; the shares are the parts of each
+   *   feature lying on the other, position is where the current feature
+   *   lies along the previous one (meters)
+   */
+  _findLinks(previous, current) {
+    const overlaps = new Map(); // previous index|current index -> overlap
+    const overlapOf = (p, c) => {
+      const key = `${p}|${c}`;
+      if (!overlaps.has(key)) {
+        overlaps.set(key, {
+          previous: previous[p],
+          current: current[c],
+          previousSamples: 0,
+          currentSamples: 0,
+          alongPrevious: [], // positions on previous, in current's order
+          alongCurrent: [], // positions on current, in previous's order
+        });
+      }
+      return overlaps.get(key);
+    };
+
+    const currentIndex = this._buildIndex(current);
+    previous.forEach((line, p) => {
+      line.samples.forEach((sample) => {
+        this._findWithin(sample, current, currentIndex).forEach((hit) => {
+          const overlap = overlapOf(p, hit.line);
+          overlap.previousSamples++;
+          overlap.alongCurrent.push(hit.position);
+        });
+      });
+    });
+
+    const previousIndex = this._buildIndex(previous);
+    current.forEach((line, c) => {
+      line.samples.forEach((sample) => {
+        this._findWithin(sample, previous, previousIndex).forEach((hit) => {
+          const overlap = overlapOf(hit.line, c);
+          overlap.currentSamples++;
+          overlap.alongPrevious.push(hit.position);
+        });
+      });
+    });
+
+    const links = [];
+    for (const overlap of overlaps.values()) {
+      const previousShare =
+        overlap.previousSamples / overlap.previous.samples.length;
+      const currentShare =
+        overlap.currentSamples / overlap.current.samples.length;
+      const shared = Math.max(
+        previousShare * overlap.previous.length,
+        currentShare * overlap.current.length,
+      );
+      const isLinked =
+        (shared >= MIN_OVERLAP &&
+          Math.max(previousShare, currentShare) >= MATCH_SHARE) ||
+        Math.min(previousShare, currentShare) >= MATCH_SHARE;
+      if (!isLinked) continue;
+
+      links.push({
+        previous: overlap.previous,
+        current: overlap.current,
+        previousShare,
+        currentShare,
+        reversed: this._isReversed(overlap),
+        position: overlap.alongPrevious.length
+          ? overlap.alongPrevious.reduce((sum, p) => sum + p, 0) /
+            overlap.alongPrevious.length
+          : 0,
+        matchedBy: "geometry",
+      });
+    }
+
+    // Samples near a feature's ends also land on the features it touches; a
+    // feature with a full match keeps only that one
+    const isFullMatch = (link) =>
+      link.previousShare >= UNCHANGED_SHARE &&
+      link.currentShare >= UNCHANGED_SHARE;
+    const matched = new Set(
+      links
+        .filter(isFullMatch)
+        .flatMap((link) => [link.previous, link.current]),
+    );
+    return links.filter(
+      (link) =>
+        isFullMatch(link) ||
+        (!matched.has(link.previous) && !matched.has(link.current)),
+    );
+  }
+
+  // Whether the positions on one line run backwards along the other
+  _isReversed({ alongPrevious, alongCurrent }) {
+    const positions = alongPrevious.length >= 2 ? alongPrevious : alongCurrent;
+    return (
+      positions.length >= 2 && positions[positions.length - 1] < positions[0]
+    );
+  }
+
+  /**
+   * Features linked directly or through each other, plus unlinked features
+   * on their own; unlinked features of the same name are paired up
+   * @returns {Array} [{previous, current, links}]
+   */
+  _groupLines(previous, current, links) {
+    const linked = new Set(
+      links.flatMap((link) => [link.previous, link.current]),
+    );
+    const unlinkedPrevious = previous.filter((line) => !linked.has(line));
+    for (const line of current) {
+      if (linked.has(line)) continue;
+      const match = unlinkedPrevious.find((p) => p.name === line.name);
+      if (!match) continue;
+      unlinkedPrevious.splice(unlinkedPrevious.indexOf(match), 1);
+      links.push({
+        previous: match,
+        current: line,
+        previousShare: 0,
+        currentShare: 0,
+        reversed: false,
+        position: 0,
+        matchedBy: "name",
+      });
+    }
+
+    // Union-find over both versions
+    const parent = new Map();
+    const find = (line) => {
+      while (parent.get(line) !== line) line = parent.get(line);
+      return line;
+    };
+    [...previous, ...current].forEach((line) => parent.set(line, line));
+    links.forEach((link) =>
+      parent.set(find(link.previous), find(link.current)),
+    );
+
+    const groups = new Map();
+    const groupOf = (line) => {
+      const root = find(line);
+      if (!groups.has(root)) {
+        groups.set(root, { previous: [], current: [], links: [] });
+      }
+      return groups.get(root);
+    };
+    previous.forEach((line) => groupOf(line).previous.push(line));
+    current.forEach((line) => groupOf(line).current.push(line));
+    links.forEach((link) => groupOf(link.current).links.push(link));
+
+    return Array.from(groups.values());
+  }
+
+  // Grid of the line edges, each in every cell within the tolerance of it
+  _buildIndex(lines) {
+    const index = new Map();
+    const cell = (value) => Math.floor(value / INDEX_CELL_SIZE);
+    lines.forEach((line, l) => {
+      for (let i = 0; i < line.points.length - 1; i++) {
+        const a = line.points[i];
+        const b = line.points[i + 1];
+        const minX = cell(Math.min(a.x, b.x) - this.tolerance);
+        const maxX = cell(Math.max(a.x, b.x) + this.tolerance);
+        const minY = cell(Math.min(a.y, b.y) - this.tolerance);
+        const maxY = cell(Math.max(a.y, b.y) + this.tolerance);
+        for (let x = minX; x <= maxX; x++) {
+          for (let y = minY; y <= maxY; y++) {
+            const key = `${x},${y}`;
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push({ line: l, edge: i });
+          }
+        }
+      }
+    });
+    return index;
+  }
+
+  /**
+   * Lines within the tolerance of a sample. Features drawn over each other
+   * all count the sample, so none of them loses its share to the other.
+   * @returns {Array} [{line, distance, position}]: each line's index and the
+   *   position (meters along it) of its nearest point
+   */
+  _findWithin(sample, lines, index) {
+    const key = `${Math.floor(sample.x / INDEX_CELL_SIZE)},${Math.floor(
+      sample.y / INDEX_CELL_SIZE,
+    )}`;
+    const nearest = new Map(); // line index -> hit
+
+    for (const { line: l, edge } of index.get(key) || []) {
+      const line = lines[l];
+      const a = line.points[edge];
+      const b = line.points[edge + 1];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared
+        ? Math.min(
+            1,
+            Math.max(
+              0,
+              ((sample.x - a.x) * dx + (sample.y - a.y) * dy) / lengthSquared,
+            ),
+          )
+        : 0;
+      const distance = Math.hypot(
+        sample.x - (a.x + dx * t),
+        sample.y - (a.y + dy * t),
+      );
+      if (
+        distance <= this.tolerance &&
+        (!nearest.has(l) || distance < nearest.get(l).distance)
+      ) {
+        const edgeLength = line.along[edge + 1] - line.along[edge];
+        nearest.set(l, {
+          line: l,
+          distance,
+          position: line.along[edge] + edgeLength * t,
+        });
+      }
+    }
+
+    return [...nearest.values()];
+  }
+}
+
+/**
+ * Print a build report to the console
+ * @param {Object} report - The report from DatasetBuilder.build()
+ */
+function printDatasetReport(report) {
+  const { summary } = report;
+  const describe = ({ id, name }) => (id ? `#${id} ${name}` : name);
+
+  console.log("=".repeat(60));
+  console.log(
+    `DATASET BUILD REPORT (${summary.previousFeatures} → ${summary.features} features)`,
+  );
+  console.log("=".repeat(60));
+  console.log(`Unchanged:         ${summary.unchanged}`);
+  console.log(`Changed geometry:  ${summary.changed}`);
+  console.log(`Renamed:           ${summary.renamed}`);
+  console.log(`Split:             ${summary.split}`);
+  console.log(`Merged:            ${summary.merged}`);
+  console.log(`Reshaped:          ${summary.reshaped}`);
+  console.log(`Added:             ${summary.added}`);
+  console.log(`Removed:           ${summary.removed}`);
+  console.log(`Next id:           ${summary.nextId}`);
+
+  const changes = report.changes.filter(
+    (change) => change.type !== "unchanged",
+  );
+  if (changes.length > 0) {
+    console.log("-".repeat(60));
+  }
+  changes.forEach((change) => {
+    const notes = [
+      change.reversed ? "reversed" : "",
+      change.matchedBy === "name" ? "matched by name only" : "",
+    ]
+      .filter(Boolean)
+      .join(", ");
+    const suffix = notes ? ` (${notes})` : "";
+
+    switch (change.type) {
+      case "changed":
+        console.log(`~ Changed ${describe(change)}${suffix}`);
+        break;
+      case "renamed":
+        console.log(
+          `~ Renamed #${change.id} ${change.previousName} → ${change.name}${suffix}`,
+        );
+        break;
+      case "split":
+        console.log(
+          `✂ Split ${describe(change)} → ${change.into.map(describe).join(", ")}`,
+        );
+        break;
+      case "merged":
+        console.log(
+          `⇢ Merged ${change.from.map(describe).join(", ")} → ${describe(change)}`,
+        );
+        break;
+      case "reshaped":
+        console.log(
+          `⇄ Reshaped ${change.from.map(describe).join(", ")} → ${change.into
+            .map(describe)
+            .join(", ")}`,
+        );
+        break;
+      case "added":
+        console.log(`+ Added ${describe(change)}`);
+        break;
+      case "removed":
+        console.log(`- Removed ${describe(change)}`);
+        break;
+    }
+  });
+  report.issues.forEach((issue) => console.log(`❌ ${issue}`));
+  console.log("=".repeat(60));
+}
+
+function runDatasetBuild(argv) {
+  const fs = require("fs");
+  const args = [...argv];
+  const takeOption = (flag) => {
+    const index = args.indexOf(flag);
+    if (index === -1) return null;
+    const [, value] = args.splice(index, 2);
+    return value;
+  };
+
+  const outFile = takeOption("--out");
+  const jsonFile = takeOption("--json");
+  const migrationsFile = takeOption("--migrations");
+  const [geoJsonFile, previousGeoJsonFile] = args;
+  const segmentsFile = args[2] || "segments.json";
+
+  if (!geoJsonFile || !previousGeoJsonFile) {
+    console.log(
+      "Usage: node dataset-builder.js <new.geojson> <previous.geojson> [segments.json] [--out segments.json] [--json report.json] [--migrations dataset-migrations.json]",
+    );
+    process.exitCode = 1;
+    return null;
+  }
+
+  const { segments, report } = new DatasetBuilder().build(
+    JSON.parse(fs.readFileSync(geoJsonFile, "utf8")),
+    JSON.parse(fs.readFileSync(previousGeoJsonFile, "utf8")),
+    JSON.parse(fs.readFileSync(segmentsFile, "utf8")),
+  );
+  printDatasetReport(report);
+
+  if (outFile) {
+    fs.writeFileSync(outFile, JSON.stringify(segments, null, 2));
+    console.log(`Segments written to ${outFile}`);
+  }
+  if (jsonFile) {
+    fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${jsonFile}`);
+  }
+  if (migrationsFile) {
+    const migrations = fs.existsSync(migrationsFile)
+      ? JSON.parse(fs.readFileSync(migrationsFile, "utf8"))
+      : { revision: 0, revisions: [] };
+    migrations.revision += 1;
+    migrations.revisions.push({
+      revision: migrations.revision,
+      geoJsonFile: require("path").basename(geoJsonFile),
+      ...report.migration,
+    });
+    fs.writeFileSync(migrationsFile, JSON.stringify(migrations, null, 2));
+    console.log(`Revision ${migrations.revision} added to ${migrationsFile}`);
+  }
+
+  return { segments, report };
+}
+
+// Export for use in other files
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { DatasetBuilder, printDatasetReport, runDatasetBuild };
+
+  if (require.main === module) {
+    runDatasetBuild(process.argv.slice(2));
+  }
+}
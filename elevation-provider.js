@@ -0,0 +1,302 @@
+/**
+ * Elevation from local DEM tiles
+ * Reads SRTM .hgt tiles and uncompressed GeoTIFF elevation rasters in
+ * geographic (WGS84) coordinates, and interpolates heights between their grid
+ * posts. Used to fill coordinates the route data has no elevation for, or to
+ * re-sample whole segments offline.
+ */
+
+// SRTM marks posts it has no measurement for with this value
+const SRTM_VOID = -32768;
+
+// TIFF tags read from GeoTIFF rasters
+const TIFF_TAGS = {
+  WIDTH: 256,
+  HEIGHT: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  STRIP_OFFSETS: 273,
+  ROWS_PER_STRIP: 278,
+  TILE_WIDTH: 322,
+  TILE_LENGTH: 323,
+  TILE_OFFSETS: 324,
+  SAMPLE_FORMAT: 339,
+  MODEL_PIXEL_SCALE: 33550,
+  MODEL_TIEPOINT: 33922,
+  GEO_KEY_DIRECTORY: 34735,
+  GDAL_NODATA: 42113,
+};
+
+// GeoKey telling whether raster values sit on pixel corners or centers
+const GT_RASTER_TYPE_KEY = 1025;
+const RASTER_PIXEL_IS_POINT = 2;
+
+/**
+ * Read an SRTM .hgt tile. The file name gives its south-west corner
+ * (e.g. N33E035.hgt) and its size gives the resolution: 1201 (3 arc-second)
+ * or 3601 (1 arc-second) rows of big-endian 16-bit heights, north row first.
+ * @param {string} fileName - Name of the tile file
+ * @param {ArrayBuffer} buffer - The file contents
+ * @returns {Object} Tile {north, west, rows, cols, latStep, lngStep, valueAt}
+ */
+function parseHgtTile(fileName, buffer) {
+  const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName);
+  if (!match) {
+    throw new Error(`Cannot tell the position of SRTM tile ${fileName}`);
+  }
+  const size = Math.sqrt(buffer.byteLength / 2);
+  if (!Number.isInteger(size) || size < 2) {
+    throw new Error(`Unexpected SRTM tile size in ${fileName}`);
+  }
+
+  const south = Number(match[2]) * (match[1].toUpperCase() === "S" ? -1 : 1);
+  const west = Number(match[4]) * (match[3].toUpperCase() === "W" ? -1 : 1);
+  const view = new DataView(buffer);
+  return {
+    north: south + 1,
+    west,
+    rows: size,
+    cols: size,
+    latStep: 1 / (size - 1),
+    lngStep: 1 / (size - 1),
+    valueAt: (row, col) => {
+      const value = view.getInt16((row * size + col) * 2, false);
+      return value === SRTM_VOID ? NaN : value;
+    },
+  };
+}
+
+/**
+ * Read a GeoTIFF elevation raster. Only uncompressed, single-band rasters in
+ * latitude/longitude are supported, stored in strips or tiles as 16/32-bit
+ * integers or 32/64-bit floats.
+ * @param {string} fileName - Name of the raster file, for error messages
+ * @param {ArrayBuffer} buffer - The file contents
+ * @returns {Object} Tile {north, west, rows, cols, latStep, lngStep, valueAt}
+ */
+function parseGeoTiffTile(fileName, buffer) {
+  const view = new DataView(buffer);
+  const byteOrder = String.fromCharCode(view.getUint8(0), view.getUint8(1));
+  if (byteOrder !== "II" && byteOrder !== "MM") {
+    throw new Error(`${fileName} is not a TIFF file`);
+  }
+  const little = byteOrder === "II";
+  if (view.getUint16(2, little) !== 42) {
+    throw new Error(`${fileName} is not a classic TIFF file`);
+  }
+
+  const tags = readTiffDirectory(view, view.getUint32(4, little), little);
+  const get = (tag) => tags.get(tag) || [];
+
+  if ((get(TIFF_TAGS.COMPRESSION)[0] || 1) !== 1) {
+    throw new Error(`${fileName} is compressed; only plain GeoTIFF is read`);
+  }
+  const scale = get(TIFF_TAGS.MODEL_PIXEL_SCALE);
+  const tiepoint = get(TIFF_TAGS.MODEL_TIEPOINT);
+  if (scale.length < 2 || tiepoint.length < 6) {
+    throw new Error(`${fileName} has no georeferencing`);
+  }
+
+  const cols = get(TIFF_TAGS.WIDTH)[0];
+  const rows = get(TIFF_TAGS.HEIGHT)[0];
+  const bits = get(TIFF_TAGS.BITS_PER_SAMPLE)[0] || 16;
+  // Sample format 1 is unsigned, 2 signed and 3 floating point
+  const format = get(TIFF_TAGS.SAMPLE_FORMAT)[0] || 1;
+  const read = tiffSampleReader(view, bits, format, little);
+  if (!read) {
+    throw new Error(
+      `${fileName} stores ${bits}-bit samples of format ${format}`,
+    );
+  }
+
+  const noData = tags.has(TIFF_TAGS.GDAL_NODATA)
+    ? parseFloat(tags.get(TIFF_TAGS.GDAL_NODATA))
+    : null;
+
+  // Byte offset of every sample, through strips or tiles
+  let offsetOf;
+  if (tags.has(TIFF_TAGS.TILE_OFFSETS)) {
+    const tileWidth = get(TIFF_TAGS.TILE_WIDTH)[0];
+    const tileLength = get(TIFF_TAGS.TILE_LENGTH)[0];
+    const tilesAcross = Math.ceil(cols / tileWidth);
+    const tileOffsets = get(TIFF_TAGS.TILE_OFFSETS);
+    offsetOf = (row, col) => {
+      const tile =
+        Math.floor(row / tileLength) * tilesAcross +
+        Math.floor(col / tileWidth);
+      const inTile = (row % tileLength) * tileWidth + (col % tileWidth);
+      return tileOffsets[tile] + (inTile * bits) / 8;
+    };
+  } else {
+    const rowsPerStrip = get(TIFF_TAGS.ROWS_PER_STRIP)[0] || rows;
+    const stripOffsets = get(TIFF_TAGS.STRIP_OFFSETS);
+    offsetOf = (row, col) =>
+      stripOffsets[Math.floor(row / rowsPerStrip)] +
+      (((row % rowsPerStrip) * cols + col) * bits) / 8;
+  }
+
+  // Raster values describe pixel areas unless the GeoKeys say points
+  const geoKeys = get(TIFF_TAGS.GEO_KEY_DIRECTORY);
+  let pixelIsPoint = false;
+  for (let i = 4; i + 3 < geoKeys.length; i += 4) {
+    if (geoKeys[i] === GT_RASTER_TYPE_KEY) {
+      pixelIsPoint = geoKeys[i + 3] === RASTER_PIXEL_IS_POINT;
+    }
+  }
+  const center = pixelIsPoint ? 0 : 0.5;
+  const [tieCol, tieRow, , tieLng, tieLat] = tiepoint;
+
+  return {
+    north: tieLat - (center - tieRow) * scale[1],
+    west: tieLng + (center - tieCol) * scale[0],
+    rows,
+    cols,
+    latStep: scale[1],
+    lngStep: scale[0],
+    valueAt: (row, col) => {
+      const value = read(offsetOf(row, col));
+      return value === noData ? NaN : value;
+    },
+  };
+}
+
+// Values of the tags in a TIFF image file directory, as arrays (or a string
+// for ASCII tags)
+function readTiffDirectory(view, offset, little) {
+  const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 11: 4, 12: 8 };
+  const readValue = (type, at) => {
+    switch (type) {
+      case 1:
+      case 2:
+        return view.getUint8(at);
+      case 3:
+        return view.getUint16(at, little);
+      case 4:
+        return view.getUint32(at, little);
+      case 5:
+        return view.getUint32(at, little) / view.getUint32(at + 4, little);
+      case 11:
+        return view.getFloat32(at, little);
+      case 12:
+        return view.getFloat64(at, little);
+      default:
+        return undefined;
+    }
+  };
+
+  const tags = new Map();
+  const count = view.getUint16(offset, little);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const length = view.getUint32(entry + 4, little);
+    const size = typeSizes[type];
+    if (!size) continue;
+
+    const at =
+      size * length > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+    const values = [];
+    for (let j = 0; j < length; j++) {
+      values.push(readValue(type, at + j * size));
+    }
+    tags.set(
+      tag,
+      type === 2
+        ? String.fromCharCode(...values.filter((value) => value !== 0))
+        : values,
+    );
+  }
+  return tags;
+}
+
+// Function reading one sample at a byte offset, or null when unsupported
+function tiffSampleReader(view, bits, format, little) {
+  if (format === 3 && bits === 32) return (at) => view.getFloat32(at, little);
+  if (format === 3 && bits === 64) return (at) => view.getFloat64(at, little);
+  if (format === 2 && bits === 16) return (at) => view.getInt16(at, little);
+  if (format === 2 && bits === 32) return (at) => view.getInt32(at, little);
+  if (format === 1 && bits === 16) return (at) => view.getUint16(at, little);
+  if (format === 1 && bits === 32) return (at) => view.getUint32(at, little);
+  return null;
+}
+
+/**
+ * ElevationProvider - Looks up heights in the DEM tiles loaded into it.
+ */
+class ElevationProvider {
+  constructor() {
+    this.tiles = []; // parsed tiles, searched in the order they were added
+  }
+
+  /**
+   * Add a DEM tile
+   * @param {string} fileName - Tile file name; .hgt or .tif/.tiff
+   * @param {ArrayBuffer} buffer - The file contents
+   * @returns {Object} The tile with its bounds
+   */
+  addTile(fileName, buffer) {
+    const extension = (fileName.split(".").pop() || "").toLowerCase();
+    let tile;
+    if (extension === "hgt") {
+      tile = parseHgtTile(fileName, buffer);
+    } else if (extension === "tif" || extension === "tiff") {
+      tile = parseGeoTiffTile(fileName, buffer);
+    } else {
+      throw new Error(`Unsupported elevation tile ${fileName}`);
+    }
+
+    tile.name = fileName;
+    this.tiles.push(tile);
+    return tile;
+  }
+
+  hasTiles() {
+    return this.tiles.length > 0;
+  }
+
+  /**
+   * Interpolate the height at a position from the surrounding grid posts.
+   * Posts without a measurement are left out of the interpolation.
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {number|null} Meters, or null when no tile covers the position
+   */
+  getElevation(lat, lng) {
+    for (const tile of this.tiles) {
+      const row = (tile.north - lat) / tile.latStep;
+      const col = (lng - tile.west) / tile.lngStep;
+      if (row < 0 || col < 0 || row > tile.rows - 1 || col > tile.cols - 1) {
+        continue;
+      }
+
+      const row0 = Math.min(Math.floor(row), tile.rows - 2);
+      const col0 = Math.min(Math.floor(col), tile.cols - 2);
+      const rowRatio = row - row0;
+      const colRatio = col - col0;
+
+      let total = 0;
+      let weights = 0;
+      [
+        [row0, col0, (1 - rowRatio) * (1 - colRatio)],
+        [row0, col0 + 1, (1 - rowRatio) * colRatio],
+        [row0 + 1, col0, rowRatio * (1 - colRatio)],
+        [row0 + 1, col0 + 1, rowRatio * colRatio],
+      ].forEach(([r, c, weight]) => {
+        const value = tile.valueAt(r, c);
+        if (!Number.isNaN(value) && weight > 0) {
+          total += value * weight;
+          weights += weight;
+        }
+      });
+      if (weights > 0) {
+        return total / weights;
+      }
+    }
+    return null;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ElevationProvider };
+}
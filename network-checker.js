@@ -0,0 +1,491 @@
+/**
+ * Network integrity checker for the segment dataset
+ * Loads the geojson and segments.json into a RouteManager and reports what
+ * keeps segments from connecting: disconnected components, dangling
+ * endpoints, near-miss junctions just outside the connection threshold,
+ * features without a segments.json entry or id, and duplicate names and ids.
+ *
+ * Usage: node network-checker.js [geojson] [segments.json]
+ *          [--json report.json] [--overlay overlay.geojson]
+ *
+ * In the browser, open the app with ?debug=network to draw the overlay.
+ */
+
+// Endpoints this far apart (meters) are reported as near-miss junctions
+const NEAR_MISS_DISTANCE = 100;
+
+class NetworkChecker {
+  constructor(options = {}) {
+    this.nearMissDistance = options.nearMissDistance || NEAR_MISS_DISTANCE;
+  }
+
+  /**
+   * Check a dataset
+   * @param {Object} geoJsonData - The geojson feature collection
+   * @param {Object} segmentsData - The segments metadata
+   * @returns {Promise<Object>} Report: {summary, components,
+   *   danglingEndpoints, nearMisses, missingEntries, missingIds,
+   *   orphanEntries, duplicateNames, duplicateIds}
+   */
+  async check(geoJsonData, segmentsData) {
+    const RouteManagerClass =
+      typeof module !== "undefined" && module.exports
+        ? require("./route-manager.js")
+        : RouteManager;
+
+    this.manager = new RouteManagerClass();
+    await this.manager.load(geoJsonData, segmentsData);
+    this.threshold = RouteManagerClass.CONNECTION_THRESHOLD;
+
+    const lines = geoJsonData.features.filter(
+      (feature) => feature.geometry?.type === "LineString",
+    );
+    const metadata = segmentsData || {};
+
+    const components = this._findComponents();
+    const nearMisses = this._findNearMisses();
+    const danglingEndpoints = this._findDanglingEndpoints();
+    const entries = this._checkEntries(lines, metadata);
+
+    const report = {
+      summary: {
+        segments: this.manager.segments.size,
+        connectionThreshold: this.threshold,
+        nearMissDistance: this.nearMissDistance,
+        components: components.length,
+        isolatedSegments: components
+          .slice(1)
+          .reduce((total, component) => total + component.segments.length, 0),
+        danglingEndpoints: danglingEndpoints.length,
+        nearMisses: nearMisses.length,
+        missingEntries: entries.missingEntries.length,
+        missingIds: entries.missingIds.length,
+        orphanEntries: entries.orphanEntries.length,
+        duplicateNames: entries.duplicateNames.length,
+        duplicateIds: entries.duplicateIds.length,
+      },
+      components,
+      danglingEndpoints,
+      nearMisses,
+      ...entries,
+    };
+
+    return report;
+  }
+
+  /**
+   * Map debug overlay of a report: isolated components as lines, dangling
+   * endpoints as points and near misses as the gap that should be closed
+   * @param {Object} report - Result of check()
+   * @returns {Object} GeoJSON feature collection; every feature has an
+   *   `issue` property ("component" | "dangling" | "near-miss")
+   */
+  toGeoJson(report) {
+    const features = [];
+
+    // The first (largest) component is the main network
+    report.components.slice(1).forEach((component) => {
+      component.segments.forEach((segmentName) => {
+        const segment = this.manager.segments.get(segmentName);
+        features.push({
+          type: "Feature",
+          properties: {
+            issue: "component",
+            component: component.id,
+            segmentName,
+            message: `Not connected to the main network (component ${component.id})`,
+          },
+          geometry: {
+            type: "LineString",
+            coordinates: segment.coordinates.map((c) => [c.lng, c.lat]),
+          },
+        });
+      });
+    });
+
+    report.danglingEndpoints.forEach((endpoint) => {
+      features.push({
+        type: "Feature",
+        properties: {
+          issue: "dangling",
+          segmentName: endpoint.segmentName,
+          endpoint: endpoint.endpoint,
+          message: endpoint.nearest
+            ? `Dead end, ${Math.round(endpoint.nearest.distance)}m from ${endpoint.nearest.segmentName}`
+            : "Dead end",
+        },
+        geometry: { type: "Point", coordinates: [endpoint.lng, endpoint.lat] },
+      });
+    });
+
+    report.nearMisses.forEach((miss) => {
+      features.push({
+        type: "Feature",
+        properties: {
+          issue: "near-miss",
+          segments: [miss.from.segmentName, miss.to.segmentName],
+          distance: miss.distance,
+          message: `${miss.from.segmentName} / ${miss.to.segmentName}: ${Math.round(miss.distance)}m apart`,
+        },
+        geometry: {
+          type: "LineString",
+          coordinates: [
+            [miss.from.lng, miss.from.lat],
+            [miss.to.lng, miss.to.lat],
+          ],
+        },
+      });
+    });
+
+    return { type: "FeatureCollection", features };
+  }
+
+  /**
+   * Connected components of the endpoint graph, largest first. Edges are
+   * followed both ways so one-way segments don't split a component.
+   * @returns {Array} [{id, segments, distance}]
+   */
+  _findComponents() {
+    const graph = this.manager.endpointGraph;
+    const neighbours = new Map();
+    for (const node of graph.keys()) neighbours.set(node, new Set());
+    for (const [node, edges] of graph) {
+      for (const { to } of edges) {
+        neighbours.get(node).add(to);
+        neighbours.get(to).add(node);
+      }
+    }
+    // Both endpoints of a segment always belong together
+    for (const name of this.manager.segments.keys()) {
+      neighbours.get(`${name}|S`).add(`${name}|E`);
+      neighbours.get(`${name}|E`).add(`${name}|S`);
+    }
+
+    const visited = new Set();
+    const components = [];
+
+    for (const start of graph.keys()) {
+      if (visited.has(start)) continue;
+
+      const segments = new Set();
+      const stack = [start];
+      visited.add(start);
+      while (stack.length > 0) {
+        const node = stack.pop();
+        segments.add(this._nodeSegment(node));
+        for (const next of neighbours.get(node)) {
+          if (!visited.has(next)) {
+            visited.add(next);
+            stack.push(next);
+          }
+        }
+      }
+
+      const names = Array.from(segments).sort();
+      components.push({
+        segments: names,
+        distance: Math.round(
+          names.reduce(
+            (total, name) =>
+              total + this.manager.segmentMetrics.get(name).distance,
+            0,
+          ),
+        ),
+      });
+    }
+
+    return components
+      .sort((a, b) => b.distance - a.distance)
+      .map((component, index) => ({ id: index + 1, ...component }));
+  }
+
+  /**
+   * Endpoint pairs of different segments that are too far apart to be joined
+   * but close enough to look like the same junction
+   * @returns {Array} [{from, to, distance}] where from/to are
+   *   {segmentName, endpoint, lat, lng}
+   */
+  _findNearMisses() {
+    const endpoints = this._getEndpoints();
+    const nearMisses = [];
+
+    for (let i = 0; i < endpoints.length; i++) {
+      for (let j = i + 1; j < endpoints.length; j++) {
+        const a = endpoints[i];
+        const b = endpoints[j];
+        if (a.segmentName === b.segmentName) continue;
+
+        const distance = this.manager._getDistance(a, b);
+        if (distance <= this.threshold || distance > this.nearMissDistance) {
+          continue;
+        }
+        // Already joined through another endpoint at the same junction
+        if (this._areNodesJoined(a.node, b.node)) continue;
+
+        nearMisses.push({
+          from: this._describeEndpoint(a),
+          to: this._describeEndpoint(b),
+          distance: Math.round(distance * 10) / 10,
+        });
+      }
+    }
+
+    return nearMisses.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Endpoints with no junction to any other segment
+   * @returns {Array} [{segmentName, endpoint, lat, lng, nearest}] where
+   *   nearest is the closest other segment {segmentName, distance}
+   */
+  _findDanglingEndpoints() {
+    // Junction edges are added in pairs, so a node with none leading to it
+    // has none leaving it either
+    const joined = new Set();
+    for (const edges of this.manager.endpointGraph.values()) {
+      edges.forEach((edge) => {
+        if (!edge.segment) joined.add(edge.to);
+      });
+    }
+
+    const dangling = [];
+    for (const endpoint of this._getEndpoints()) {
+      if (joined.has(endpoint.node)) continue;
+
+      dangling.push({
+        ...this._describeEndpoint(endpoint),
+        nearest: this._findNearestSegment(endpoint),
+      });
+    }
+
+    return dangling;
+  }
+
+  /**
+   * Compare the geojson features with segments.json
+   * @param {Array} lines - LineString features
+   * @param {Object} metadata - segments.json contents
+   * @returns {Object} {missingEntries, missingIds, orphanEntries,
+   *   duplicateNames, duplicateIds}
+   */
+  _checkEntries(lines, metadata) {
+    const nameCounts = new Map();
+    lines.forEach((feature) => {
+      const name = feature.properties?.name || "Unnamed Route";
+      nameCounts.set(name, (nameCounts.get(name) || 0) + 1);
+    });
+
+    const missingEntries = [];
+    const missingIds = [];
+    for (const name of nameCounts.keys()) {
+      const entry = metadata[name];
+      if (!entry) {
+        missingEntries.push(name);
+      } else if (!Number.isInteger(entry.id) || entry.id <= 0) {
+        missingIds.push(name);
+      }
+    }
+
+    // Entries of segments that were split, merged or removed legitimately
+    // have no feature
+    const orphanEntries = Object.keys(metadata).filter(
+      (name) =>
+        !nameCounts.has(name) &&
+        !Array.isArray(metadata[name].split) &&
+        !Number.isInteger(metadata[name].merged) &&
+        !metadata[name].removed,
+    );
+
+    const duplicateNames = Array.from(nameCounts.entries())
+      .filter(([, count]) => count > 1)
+      .map(([name, count]) => ({ name, count }));
+
+    const namesById = new Map();
+    for (const [name, entry] of Object.entries(metadata)) {
+      if (!Number.isInteger(entry?.id)) continue;
+      if (!namesById.has(entry.id)) namesById.set(entry.id, []);
+      namesById.get(entry.id).push(name);
+    }
+    const duplicateIds = Array.from(namesById.entries())
+      .filter(([, names]) => names.length > 1)
+      .map(([id, names]) => ({ id, segments: names }));
+
+    return {
+      missingEntries,
+      missingIds,
+      orphanEntries,
+      duplicateNames,
+      duplicateIds,
+    };
+  }
+
+  _getEndpoints() {
+    if (!this.endpoints) {
+      this.endpoints = [];
+      for (const [name, segment] of this.manager.segments) {
+        const coords = segment.coordinates;
+        this.endpoints.push(
+          { node: `${name}|S`, segmentName: name, endpoint: "S", ...coords[0] },
+          {
+            node: `${name}|E`,
+            segmentName: name,
+            endpoint: "E",
+            ...coords[coords.length - 1],
+          },
+        );
+      }
+    }
+    return this.endpoints;
+  }
+
+  _describeEndpoint({ segmentName, endpoint, lat, lng }) {
+    return { segmentName, endpoint, lat, lng };
+  }
+
+  // Whether two nodes share a junction, directly or through a third node
+  _areNodesJoined(nodeA, nodeB) {
+    const junctions = (node) =>
+      (this.manager.endpointGraph.get(node) || [])
+        .filter((edge) => !edge.segment)
+        .map((edge) => edge.to);
+    const fromA = junctions(nodeA);
+    return (
+      fromA.includes(nodeB) ||
+      fromA.some((node) => junctions(node).includes(nodeB))
+    );
+  }
+
+  // Closest point of any other segment, interior points included
+  _findNearestSegment(endpoint) {
+    let nearest = null;
+    for (const [name, segment] of this.manager.segments) {
+      if (name === endpoint.segmentName) continue;
+      const coords = segment.coordinates;
+      for (let i = 0; i < coords.length - 1; i++) {
+        const distance = this.manager._distanceToLineSegment(
+          endpoint,
+          coords[i],
+          coords[i + 1],
+        );
+        if (!nearest || distance < nearest.distance) {
+          nearest = { segmentName: name, distance };
+        }
+      }
+    }
+    if (nearest) {
+      nearest.distance = Math.round(nearest.distance * 10) / 10;
+    }
+    return nearest;
+  }
+
+  _nodeSegment(node) {
+    return node.slice(0, node.lastIndexOf("|"));
+  }
+}
+
+/**
+ * Print a report summary to the console
+ * @param {Object} report - Result of NetworkChecker.check()
+ */
+function printNetworkReport(report) {
+  const { summary } = report;
+
+  console.log("=".repeat(60));
+  console.log(`NETWORK INTEGRITY REPORT (${summary.segments} segments)`);
+  console.log("=".repeat(60));
+  console.log(
+    `Components:           ${summary.components} (${summary.isolatedSegments} segments outside the main network)`,
+  );
+  console.log(`Dangling endpoints:   ${summary.danglingEndpoints}`);
+  console.log(
+    `Near-miss junctions:  ${summary.nearMisses} (${summary.connectionThreshold}-${summary.nearMissDistance}m apart)`,
+  );
+  console.log(`Missing entries:      ${summary.missingEntries}`);
+  console.log(`Missing ids:          ${summary.missingIds}`);
+  console.log(`Orphan entries:       ${summary.orphanEntries}`);
+  console.log(`Duplicate names:      ${summary.duplicateNames}`);
+  console.log(`Duplicate ids:        ${summary.duplicateIds}`);
+
+  if (report.nearMisses.length > 0) {
+    console.log("-".repeat(60));
+    report.nearMisses.forEach((miss) => {
+      console.log(
+        `❌ ${miss.from.segmentName} (${miss.from.endpoint}) ↔ ${miss.to.segmentName} (${miss.to.endpoint}): ${miss.distance}m`,
+      );
+    });
+  }
+  report.components.slice(1).forEach((component) => {
+    console.log(
+      `❌ Component ${component.id} is disconnected: ${component.segments.join(", ")}`,
+    );
+  });
+  report.danglingEndpoints.forEach((endpoint) =>
+    console.log(
+      `❌ Dead end: ${endpoint.segmentName} (${endpoint.endpoint})${
+        endpoint.nearest
+          ? `, ${endpoint.nearest.distance}m from ${endpoint.nearest.segmentName}`
+          : ""
+      }`,
+    ),
+  );
+  report.missingEntries.forEach((name) =>
+    console.log(`❌ No segments.json entry: ${name}`),
+  );
+  report.missingIds.forEach((name) => console.log(`❌ No id: ${name}`));
+  report.orphanEntries.forEach((name) =>
+    console.log(`❌ segments.json entry without a feature: ${name}`),
+  );
+  report.duplicateNames.forEach(({ name, count }) =>
+    console.log(`❌ Name used by ${count} features: ${name}`),
+  );
+  report.duplicateIds.forEach(({ id, segments }) =>
+    console.log(`❌ Id ${id} used by: ${segments.join(", ")}`),
+  );
+  console.log("=".repeat(60));
+}
+
+async function runNetworkCheck(argv) {
+  const fs = require("fs");
+  const args = [...argv];
+  const takeOption = (flag) => {
+    const index = args.indexOf(flag);
+    if (index === -1) return null;
+    const [, value] = args.splice(index, 2);
+    return value;
+  };
+
+  const jsonFile = takeOption("--json");
+  const overlayFile = takeOption("--overlay");
+  const geoJsonFile = args[0] || "bike_roads_v12.geojson";
+  const segmentsFile = args[1] || "segments.json";
+
+  const geoJsonData = JSON.parse(fs.readFileSync(geoJsonFile, "utf8"));
+  const segmentsData = JSON.parse(fs.readFileSync(segmentsFile, "utf8"));
+
+  const checker = new NetworkChecker();
+  const report = await checker.check(geoJsonData, segmentsData);
+  printNetworkReport(report);
+
+  if (jsonFile) {
+    fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${jsonFile}`);
+  }
+  if (overlayFile) {
+    fs.writeFileSync(
+      overlayFile,
+      JSON.stringify(checker.toGeoJson(report), null, 2),
+    );
+    console.log(`Overlay written to ${overlayFile}`);
+  }
+
+  return report;
+}
+
+// Export for use in other files
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { NetworkChecker, printNetworkReport, runNetworkCheck };
+
+  if (require.main === module) {
+    runNetworkCheck(process.argv.slice(2));
+  }
+}
@@ -1,3 +1,238 @@
+/**
+ * Binary min-heap of graph nodes keyed by priority, used by the endpoint-graph
+ * search. Ties are broken by insertion order so searches are deterministic.
+ */
+class NodePriorityQueue {
+  constructor() {
+    this.heap = [];
+    this.counter = 0;
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  push(node, priority, cost) {
+    this.heap.push({ node, priority, cost, order: this.counter++ });
+    this._bubbleUp(this.heap.length - 1);
+  }
+
+  pop() {
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this._sinkDown(0);
+    }
+    return top;
+  }
+
+  _less(a, b) {
+    const x = this.heap[a];
+    const y = this.heap[b];
+    return x.priority < y.priority ||
+      (x.priority === y.priority && x.order < y.order);
+  }
+
+  _swap(a, b) {
+    const tmp = this.heap[a];
+    this.heap[a] = this.heap[b];
+    this.heap[b] = tmp;
+  }
+
+  _bubbleUp(index) {
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this._less(index, parent)) break;
+      this._swap(index, parent);
+      index = parent;
+    }
+  }
+
+  _sinkDown(index) {
+    const length = this.heap.length;
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < length && this._less(left, smallest)) smallest = left;
+      if (right < length && this._less(right, smallest)) smallest = right;
+      if (smallest === index) break;
+      this._swap(index, smallest);
+      index = smallest;
+    }
+  }
+}
+
+/**
+ * Routing profiles. Each edge costs its length times the surface factor
+ * (times winterFactor on segments muddy on the ride date), plus climbFactor
+ * meters for every meter of elevation gained in the riding direction.
+ * Factors never go below 1 so segment length stays a lower bound on cost.
+ * The id is stored in shared route URLs - never reuse or renumber one.
+ */
+const ROUTING_PROFILES = {
+  shortest: {
+    id: 0,
+    label: "הקצר ביותר",
+    surface: { paved: 1, road: 1, dirt: 1 },
+    climbFactor: 0,
+    winterFactor: 1,
+  },
+  road: {
+    id: 1,
+    label: "אופני כביש",
+    surface: { paved: 1, road: 1.2, dirt: 5 },
+    climbFactor: 2,
+    winterFactor: 1,
+  },
+  family: {
+    id: 2,
+    label: "משפחתי / שטוח",
+    surface: { paved: 1, road: 3, dirt: 1.5 },
+    climbFactor: 20,
+    winterFactor: 1,
+  },
+  winter: {
+    id: 3,
+    label: "בטוח לחורף",
+    surface: { paved: 1, road: 1.2, dirt: 1.2 },
+    climbFactor: 2,
+    winterFactor: 10,
+  },
+};
+
+/**
+ * Rider presets for riding-time estimates: flatSpeed (km/h) on smooth level
+ * ground and climbRate (vertical meters per hour) added on top for climbing.
+ */
+const RIDER_PRESETS = {
+  leisure: { label: "רכיבה רגועה", flatSpeed: 14, climbRate: 400 },
+  fit: { label: "רוכב מאומן", flatSpeed: 22, climbRate: 800 },
+  ebike: { label: "אופניים חשמליים", flatSpeed: 22, climbRate: 1400 },
+};
+
+/**
+ * Speed model: flat speed is scaled by surface, descents speed up by
+ * DESCENT_SPEEDUP per percent of grade up to MAX_DESCENT_SPEEDUP, and
+ * descents steeper than STEEP_DESCENT_GRADE slow down again for braking.
+ */
+const SURFACE_SPEED = { paved: 1, road: 1, dirt: 0.75 };
+const DESCENT_SPEEDUP = 0.08;
+const MAX_DESCENT_SPEEDUP = 1.4;
+const STEEP_DESCENT_GRADE = 0.1;
+
+/**
+ * Difficulty grades by the highest score (0-100) they cover; see
+ * scoreRouteDifficulty
+ */
+const DIFFICULTY_GRADES = [
+  { max: 25, grade: "easy", label: "קל" },
+  { max: 45, grade: "moderate", label: "בינוני" },
+  { max: 65, grade: "hard", label: "קשה" },
+  { max: 100, grade: "expert", label: "למתקדמים" },
+];
+
+// Length (meters) a climb must hold its grade for to count as sustained
+const SUSTAINED_GRADE_DISTANCE = 200;
+
+// Gradient analysis measures the grade over intervals of about this length
+// (meters), and marks climbs reaching these grades as steep
+const GRADIENT_INTERVAL = 100;
+const STEEP_GRADE_THRESHOLDS = [0.08, 0.12];
+
+/**
+ * Score how hard a route is. Each factor earns points up to its cap, and the
+ * points add up to a score from 0 to 100:
+ * - distance: 30 points at 80 km or more, linear below
+ * - elevationGain: 30 points at 1500 m or more, linear below
+ * - steepestGrade: 25 points at 15% or more, nothing up to 3%, linear
+ *   between
+ * - unpavedShare: 10 points when the whole ride is unpaved
+ * - warnedShare: 5 points when the whole ride is on segments with warnings
+ * The score picks the first of DIFFICULTY_GRADES whose max it doesn't pass.
+ * @param {Object} stats - {distance (m), elevationGain (m), steepestGrade
+ *   (fraction, 0.08 for 8%), unpavedShare (0-1), warnedShare (0-1)}
+ * @returns {Object} {score, grade, label, points}; points holds each
+ *   factor's share of the score
+ */
+function scoreRouteDifficulty({
+  distance = 0,
+  elevationGain = 0,
+  steepestGrade = 0,
+  unpavedShare = 0,
+  warnedShare = 0,
+}) {
+  const clamp = (value) => Math.max(0, Math.min(1, value));
+  const points = {
+    distance: clamp(distance / 80000) * 30,
+    elevationGain: clamp(elevationGain / 1500) * 30,
+    steepestGrade: clamp((steepestGrade - 0.03) / 0.12) * 25,
+    unpavedShare: clamp(unpavedShare) * 10,
+    warnedShare: clamp(warnedShare) * 5,
+  };
+
+  const score = Math.round(
+    Object.values(points).reduce((total, value) => total + value, 0),
+  );
+  const { grade, label } = DIFFICULTY_GRADES.find(({ max }) => score <= max);
+  return { score, grade, label, points };
+}
+
+// Segment endpoints closer than this (meters) are joined into a junction
+const CONNECTION_THRESHOLD = 50;
+
+// Cost multiplier for segments a generated loop has already ridden
+const REUSE_PENALTY = 4;
+
+/**
+ * Seasonal windows. A segment's `seasons` metadata lists windows of
+ * {type, from, to, note?}: type "mud" (slow and penalised by the winter
+ * profile) or "closed" (never routed through). from/to are inclusive
+ * "MM-DD" dates recurring every year - a window may wrap past new year - or
+ * "YYYY-MM-DD" dates for one-off closures such as festivals.
+ */
+const SEASON_TYPES = ["mud", "closed"];
+
+// Window used for segments still carrying the old `winter: false` flag
+const DEFAULT_MUD_SEASON = { type: "mud", from: "11-01", to: "03-31" };
+
+// Most route points optimizePointOrder orders exactly (2^n * n^2 work)
+const EXACT_ORDER_LIMIT = 10;
+
+/**
+ * Cue sheet turn types by the largest turn angle (degrees) they cover.
+ * Angles are measured between the headings this far (meters) before and
+ * after a segment transition, so vertex noise at the junction is ignored.
+ */
+const CUE_TURNS = [
+  { max: 30, type: "straight" },
+  { max: 120, type: "turn" },
+  { max: 160, type: "sharp" },
+  { max: 180, type: "u-turn" },
+];
+const CUE_HEADING_DISTANCE = 25;
+
+/**
+ * Events listeners can subscribe to with on(). Each listener is called with
+ * one payload object:
+ * - segmentsLoaded: {segmentCount, segmentNames} once load() has finished
+ * - pointAdded: {index, point} when a route point is added or inserted
+ * - pointRemoved: {index, point}
+ * - routeChanged: {segments, points, outAndBack, addedSegments,
+ *   removedSegments, previousSegments, previousPoints} when the route's
+ *   segments, points or out-and-back setting change
+ * - warningsChanged: {warnings, added, removed} when getRouteWarnings()
+ *   changes
+ */
+const ROUTE_EVENTS = [
+  "segmentsLoaded",
+  "pointAdded",
+  "pointRemoved",
+  "routeChanged",
+  "warningsChanged",
+];
+
 /**
  * RouteManager - Handles route planning logic including loading geojson data,
  * managing route points, and calculating optimal routes through segments.
@@ -8,8 +243,19 @@ class RouteManager {
     this.segmentMetrics = new Map(); // segmentName -> pre-calculated metrics
     this.routePoints = [];
     this.selectedSegments = [];
+    this.legEnds = []; // selectedSegments.length after each route point, null when unknown
     this.adjacencyMap = new Map(); // segment connectivity graph (segment-level)
-    this.endpointGraph = new Map(); // node-level graph: "<segment>|S" or "<segment>|E" -> [{to, weight}]
+    this.endpointGraph = new Map(); // node-level graph: "<segment>|S", "<segment>|E" or "<segment>|T<n>" -> [{to, weight}]
+    this.junctionNodes = new Map(); // "<segment>|T<n>" -> {segmentName, position, lat, lng, joined}: T-junctions mid-segment
+    this.routingProfile = "shortest"; // key of ROUTING_PROFILES used for edge costs
+    this.avoidedSegments = new Set(); // segments routing must not use (locked gates, floods)
+    this.rideDate = this._startOfDay(new Date()); // planned ride date seasonal windows are checked against
+    this.activeSeasonTypes = new Map(); // segmentName -> Set of season types in effect on rideDate
+    this.outAndBack = false; // ride the route back to the start the way it came
+    this.rider = { preset: "fit", ...RIDER_PRESETS.fit }; // speeds for riding-time estimates
+    this.elevationProvider = null; // local DEM tiles for heights the geojson lacks
+    this.listeners = new Map(); // event -> Set of listeners added with on()
+    this.routeChangeDepth = 0; // route-changing calls in progress
   }
 
   /**
@@ -22,6 +268,9 @@ class RouteManager {
     this.segmentMetrics.clear();
     this.adjacencyMap.clear();
     this.endpointGraph.clear();
+    this.junctionNodes.clear();
+    this.avoidedSegments.clear();
+    this.activeSeasonTypes.clear();
     this.segmentsMetadata = segmentsData || {};
 
     if (!geoJsonData?.features) {
@@ -33,11 +282,24 @@ class RouteManager {
       if (feature.geometry?.type !== "LineString") return;
 
       const name = feature.properties?.name || "Unnamed Route";
-      const coordinates = feature.geometry.coordinates.map((coord) => ({
-        lat: coord[1],
-        lng: coord[0],
-        elevation: coord[2] || 0,
-      }));
+      const coordinates = feature.geometry.coordinates.map((coord) => {
+        let elevation = coord[2];
+        if (elevation === undefined || elevation === null) {
+          elevation = this.elevationProvider?.getElevation(coord[1], coord[0]);
+        }
+        if (elevation === undefined || elevation === null) {
+          // Neither the geojson nor the DEM has a height for it: flag it, so
+          // exports leave the height out, and estimate one once every
+          // segment is loaded
+          return {
+            lat: coord[1],
+            lng: coord[0],
+            elevation: 0,
+            missingElevation: true,
+          };
+        }
+        return { lat: coord[1], lng: coord[0], elevation };
+      });
 
       // Merge geojson properties with segments metadata
       const segmentMetadata = this.segmentsMetadata[name] || {};
@@ -53,6 +315,8 @@ class RouteManager {
       });
     });
 
+    this._estimateMissingElevations();
+
     // Pre-calculate metrics for all segments
     this._preCalculateMetrics();
 
@@ -60,126 +324,1122 @@ class RouteManager {
     this._buildAdjacencyMap(); // legacy segment-level (still used elsewhere)
     this._buildEndpointGraph(); // new endpoint-level weighted graph
 
-    console.log(`Loaded ${this.segments.size} segments with connectivity data`);
+    console.log(`Loaded ${this.segments.size} segments with connectivity data`);
+    this._emit("segmentsLoaded", {
+      segmentCount: this.segments.size,
+      segmentNames: Array.from(this.segments.keys()),
+    });
+  }
+
+  /**
+   * Subscribe to route state changes
+   * @param {string} event - One of ROUTE_EVENTS
+   * @param {Function} listener - Called with the event's payload
+   * @returns {Function} Unsubscribes the listener
+   */
+  on(event, listener) {
+    if (!ROUTE_EVENTS.includes(event)) {
+      throw new Error(`Unknown route event: ${event}`);
+    }
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Remove a listener added with on()
+   * @param {string} event
+   * @param {Function} listener
+   */
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  /**
+   * Read heights from local DEM tiles. Coordinates the geojson had no height
+   * for are filled in; with `resample` every coordinate the tiles cover takes
+   * the tiles' height. Segment metrics and the endpoint graph are rebuilt
+   * afterwards.
+   * @param {ElevationProvider} provider - Provider with its tiles loaded
+   * @param {Object} [options]
+   * @param {boolean} [options.resample=false] - Replace existing heights too
+   * @returns {number} Number of coordinates given a height from the tiles
+   */
+  setElevationProvider(provider, { resample = false } = {}) {
+    this.elevationProvider = provider;
+    if (!provider) return 0;
+
+    let updated = 0;
+    for (const segment of this.segments.values()) {
+      segment.coordinates.forEach((coord) => {
+        if (!resample && !coord.missingElevation) return;
+
+        const elevation = provider.getElevation(coord.lat, coord.lng);
+        if (elevation === null) return;
+        coord.elevation = elevation;
+        delete coord.missingElevation;
+        updated++;
+      });
+    }
+
+    if (updated > 0) {
+      this._estimateMissingElevations();
+      this.segmentMetrics.clear();
+      this._preCalculateMetrics();
+
+      // Graph edges carry the climb of the stretch they cover
+      this.endpointGraph.clear();
+      this.junctionNodes.clear();
+      this._buildEndpointGraph();
+    }
+    return updated;
+  }
+
+  /**
+   * Add a route point and recalculate the route
+   * @param {Object} point - {lat, lng}
+   * @returns {Array} Updated list of selected segments
+   */
+  addPoint(point) {
+    return this._trackRouteChange(() => {
+      if (!point?.lat || !point?.lng) {
+        throw new Error("Invalid point coordinates");
+      }
+
+      // Snap point to nearest segment
+      const snappedPoint = this._snapToNearestSegment(point);
+      if (!snappedPoint) {
+        return this.selectedSegments;
+      }
+
+      this.routePoints.push({
+        ...snappedPoint,
+        id: Date.now() + Math.random(),
+      });
+
+      this._recalculateRoute();
+      this._emitPointAdded(this.routePoints.length - 1);
+      return [...this.selectedSegments];
+    });
+  }
+
+  /**
+   * Insert a route point at a given position and recalculate the route
+   * @param {number} index - Position in routePoints for the new point
+   * @param {Object} point - {lat, lng}
+   * @returns {Array} Updated list of selected segments
+   */
+  insertPoint(index, point) {
+    return this._trackRouteChange(() => {
+      if (!point?.lat || !point?.lng) {
+        throw new Error("Invalid point coordinates");
+      }
+
+      const snappedPoint = this._snapToNearestSegment(point);
+      if (!snappedPoint) {
+        return [...this.selectedSegments];
+      }
+
+      const position = Math.max(0, Math.min(index, this.routePoints.length));
+      this.routePoints.splice(position, 0, {
+        ...snappedPoint,
+        id: Date.now() + Math.random(),
+      });
+
+      this._recalculateRoute();
+      this._emitPointAdded(position);
+      return [...this.selectedSegments];
+    });
+  }
+
+  /**
+   * Add a shaping point to one leg of the route, e.g. where the route line
+   * was dragged to. The point goes between routePoints[legIndex] and the
+   * next point. Legs before it are kept as they are, and legs after it are
+   * only routed again until one comes out the same as before.
+   * @param {number} legIndex - Leg from routePoints[legIndex] to the next point
+   * @param {Object} point - {lat, lng}
+   * @returns {Array} Updated list of selected segments
+   */
+  insertShapingPoint(legIndex, point) {
+    return this._trackRouteChange(() => {
+      if (!point?.lat || !point?.lng) {
+        throw new Error("Invalid point coordinates");
+      }
+      if (legIndex < 0 || legIndex >= this.routePoints.length - 1) {
+        return [...this.selectedSegments];
+      }
+
+      // Without leg boundaries the whole route has to be worked out again
+      const oldEnds = this.legEnds;
+      if (
+        !oldEnds ||
+        oldEnds.length !== this.routePoints.length ||
+        oldEnds[oldEnds.length - 1] !== this.selectedSegments.length
+      ) {
+        return this.insertPoint(legIndex + 1, point);
+      }
+
+      const snappedPoint = this._snapToNearestSegment(point);
+      if (!snappedPoint) {
+        return [...this.selectedSegments];
+      }
+
+      const oldPoints = this.routePoints;
+      const oldSegments = this.selectedSegments;
+      const points = [...oldPoints];
+      points.splice(legIndex + 1, 0, {
+        ...snappedPoint,
+        id: Date.now() + Math.random(),
+      });
+
+      const segments = oldSegments.slice(0, oldEnds[legIndex]);
+      const legEnds = oldEnds.slice(0, legIndex + 1);
+      for (let i = legIndex + 1; i < points.length; i++) {
+        segments.push(
+          ...this._findRouteExtensionToPoint(
+            points[i],
+            segments,
+            points.slice(0, i),
+          ),
+        );
+        legEnds.push(segments.length);
+
+        // A later leg that is unchanged and ends where it used to leaves the
+        // rest of the route as it was
+        const oldIndex = i - 1;
+        if (i === legIndex + 1 || oldIndex >= oldEnds.length - 1) continue;
+        const leg = segments.slice(legEnds[i - 1]);
+        const oldLeg = oldSegments.slice(
+          oldEnds[oldIndex - 1],
+          oldEnds[oldIndex],
+        );
+        if (leg.join("\n") !== oldLeg.join("\n")) continue;
+
+        const endpoint = this._getCurrentRouteEndpoint(
+          segments,
+          points.slice(0, i + 1),
+        );
+        const oldEndpoint = this._getCurrentRouteEndpoint(
+          oldSegments.slice(0, oldEnds[oldIndex]),
+          oldPoints.slice(0, oldIndex + 1),
+        );
+        if (
+          endpoint &&
+          oldEndpoint &&
+          this._getDistance(endpoint, oldEndpoint) < 1
+        ) {
+          for (let j = oldIndex + 1; j < oldEnds.length; j++) {
+            segments.push(...oldSegments.slice(oldEnds[j - 1], oldEnds[j]));
+            legEnds.push(segments.length);
+          }
+          break;
+        }
+      }
+
+      this.routePoints = points;
+      this.selectedSegments = segments;
+      this.legEnds = legEnds;
+      this._emitPointAdded(legIndex + 1);
+      return [...segments];
+    });
+  }
+
+  /**
+   * The leg of the route a spot on the route line belongs to
+   * @param {Object} point - {lat, lng} on or near the route
+   * @returns {number} Index of the leg's first route point, -1 without legs
+   */
+  getLegIndexAt(point) {
+    if (this.routePoints.length < 2) return -1;
+
+    const coords = this._getOrderedCoordinates(
+      this._getRoutePieces(this.selectedSegments, this.routePoints),
+    );
+    if (coords.length < 2) return 0;
+
+    const spot = this._getPositionAlongSegment(point, coords);
+    for (let i = 1; i < this.routePoints.length - 1; i++) {
+      if (spot <= this._getPositionAlongSegment(this.routePoints[i], coords)) {
+        return i - 1;
+      }
+    }
+    return this.routePoints.length - 2;
+  }
+
+  /**
+   * Reorder the route points to minimise the total riding distance. The first
+   * point stays first; the last one stays last when fixLast is set. Leg
+   * lengths come from pairwise _findShortestSegmentPath searches. Up to
+   * EXACT_ORDER_LIMIT movable points are ordered exactly (Held-Karp); longer
+   * lists use nearest neighbour followed by 2-opt.
+   * @param {Object} options - {fixLast?: boolean}
+   * @returns {Array} Updated list of selected segments
+   * @throws {Error} When two of the points are not connected; the route is
+   *   left as it was
+   */
+  optimizePointOrder(options = {}) {
+    return this._trackRouteChange(() => {
+      const points = this.routePoints.filter(
+        (point) => point && point.lat !== undefined && point.lng !== undefined,
+      );
+      const fixLast = !!options.fixLast;
+      const movableCount = points.length - 1 - (fixLast ? 1 : 0);
+      if (movableCount < 2) {
+        return [...this.selectedSegments];
+      }
+
+      const costs = points.map((from, i) =>
+        points.map((to, j) => (i === j ? 0 : this._getLegCost(from, to))),
+      );
+
+      // A point on another part of the network has no place in any order
+      for (let i = 0; i < points.length; i++) {
+        const j = costs[i].indexOf(Infinity);
+        if (j !== -1) {
+          throw new Error(`Route points ${i} and ${j} are not connected`);
+        }
+      }
+
+      const movable = [];
+      for (let i = 1; i <= movableCount; i++) movable.push(i);
+      const last = fixLast ? points.length - 1 : null;
+
+      const order =
+        movable.length <= EXACT_ORDER_LIMIT
+          ? this._exactPointOrder(costs, movable, last)
+          : this._heuristicPointOrder(costs, movable, last);
+
+      const orderedPoints = [0, ...order, ...(fixLast ? [last] : [])].map(
+        (i) => points[i],
+      );
+      return this.recalculateRoute(orderedPoints);
+    });
+  }
+
+  /**
+   * Ride the route the other way round. Points and segments are flipped in
+   * place, so every piece is re-oriented and gains and losses swap over to
+   * the reverse metrics. Direction rules may now apply - check
+   * getDirectionWarnings afterwards.
+   * @returns {Array} Updated list of selected segments
+   */
+  reverseRoute() {
+    return this._trackRouteChange(() => {
+      this.routePoints = [...this.routePoints].reverse();
+      this.selectedSegments = [...this.selectedSegments].reverse();
+      this.legEnds = null;
+      return [...this.selectedSegments];
+    });
+  }
+
+  /**
+   * Find up to k distinct ways to ride between two consecutive route points.
+   * Uses the penalty method: after each path is found, its segments are made
+   * more expensive and the search runs again, so later paths drift away from
+   * earlier ones. Paths much longer than the shortest one, or sharing most of
+   * their length with a path already found, are dropped.
+   * @param {number} legIndex - Leg from routePoints[legIndex] to the next point
+   * @param {number} k - Maximum number of routes to return
+   * @returns {Array} [{segments, distance, elevationGain, elevationLoss,
+   *   coordinates, isCurrent}] sorted by distance; segments run from the start
+   *   point's segment to the end point's segment
+   */
+  getAlternativeRoutes(legIndex, k = 3) {
+    const start = this.routePoints[legIndex];
+    const end = this.routePoints[legIndex + 1];
+    if (!start || !end) return [];
+
+    const startSegment = this._findSegmentForPoint(start);
+    const endSegment = this._findSegmentForPoint(end);
+    if (!startSegment || !endSegment || startSegment === endSegment) return [];
+
+    const currentLeg = this._findOptimalRouteThroughPoints([start, end]);
+    const penalized = new Set();
+    const found = [];
+    const maxDetour = 1.6; // longest alternative, relative to the shortest
+    const maxOverlap = 0.8; // share of an alternative's length already found
+    const middleLength = (names) =>
+      names.reduce(
+        (total, name) => total + this.segmentMetrics.get(name).distance,
+        0,
+      );
+
+    for (let attempt = 0; attempt < k * 3 && found.length < k; attempt++) {
+      // Leave the start segment and enter the end segment by whichever
+      // endpoints or T-junctions give the cheapest path
+      let bestPath = null;
+      let bestCost = Infinity;
+      for (const exit of this._getSegmentNodes(startSegment)) {
+        for (const entry of this._getSegmentNodes(endSegment)) {
+          const options = { penalizedSegments: penalized };
+          const nodePath = this._dijkstraPath(exit, entry, options);
+          const cost = this._pathWeight(nodePath, options);
+          if (nodePath.length > 0 && cost < bestCost) {
+            bestPath = nodePath;
+            bestCost = cost;
+          }
+        }
+      }
+      if (!bestPath) break;
+
+      const middle = this._nodesPathToSegments(bestPath);
+      middle.forEach((name) => penalized.add(name));
+      if (middle.includes(startSegment) || middle.includes(endSegment)) {
+        continue;
+      }
+
+      const candidate = this._describeLeg(
+        [startSegment, ...middle, endSegment],
+        start,
+        end,
+      );
+      if (
+        found.length > 0 &&
+        candidate.distance > found[0].distance * maxDetour
+      ) {
+        continue;
+      }
+
+      // Every candidate shares the start and end segments, so only the
+      // segments in between count towards the overlap
+      const overlapsFound = found.some((route) => {
+        const shared = middle.filter((name) => route.segments.includes(name));
+        return middleLength(shared) >= middleLength(middle) * maxOverlap;
+      });
+      if (!overlapsFound) {
+        found.push(candidate);
+      }
+    }
+
+    return found
+      .map((route) => ({
+        ...route,
+        isCurrent: route.segments.join(",") === currentLeg.join(","),
+      }))
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Make a leg follow one of the routes from getAlternativeRoutes by adding
+   * shaping points on the segments that set it apart.
+   * @param {number} legIndex
+   * @param {Object} alternative - An entry returned by getAlternativeRoutes
+   * @returns {Array} Updated list of selected segments
+   */
+  selectAlternativeRoute(legIndex, alternative) {
+    return this._trackRouteChange(() => {
+      const start = this.routePoints[legIndex];
+      const end = this.routePoints[legIndex + 1];
+      if (!start || !end || !alternative?.segments?.length) {
+        return [...this.selectedSegments];
+      }
+
+      const target = alternative.segments.join(",");
+      const viaIndices = [];
+
+      for (let attempt = 0; attempt < 4; attempt++) {
+        const vias = viaIndices.map((i) =>
+          this._getSegmentMidpoint(alternative.segments[i]),
+        );
+        const leg = this._findOptimalRouteThroughPoints([start, ...vias, end]);
+        if (leg.join(",") === target) break;
+
+        // Pin the first segment where the routed leg leaves the alternative
+        let divergence = alternative.segments.findIndex(
+          (name, i) => leg[i] !== name,
+        );
+        if (divergence <= 0 || divergence >= alternative.segments.length - 1) {
+          divergence = Math.floor(alternative.segments.length / 2);
+        }
+        if (viaIndices.includes(divergence)) break;
+
+        viaIndices.push(divergence);
+        viaIndices.sort((a, b) => a - b);
+      }
+
+      const vias = viaIndices.map((i) => ({
+        ...this._getSegmentMidpoint(alternative.segments[i]),
+        id: Date.now() + Math.random(),
+      }));
+      this.routePoints.splice(legIndex + 1, 0, ...vias);
+
+      this._recalculateRoute();
+      return [...this.selectedSegments];
+    });
+  }
+
+  /**
+   * Get segments near a hover point for highlighting
+   * @param {Object} point - {lat, lng}
+   * @param {number} threshold - Distance threshold in meters (default: 100)
+   * @returns {Array} Array of nearby segment names
+   */
+  getHoverSegments(point, threshold = 100) {
+    if (!point?.lat || !point?.lng) return [];
+
+    const nearbySegments = [];
+
+    for (const [segmentName, segment] of this.segments) {
+      const coords = segment.coordinates;
+      for (let i = 0; i < coords.length - 1; i++) {
+        const distance = this._distanceToLineSegment(
+          point,
+          coords[i],
+          coords[i + 1],
+        );
+        if (distance <= threshold) {
+          nearbySegments.push(segmentName);
+          break;
+        }
+      }
+    }
+
+    return nearbySegments;
+  }
+
+  /**
+   * Remove a route point by index
+   * @param {number} index - Index of point to remove
+   * @returns {Array} Updated list of selected segments
+   */
+  removePoint(index) {
+    return this._trackRouteChange(() => {
+      if (index < 0 || index >= this.routePoints.length) {
+        return [...this.selectedSegments];
+      }
+
+      // Remove the point from internal array
+      const [removed] = this.routePoints.splice(index, 1);
+
+      // Recalculate route based on remaining points
+      this._recalculateRoute();
+
+      this._emit("pointRemoved", { index, point: { ...removed } });
+      return [...this.selectedSegments];
+    });
+  }
+
+  /**
+   * Clear all route points and segments
+   * @returns {Array} Empty segments array
+   */
+  clearRoute() {
+    return this._trackRouteChange(() => {
+      this.routePoints = [];
+      this.selectedSegments = [];
+      this.legEnds = [];
+      return [];
+    });
+  }
+
+  /**
+   * Recalculate route based on current points
+   * @param {Array} points - Array of route points
+   * @returns {Array} Updated list of selected segments
+   */
+  recalculateRoute(points) {
+    return this._trackRouteChange(() => {
+      // Re-snap points to nearest segments to ensure they're valid
+      this.routePoints = points
+        .map((point) => {
+          if (!point || point.lat === undefined || point.lng === undefined) {
+            return null;
+          }
+
+          // Re-snap the point to the nearest segment
+          const snappedPoint = this._snapToNearestSegment({
+            lat: point.lat,
+            lng: point.lng,
+          });
+
+          if (snappedPoint) {
+            return {
+              ...point,
+              lat: snappedPoint.lat,
+              lng: snappedPoint.lng,
+              segmentName: snappedPoint.segmentName,
+            };
+          }
+
+          return point; // Keep original if snapping fails
+        })
+        .filter((point) => point !== null);
+
+      this._recalculateRoute();
+      return [...this.selectedSegments];
+    });
+  }
+
+  /**
+   * Generate round-trip routes that start and end at the junction nearest to
+   * startPoint. Each loop is a triangle start → A → B → start; every leg is a
+   * shortest path under the active routing profile that steers clear of
+   * segments ridden by earlier legs where it can.
+   * @param {Object} startPoint - {lat, lng}
+   * @param {Object} options - {targetDistance (m), maxElevationGain (m),
+   *   maxResults}
+   * @returns {Array} Loops, best first, that share less than 80% of their
+   *   length with a better one: [{segments, points, distance,
+   *   elevationGain, elevationLoss, repeatedDistance, score}]
+   */
+  generateLoops(startPoint, options = {}) {
+    const targetDistance = options.targetDistance || 20000;
+    const maxElevationGain = options.maxElevationGain ?? Infinity;
+    const maxResults = options.maxResults || 3;
+
+    const snapped = this._snapToNearestSegment(startPoint);
+    if (!snapped) return [];
+
+    const startNode = `${snapped.segmentName}|${this._nearestEndpointKeyToPoint(
+      snapped.segmentName,
+      snapped,
+    )}`;
+    const startCoords = this._getNodeCoords(startNode);
+
+    // Turning points: for each compass sector, the endpoint whose riding
+    // distance from the start is closest to a third of the target
+    const sectorCount = 12;
+    const idealRadius = targetDistance / 3;
+    const sectors = new Array(sectorCount).fill(null);
+    for (const [node, distance] of this._distancesFrom(startNode)) {
+      if (distance < targetDistance * 0.2 || distance > targetDistance * 0.45) {
+        continue;
+      }
+      const bearing = this._getBearing(startCoords, this._getNodeCoords(node));
+      const sector = Math.floor((bearing / 360) * sectorCount) % sectorCount;
+      const offset = Math.abs(distance - idealRadius);
+      if (!sectors[sector] || offset < sectors[sector].offset) {
+        sectors[sector] = { node, offset };
+      }
+    }
+
+    const candidates = [];
+    for (let i = 0; i < sectorCount; i++) {
+      // B lies 60°-120° clockwise of A, which keeps the triangle open
+      for (let step = 2; step <= 4; step++) {
+        const a = sectors[i];
+        const b = sectors[(i + step) % sectorCount];
+        if (!a || !b) continue;
+
+        const loop = this._buildLoop([startNode, a.node, b.node, startNode]);
+        if (!loop) continue;
+
+        const overClimb = Number.isFinite(maxElevationGain)
+          ? Math.max(0, loop.elevationGain - maxElevationGain) /
+            Math.max(maxElevationGain, 1)
+          : 0;
+        loop.score =
+          Math.abs(loop.distance - targetDistance) / targetDistance +
+          overClimb +
+          (loop.repeatedDistance / targetDistance) * 0.5;
+        candidates.push(loop);
+      }
+    }
+
+    // A loop mostly over the segments of a better one - the same ride with
+    // a sub-loop turned around, say - is left out
+    const maxOverlap = 0.8; // share of a loop's length a better one covers
+    const segmentsLength = (names) =>
+      names.reduce(
+        (total, name) => total + this.segmentMetrics.get(name).distance,
+        0,
+      );
+    const loops = [];
+    for (const loop of candidates.sort((a, b) => a.score - b.score)) {
+      const names = [...new Set(loop.segments)];
+      const overlapsFound = loops.some((found) => {
+        const shared = names.filter((name) => found.segments.includes(name));
+        return segmentsLength(shared) >= segmentsLength(names) * maxOverlap;
+      });
+      if (!overlapsFound) {
+        loops.push(loop);
+      }
+      if (loops.length === maxResults) break;
+    }
+    return loops;
+  }
+
+  /**
+   * Select the routing profile used when searching for paths.
+   * Does not re-route existing points - call recalculateRoute for that.
+   * @param {string} profileName - Key of RouteManager.ROUTING_PROFILES
+   */
+  setRoutingProfile(profileName) {
+    return this._trackRouteChange(() => {
+      if (!ROUTING_PROFILES[profileName]) {
+        throw new Error(`Unknown routing profile: ${profileName}`);
+      }
+      this.routingProfile = profileName;
+    });
+  }
+
+  /**
+   * Get the name of the active routing profile
+   * @returns {string}
+   */
+  getRoutingProfile() {
+    return this.routingProfile;
+  }
+
+  /**
+   * Block a segment: it is no longer snapped to or routed through.
+   * Does not re-route existing points - call recalculateRoute for that.
+   * @param {string} segmentName
+   */
+  avoidSegment(segmentName) {
+    return this._trackRouteChange(() => {
+      if (this.segments.has(segmentName)) {
+        this.avoidedSegments.add(segmentName);
+      }
+    });
+  }
+
+  /**
+   * Make a blocked segment available to routing again
+   * @param {string} segmentName
+   */
+  allowSegment(segmentName) {
+    return this._trackRouteChange(() => {
+      this.avoidedSegments.delete(segmentName);
+    });
+  }
+
+  /**
+   * Replace the set of blocked segments
+   * @param {string[]} segmentNames
+   */
+  setAvoidedSegments(segmentNames) {
+    return this._trackRouteChange(() => {
+      this.avoidedSegments.clear();
+      (segmentNames || []).forEach((name) => this.avoidSegment(name));
+    });
+  }
+
+  /**
+   * @param {string} segmentName
+   * @returns {boolean} Whether routing avoids the segment
+   */
+  isSegmentAvoided(segmentName) {
+    return this.avoidedSegments.has(segmentName);
+  }
+
+  /**
+   * @returns {string[]} Names of blocked segments
+   */
+  getAvoidedSegments() {
+    return Array.from(this.avoidedSegments);
+  }
+
+  /**
+   * Turn the route into an out-and-back ride that returns to the start the
+   * way it came. The route itself (points and segments) is unchanged.
+   * @param {boolean} enabled
+   */
+  setOutAndBack(enabled) {
+    return this._trackRouteChange(() => {
+      this.outAndBack = !!enabled;
+    });
+  }
+
+  /**
+   * @returns {boolean} Whether the route is ridden out and back
+   */
+  isOutAndBack() {
+    return this.outAndBack;
+  }
+
+  /**
+   * Use a rider preset for riding-time estimates
+   * @param {string} presetName - Key of RouteManager.RIDER_PRESETS
+   */
+  setRiderPreset(presetName) {
+    const preset = RIDER_PRESETS[presetName];
+    if (!preset) {
+      throw new Error(`Unknown rider preset: ${presetName}`);
+    }
+    this.rider = { preset: presetName, ...preset };
+  }
+
+  /**
+   * Use custom speeds for riding-time estimates
+   * @param {Object} speeds - {flatSpeed (km/h), climbRate (m/h)}
+   */
+  setRiderSpeeds({ flatSpeed, climbRate }) {
+    if (!(flatSpeed > 0) || !(climbRate > 0)) {
+      throw new Error(`Invalid rider speeds: ${flatSpeed}, ${climbRate}`);
+    }
+    this.rider = {
+      preset: "custom",
+      label: "מותאם אישית",
+      flatSpeed,
+      climbRate,
+    };
+  }
+
+  /**
+   * @returns {Object} {preset, label, flatSpeed, climbRate}; preset is
+   *   "custom" for speeds set with setRiderSpeeds
+   */
+  getRider() {
+    return { ...this.rider };
+  }
+
+  /**
+   * Estimated moving time of the ride, from the smoothed elevation, grade
+   * and surface of every part ridden, for the current rider
+   * @returns {Object} {totalTime, segments, coordinateTimes}: seconds in
+   *   total, [{segmentName, index, distance, time}] in riding order where
+   *   index is the position in the route's segments, and the seconds from
+   *   the start at each of getRouteInfo's orderedCoordinates
+   */
+  getRidingTime() {
+    const pieces = this._getRidePieces(
+      this._getRoutePieces(this.selectedSegments, this.routePoints),
+    );
+
+    const segments = [];
+    const coordinateTimes = [];
+    let totalTime = 0;
+    let lastCoord = null;
+
+    for (const piece of pieces) {
+      const times = this._estimatePieceTimes(piece);
+      const time = times[times.length - 1] || 0;
+
+      // Same joins as _getOrderedCoordinates
+      const joined =
+        lastCoord && this._getDistance(lastCoord, piece.coordinates[0]) <= 50;
+      (joined ? times.slice(1) : times).forEach((offset) =>
+        coordinateTimes.push(totalTime + offset),
+      );
+      lastCoord = piece.coordinates[piece.coordinates.length - 1];
+
+      // Out-and-back rides turn around within the last segment
+      const last = segments[segments.length - 1];
+      if (last && last.index === piece.index) {
+        last.distance += piece.distance;
+        last.time += time;
+      } else {
+        segments.push({
+          segmentName: piece.segmentName,
+          index: piece.index,
+          distance: piece.distance,
+          time,
+        });
+      }
+      totalTime += time;
+    }
+
+    return { totalTime, segments, coordinateTimes };
+  }
+
+  /**
+   * Difficulty of the ride, scored by scoreRouteDifficulty from its
+   * distance, climbing, steepest sustained climb and the share of it that
+   * is unpaved or on segments with warnings
+   * @returns {Object|null} {score, grade, label, points, stats}, or null
+   *   without a route
+   */
+  getDifficulty() {
+    const pieces = this._getRidePieces(
+      this._getRoutePieces(this.selectedSegments, this.routePoints),
+    );
+    if (pieces.length === 0) return null;
+
+    const distance = this._calculateTotalDistance(pieces);
+    let unpaved = 0;
+    let warned = 0;
+    for (const piece of pieces) {
+      if (this.getSegmentSurface(piece.segmentName) === "dirt") {
+        unpaved += piece.distance;
+      }
+      const { warnings, oneWayViolation } = this._getCueWarnings(piece);
+      if (warnings.length > 0 || oneWayViolation) {
+        warned += piece.distance;
+      }
+    }
+
+    const stats = {
+      distance,
+      elevationGain: this._calculateElevationChanges(pieces).gain,
+      steepestGrade: this._getSteepestSustainedGrade(pieces),
+      unpavedShare: distance > 0 ? unpaved / distance : 0,
+      warnedShare: distance > 0 ? warned / distance : 0,
+    };
+    return { ...scoreRouteDifficulty(stats), stats };
+  }
+
+  /**
+   * Smoothed elevation along the ride, as its climbing and grades are
+   * measured
+   * @returns {Array} [{lat, lng, elevation, distance}], distance in meters
+   *   from the start
+   */
+  getElevationProfile() {
+    return this._getRideProfile(
+      this._getRidePieces(
+        this._getRoutePieces(this.selectedSegments, this.routePoints),
+      ),
+    );
   }
 
   /**
-   * Add a route point and recalculate the route
-   * @param {Object} point - {lat, lng}
-   * @returns {Array} Updated list of selected segments
+   * Grade along the ride, measured over intervals of about `interval`
+   * meters of smoothed elevation, and the climbs steeper than `thresholds`
+   * @param {Object} options - {interval (meters), thresholds (ascending
+   *   grade fractions, 0.08 for 8%)}
+   * @returns {Object} {distance, intervals, steepSections}: intervals are
+   *   [{start, end, grade, level, coordinates}] with start/end in meters
+   *   from the start and level the index of the highest threshold the climb
+   *   reaches (-1 below all of them); steepSections join consecutive steep
+   *   intervals into [{start, end, distance, averageGrade, maxGrade, level,
+   *   coordinates}], steepest first
    */
-  addPoint(point) {
-    if (!point?.lat || !point?.lng) {
-      throw new Error("Invalid point coordinates");
+  getGradientAnalysis({
+    interval = GRADIENT_INTERVAL,
+    thresholds = STEEP_GRADE_THRESHOLDS,
+  } = {}) {
+    const profile = this.getElevationProfile();
+    const distance =
+      profile.length > 0 ? profile[profile.length - 1].distance : 0;
+    if (distance === 0) {
+      return { distance: 0, intervals: [], steepSections: [] };
     }
 
-    // Snap point to nearest segment
-    const snappedPoint = this._snapToNearestSegment(point);
-    if (!snappedPoint) {
-      return this.selectedSegments;
+    const interpolate = (a, b, at) => {
+      const ratio = (at - a.distance) / (b.distance - a.distance);
+      return {
+        lat: a.lat + (b.lat - a.lat) * ratio,
+        lng: a.lng + (b.lng - a.lng) * ratio,
+        elevation: a.elevation + (b.elevation - a.elevation) * ratio,
+        distance: at,
+      };
+    };
+    const levelOf = (grade) => {
+      let level = -1;
+      thresholds.forEach((threshold, index) => {
+        if (grade >= threshold) level = index;
+      });
+      return level;
+    };
+
+    // Equal intervals as close to `interval` as the ride's length allows
+    const count = Math.max(1, Math.round(distance / interval));
+    const step = distance / count;
+    const intervals = [];
+    let i = 0;
+    let startPoint = profile[0];
+    for (let k = 0; k < count; k++) {
+      const end = k === count - 1 ? distance : (k + 1) * step;
+      const coordinates = [startPoint];
+      while (i < profile.length - 2 && profile[i + 1].distance < end) {
+        i++;
+        coordinates.push(profile[i]);
+      }
+      const endPoint =
+        k === count - 1
+          ? profile[profile.length - 1]
+          : interpolate(profile[i], profile[i + 1], end);
+      coordinates.push(endPoint);
+
+      const grade =
+        (endPoint.elevation - startPoint.elevation) /
+        (end - startPoint.distance);
+      intervals.push({
+        start: startPoint.distance,
+        end,
+        grade,
+        level: levelOf(grade),
+        coordinates,
+      });
+      startPoint = endPoint;
     }
 
-    this.routePoints.push({
-      ...snappedPoint,
-      id: Date.now() + Math.random(),
-    });
+    const steepSections = [];
+    let section = null;
+    for (const entry of intervals) {
+      if (entry.level < 0) {
+        section = null;
+        continue;
+      }
+      if (!section) {
+        section = { intervals: [] };
+        steepSections.push(section);
+      }
+      section.intervals.push(entry);
+    }
 
-    this._recalculateRoute();
-    return [...this.selectedSegments];
+    return {
+      distance,
+      intervals,
+      steepSections: steepSections
+        .map(({ intervals: steep }) => {
+          const first = steep[0];
+          const last = steep[steep.length - 1];
+          const rise =
+            last.coordinates[last.coordinates.length - 1].elevation -
+            first.coordinates[0].elevation;
+          return {
+            start: first.start,
+            end: last.end,
+            distance: last.end - first.start,
+            averageGrade: rise / (last.end - first.start),
+            maxGrade: Math.max(...steep.map((entry) => entry.grade)),
+            level: Math.max(...steep.map((entry) => entry.level)),
+            coordinates: steep.flatMap((entry, index) =>
+              index === 0 ? entry.coordinates : entry.coordinates.slice(1),
+            ),
+          };
+        })
+        .sort((a, b) => b.maxGrade - a.maxGrade),
+    };
   }
 
   /**
-   * Get segments near a hover point for highlighting
-   * @param {Object} point - {lat, lng}
-   * @param {number} threshold - Distance threshold in meters (default: 100)
-   * @returns {Array} Array of nearby segment names
+   * Set the planned ride date seasonal windows are checked against.
+   * Does not re-route existing points - call recalculateRoute for that.
+   * @param {Date|string} date - Date or "YYYY-MM-DD"
    */
-  getHoverSegments(point, threshold = 100) {
-    if (!point?.lat || !point?.lng) return [];
-
-    const nearbySegments = [];
-
-    for (const [segmentName, segment] of this.segments) {
-      const coords = segment.coordinates;
-      for (let i = 0; i < coords.length - 1; i++) {
-        const distance = this._distanceToLineSegment(
-          point,
-          coords[i],
-          coords[i + 1],
-        );
-        if (distance <= threshold) {
-          nearbySegments.push(segmentName);
-          break;
-        }
+  setRideDate(date) {
+    return this._trackRouteChange(() => {
+      const parsed =
+        typeof date === "string" ? this._parseDay(date) : new Date(date);
+      if (!parsed || isNaN(parsed.getTime())) {
+        throw new Error(`Invalid ride date: ${date}`);
       }
-    }
-
-    return nearbySegments;
+      this.rideDate = this._startOfDay(parsed);
+      this.activeSeasonTypes.clear();
+    });
   }
 
   /**
-   * Remove a route point by index
-   * @param {number} index - Index of point to remove
-   * @returns {Array} Updated list of selected segments
+   * @returns {Date} The planned ride date (local midnight)
    */
-  removePoint(index) {
-    if (index < 0 || index >= this.routePoints.length) {
-      return [...this.selectedSegments];
-    }
+  getRideDate() {
+    return new Date(this.rideDate);
+  }
 
-    // Remove the point from internal array
-    this.routePoints.splice(index, 1);
+  /**
+   * Seasonal windows of a segment; the legacy `winter: false` flag maps to
+   * DEFAULT_MUD_SEASON
+   * @param {string} segmentName
+   * @returns {Array} [{type, from, to, note?}]
+   */
+  getSegmentSeasons(segmentName) {
+    const properties = this.segments.get(segmentName)?.properties;
+    if (!properties) return [];
 
-    // Recalculate route based on remaining points
-    this._recalculateRoute();
+    if (Array.isArray(properties.seasons)) {
+      return properties.seasons.filter((season) =>
+        SEASON_TYPES.includes(season?.type),
+      );
+    }
+    return properties.winter === false ? [DEFAULT_MUD_SEASON] : [];
+  }
 
-    return [...this.selectedSegments];
+  /**
+   * Seasonal windows of a segment in effect on a date
+   * @param {string} segmentName
+   * @param {Date} date - Defaults to the ride date
+   * @returns {Array} [{type, from, to, note?}]
+   */
+  getActiveSeasons(segmentName, date = this.rideDate) {
+    return this.getSegmentSeasons(segmentName).filter((season) =>
+      this._isDateInSeason(date, season),
+    );
   }
 
   /**
-   * Clear all route points and segments
-   * @returns {Array} Empty segments array
+   * Direction rules of a segment. Directions are relative to the geometry:
+   * "forward" rides from the first coordinate to the last.
+   * @param {string} segmentName
+   * @returns {Object|null} {oneWay?: "forward"|"reverse",
+   *   forward?: {warning, fee?}, reverse?: {warning, fee?}}
    */
-  clearRoute() {
-    this.routePoints = [];
-    this.selectedSegments = [];
-    return [];
+  getSegmentDirectionRules(segmentName) {
+    return this.segments.get(segmentName)?.properties?.direction || null;
   }
 
   /**
-   * Recalculate route based on current points
-   * @param {Array} points - Array of route points
-   * @returns {Array} Updated list of selected segments
+   * Direction rules a route runs into: one-way segments ridden the wrong way
+   * and warnings or fees that only apply in the direction ridden. Out-and-back
+   * rides are checked on the way back too, so a segment can appear for both
+   * directions.
+   * @param {string[]} segments - Defaults to the selected segments
+   * @param {Array} points - Route points, used when the route is a single
+   *   segment
+   * @returns {Array} [{segmentName, direction, oneWayViolation, warning,
+   *   fee}]
    */
-  recalculateRoute(points) {
-    // Re-snap points to nearest segments to ensure they're valid
-    this.routePoints = points
-      .map((point) => {
-        if (!point || point.lat === undefined || point.lng === undefined) {
-          return null;
-        }
+  getDirectionWarnings(
+    segments = this.selectedSegments,
+    points = this.routePoints,
+  ) {
+    const warnings = [];
+
+    // Directions each segment is ridden in, in riding order
+    const ridden = new Map(); // segmentName -> Set of "forward"/"reverse"
+    const pieces = this._getRidePieces(this._getRoutePieces(segments, points));
+    for (const piece of pieces) {
+      if (!ridden.has(piece.segmentName)) {
+        ridden.set(piece.segmentName, new Set());
+      }
+      ridden
+        .get(piece.segmentName)
+        .add(piece.reversed ? "reverse" : "forward");
+    }
+
+    for (const [segmentName, directions] of ridden) {
+      const rules = this.getSegmentDirectionRules(segmentName);
+      if (!rules) continue;
+
+      // A single segment without two points on it has no known direction
+      if (
+        this._isSegmentRiddenReversed(segmentName, segments, points) === null
+      ) {
+        continue;
+      }
 
-        // Re-snap the point to the nearest segment
-        const snappedPoint = this._snapToNearestSegment({
-          lat: point.lat,
-          lng: point.lng,
+      for (const direction of directions) {
+        const oneWayViolation = !!rules.oneWay && rules.oneWay !== direction;
+        const note = rules[direction];
+        if (!oneWayViolation && !note?.warning) continue;
+
+        warnings.push({
+          segmentName,
+          direction,
+          oneWayViolation,
+          warning: note?.warning || null,
+          fee: !!note?.fee,
         });
+      }
+    }
 
-        if (snappedPoint) {
-          return {
-            ...point,
-            lat: snappedPoint.lat,
-            lng: snappedPoint.lng,
-            segmentName: snappedPoint.segmentName,
-          };
-        }
+    return warnings;
+  }
 
-        return point; // Keep original if snapping fails
-      })
-      .filter((point) => point !== null);
+  /**
+   * Surface type of a segment, from the geojson stroke colour
+   * @param {string} segmentName
+   * @returns {string} "paved" | "road" | "dirt"
+   */
+  getSegmentSurface(segmentName) {
+    const segment = this.segments.get(segmentName);
+    const color =
+      segment?.properties?.stroke ||
+      segment?.properties?.["stroke-color"] ||
+      "#0288d1";
 
-    this._recalculateRoute();
-    return [...this.selectedSegments];
+    if (color === "#0288d1" || color === "rgb(2, 136, 209)") {
+      return "paved";
+    }
+    if (color === "#e6ee9c" || color === "rgb(230, 238, 156)") {
+      return "road";
+    }
+    return "dirt";
   }
 
   /**
@@ -203,12 +1463,26 @@ class RouteManager {
   }
 
   /**
-   * Get current route information
+   * Get current route information. Out-and-back rides include the way home:
+   * totals and coordinates cover both directions, and turnaround
+   * ({lat, lng, distance}) marks where the ride turns back.
    * @returns {Object} Route data including points, segments, and metrics
    */
   getRouteInfo() {
-    const totalDistance = this._calculateTotalDistance();
-    const elevation = this._calculateElevationChanges();
+    const pieces = this._getRoutePieces(this.selectedSegments, this.routePoints);
+    const outbound = this._getOrderedCoordinates(pieces);
+    const outboundDistance = this._calculateTotalDistance(pieces);
+    const ridePieces = this._getRidePieces(pieces);
+    const totalDistance = this._calculateTotalDistance(ridePieces);
+    const elevation = this._calculateElevationChanges(ridePieces);
+    const turnaround =
+      this.outAndBack && outbound.length > 0
+        ? {
+            lat: outbound[outbound.length - 1].lat,
+            lng: outbound[outbound.length - 1].lng,
+            distance: outboundDistance,
+          }
+        : null;
 
     return {
       points: [...this.routePoints],
@@ -216,8 +1490,139 @@ class RouteManager {
       distance: totalDistance,
       elevationGain: elevation.gain,
       elevationLoss: elevation.loss,
-      orderedCoordinates: this._getOrderedCoordinates(),
+      orderedCoordinates: this._getOrderedCoordinates(ridePieces),
+      turnaround,
+    };
+  }
+
+  /**
+   * Everything along the route a rider should be warned about: segments.json
+   * warnings, direction rules for the direction ridden, seasonal mud and
+   * closures on the ride date, and a gap where the route is broken.
+   * @returns {Array} [{type, segmentName, text}]; type is "warning",
+   *   "one-way", "mud", "closed" or "broken", text may be empty
+   */
+  getRouteWarnings() {
+    const warnings = [];
+    const segments = this.selectedSegments.filter((name) =>
+      this.segments.has(name),
+    );
+
+    for (const segmentName of new Set(segments)) {
+      const warning = this.segments.get(segmentName).properties.warning;
+      if (warning) {
+        warnings.push({ type: "warning", segmentName, text: warning });
+      }
+      this.getActiveSeasons(segmentName).forEach((season) =>
+        warnings.push({
+          type: season.type,
+          segmentName,
+          text: season.note || "",
+        }),
+      );
+    }
+
+    this.getDirectionWarnings(segments, this.routePoints).forEach((rule) => {
+      if (rule.oneWayViolation) {
+        warnings.push({
+          type: "one-way",
+          segmentName: rule.segmentName,
+          text: "",
+        });
+      }
+      if (rule.warning) {
+        warnings.push({
+          type: "warning",
+          segmentName: rule.segmentName,
+          text: rule.warning,
+        });
+      }
+    });
+
+    const continuity = this.checkSegmentsContinuity(segments, this.routePoints);
+    if (!continuity.isContinuous) {
+      warnings.push({
+        type: "broken",
+        segmentName: segments[continuity.brokenSegmentIndex],
+        text: "",
+      });
+    }
+    return warnings;
+  }
+
+  /**
+   * Turn-by-turn cue sheet: a cue wherever the ride moves on to another
+   * segment or turns back on one, between a start and a finish cue.
+   * type is "start", "straight", "left", "right", "sharp-left",
+   * "sharp-right", "u-turn" or "finish"; angle is positive to the right.
+   * warnings are the segments.json warnings of the segment ridden from the
+   * cue on, including those for the direction it is ridden in; seasons are
+   * its mud and closure windows in effect on the ride date.
+   * @returns {Array} [{type, angle, distance, lat, lng, segmentName,
+   *   warnings, fee, oneWayViolation, seasons}], distance in meters from the
+   *   start
+   */
+  getCueSheet() {
+    const pieces = this._getRidePieces(
+      this._getRoutePieces(this.selectedSegments, this.routePoints),
+    );
+    if (pieces.length === 0) return [];
+
+    // Join the pieces into one track, remembering where each starts
+    const coords = [];
+    const starts = [];
+    for (const piece of pieces) {
+      const last = coords[coords.length - 1];
+      const joined = last && this._getDistance(last, piece.coordinates[0]) <= 50;
+      starts.push(joined ? coords.length - 1 : coords.length);
+      coords.push(...(joined ? piece.coordinates.slice(1) : piece.coordinates));
+    }
+
+    const cues = [];
+    const addCue = (type, angle, distance, point, piece) => {
+      cues.push({
+        type,
+        angle,
+        distance,
+        lat: point.lat,
+        lng: point.lng,
+        segmentName: piece.segmentName,
+        ...this._getCueWarnings(piece),
+      });
     };
+
+    addCue("start", 0, 0, coords[0], pieces[0]);
+
+    let distance = pieces[0].distance;
+    for (let i = 1; i < pieces.length; i++) {
+      const previous = pieces[i - 1];
+      const piece = pieces[i];
+      if (
+        piece.segmentName !== previous.segmentName ||
+        piece.reversed !== previous.reversed
+      ) {
+        const angle = this._getTurnAngle(coords, starts[i]);
+        const type = this._getTurnType(angle);
+        addCue(type, angle, distance, coords[starts[i]], piece);
+      }
+      distance += piece.distance;
+    }
+
+    const end = coords[coords.length - 1];
+    cues.push({
+      type: "finish",
+      angle: 0,
+      distance,
+      lat: end.lat,
+      lng: end.lng,
+      segmentName: pieces[pieces.length - 1].segmentName,
+      warnings: [],
+      fee: false,
+      oneWayViolation: false,
+      seasons: [],
+    });
+
+    return cues;
   }
 
   /**
@@ -243,56 +1648,84 @@ class RouteManager {
    * @returns {Array} Updated list of selected segments
    */
   restoreFromPoints(points) {
-    // Filter and validate points
-    const validPoints = points.filter(
-      (point) => point && point.lat !== undefined && point.lng !== undefined,
-    );
+    return this._trackRouteChange(() => {
+      // Filter and validate points
+      const validPoints = points.filter(
+        (point) => point && point.lat !== undefined && point.lng !== undefined,
+      );
+
+      if (validPoints.length === 0) {
+        this.clearRoute();
+        return [];
+      }
 
-    if (validPoints.length === 0) {
+      // Store the current segments before clearing
+      const previousSegments = [...this.selectedSegments];
+
+      // Clear current state
       this.clearRoute();
-      return [];
-    }
 
-    // Store the current segments before clearing
-    const previousSegments = [...this.selectedSegments];
+      // Add each point and snap them to segments to ensure they have segmentName
+      for (const point of validPoints) {
+        const snappedPoint = this._snapToNearestSegment(point);
+        if (snappedPoint) {
+          this.routePoints.push({
+            lat: snappedPoint.lat,
+            lng: snappedPoint.lng,
+            id: point.id || Date.now() + Math.random(),
+            segmentName: snappedPoint.segmentName,
+          });
+        } else {
+          // If snapping fails, keep original point but try to find closest segment
+          const closestSegment = this.findClosestSegment(point);
+          this.routePoints.push({
+            lat: point.lat,
+            lng: point.lng,
+            id: point.id || Date.now() + Math.random(),
+            segmentName: closestSegment,
+          });
+        }
+      }
 
-    // Clear current state
-    this.clearRoute();
+      // Recalculate route based on the restored points
+      this._recalculateRoute();
 
-    // Add each point and snap them to segments to ensure they have segmentName
-    for (const point of validPoints) {
-      const snappedPoint = this._snapToNearestSegment(point);
-      if (snappedPoint) {
-        this.routePoints.push({
-          lat: snappedPoint.lat,
-          lng: snappedPoint.lng,
-          id: point.id || Date.now() + Math.random(),
-          segmentName: snappedPoint.segmentName,
-        });
-      } else {
-        // If snapping fails, keep original point but try to find closest segment
-        const closestSegment = this.findClosestSegment(point);
-        this.routePoints.push({
-          lat: point.lat,
-          lng: point.lng,
-          id: point.id || Date.now() + Math.random(),
-          segmentName: closestSegment,
-        });
+      // If recalculation failed and we have no segments, try to restore the previous segments
+      if (this.selectedSegments.length === 0 && previousSegments.length > 0) {
+        console.warn(
+          "Route recalculation failed, attempting to restore previous segments",
+        );
+        this.selectedSegments = [...previousSegments];
+        this.legEnds = null;
       }
-    }
 
-    // Recalculate route based on the restored points
-    this._recalculateRoute();
+      return [...this.selectedSegments];
+    });
+  }
 
-    // If recalculation failed and we have no segments, try to restore the previous segments
-    if (this.selectedSegments.length === 0 && previousSegments.length > 0) {
-      console.warn(
-        "Route recalculation failed, attempting to restore previous segments",
-      );
-      this.selectedSegments = [...previousSegments];
+  /**
+   * Whether the current route is made of these points and segments. A point
+   * matches the route point it snaps to, as addPoint stores points snapped.
+   * @param {Array} points - Route points, e.g. the UI's
+   * @param {string[]} segments
+   * @returns {boolean}
+   */
+  hasRoute(points, segments) {
+    if (
+      points.length !== this.routePoints.length ||
+      segments.join("\n") !== this.selectedSegments.join("\n")
+    ) {
+      return false;
     }
 
-    return [...this.selectedSegments];
+    return points.every((point, i) => {
+      const routePoint = this.routePoints[i];
+      const isRoutePoint = (p) =>
+        !!p && p.lat === routePoint?.lat && p.lng === routePoint?.lng;
+      return (
+        isRoutePoint(point) || isRoutePoint(this._snapToNearestSegment(point))
+      );
+    });
   }
 
   /**
@@ -301,21 +1734,48 @@ class RouteManager {
    * @param {Array} segments - Array of segment names
    */
   updateInternalState(points, segments) {
-    this.routePoints = points.map((p) => ({ ...p }));
-    this.selectedSegments = [...segments];
+    return this._trackRouteChange(() => {
+      // Leg boundaries only survive if the route itself is unchanged
+      if (
+        points.length !== this.routePoints.length ||
+        segments.join("\n") !== this.selectedSegments.join("\n")
+      ) {
+        this.legEnds = null;
+      }
+      this.routePoints = points.map((p) => ({ ...p }));
+      this.selectedSegments = [...segments];
+    });
   }
 
   /**
    * Check if a list of segments forms a continuous route
    * @param {Array} segments - Array of segment names
+   * @param {Array} points - Route points, to place turns at T-junctions
    * @returns {Object} {isContinuous: boolean, brokenSegmentIndex: number}
    */
-  checkSegmentsContinuity(segments) {
+  checkSegmentsContinuity(segments, points = []) {
     if (segments.length <= 1) {
       return { isContinuous: true, brokenSegmentIndex: -1 };
     }
 
     const tolerance = 100; // 100 meters tolerance
+
+    // Routes turning at T-junctions only line up piece by piece
+    if (this.hasTJunctionTurns(segments)) {
+      const known = segments.filter((name) => this.segments.has(name));
+      const pieces = this._getRoutePieces(known, points);
+      for (let i = 0; i < pieces.length - 1; i++) {
+        const end = pieces[i].coordinates[pieces[i].coordinates.length - 1];
+        if (this._getDistance(end, pieces[i + 1].coordinates[0]) > tolerance) {
+          return {
+            isContinuous: false,
+            brokenSegmentIndex: segments.indexOf(known[i]),
+          };
+        }
+      }
+      return { isContinuous: true, brokenSegmentIndex: -1 };
+    }
+
     const orderedCoords = this._getOrderedCoordinatesForSegments(segments);
 
     if (orderedCoords.length === 0) {
@@ -329,46 +1789,280 @@ class RouteManager {
       const currentSegmentName = segments[i];
       const nextSegmentName = segments[i + 1];
 
-      const currentSegment = this.segments.get(currentSegmentName);
-      const nextSegment = this.segments.get(nextSegmentName);
+      const currentSegment = this.segments.get(currentSegmentName);
+      const nextSegment = this.segments.get(nextSegmentName);
+
+      if (!currentSegment || !nextSegment) {
+        continue;
+      }
+
+      // Find where current segment ends in ordered coordinates
+      const currentSegmentLength = currentSegment.coordinates.length;
+      const currentSegmentEndIndex = coordIndex + currentSegmentLength - 1;
+
+      // Check if we have enough coordinates
+      if (currentSegmentEndIndex >= orderedCoords.length - 1) {
+        return { isContinuous: false, brokenSegmentIndex: i };
+      }
+
+      const currentEnd = orderedCoords[currentSegmentEndIndex];
+      const nextStart = orderedCoords[currentSegmentEndIndex + 1];
+
+      const distance = this._getDistance(currentEnd, nextStart);
+
+      // If distance is greater than tolerance, route is broken
+      if (distance > tolerance) {
+        return { isContinuous: false, brokenSegmentIndex: i };
+      }
+
+      // Move to next segment in ordered coordinates
+      // Skip first coordinate of next segment if segments are well connected to avoid duplication
+      coordIndex += currentSegmentLength;
+      if (distance <= 50) {
+        // Well connected segments
+        coordIndex -= 1; // Account for coordinate that was skipped in getOrderedCoordinates
+      }
+    }
+
+    return { isContinuous: true, brokenSegmentIndex: -1 };
+  }
+
+  /**
+   * Whether a route turns from one segment onto another at a T-junction,
+   * where one of them ends in the middle of the other
+   * @param {string[]} segments - Ordered segment names
+   * @returns {boolean}
+   */
+  hasTJunctionTurns(segments) {
+    if (this.junctionNodes.size === 0) return false;
+
+    for (let i = 0; i < segments.length - 1; i++) {
+      const current = segments[i];
+      const next = segments[i + 1];
+      if (
+        current === next ||
+        !this.segments.has(current) ||
+        !this.segments.has(next)
+      ) {
+        continue;
+      }
+
+      const links = this._getSegmentLinks(current, next);
+      const endToEnd = links.some(
+        (link) => !link.junction && link.gap <= CONNECTION_THRESHOLD,
+      );
+      if (!endToEnd && links.some((link) => link.junction)) return true;
+    }
+    return false;
+  }
+
+  // Private methods
+
+  _emit(event, payload) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+
+    // A failing listener must not break routing or the other listeners
+    for (const listener of [...listeners]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in ${event} listener:`, error);
+      }
+    }
+  }
+
+  _emitPointAdded(index) {
+    this._emit("pointAdded", { index, point: { ...this.routePoints[index] } });
+  }
+
+  // Run a route-changing call, then emit routeChanged and warningsChanged
+  // for whatever it changed. Nested calls report through the outermost one.
+  _trackRouteChange(change) {
+    if (this.routeChangeDepth > 0) return change();
+
+    const previous = {
+      segments: [...this.selectedSegments],
+      points: this.routePoints.map((point) => ({ ...point })),
+      outAndBack: this.outAndBack,
+      // Warnings take a route walk, so they are only compared when wanted
+      warnings: this.listeners.get("warningsChanged")?.size
+        ? this.getRouteWarnings()
+        : null,
+    };
+
+    this.routeChangeDepth++;
+    try {
+      return change();
+    } finally {
+      this.routeChangeDepth--;
+      this._emitRouteChanges(previous);
+    }
+  }
+
+  _emitRouteChanges(previous) {
+    const segments = this.selectedSegments;
+    const points = this.routePoints;
+    const pointsChanged =
+      points.length !== previous.points.length ||
+      points.some(
+        (point, i) =>
+          point.lat !== previous.points[i].lat ||
+          point.lng !== previous.points[i].lng,
+      );
+    if (
+      pointsChanged ||
+      previous.outAndBack !== this.outAndBack ||
+      segments.join("\n") !== previous.segments.join("\n")
+    ) {
+      this._emit("routeChanged", {
+        segments: [...segments],
+        points: points.map((point) => ({ ...point })),
+        outAndBack: this.outAndBack,
+        addedSegments: [...new Set(segments)].filter(
+          (name) => !previous.segments.includes(name),
+        ),
+        removedSegments: [...new Set(previous.segments)].filter(
+          (name) => !segments.includes(name),
+        ),
+        previousSegments: previous.segments,
+        previousPoints: previous.points,
+      });
+    }
 
-      if (!currentSegment || !nextSegment) {
-        continue;
+    if (previous.warnings) {
+      const key = (warning) =>
+        [warning.type, warning.segmentName, warning.text].join("\n");
+      const warnings = this.getRouteWarnings();
+      const before = new Set(previous.warnings.map(key));
+      const after = new Set(warnings.map(key));
+      const added = warnings.filter((warning) => !before.has(key(warning)));
+      const removed = previous.warnings.filter(
+        (warning) => !after.has(key(warning)),
+      );
+      if (added.length > 0 || removed.length > 0) {
+        this._emit("warningsChanged", { warnings, added, removed });
       }
+    }
+  }
 
-      // Find where current segment ends in ordered coordinates
-      const currentSegmentLength = currentSegment.coordinates.length;
-      const currentSegmentEndIndex = coordIndex + currentSegmentLength - 1;
+  /**
+   * Estimate heights for coordinates flagged missingElevation, so they don't
+   * read as 0m cliffs: between the nearest coordinates of the segment that
+   * have a height, or for segments with none at all, between the heights of
+   * the segment ends they meet. The flag stays, so exports still leave these
+   * heights out. Segments with no height to go by keep 0m throughout.
+   */
+  _estimateMissingElevations() {
+    let pending = new Set();
+    for (const segment of this.segments.values()) {
+      if (!segment.coordinates.some((coord) => coord.missingElevation)) {
+        continue;
+      }
+      if (!this._interpolateMissingElevations(segment.coordinates)) {
+        pending.add(segment);
+      }
+    }
 
-      // Check if we have enough coordinates
-      if (currentSegmentEndIndex >= orderedCoords.length - 1) {
-        return { isContinuous: false, brokenSegmentIndex: i };
+    // Segments estimated from their neighbours can carry the heights on to
+    // the next segment without any
+    let progress = true;
+    while (pending.size > 0 && progress) {
+      progress = false;
+      const stillPending = new Set();
+      for (const segment of pending) {
+        const coords = segment.coordinates;
+        const start = this._getNeighbourElevation(coords[0], pending);
+        const end = this._getNeighbourElevation(
+          coords[coords.length - 1],
+          pending,
+        );
+        if (start === null && end === null) {
+          stillPending.add(segment);
+          continue;
+        }
+        this._interpolateMissingElevations(coords, start, end);
+        progress = true;
       }
+      pending = stillPending;
+    }
+  }
 
-      const currentEnd = orderedCoords[currentSegmentEndIndex];
-      const nextStart = orderedCoords[currentSegmentEndIndex + 1];
+  /**
+   * Fill the heights of flagged coordinates by distance between the nearest
+   * coordinates that have one; a flagged stretch at either end takes the
+   * nearest height, or startElevation/endElevation when given.
+   * @param {Array} coords - Segment coordinates, updated in place
+   * @param {number|null} [startElevation=null] - Height before the first one
+   * @param {number|null} [endElevation=null] - Height after the last one
+   * @returns {boolean} false when there was no height to go by
+   */
+  _interpolateMissingElevations(
+    coords,
+    startElevation = null,
+    endElevation = null,
+  ) {
+    let travelled = 0;
+    const positions = coords.map((coord, i) => {
+      if (i > 0) travelled += this._getDistance(coords[i - 1], coord);
+      return travelled;
+    });
 
-      const distance = this._getDistance(currentEnd, nextStart);
+    const known = [];
+    if (startElevation !== null) {
+      known.push({ position: 0, elevation: startElevation });
+    }
+    coords.forEach((coord, i) => {
+      if (!coord.missingElevation) {
+        known.push({ position: positions[i], elevation: coord.elevation });
+      }
+    });
+    if (endElevation !== null) {
+      known.push({ position: travelled, elevation: endElevation });
+    }
+    if (known.length === 0) return false;
 
-      // If distance is greater than tolerance, route is broken
-      if (distance > tolerance) {
-        return { isContinuous: false, brokenSegmentIndex: i };
+    let next = 0;
+    coords.forEach((coord, i) => {
+      if (!coord.missingElevation) return;
+      while (next < known.length && known[next].position < positions[i]) {
+        next++;
+      }
+      const before = known[next - 1];
+      const after = known[next];
+      if (!after) {
+        coord.elevation = before.elevation;
+      } else if (!before || after.position === positions[i]) {
+        coord.elevation = after.elevation;
+      } else {
+        const ratio =
+          (positions[i] - before.position) / (after.position - before.position);
+        coord.elevation =
+          before.elevation + (after.elevation - before.elevation) * ratio;
       }
+    });
+    return true;
+  }
 
-      // Move to next segment in ordered coordinates
-      // Skip first coordinate of next segment if segments are well connected to avoid duplication
-      coordIndex += currentSegmentLength;
-      if (distance <= 50) {
-        // Well connected segments
-        coordIndex -= 1; // Account for coordinate that was skipped in getOrderedCoordinates
+  // Height of the nearest segment end within CONNECTION_THRESHOLD of a
+  // point, skipping the segments in `exclude`; null when there is none
+  _getNeighbourElevation(point, exclude) {
+    let elevation = null;
+    let nearest = CONNECTION_THRESHOLD;
+    for (const segment of this.segments.values()) {
+      if (exclude.has(segment)) continue;
+      const coords = segment.coordinates;
+      for (const end of [coords[0], coords[coords.length - 1]]) {
+        const gap = this._getDistance(point, end);
+        if (gap <= nearest) {
+          nearest = gap;
+          elevation = end.elevation;
+        }
       }
     }
-
-    return { isContinuous: true, brokenSegmentIndex: -1 };
+    return elevation;
   }
 
-  // Private methods
-
   _preCalculateMetrics() {
     for (const [segmentName, segment] of this.segments) {
       const coords = segment.coordinates;
@@ -383,22 +2077,8 @@ class RouteManager {
       const smoothedCoords = this._smoothElevations(coords, 100);
 
       // Calculate elevation changes
-      let elevationGainForward = 0;
-      let elevationLossForward = 0;
-      const minElevationChange = 1.0;
-
-      for (let i = 0; i < smoothedCoords.length - 1; i++) {
-        const elevationChange =
-          smoothedCoords[i + 1].elevation - smoothedCoords[i].elevation;
-
-        if (Math.abs(elevationChange) >= minElevationChange) {
-          if (elevationChange > 0) {
-            elevationGainForward += elevationChange;
-          } else {
-            elevationLossForward += Math.abs(elevationChange);
-          }
-        }
-      }
+      const { gain: elevationGainForward, loss: elevationLossForward } =
+        this._calculateElevationChangesForCoords(smoothedCoords);
 
       this.segmentMetrics.set(segmentName, {
         distance,
@@ -418,8 +2098,29 @@ class RouteManager {
     }
   }
 
+  _calculateElevationChangesForCoords(smoothedCoords) {
+    let gain = 0;
+    let loss = 0;
+    const minElevationChange = 1.0;
+
+    for (let i = 0; i < smoothedCoords.length - 1; i++) {
+      const elevationChange =
+        smoothedCoords[i + 1].elevation - smoothedCoords[i].elevation;
+
+      if (Math.abs(elevationChange) >= minElevationChange) {
+        if (elevationChange > 0) {
+          gain += elevationChange;
+        } else {
+          loss += Math.abs(elevationChange);
+        }
+      }
+    }
+
+    return { gain, loss };
+  }
+
   _buildAdjacencyMap() {
-    const connectionThreshold = 50; // meters
+    const connectionThreshold = CONNECTION_THRESHOLD;
 
     for (const segmentName of this.segments.keys()) {
       this.adjacencyMap.set(segmentName, []);
@@ -443,34 +2144,105 @@ class RouteManager {
   }
 
   _buildEndpointGraph() {
-    // Nodes: "<segment>|S" and "<segment>|E"
+    // Nodes: "<segment>|S", "<segment>|E" and "<segment>|T<n>" where another
+    // segment ends in the middle of this one
     // Edges:
-    //  - Within a segment: S <-> E with weight = segment length
-    //  - Between segments: touching endpoints get 0-weight transitions
-    const connectionThreshold = 50; // meters
+    //  - Within a segment: between consecutive nodes along it, weight = the
+    //    length between them, with the climb in the direction ridden
+    //  - Between segments: touching endpoints get transitions weighted by
+    //    the gap they bridge
+    const connectionThreshold = CONNECTION_THRESHOLD;
 
     const segEntries = Array.from(this.segments.entries());
+    const tJunctions = this._findTJunctions();
 
     // Initialize nodes + internal edges
-    for (const [name, _seg] of segEntries) {
-      const nodeS = `${name}|S`;
-      const nodeE = `${name}|E`;
-      if (!this.endpointGraph.has(nodeS)) this.endpointGraph.set(nodeS, []);
-      if (!this.endpointGraph.has(nodeE)) this.endpointGraph.set(nodeE, []);
-
+    for (const [name, seg] of segEntries) {
       const metrics = this.segmentMetrics.get(name);
       const w = metrics ? metrics.distance : 0;
 
-      // Bidirectional edge representing traversing the segment
-      this.endpointGraph
-        .get(nodeS)
-        .push({ to: nodeE, weight: w, segment: name });
-      this.endpointGraph
-        .get(nodeE)
-        .push({ to: nodeS, weight: w, segment: name });
+      const stops = [
+        { node: `${name}|S`, position: 0 },
+        ...(tJunctions.get(name) || []).map((junction, index) => {
+          const node = `${name}|T${index}`;
+          const point = this._sliceCoordinates(
+            seg.coordinates,
+            0,
+            junction.position,
+          ).pop();
+          this.junctionNodes.set(node, {
+            segmentName: name,
+            position: junction.position,
+            lat: point.lat,
+            lng: point.lng,
+            joined: junction.joined,
+          });
+          return { node, position: junction.position };
+        }),
+        { node: `${name}|E`, position: w },
+      ];
+      stops.forEach(({ node }) => {
+        if (!this.endpointGraph.has(node)) this.endpointGraph.set(node, []);
+      });
+
+      // Edges representing traversing the segment, one per direction it
+      // may be ridden in
+      const oneWay = this.getSegmentDirectionRules(name)?.oneWay;
+      for (let i = 0; i < stops.length - 1; i++) {
+        const from = stops[i];
+        const to = stops[i + 1];
+        const climb =
+          stops.length === 2
+            ? {
+                gain: metrics ? metrics.forward.elevationGain : 0,
+                loss: metrics ? metrics.forward.elevationLoss : 0,
+              }
+            : this._calculateElevationChangesForCoords(
+                this._sliceCoordinates(
+                  metrics.smoothedCoords,
+                  from.position,
+                  to.position,
+                ),
+              );
+        const weight = stops.length === 2 ? w : to.position - from.position;
+
+        if (oneWay !== "reverse") {
+          this.endpointGraph.get(from.node).push({
+            to: to.node,
+            weight,
+            segment: name,
+            forward: true,
+            gain: climb.gain,
+            loss: climb.loss,
+          });
+        }
+        if (oneWay !== "forward") {
+          this.endpointGraph.get(to.node).push({
+            to: from.node,
+            weight,
+            segment: name,
+            forward: false,
+            gain: climb.loss,
+            loss: climb.gain,
+          });
+        }
+      }
+    }
+
+    // Connections from segment ends to the T-junctions they meet
+    for (const [node, junction] of this.junctionNodes) {
+      for (const { node: joinedNode } of junction.joined) {
+        // Ends merged into one junction may sit a few meters from it
+        const gap = this._getDistance(
+          junction,
+          this._getNodeCoords(joinedNode),
+        );
+        this.endpointGraph.get(node).push({ to: joinedNode, weight: gap });
+        this.endpointGraph.get(joinedNode).push({ to: node, weight: gap });
+      }
     }
 
-    // Zero-weight connections between touching endpoints of different segments
+    // Connections between touching endpoints of different segments
     for (let i = 0; i < segEntries.length; i++) {
       for (let j = i + 1; j < segEntries.length; j++) {
         const [name1, seg1] = segEntries[i];
@@ -489,14 +2261,120 @@ class RouteManager {
         ];
 
         for (const [nA, pA, nB, pB] of pairs) {
-          if (this._getDistance(pA, pB) <= connectionThreshold) {
-            // Bidirectional zero-weight transition (junction)
-            this.endpointGraph.get(nA).push({ to: nB, weight: 0 });
-            this.endpointGraph.get(nB).push({ to: nA, weight: 0 });
+          const gap = this._getDistance(pA, pB);
+          if (gap <= connectionThreshold) {
+            // Bidirectional transition (junction) weighted by its gap, so
+            // no edge is cheaper than the straight line it covers
+            this.endpointGraph.get(nA).push({ to: nB, weight: gap });
+            this.endpointGraph.get(nB).push({ to: nA, weight: gap });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Find segment ends that meet another segment away from its endpoints.
+   * Ends within a few meters of each other along the same segment share one
+   * junction.
+   * @returns {Map} segmentName -> [{position, joined: [{node, gap}]}] sorted
+   *   by position, where node is the "<segment>|S|E" end that meets it
+   */
+  _findTJunctions() {
+    const connectionThreshold = CONNECTION_THRESHOLD;
+    const mergeDistance = 5; // meters along the segment
+    const found = new Map();
+
+    // Bounding boxes widened by the threshold to skip far-away segments
+    const margin = connectionThreshold / 111320;
+    const boxes = new Map();
+    for (const [name, seg] of this.segments) {
+      const lats = seg.coordinates.map((c) => c.lat);
+      const lngs = seg.coordinates.map((c) => c.lng);
+      const lngMargin =
+        margin / Math.max(0.1, Math.cos((lats[0] * Math.PI) / 180));
+      boxes.set(name, {
+        minLat: Math.min(...lats) - margin,
+        maxLat: Math.max(...lats) + margin,
+        minLng: Math.min(...lngs) - lngMargin,
+        maxLng: Math.max(...lngs) + lngMargin,
+      });
+    }
+
+    for (const name of this.segments.keys()) {
+      for (const key of ["S", "E"]) {
+        const point = this._getEndpointCoords(name, key);
+        if (!point) continue;
+
+        for (const [otherName, other] of this.segments) {
+          if (otherName === name) continue;
+          const box = boxes.get(otherName);
+          if (
+            point.lat < box.minLat ||
+            point.lat > box.maxLat ||
+            point.lng < box.minLng ||
+            point.lng > box.maxLng
+          ) {
+            continue;
+          }
+
+          // Ends near the other segment's ends are ordinary junctions
+          const coords = other.coordinates;
+          if (
+            this._getDistance(point, coords[0]) <= connectionThreshold ||
+            this._getDistance(point, coords[coords.length - 1]) <=
+              connectionThreshold
+          ) {
+            continue;
+          }
+
+          let gap = Infinity;
+          for (let i = 0; i < coords.length - 1; i++) {
+            gap = Math.min(
+              gap,
+              this._distanceToLineSegment(point, coords[i], coords[i + 1]),
+            );
           }
+          if (gap > connectionThreshold) continue;
+
+          if (!found.has(otherName)) found.set(otherName, []);
+          found.get(otherName).push({
+            position: this._getPositionAlongSegment(point, coords),
+            node: `${name}|${key}`,
+            gap,
+          });
+        }
+      }
+    }
+
+    const junctions = new Map();
+    for (const [name, ends] of found) {
+      ends.sort((a, b) => a.position - b.position);
+      const merged = [];
+      for (const { position, node, gap } of ends) {
+        const last = merged[merged.length - 1];
+        if (last && position - last.position <= mergeDistance) {
+          last.joined.push({ node, gap });
+        } else {
+          merged.push({ position, joined: [{ node, gap }] });
         }
       }
+      junctions.set(name, merged);
+    }
+    return junctions;
+  }
+
+  /**
+   * Endpoint graph nodes along a segment: both ends, then its T-junctions
+   * @param {string} segmentName
+   * @returns {string[]}
+   */
+  _getSegmentNodes(segmentName) {
+    const nodes = [`${segmentName}|S`, `${segmentName}|E`];
+    for (const [node, junction] of this.junctionNodes) {
+      if (junction.segmentName === segmentName) nodes.push(node);
     }
+    return nodes;
   }
 
   _areSegmentsConnected(segment1, segment2, threshold) {
@@ -526,6 +2404,8 @@ class RouteManager {
     const threshold = 100; // meters
 
     for (const [segmentName, segment] of this.segments) {
+      if (this.avoidedSegments.has(segmentName)) continue;
+
       const coords = segment.coordinates;
 
       for (let i = 0; i < coords.length - 1; i++) {
@@ -559,6 +2439,7 @@ class RouteManager {
 
     if (this.routePoints.length === 0) {
       this.selectedSegments = [];
+      this.legEnds = [];
       return;
     }
 
@@ -569,21 +2450,26 @@ class RouteManager {
       } else {
         this.selectedSegments = [];
       }
+      this.legEnds = [this.selectedSegments.length];
       return;
     }
 
     // Find optimal route through all points
     try {
+      const legEnds = [];
       this.selectedSegments = this._findOptimalRouteThroughPoints(
         this.routePoints,
+        legEnds,
       );
+      this.legEnds = legEnds;
     } catch (error) {
       console.error("Error in _findOptimalRouteThroughPoints:", error);
       this.selectedSegments = [];
+      this.legEnds = null;
     }
   }
 
-  _findOptimalRouteThroughPoints(points) {
+  _findOptimalRouteThroughPoints(points, legEnds = null) {
     if (points.length === 0) return [];
 
     // Filter out any undefined or invalid points
@@ -612,17 +2498,23 @@ class RouteManager {
         const extensionSegments = this._findRouteExtensionToPoint(
           point,
           allSegments,
+          validPoints.slice(0, i),
         );
 
         console.log("Pushing extension segments:", extensionSegments);
         allSegments.push(...extensionSegments);
       }
+      if (legEnds) legEnds.push(allSegments.length);
     }
 
     return allSegments;
   }
 
-  _findRouteExtensionToPoint(targetPoint, currentRouteSegments) {
+  _findRouteExtensionToPoint(
+    targetPoint,
+    currentRouteSegments,
+    previousPoints = [],
+  ) {
     console.log("_findRouteExtensionToPoint");
     if (!targetPoint.segmentName) return [];
 
@@ -642,12 +2534,16 @@ class RouteManager {
     }
 
     // Different segment - proceed with normal adjacency logic
-    const routeEndpoint = this._getCurrentRouteEndpoint(currentRouteSegments);
+    const routeEndpoint = this._getCurrentRouteEndpoint(
+      currentRouteSegments,
+      previousPoints,
+    );
     if (!routeEndpoint) return [closestSegmentToPoint];
 
     // Check direct connectivity from the actual route endpoint
-    const connectionsFromLastSegment =
-      this.adjacencyMap.get(lastSegmentOfRoute) || [];
+    const connectionsFromLastSegment = (
+      this.adjacencyMap.get(lastSegmentOfRoute) || []
+    ).filter((name) => !this.avoidedSegments.has(name));
 
     console.log(
       "Adjacent to",
@@ -680,7 +2576,7 @@ class RouteManager {
         targetStart,
       );
       const distanceToTargetEnd = this._getDistance(routeEndpoint, targetEnd);
-      const connectionThreshold = 50; // meters
+      const connectionThreshold = CONNECTION_THRESHOLD;
 
       if (
         Math.min(distanceToTargetStart, distanceToTargetEnd) <=
@@ -789,6 +2685,41 @@ class RouteManager {
     );
   }
 
+  /**
+   * Whether a route rides a segment against its geometry. Decided by
+   * _isSegmentReversedInRoute; the first segment has no predecessor, so it
+   * is judged from the route read backwards, and a single-segment route from
+   * the order of its points.
+   * @param {string} segmentName
+   * @param {string[]} routeSegments
+   * @param {Array} points - Route points
+   * @returns {boolean|null} null when the direction can't be told
+   */
+  _isSegmentRiddenReversed(segmentName, routeSegments, points = []) {
+    if (routeSegments.length > 1) {
+      if (routeSegments.lastIndexOf(segmentName) > 0) {
+        return this._isSegmentReversedInRoute(segmentName, routeSegments);
+      }
+      return !this._isSegmentReversedInRoute(
+        segmentName,
+        [...routeSegments].reverse(),
+      );
+    }
+
+    const onSegment = points.filter(
+      (point) => point && this._findSegmentForPoint(point) === segmentName,
+    );
+    if (onSegment.length < 2) return null;
+
+    const coords = this.segments.get(segmentName).coordinates;
+    const startPos = this._getPositionAlongSegment(onSegment[0], coords);
+    const endPos = this._getPositionAlongSegment(
+      onSegment[onSegment.length - 1],
+      coords,
+    );
+    return startPos === endPos ? null : endPos < startPos;
+  }
+
   _findPathBetweenPoints(startPoint, endPoint, usedSegments = new Set()) {
     const startSegment = this._findSegmentForPoint(startPoint);
     const endSegment = this._findSegmentForPoint(endPoint);
@@ -863,23 +2794,33 @@ class RouteManager {
       startNode = startE;
     }
 
-    // Decide target node
+    // Decide target node: an end of the segment or a T-junction along it
     let targetNode;
-    const endS = `${endSegmentName}|S`;
-    const endE = `${endSegmentName}|E`;
+    const targetNodes = this._getSegmentNodes(endSegmentName);
     if (options.targetEntryPoint) {
-      const sCoord = this._getEndpointCoords(endSegmentName, "S");
-      const eCoord = this._getEndpointCoords(endSegmentName, "E");
-      const dS = this._getDistance(options.targetEntryPoint, sCoord);
-      const dE = this._getDistance(options.targetEntryPoint, eCoord);
-      targetNode = dS <= dE ? endS : endE;
+      let nearest = Infinity;
+      for (const node of targetNodes) {
+        const d = this._getDistance(
+          options.targetEntryPoint,
+          this._getNodeCoords(node),
+        );
+        if (d < nearest) {
+          nearest = d;
+          targetNode = node;
+        }
+      }
     } else {
-      // If not specified, we will run once to each end and pick shorter
-      const pathToS = this._dijkstraPath(startNode, endS);
-      const pathToE = this._dijkstraPath(startNode, endE);
-      const wS = this._pathWeight(pathToS);
-      const wE = this._pathWeight(pathToE);
-      const better = wS <= wE ? pathToS : pathToE;
+      // If not specified, we will run once to each node and pick shorter
+      let better = [];
+      let betterWeight = Infinity;
+      for (const node of targetNodes) {
+        const path = this._dijkstraPath(startNode, node);
+        const weight = this._pathWeight(path);
+        if (better.length === 0 || weight < betterWeight) {
+          better = path;
+          betterWeight = weight;
+        }
+      }
       return this._nodesPathToSegments(better);
     }
 
@@ -894,7 +2835,8 @@ class RouteManager {
 
   /**
    * Convert a node path ["A|S","A|E","B|E","B|S"...] into the list of segments traversed.
-   * We push a segment when the path crosses within a segment (S<->E for that same segment).
+   * We push a segment when the path crosses within a segment (between two of
+   * its S, E or T-junction nodes).
    */
   _nodesPathToSegments(nodePath) {
     if (!nodePath || nodePath.length < 2) return [];
@@ -915,70 +2857,492 @@ class RouteManager {
     return segments;
   }
 
-  _dijkstraPath(srcNode, dstNode) {
-    // Classic Dijkstra without a heap (graph is modest)
-    const nodes = Array.from(this.endpointGraph.keys());
-    if (!nodes.includes(srcNode) || !nodes.includes(dstNode)) return [];
+  /**
+   * A* search on the endpoint graph using a binary heap.
+   * The heuristic is the geodesic distance to the target endpoint: a segment
+   * is never shorter than the straight line between its ends and junction
+   * edges weigh the gap they bridge, so it never overestimates. Nodes are
+   * re-opened when a cheaper route to them is found, so the path found is as
+   * cheap as a plain Dijkstra search's.
+   * @param {string} srcNode - e.g. "<segment>|S"
+   * @param {string} dstNode - e.g. "<segment>|E"
+   * @param {Object} options - {penalizedSegments?: Set<string>} segments whose
+   *   cost is multiplied by REUSE_PENALTY
+   * @returns {string[]} node path from srcNode to dstNode, [] if unreachable
+   */
+  _dijkstraPath(srcNode, dstNode, options = {}) {
+    if (!this.endpointGraph.has(srcNode) || !this.endpointGraph.has(dstNode)) {
+      return [];
+    }
 
-    const dist = new Map();
-    const prev = new Map();
-    const visited = new Set();
-
-    for (const n of nodes) dist.set(n, Infinity);
-    dist.set(srcNode, 0);
-
-    while (visited.size < nodes.length) {
-      // pick unvisited node with smallest dist
-      let u = null;
-      let best = Infinity;
-      for (const n of nodes) {
-        if (!visited.has(n) && dist.get(n) < best) {
-          best = dist.get(n);
-          u = n;
-        }
+    const targetCoords = this._getNodeCoords(dstNode);
+    const heuristicCache = new Map();
+    const heuristic = (node) => {
+      let h = heuristicCache.get(node);
+      if (h === undefined) {
+        const coords = this._getNodeCoords(node);
+        h =
+          coords && targetCoords ? this._getDistance(coords, targetCoords) : 0;
+        heuristicCache.set(node, h);
       }
-      if (u === null) break; // disconnected
+      return h;
+    };
+
+    const dist = new Map([[srcNode, 0]]);
+    const prev = new Map();
+    const open = new NodePriorityQueue();
+    open.push(srcNode, heuristic(srcNode), 0);
+
+    while (open.size > 0) {
+      const { node: u, cost } = open.pop();
+      if (cost > dist.get(u)) continue; // stale heap entry
       if (u === dstNode) break;
 
-      visited.add(u);
       const edges = this.endpointGraph.get(u) || [];
-      for (const { to, weight } of edges) {
-        if (visited.has(to)) continue;
-        const alt = dist.get(u) + (Number.isFinite(weight) ? weight : 0);
-        if (alt < dist.get(to)) {
+      for (const edge of edges) {
+        const to = edge.to;
+        let edgeCost = this._getEdgeCost(u, edge);
+        if (options.penalizedSegments?.has(edge.segment)) {
+          edgeCost *= REUSE_PENALTY;
+        }
+        const alt = cost + edgeCost;
+        const known = dist.has(to) ? dist.get(to) : Infinity;
+        if (alt < known) {
           dist.set(to, alt);
           prev.set(to, u);
+          open.push(to, alt + heuristic(to), alt);
         }
       }
     }
 
     if (!prev.has(dstNode) && srcNode !== dstNode) {
-      // Might still be reachable if src==dst; otherwise, disconnected
-      if (srcNode !== dstNode) return [];
+      return []; // disconnected
+    }
+
+    // Reconstruct path
+    const path = [];
+    let curr = dstNode;
+    path.unshift(curr);
+    while (prev.has(curr)) {
+      curr = prev.get(curr);
+      path.unshift(curr);
+    }
+    return path;
+  }
+
+  /**
+   * Ride through a list of endpoint nodes, penalising segments already used
+   * by earlier legs.
+   * @param {string[]} nodes - Endpoint nodes to visit in order
+   * @returns {Object|null} {segments, points, distance, elevationGain,
+   *   elevationLoss, repeatedDistance}, null if a leg is unreachable
+   */
+  _buildLoop(nodes) {
+    const used = new Set();
+    const loop = {
+      segments: [],
+      points: [],
+      distance: 0,
+      elevationGain: 0,
+      elevationLoss: 0,
+      repeatedDistance: 0,
+    };
+
+    for (let i = 0; i < nodes.length - 1; i++) {
+      const nodePath = this._dijkstraPath(nodes[i], nodes[i + 1], {
+        penalizedSegments: used,
+      });
+      if (nodePath.length < 2) return null;
+
+      let previous = null;
+      let repeated = false;
+      for (let j = 0; j < nodePath.length - 1; j++) {
+        const edge = (this.endpointGraph.get(nodePath[j]) || []).find(
+          (e) => e.to === nodePath[j + 1],
+        );
+        if (!edge || !edge.segment) {
+          previous = null;
+          continue;
+        }
+
+        // Consecutive edges along a segment split at T-junctions are one ride
+        const continues =
+          previous &&
+          previous.segment === edge.segment &&
+          previous.forward === edge.forward;
+        if (!continues) {
+          repeated = used.has(edge.segment);
+          used.add(edge.segment);
+          loop.segments.push(edge.segment);
+        }
+        if (repeated) {
+          loop.repeatedDistance += edge.weight;
+        }
+
+        loop.distance += edge.weight;
+        loop.elevationGain += edge.gain;
+        loop.elevationLoss += edge.loss;
+        previous = edge;
+      }
+    }
+
+    if (loop.segments.length === 0) return null;
+
+    loop.points = nodes.map((node) => {
+      const coords = this._getNodeCoords(node);
+      return { lat: coords.lat, lng: coords.lng };
+    });
+    return loop;
+  }
+
+  /**
+   * Riding distance from one route point to another along the shortest path
+   * @param {Object} from - Route point
+   * @param {Object} to - Route point
+   * @returns {number} meters, Infinity when the points are not connected
+   */
+  _getLegCost(from, to) {
+    const fromSegment = this._findSegmentForPoint(from);
+    const toSegment = this._findSegmentForPoint(to);
+    if (!fromSegment || !toSegment) return Infinity;
+
+    if (fromSegment === toSegment) {
+      const coords = this.segments.get(fromSegment).coordinates;
+      return Math.abs(
+        this._getPositionAlongSegment(to, coords) -
+          this._getPositionAlongSegment(from, coords),
+      );
+    }
+
+    const path = this._findShortestSegmentPath(fromSegment, toSegment, {
+      routeEndpointPoint: from,
+      targetEntryPoint: to,
+    });
+    const segments = [
+      fromSegment,
+      ...path.filter((name) => name !== fromSegment && name !== toSegment),
+      toSegment,
+    ];
+    // The search falls back to [start, end] when no path exists
+    const connected = segments.every(
+      (name, i) =>
+        i === 0 ||
+        this.adjacencyMap.get(segments[i - 1]).includes(name) ||
+        this._getSegmentLinks(segments[i - 1], name).some(
+          (link) => link.junction,
+        ),
+    );
+    if (!connected) return Infinity;
+
+    return this._calculateTotalDistance(
+      this._getRoutePieces(segments, [from, to]),
+    );
+  }
+
+  /**
+   * Held-Karp dynamic programme over the movable points: the cheapest open
+   * path from point 0 through all of them, ending at `last` if given.
+   * @param {number[][]} costs - Pairwise leg costs
+   * @param {number[]} movable - Indices of the points to order
+   * @param {number|null} last - Index of a fixed final point
+   * @returns {number[]} movable indices in riding order
+   */
+  _exactPointOrder(costs, movable, last) {
+    const n = movable.length;
+    const full = (1 << n) - 1;
+    // best[mask][i]: cheapest way from point 0 through mask, ending at movable[i]
+    const best = Array.from({ length: 1 << n }, () =>
+      new Array(n).fill(Infinity),
+    );
+    const parent = Array.from({ length: 1 << n }, () => new Array(n).fill(-1));
+
+    for (let i = 0; i < n; i++) {
+      best[1 << i][i] = costs[0][movable[i]];
+    }
+
+    for (let mask = 1; mask <= full; mask++) {
+      for (let i = 0; i < n; i++) {
+        if (!(mask & (1 << i)) || best[mask][i] === Infinity) continue;
+        for (let j = 0; j < n; j++) {
+          if (mask & (1 << j)) continue;
+          const next = mask | (1 << j);
+          const cost = best[mask][i] + costs[movable[i]][movable[j]];
+          if (cost < best[next][j]) {
+            best[next][j] = cost;
+            parent[next][j] = i;
+          }
+        }
+      }
+    }
+
+    let end = 0;
+    let endCost = Infinity;
+    for (let i = 0; i < n; i++) {
+      const cost = best[full][i] + (last !== null ? costs[movable[i]][last] : 0);
+      if (cost < endCost) {
+        endCost = cost;
+        end = i;
+      }
+    }
+
+    const order = [];
+    let mask = full;
+    let current = end;
+    while (current !== -1) {
+      order.unshift(movable[current]);
+      const previous = parent[mask][current];
+      mask &= ~(1 << current);
+      current = previous;
+    }
+    return order;
+  }
+
+  /**
+   * Nearest-neighbour tour from point 0, improved with 2-opt moves
+   * @param {number[][]} costs - Pairwise leg costs
+   * @param {number[]} movable - Indices of the points to order
+   * @param {number|null} last - Index of a fixed final point
+   * @returns {number[]} movable indices in riding order
+   */
+  _heuristicPointOrder(costs, movable, last) {
+    const remaining = new Set(movable);
+    const order = [];
+    let current = 0;
+    while (remaining.size > 0) {
+      let nearest = null;
+      for (const candidate of remaining) {
+        if (nearest === null || costs[current][candidate] < costs[current][nearest]) {
+          nearest = candidate;
+        }
+      }
+      order.push(nearest);
+      remaining.delete(nearest);
+      current = nearest;
+    }
+
+    const tourCost = (tour) => {
+      const full = [0, ...tour, ...(last !== null ? [last] : [])];
+      let total = 0;
+      for (let i = 0; i < full.length - 1; i++) {
+        total += costs[full[i]][full[i + 1]];
+      }
+      return total;
+    };
+
+    let improved = true;
+    let bestCost = tourCost(order);
+    while (improved) {
+      improved = false;
+      for (let i = 0; i < order.length - 1; i++) {
+        for (let j = i + 1; j < order.length; j++) {
+          const candidate = [
+            ...order.slice(0, i),
+            ...order.slice(i, j + 1).reverse(),
+            ...order.slice(j + 1),
+          ];
+          const cost = tourCost(candidate);
+          if (cost < bestCost) {
+            order.splice(0, order.length, ...candidate);
+            bestCost = cost;
+            improved = true;
+          }
+        }
+      }
+    }
+
+    return order;
+  }
+
+  /**
+   * Season types in effect on the ride date, cached since edge costs ask for
+   * them on every relaxation
+   * @param {string} segmentName
+   * @returns {Set<string>}
+   */
+  _getActiveSeasonTypes(segmentName) {
+    let types = this.activeSeasonTypes.get(segmentName);
+    if (!types) {
+      types = new Set(
+        this.getActiveSeasons(segmentName).map((season) => season.type),
+      );
+      this.activeSeasonTypes.set(segmentName, types);
+    }
+    return types;
+  }
+
+  /**
+   * Whether a date falls inside a seasonal window (bounds inclusive)
+   * @param {Date} date
+   * @param {Object} season - {from, to} as "MM-DD" or "YYYY-MM-DD"
+   * @returns {boolean}
+   */
+  _isDateInSeason(date, season) {
+    const pad = (n) => String(n).padStart(2, "0");
+    const monthDay = `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+    if (season.from.length > 5 || season.to.length > 5) {
+      const day = `${date.getFullYear()}-${monthDay}`;
+      return day >= season.from && day <= season.to;
+    }
+
+    // Recurring windows such as November-March wrap past new year
+    return season.from <= season.to
+      ? monthDay >= season.from && monthDay <= season.to
+      : monthDay >= season.from || monthDay <= season.to;
+  }
+
+  /**
+   * Parse a "YYYY-MM-DD" string as a local date
+   * @param {string} text
+   * @returns {Date|null}
+   */
+  _parseDay(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (!match) return null;
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {Date} Local midnight of the same day
+   */
+  _startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * Distance, climb and geometry of a leg between two route points
+   * @param {string[]} segments
+   * @param {Object} start - Route point the leg starts at
+   * @param {Object} end - Route point the leg ends at
+   * @returns {Object} {segments, distance, elevationGain, elevationLoss,
+   *   coordinates}
+   */
+  _describeLeg(segments, start, end) {
+    const pieces = this._getRoutePieces(segments, [start, end]);
+    const elevation = this._calculateElevationChanges(pieces);
+
+    return {
+      segments,
+      distance: this._calculateTotalDistance(pieces),
+      elevationGain: elevation.gain,
+      elevationLoss: elevation.loss,
+      coordinates: this._getOrderedCoordinates(pieces),
+    };
+  }
+
+  /**
+   * Point halfway along a segment, ready to be used as a route point
+   * @param {string} segmentName
+   * @returns {Object} {lat, lng, segmentName}
+   */
+  _getSegmentMidpoint(segmentName) {
+    const coords = this.segments.get(segmentName).coordinates;
+    const half = this.segmentMetrics.get(segmentName).distance / 2;
+    const slice = this._sliceCoordinates(coords, 0, half);
+    const midpoint = slice[slice.length - 1];
+    return { lat: midpoint.lat, lng: midpoint.lng, segmentName };
+  }
+
+  /**
+   * Riding distance (meters) from a node to every node reachable from it
+   * @param {string} srcNode
+   * @returns {Map<string, number>}
+   */
+  _distancesFrom(srcNode) {
+    const dist = new Map([[srcNode, 0]]);
+    const open = new NodePriorityQueue();
+    open.push(srcNode, 0, 0);
+
+    while (open.size > 0) {
+      const { node: u, cost } = open.pop();
+      if (cost > dist.get(u)) continue;
+
+      for (const { to, weight } of this.endpointGraph.get(u) || []) {
+        const alt = cost + (Number.isFinite(weight) ? weight : 0);
+        if (alt < (dist.has(to) ? dist.get(to) : Infinity)) {
+          dist.set(to, alt);
+          open.push(to, alt, alt);
+        }
+      }
     }
 
-    // Reconstruct path
-    const path = [];
-    let curr = dstNode;
-    path.unshift(curr);
-    while (prev.has(curr)) {
-      curr = prev.get(curr);
-      path.unshift(curr);
-    }
-    return path;
+    return dist;
   }
 
-  _pathWeight(nodePath) {
+  /**
+   * Cost of a node path, as _dijkstraPath weighs it
+   * @param {string[]} nodePath
+   * @param {Object} options - {penalizedSegments?: Set<string>} as for
+   *   _dijkstraPath
+   * @returns {number} Infinity for paths with fewer than two nodes
+   */
+  _pathWeight(nodePath, options = {}) {
     if (!nodePath || nodePath.length < 2) return Infinity;
     let total = 0;
     for (let i = 0; i < nodePath.length - 1; i++) {
       const edges = this.endpointGraph.get(nodePath[i]) || [];
       const e = edges.find((x) => x.to === nodePath[i + 1]);
-      total += e ? e.weight : Infinity;
+      if (!e) return Infinity;
+      let edgeCost = this._getEdgeCost(nodePath[i], e);
+      if (options.penalizedSegments?.has(e.segment)) {
+        edgeCost *= REUSE_PENALTY;
+      }
+      total += edgeCost;
     }
     return total;
   }
 
+  /**
+   * Cost of following an endpoint graph edge under the active routing profile.
+   * Junction edges cost their weight; segment edges are scaled by surface,
+   * mud on the ride date and the climb in the direction of travel. Avoided
+   * segments and segments closed on the ride date cost Infinity, so searches
+   * never relax across them.
+   * @param {string} fromNode - Node the edge leaves from
+   * @param {Object} edge - {to, weight, segment?, forward?, gain?, loss?}
+   * @returns {number}
+   */
+  _getEdgeCost(fromNode, edge) {
+    if (edge.segment && this.avoidedSegments.has(edge.segment)) {
+      return Infinity;
+    }
+
+    const seasonTypes = edge.segment
+      ? this._getActiveSeasonTypes(edge.segment)
+      : null;
+    if (seasonTypes && seasonTypes.has("closed")) {
+      return Infinity;
+    }
+
+    const weight = Number.isFinite(edge.weight) ? edge.weight : 0;
+    const profile = ROUTING_PROFILES[this.routingProfile];
+    if (!edge.segment || profile === ROUTING_PROFILES.shortest) {
+      return weight;
+    }
+
+    const surface = this.getSegmentSurface(edge.segment);
+    let cost = weight * (profile.surface[surface] || 1);
+
+    if (seasonTypes.has("mud")) {
+      cost *= profile.winterFactor;
+    }
+
+    // Edges carry the climb of the stretch they cover; whole-segment edges
+    // without it fall back to the segment's climb in the direction ridden
+    let climb = edge.gain;
+    if (climb === undefined) {
+      const metrics = this.segmentMetrics.get(edge.segment);
+      const direction = fromNode.endsWith("|S")
+        ? metrics?.forward
+        : metrics?.reverse;
+      climb = direction ? direction.elevationGain : 0;
+    }
+    cost += climb * profile.climbFactor;
+
+    return cost;
+  }
+
   _findPathFromPointToSegmentEntry(
     startSegmentName,
     targetSegmentName,
@@ -1046,9 +3410,19 @@ class RouteManager {
     return path || [];
   }
 
-  _getCurrentRouteEndpoint(segments) {
+  _getCurrentRouteEndpoint(segments, points = []) {
     if (segments.length === 0) return null;
 
+    // After a T-junction turn the route leaves its last segment by the end
+    // it is riding towards
+    if (this.hasTJunctionTurns(segments)) {
+      const pieces = this._getJunctionRoutePieces(segments, points);
+      const last = pieces[pieces.length - 1];
+      return last
+        ? this._getEndpointCoords(last.segmentName, last.reversed ? "S" : "E")
+        : null;
+    }
+
     const orderedCoords = this._getOrderedCoordinatesForSegments(segments);
     return orderedCoords.length > 0
       ? orderedCoords[orderedCoords.length - 1]
@@ -1082,8 +3456,653 @@ class RouteManager {
     return false;
   }
 
-  _getOrderedCoordinates() {
-    return this._getOrderedCoordinatesForSegments(this.selectedSegments);
+  _getOrderedCoordinates(pieces = null) {
+    const routePieces =
+      pieces || this._getRoutePieces(this.selectedSegments, this.routePoints);
+
+    let orderedCoords = [];
+    for (const piece of routePieces) {
+      if (orderedCoords.length === 0) {
+        orderedCoords = [...piece.coordinates];
+        continue;
+      }
+
+      const lastPoint = orderedCoords[orderedCoords.length - 1];
+      const connectionDistance = this._getDistance(
+        lastPoint,
+        piece.coordinates[0],
+      );
+      orderedCoords.push(
+        ...(connectionDistance <= 50
+          ? piece.coordinates.slice(1)
+          : piece.coordinates),
+      );
+    }
+
+    return orderedCoords;
+  }
+
+  /**
+   * Orientation of each segment along a route, using the same connectivity
+   * rules as _getOrderedCoordinatesForSegments.
+   * @param {string[]} segments
+   * @returns {boolean[]} true where the segment is ridden end-to-start
+   */
+  _getSegmentOrientations(segments) {
+    const reversed = [];
+    let lastPoint = null;
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = this.segments.get(segments[i]);
+      if (!segment) {
+        reversed.push(false);
+        continue;
+      }
+
+      const coords = segment.coordinates;
+      const start = coords[0];
+      const end = coords[coords.length - 1];
+      let isReversed = false;
+
+      if (lastPoint === null) {
+        const nextSegment =
+          i + 1 < segments.length ? this.segments.get(segments[i + 1]) : null;
+        if (nextSegment) {
+          const oriented = this._orientSegmentForConnection(
+            [...coords],
+            nextSegment.coordinates,
+            true,
+          );
+          isReversed = oriented[0] !== start;
+        }
+      } else {
+        isReversed =
+          this._getDistance(lastPoint, end) <
+          this._getDistance(lastPoint, start);
+      }
+
+      reversed.push(isReversed);
+      lastPoint = isReversed ? start : end;
+    }
+
+    return reversed;
+  }
+
+  /**
+   * Split a route into pieces, one per segment, oriented in riding direction.
+   * Pieces are cut where the route starts or ends in the middle of a segment,
+   * where it turns back at a waypoint (the same segment twice in a row), and
+   * at T-junctions.
+   * @param {string[]} segments - Ordered segment names
+   * @param {Array} points - Route points the segments were built from
+   * @returns {Array} [{segmentName, index, reversed, from, to, isPartial,
+   *   distance, coordinates, smoothedCoords}] where index is the segment's
+   *   position in `segments` and from/to are meters along the oriented
+   *   segment
+   */
+  _getRoutePieces(segments, points = []) {
+    if (this.hasTJunctionTurns(segments)) {
+      return this._getJunctionRoutePieces(segments, points);
+    }
+
+    const orientations = this._getSegmentOrientations(segments);
+    const pieces = [];
+
+    segments.forEach((segmentName, i) => {
+      const segment = this.segments.get(segmentName);
+      const metrics = this.segmentMetrics.get(segmentName);
+      if (!segment || !metrics) return;
+
+      pieces.push({
+        segmentName,
+        index: i,
+        reversed: orientations[i],
+        from: 0,
+        to: metrics.distance,
+      });
+    });
+
+    const validPoints = points.filter(
+      (point) => point && point.lat !== undefined && point.lng !== undefined,
+    );
+
+    if (pieces.length > 0 && validPoints.length >= 2) {
+      const firstPoint = validPoints[0];
+      const lastPoint = validPoints[validPoints.length - 1];
+      const first = pieces[0];
+      const last = pieces[pieces.length - 1];
+
+      if (pieces.length === 1) {
+        if (
+          this._findSegmentForPoint(firstPoint) === first.segmentName &&
+          this._findSegmentForPoint(lastPoint) === first.segmentName
+        ) {
+          // Ride between the two points in whichever direction they go
+          const startPos = this._getPiecePosition(first, firstPoint);
+          const endPos = this._getPiecePosition(first, lastPoint);
+          if (endPos < startPos) {
+            first.reversed = !first.reversed;
+          }
+          first.from = this._getPiecePosition(first, firstPoint);
+          first.to = this._getPiecePosition(first, lastPoint);
+        }
+      } else {
+        // Points at a T-junction on the segment (e.g. loop starts) cut it there
+        const firstJunction = this._getJunctionNear(
+          first.segmentName,
+          firstPoint,
+        );
+        if (this._findSegmentForPoint(firstPoint) === first.segmentName) {
+          first.from = this._getPiecePosition(first, firstPoint);
+        } else if (firstJunction) {
+          first.from = this._getPiecePosition(first, firstJunction);
+        }
+        const lastJunction = this._getJunctionNear(
+          last.segmentName,
+          lastPoint,
+        );
+        if (this._findSegmentForPoint(lastPoint) === last.segmentName) {
+          last.to = this._getPiecePosition(last, lastPoint);
+        } else if (lastJunction) {
+          last.to = this._getPiecePosition(last, lastJunction);
+        }
+
+        // Turnarounds: the route rides into a segment up to a waypoint and
+        // straight back out again
+        const turnarounds = this._getTurnarounds(segments, points);
+        for (let i = 0; i < pieces.length - 1; i++) {
+          const piece = pieces[i];
+          const next = pieces[i + 1];
+          if (piece.segmentName !== next.segmentName) continue;
+
+          const turnaround = turnarounds.get(piece.index);
+          if (!turnaround) continue;
+
+          piece.to = Math.max(
+            piece.from,
+            this._getPiecePosition(piece, turnaround),
+          );
+          next.from = this._getPiecePosition(next, turnaround);
+        }
+      }
+    }
+
+    return pieces.map((piece) => this._buildRoutePiece(piece));
+  }
+
+  /**
+   * Route pieces for routes that turn at T-junctions. Each segment is ridden
+   * from where the route joins it to where it leaves for the next one, so
+   * pieces are placed by the links between consecutive segments rather than
+   * by whole-segment orientation.
+   * @param {string[]} segments - Ordered segment names
+   * @param {Array} points - Route points the segments were built from
+   * @returns {Array} Same shape as _getRoutePieces
+   */
+  _getJunctionRoutePieces(segments, points = []) {
+    const indices = segments
+      .map((_, index) => index)
+      .filter(
+        (index) =>
+          this.segments.has(segments[index]) &&
+          this.segmentMetrics.has(segments[index]),
+      );
+    const names = indices.map((index) => segments[index]);
+    const validPoints = points.filter(
+      (point) => point && point.lat !== undefined && point.lng !== undefined,
+    );
+    const firstPoint = validPoints.length >= 2 ? validPoints[0] : null;
+    const lastPoint =
+      validPoints.length >= 2 ? validPoints[validPoints.length - 1] : null;
+    const turnarounds = this._getTurnarounds(segments, points);
+
+    const positionOn = (name, point) => {
+      if (!point) return null;
+      if (this._findSegmentForPoint(point) === name) {
+        return this._getPositionAlongSegment(
+          point,
+          this.segments.get(name).coordinates,
+        );
+      }
+      const junction = this._getJunctionNear(name, point);
+      return junction ? junction.position : null;
+    };
+    const farEnd = (position, length) => (position <= length / 2 ? length : 0);
+
+    const pieces = [];
+    let entry = positionOn(names[0], firstPoint);
+
+    names.forEach((name, i) => {
+      const length = this.segmentMetrics.get(name).distance;
+      const next = names[i + 1];
+      let exit;
+      let nextEntry = null;
+
+      if (next === undefined) {
+        exit = positionOn(name, lastPoint);
+        if (exit === null) {
+          exit = entry === null ? length : farEnd(entry, length);
+        }
+      } else if (next === name) {
+        // Turnaround at a waypoint on the segment
+        const turnaround = turnarounds.get(indices[i]);
+        exit = turnaround
+          ? positionOn(name, turnaround)
+          : farEnd(entry ?? 0, length);
+        nextEntry = exit;
+      } else {
+        // Prefer links that ride some of the segment, then end-to-end
+        // junctions, then the narrowest gap
+        const links = this._getSegmentLinks(name, next);
+        const connected = links.filter(
+          (link) => link.junction || link.gap <= CONNECTION_THRESHOLD,
+        );
+        const link = (connected.length > 0 ? connected : links).sort(
+          (a, b) =>
+            (a.from === entry) - (b.from === entry) ||
+            a.junction - b.junction ||
+            a.gap - b.gap,
+        )[0];
+        exit = link.from;
+        nextEntry = link.to;
+      }
+
+      if (entry === null) entry = farEnd(exit, length);
+      const reversed = exit < entry;
+      pieces.push({
+        segmentName: name,
+        index: indices[i],
+        reversed,
+        from: reversed ? length - entry : entry,
+        to: reversed ? length - exit : exit,
+      });
+      entry = nextEntry;
+    });
+
+    return pieces.map((piece) => this._buildRoutePiece(piece));
+  }
+
+  /**
+   * Waypoints a route turns back at: where a segment is ridden twice in a
+   * row, the route point whose leg ends on the first of the two. Routes
+   * other than the current one have no known legs; their waypoints on the
+   * segment are taken in order instead.
+   * @param {string[]} segments - Ordered segment names
+   * @param {Array} points - Route points the segments were built from
+   * @returns {Map} Index in `segments` of the first of the two -> point
+   */
+  _getTurnarounds(segments, points) {
+    const legEnds =
+      segments === this.selectedSegments &&
+      points === this.routePoints &&
+      this.legEnds?.[this.legEnds.length - 1] === segments.length
+        ? this.legEnds
+        : null;
+    const isWaypoint = (index) => index > 0 && index < points.length - 1;
+
+    const turnarounds = new Map();
+    let searchFrom = 1;
+    for (let i = 0; i < segments.length - 1; i++) {
+      if (segments[i] !== segments[i + 1]) continue;
+
+      // Points that add no segments share their leg's end; the route turns
+      // at the last of them
+      let index = legEnds ? legEnds.lastIndexOf(i + 1) : -1;
+      if (!isWaypoint(index)) {
+        index = points.findIndex(
+          (point, k) =>
+            k >= searchFrom &&
+            isWaypoint(k) &&
+            point?.lat !== undefined &&
+            point?.lng !== undefined &&
+            this._findSegmentForPoint(point) === segments[i],
+        );
+      }
+      if (!isWaypoint(index)) continue;
+
+      turnarounds.set(i, points[index]);
+      searchFrom = index + 1;
+    }
+    return turnarounds;
+  }
+
+  /**
+   * T-junction on a segment within the connection threshold of a point
+   * @param {string} segmentName
+   * @param {Object} point - {lat, lng}
+   * @returns {Object|null} The junction node entry, null if there is none
+   */
+  _getJunctionNear(segmentName, point) {
+    for (const junction of this.junctionNodes.values()) {
+      if (
+        junction.segmentName === segmentName &&
+        this._getDistance(point, junction) <= CONNECTION_THRESHOLD
+      ) {
+        return junction;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The same pieces ridden the other way, for the return leg of an
+   * out-and-back ride
+   * @param {Array} pieces - Route pieces in riding order
+   * @returns {Array} Pieces in reverse order, each oriented end-to-start
+   */
+  _mirrorRoutePieces(pieces) {
+    return [...pieces].reverse().map((piece) => {
+      const length = this.segmentMetrics.get(piece.segmentName).distance;
+      return this._buildRoutePiece({
+        segmentName: piece.segmentName,
+        index: piece.index,
+        reversed: !piece.reversed,
+        from: length - piece.to,
+        to: length - piece.from,
+      });
+    });
+  }
+
+  /**
+   * Every way two segments can connect: each pair of their ends, and each
+   * T-junction where one ends in the middle of the other.
+   * @param {string} segmentA
+   * @param {string} segmentB
+   * @returns {Array} [{from, to, gap, junction}] where from/to are meters
+   *   along segmentA and segmentB in their stored direction
+   */
+  _getSegmentLinks(segmentA, segmentB) {
+    const positionOf = (name, key) =>
+      key === "S" ? 0 : this.segmentMetrics.get(name).distance;
+    const links = [];
+
+    for (const keyA of ["S", "E"]) {
+      for (const keyB of ["S", "E"]) {
+        links.push({
+          from: positionOf(segmentA, keyA),
+          to: positionOf(segmentB, keyB),
+          gap: this._getDistance(
+            this._getEndpointCoords(segmentA, keyA),
+            this._getEndpointCoords(segmentB, keyB),
+          ),
+          junction: false,
+        });
+      }
+    }
+
+    for (const junction of this.junctionNodes.values()) {
+      for (const { node, gap } of junction.joined) {
+        const separator = node.lastIndexOf("|");
+        const name = node.slice(0, separator);
+        const key = node.slice(separator + 1);
+        if (junction.segmentName === segmentA && name === segmentB) {
+          links.push({
+            from: junction.position,
+            to: positionOf(segmentB, key),
+            gap,
+            junction: true,
+          });
+        } else if (junction.segmentName === segmentB && name === segmentA) {
+          links.push({
+            from: positionOf(segmentA, key),
+            to: junction.position,
+            gap,
+            junction: true,
+          });
+        }
+      }
+    }
+
+    return links;
+  }
+
+  _getPiecePosition(piece, point) {
+    const segment = this.segments.get(piece.segmentName);
+    return this._getPositionAlongSegment(
+      point,
+      segment.coordinates,
+      piece.reversed,
+    );
+  }
+
+  _buildRoutePiece(piece) {
+    const segment = this.segments.get(piece.segmentName);
+    const metrics = this.segmentMetrics.get(piece.segmentName);
+
+    const orient = (coords) =>
+      piece.reversed ? [...coords].reverse() : [...coords];
+    const coordinates = orient(segment.coordinates);
+    const smoothedCoords = orient(metrics.smoothedCoords);
+
+    const isPartial = piece.from > 0 || piece.to < metrics.distance;
+    if (!isPartial) {
+      return {
+        ...piece,
+        isPartial,
+        distance: metrics.distance,
+        coordinates,
+        smoothedCoords,
+      };
+    }
+
+    return {
+      ...piece,
+      isPartial,
+      distance: Math.max(0, piece.to - piece.from),
+      coordinates: this._sliceCoordinates(coordinates, piece.from, piece.to),
+      smoothedCoords: this._sliceCoordinates(
+        smoothedCoords,
+        piece.from,
+        piece.to,
+      ),
+    };
+  }
+
+  // The ride's smoothed coordinates with their distance from the start,
+  // without the repeated coordinate where pieces join
+  _getRideProfile(pieces) {
+    const profile = [];
+    let travelled = 0;
+    for (const piece of pieces) {
+      for (const coord of piece.smoothedCoords) {
+        const last = profile[profile.length - 1];
+        if (last) {
+          const step = this._getDistance(last, coord);
+          if (step === 0) continue;
+          travelled += step;
+        }
+        profile.push({
+          lat: coord.lat,
+          lng: coord.lng,
+          elevation: coord.elevation || 0,
+          distance: travelled,
+        });
+      }
+    }
+    return profile;
+  }
+
+  // Steepest average climbing grade held over SUSTAINED_GRADE_DISTANCE, or
+  // over the whole ride when it is shorter
+  _getSteepestSustainedGrade(pieces) {
+    const along = this._getRideProfile(pieces);
+    const travelled = along.length > 0 ? along[along.length - 1].distance : 0;
+    if (along.length < 2 || travelled === 0) return 0;
+
+    const gradeBetween = (a, b) =>
+      (b.elevation - a.elevation) / (b.distance - a.distance);
+    if (travelled < SUSTAINED_GRADE_DISTANCE) {
+      return Math.max(0, gradeBetween(along[0], along[along.length - 1]));
+    }
+
+    let steepest = 0;
+    let end = 0;
+    for (let start = 0; start < along.length; start++) {
+      while (
+        end < along.length &&
+        along[end].distance - along[start].distance < SUSTAINED_GRADE_DISTANCE
+      ) {
+        end++;
+      }
+      if (end === along.length) break;
+      steepest = Math.max(steepest, gradeBetween(along[start], along[end]));
+    }
+    return steepest;
+  }
+
+  // Seconds from the start of a piece to each of its smoothed coordinates
+  _estimatePieceTimes(piece) {
+    const coords = piece.smoothedCoords;
+    const surface = SURFACE_SPEED[this.getSegmentSurface(piece.segmentName)];
+    const flatSpeed = ((this.rider.flatSpeed * 1000) / 3600) * (surface || 1);
+    const climbRate = this.rider.climbRate / 3600;
+
+    const times = coords.length > 0 ? [0] : [];
+    let elapsed = 0;
+    for (let i = 1; i < coords.length; i++) {
+      const distance = this._getDistance(coords[i - 1], coords[i]);
+      const rise = (coords[i].elevation || 0) - (coords[i - 1].elevation || 0);
+      const grade = distance > 0 ? rise / distance : 0;
+
+      let speed = flatSpeed;
+      if (grade < 0) {
+        const descent = -grade;
+        const speedup = Math.min(
+          MAX_DESCENT_SPEEDUP,
+          1 + Math.min(descent, STEEP_DESCENT_GRADE) * 100 * DESCENT_SPEEDUP,
+        );
+        const braking =
+          descent > STEEP_DESCENT_GRADE ? STEEP_DESCENT_GRADE / descent : 1;
+        speed = flatSpeed * speedup * braking;
+      }
+
+      elapsed += distance / speed + Math.max(0, rise) / climbRate;
+      times.push(elapsed);
+    }
+    return times;
+  }
+
+  // The pieces ridden: out-and-back rides return over the same pieces,
+  // mirrored
+  _getRidePieces(pieces) {
+    return this.outAndBack
+      ? [...pieces, ...this._mirrorRoutePieces(pieces)]
+      : pieces;
+  }
+
+  // Warnings for riding a piece: the segment's own, then the one for the
+  // direction it is ridden in, and its seasonal windows on the ride date
+  _getCueWarnings(piece) {
+    const properties = this.segments.get(piece.segmentName)?.properties || {};
+    const rules = properties.direction || {};
+    const direction = piece.reversed ? "reverse" : "forward";
+    const warnings = [properties.warning, rules[direction]?.warning].filter(
+      Boolean,
+    );
+
+    return {
+      warnings,
+      fee: !!rules[direction]?.fee,
+      oneWayViolation: !!rules.oneWay && rules.oneWay !== direction,
+      seasons: this.getActiveSeasons(piece.segmentName).map((season) => ({
+        type: season.type,
+        text: season.note || "",
+      })),
+    };
+  }
+
+  // Turn angle (degrees, positive to the right) at coords[index], between
+  // the headings CUE_HEADING_DISTANCE before and after it
+  _getTurnAngle(coords, index) {
+    const pointAlong = (step) => {
+      let travelled = 0;
+      let i = index;
+      while (i + step >= 0 && i + step < coords.length) {
+        travelled += this._getDistance(coords[i], coords[i + step]);
+        i += step;
+        if (travelled >= CUE_HEADING_DISTANCE) break;
+      }
+      return coords[i];
+    };
+
+    const before = pointAlong(-1);
+    const after = pointAlong(1);
+    const at = coords[index];
+    if (
+      this._getDistance(before, at) === 0 ||
+      this._getDistance(at, after) === 0
+    ) {
+      return 0;
+    }
+
+    const angle = this._getBearing(at, after) - this._getBearing(before, at);
+    return ((angle + 540) % 360) - 180;
+  }
+
+  _getTurnType(angle) {
+    const { type } = CUE_TURNS.find(({ max }) => Math.abs(angle) <= max);
+    if (type === "straight" || type === "u-turn") return type;
+
+    const side = angle > 0 ? "right" : "left";
+    return type === "sharp" ? `sharp-${side}` : side;
+  }
+
+  /**
+   * Cut a polyline between two distances along it, interpolating the cut
+   * points (including elevation).
+   * @param {Array} coords - [{lat, lng, elevation}]
+   * @param {number} from - meters from the first coordinate
+   * @param {number} to - meters from the first coordinate
+   * @returns {Array} coordinates from `from` to `to`
+   */
+  _sliceCoordinates(coords, from, to) {
+    if (coords.length < 2) return [...coords];
+
+    const interpolate = (a, b, ratio) => {
+      const point = {
+        lat: a.lat + (b.lat - a.lat) * ratio,
+        lng: a.lng + (b.lng - a.lng) * ratio,
+      };
+      if (a.elevation !== undefined && b.elevation !== undefined) {
+        point.elevation = a.elevation + (b.elevation - a.elevation) * ratio;
+      }
+      if (a.missingElevation || b.missingElevation) {
+        point.missingElevation = true;
+      }
+      return point;
+    };
+
+    const result = [];
+    let accumulated = 0;
+
+    for (let i = 0; i < coords.length - 1; i++) {
+      const a = coords[i];
+      const b = coords[i + 1];
+      const length = this._getDistance(a, b);
+      const segStart = accumulated;
+      const segEnd = accumulated + length;
+
+      if (result.length === 0 && from <= segEnd) {
+        const ratio = length > 0 ? Math.max(0, from - segStart) / length : 0;
+        result.push(interpolate(a, b, Math.min(1, ratio)));
+      }
+
+      if (result.length > 0) {
+        if (to <= segEnd) {
+          const ratio = length > 0 ? Math.max(0, to - segStart) / length : 0;
+          result.push(interpolate(a, b, Math.min(1, ratio)));
+          return result;
+        }
+        result.push(b);
+      }
+
+      accumulated = segEnd;
+    }
+
+    if (result.length === 0) {
+      result.push(coords[coords.length - 1]);
+    }
+    return result;
   }
 
   _getOrderedCoordinatesForSegments(segments) {
@@ -1166,51 +4185,33 @@ class RouteManager {
     return coords;
   }
 
-  _calculateTotalDistance() {
-    let totalDistance = 0;
-    for (const segmentName of this.selectedSegments) {
-      const metrics = this.segmentMetrics.get(segmentName);
-      if (metrics) {
-        totalDistance += metrics.distance;
-      }
-    }
-    return totalDistance;
+  _calculateTotalDistance(pieces = null) {
+    const routePieces =
+      pieces || this._getRoutePieces(this.selectedSegments, this.routePoints);
+    return routePieces.reduce((total, piece) => total + piece.distance, 0);
   }
 
-  _calculateElevationChanges() {
+  _calculateElevationChanges(pieces = null) {
+    const routePieces =
+      pieces || this._getRoutePieces(this.selectedSegments, this.routePoints);
     let totalGain = 0;
     let totalLoss = 0;
 
-    for (let i = 0; i < this.selectedSegments.length; i++) {
-      const segmentName = this.selectedSegments[i];
-      const metrics = this.segmentMetrics.get(segmentName);
-      if (!metrics) continue;
-
-      let isReversed = false;
-      if (i > 0) {
-        // Determine orientation based on connectivity
-        const prevSegmentName = this.selectedSegments[i - 1];
-        const prevMetrics = this.segmentMetrics.get(prevSegmentName);
-
-        if (prevMetrics) {
-          const currentStart = metrics.startPoint;
-          const currentEnd = metrics.endPoint;
-          const prevEnd = prevMetrics.endPoint;
-
-          const distanceToStart = this._getDistance(prevEnd, currentStart);
-          const distanceToEnd = this._getDistance(prevEnd, currentEnd);
-
-          isReversed = distanceToEnd < distanceToStart;
-        }
+    for (const piece of routePieces) {
+      if (piece.isPartial) {
+        // Only part of the segment is ridden - measure that part
+        const { gain, loss } = this._calculateElevationChangesForCoords(
+          piece.smoothedCoords,
+        );
+        totalGain += Math.round(gain);
+        totalLoss += Math.round(loss);
+        continue;
       }
 
-      if (isReversed) {
-        totalGain += metrics.reverse.elevationGain;
-        totalLoss += metrics.reverse.elevationLoss;
-      } else {
-        totalGain += metrics.forward.elevationGain;
-        totalLoss += metrics.forward.elevationLoss;
-      }
+      const metrics = this.segmentMetrics.get(piece.segmentName);
+      const direction = piece.reversed ? metrics.reverse : metrics.forward;
+      totalGain += direction.elevationGain;
+      totalLoss += direction.elevationLoss;
     }
 
     return {
@@ -1228,6 +4229,17 @@ class RouteManager {
     return seg.coordinates[seg.coordinates.length - 1];
   }
 
+  _getNodeCoords(node) {
+    const junction = this.junctionNodes.get(node);
+    if (junction) return { lat: junction.lat, lng: junction.lng };
+
+    const separator = node.lastIndexOf("|");
+    return this._getEndpointCoords(
+      node.slice(0, separator),
+      node.slice(separator + 1),
+    );
+  }
+
   _nearestEndpointKeyToPoint(segmentName, point) {
     const s = this._getEndpointCoords(segmentName, "S");
     const e = this._getEndpointCoords(segmentName, "E");
@@ -1236,6 +4248,21 @@ class RouteManager {
     return dS <= dE ? "S" : "E";
   }
 
+  /**
+   * Initial compass bearing from point1 to point2
+   * @returns {number} degrees in [0, 360)
+   */
+  _getBearing(point1, point2) {
+    const φ1 = (point1.lat * Math.PI) / 180;
+    const φ2 = (point2.lat * Math.PI) / 180;
+    const Δλ = ((point2.lng - point1.lng) * Math.PI) / 180;
+
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x =
+      Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+  }
+
   _getDistance(point1, point2) {
     // Add null/undefined checks
     if (
@@ -1326,10 +4353,7 @@ class RouteManager {
     const coordsWithElevation = coords.map((coord) => ({
       lat: coord.lat,
       lng: coord.lng,
-      elevation:
-        coord.elevation !== undefined
-          ? coord.elevation
-          : 200 + Math.sin(coord.lat * 10) * 100 + Math.cos(coord.lng * 8) * 50,
+      elevation: coord.elevation ?? 0,
     }));
 
     const smoothedElevations = this._distanceWindowSmoothing(
@@ -1458,6 +4482,14 @@ class RouteManager {
   }
 }
 
+RouteManager.ROUTE_EVENTS = ROUTE_EVENTS;
+RouteManager.ROUTING_PROFILES = ROUTING_PROFILES;
+RouteManager.RIDER_PRESETS = RIDER_PRESETS;
+RouteManager.DIFFICULTY_GRADES = DIFFICULTY_GRADES;
+RouteManager.scoreDifficulty = scoreRouteDifficulty;
+RouteManager.STEEP_GRADE_THRESHOLDS = STEEP_GRADE_THRESHOLDS;
+RouteManager.CONNECTION_THRESHOLD = CONNECTION_THRESHOLD;
+
 // Export for use in other files
 if (typeof module !== "undefined" && module.exports) {
   module.exports = RouteManager;
@@ -5,7 +5,7 @@ let undoStack = [];
 let redoStack = [];
 let kmlData = null;
 let segmentsData = null;
-let segmentMetrics = {}; // Pre-calculated distance, elevation, and directionality data
+let datasetMigrations = null; // {revision, revisions} from dataset-migrations.json
 let routePoints = []; // Array of points that define the route
 let pointMarkers = []; // Array of map markers for the points
 let isDraggingPoint = false;
@@ -13,6 +13,13 @@ let draggedPointIndex = -1;
 let routeManager = null; // Instance of RouteManager
 let operationsLog = []; // Log of user operations for export
 let spatialIndex = null; // Spatial index for efficient segment lookup
+let isPickingLoopStart = false; // Next map click picks the loop generator's start
+let showAlternativeRoutes = false; // Whether alternatives for each leg are offered
+let alternativeRoutes = []; // Offered alternatives: [{legIndex, option (within the leg), route}]
+let steepGradeThresholds = [8, 12]; // Grades (%) highlighted as steep, empty for none
+let elevationProvider = null; // DEM tiles loaded from local files
+let elevationProfileState = null; // {coords, totalDistance, minElevation, elevationRange} of the drawn profile
+let routeLineDrag = null; // {legIndex, startPixel, moved} while the route line is dragged to add a shaping point
 
 const COLORS = {
   WARNING_ORANGE: "#ff9800",
@@ -22,12 +29,18 @@ const COLORS = {
   SEGMENT_HOVER_SELECTED: "#003399", // Brighter green when hovering over a selected segment
   SEGMENT_SIDEBAR_HOVER: "#666633", // Brown when hovering a segment in the sidebar
   ELEVATION_MARKER: "#ff4444", // Red for the elevation marker
+  ALTERNATIVE_ROUTE: "#555555", // Dimmed lines for alternative routes
   HIGHLIGHT_WHITE: "#ffffff", // White for highlighting all segments
+  STEEP_GRADE: ["#ff9800", "#b71c1c"], // Steep sections, by threshold reached
 };
 
 
 
+const AVOIDED_SEGMENT_DASH = [1, 2]; // Dash pattern of segments routing avoids
+const MUD_SEGMENT_DASH = [4, 1]; // Dash pattern of segments muddy on the ride date
+
 const MIN_ZOOM_LEVEL = 13; // Minimum zoom level when focusing on segments
+const ELEVATION_GRADE_WINDOW = 100; // Meters the elevation profile's grade readout averages over
 
 // Function to highlight all segments in white and then return to original colors
 function highlightAllSegments() {
@@ -80,6 +93,10 @@ function saveState() {
   undoStack.push({
     segments: [...selectedSegments],
     points: routePoints.map((p) => ({ ...p })), // Deep copy of points
+    profile: getRoutingProfile(),
+    avoided: getAvoidedSegments(),
+    rideDate: getRideDate(),
+    outAndBack: isOutAndBack(),
   });
   redoStack = []; // Clear redo stack when new action is performed
   updateUndoRedoButtons();
@@ -562,41 +579,7 @@ function recalculateRoute() {
   }
 
   try {
-    // Use RouteManager to calculate route through points
-    const routeInfo = routeManager.getRouteInfo();
-
-    // Find path through all route points
-    if (routePoints.length === 1) {
-      // Single point - find closest segment
-      const closestSegment = findClosestSegment(routePoints[0]);
-      if (closestSegment) {
-        selectedSegments = [closestSegment];
-      }
-    } else {
-      // Multiple points - find optimal path
-      const pathSegments = [];
-      const usedSegments = new Set();
-
-      for (let i = 0; i < routePoints.length - 1; i++) {
-        const startPoint = routePoints[i];
-        const endPoint = routePoints[i + 1];
-
-        const segmentPath = findPathBetweenPoints(startPoint, endPoint);
-
-        // Add segments to path, avoiding duplicates
-        for (const segmentName of segmentPath) {
-          if (
-            pathSegments.length === 0 ||
-            pathSegments[pathSegments.length - 1] !== segmentName
-          ) {
-            pathSegments.push(segmentName);
-          }
-        }
-      }
-
-      selectedSegments = pathSegments;
-    }
-
+    selectedSegments = routeManager.recalculateRoute(routePoints);
     updateSegmentStyles();
     updateRouteListAndDescription();
   } catch (error) {
@@ -689,10 +672,18 @@ function undo() {
     redoStack.push({
       segments: [...selectedSegments],
       points: routePoints.map((p) => ({ ...p })),
+      profile: getRoutingProfile(),
+      avoided: getAvoidedSegments(),
+      rideDate: getRideDate(),
+      outAndBack: isOutAndBack(),
     });
 
     // Restore previous state
     const previousState = undoStack.pop();
+    applyRoutingProfile(previousState.profile);
+    applyAvoidedSegments(previousState.avoided);
+    applyRideDate(previousState.rideDate);
+    applyOutAndBack(previousState.outAndBack);
 
     // Clear and restore points
     clearRoutePoints();
@@ -739,10 +730,18 @@ function redo() {
     undoStack.push({
       segments: [...selectedSegments],
       points: routePoints.map((p) => ({ ...p })),
+      profile: getRoutingProfile(),
+      avoided: getAvoidedSegments(),
+      rideDate: getRideDate(),
+      outAndBack: isOutAndBack(),
     });
 
     // Restore next state
     const nextState = redoStack.pop();
+    applyRoutingProfile(nextState.profile);
+    applyAvoidedSegments(nextState.avoided);
+    applyRideDate(nextState.rideDate);
+    applyOutAndBack(nextState.outAndBack);
 
     // Clear and restore points
     clearRoutePoints();
@@ -770,234 +769,956 @@ function redo() {
   }
 }
 
-function updateUndoRedoButtons() {
-  document.getElementById("undo-btn").disabled = undoStack.length === 0;
-  document.getElementById("redo-btn").disabled = redoStack.length === 0;
-  document.getElementById("reset-btn").disabled =
-    selectedSegments.length === 0 && routePoints.length === 0;
+function getRoutingProfile() {
+  return routeManager ? routeManager.getRoutingProfile() : "shortest";
 }
 
-// Function to log user operations for export
-function logOperation(type, data) {
-  // Get current route state before the operation
-  const currentState = {
-    pointsCount: routePoints.length,
-    segmentsCount: selectedSegments.length,
-    selectedSegments: [...selectedSegments],
-    segmentIds: selectedSegments
-      .map((name) => {
-        const segmentInfo = segmentsData[name];
-        return segmentInfo ? segmentInfo.id : 0;
-      })
-      .filter((id) => id > 0),
-  };
-
-  operationsLog.push({
-    timestamp: Date.now(),
-    type: type,
-    data: data,
-    routeState: currentState,
-  });
+// Set the routing profile without re-routing (used when restoring state)
+function applyRoutingProfile(profileName) {
+  if (!routeManager || !profileName) return;
 
-  console.log("Logged operation:", operationsLog[operationsLog.length - 1]);
+  routeManager.setRoutingProfile(profileName);
+  const select = document.getElementById("routing-profile");
+  if (select) {
+    select.value = profileName;
+  }
 }
 
-// Function to export operations as JSON
-function exportOperationsJSON() {
-  // Get final route state
-  const finalSegmentIds = selectedSegments
-    .map((name) => {
-      const segmentInfo = segmentsData[name];
-      return segmentInfo ? segmentInfo.id : 0;
-    })
-    .filter((id) => id > 0);
+// Switch routing profile from the UI and re-route the current points
+function changeRoutingProfile(profileName) {
+  if (!routeManager || profileName === getRoutingProfile()) return;
 
-  // Create export object
-  const exportData = {
-    name: `User Test Case - ${new Date()
-      .toLocaleString("en-CA", {
-        year: "numeric",
-        month: "2-digit",
-        day: "2-digit",
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-        hour12: false,
-      })
-      .replace(/[/:]/g, "-")
-      .replace(", ", " ")}`,
-    description: `Test case generated from user operations (${operationsLog.length} operations)`,
-    geoJsonFile: "bike_roads_v12.geojson",
-    segmentsFile: "segments.json",
-    operations: operationsLog.map((op) => ({
-      type: op.type,
-      data: op.data,
-      expectedSegmentIds: op.routeState.segmentIds,
-      expectedSegmentsCount: op.routeState.segmentsCount,
-    })),
-    summary: {
-      totalOperations: operationsLog.length,
-      operationTypes: [...new Set(operationsLog.map((op) => op.type))],
-      finalSegmentIds: finalSegmentIds,
-      finalSegmentsCount: selectedSegments.length,
-    },
-  };
+  logOperation("setRoutingProfile", { profile: profileName });
 
-  console.log("Exported test case:", exportData);
-  return exportData;
+  if (routePoints.length >= 2) {
+    saveState();
+    applyRoutingProfile(profileName);
+    selectedSegments = routeManager.recalculateRoute(routePoints);
+    updateSegmentStyles();
+    updateRouteListAndDescription();
+  } else {
+    applyRoutingProfile(profileName);
+    clearRouteFromUrl();
+  }
 }
 
-// Function to show export modal
-function showExportModal() {
-  const exportData = exportOperationsJSON();
-  const jsonString = JSON.stringify(exportData, null, 2);
+// Ride date as "YYYY-MM-DD"
+function getRideDate() {
+  const date = routeManager ? routeManager.getRideDate() : new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
 
-  // Create modal elements
-  const modal = document.createElement("div");
-  modal.className = "export-modal";
-  modal.innerHTML = `
-    <div class="export-modal-content">
-      <div class="export-modal-header">
-        <h3>📋 Export Operations JSON</h3>
-        <button class="export-modal-close">&times;</button>
-      </div>
-      <div class="export-modal-body">
-        <p>Operations exported: <strong>${exportData.operations.length}</strong></p>
-        <p>Final segments: <strong>${exportData.summary.finalSegmentsCount}</strong></p>
-        <div class="json-container">
-          <textarea class="json-textarea" readonly>${jsonString}</textarea>
-        </div>
-        <div class="export-modal-actions">
-          <button id="copy-json-btn" class="copy-json-btn">📄 Copy JSON</button>
-          <button id="clear-operations-btn" class="clear-operations-btn">🗑️ Clear Log</button>
-        </div>
-      </div>
-    </div>
-  `;
+// Set the ride date without re-routing (used when restoring state)
+function applyRideDate(rideDate) {
+  if (!routeManager || !rideDate) return;
 
-  document.body.appendChild(modal);
+  routeManager.setRideDate(rideDate);
+  const input = document.getElementById("ride-date");
+  if (input) {
+    input.value = rideDate;
+  }
+}
 
-  // Add event listeners
-  const closeBtn = modal.querySelector(".export-modal-close");
-  const copyBtn = modal.querySelector("#copy-json-btn");
-  const clearBtn = modal.querySelector("#clear-operations-btn");
-  const textarea = modal.querySelector(".json-textarea");
+// Change the planned ride date from the UI; seasonal closures and mud may
+// change the route, its warnings and the map styling
+function changeRideDate(rideDate) {
+  if (!routeManager || !rideDate || rideDate === getRideDate()) return;
 
-  closeBtn.addEventListener("click", () => {
-    document.body.removeChild(modal);
-  });
+  logOperation("setRideDate", { date: rideDate });
 
-  copyBtn.addEventListener("click", () => {
-    textarea.select();
-    navigator.clipboard
-      .writeText(jsonString)
-      .then(() => {
-        copyBtn.textContent = "✅ Copied!";
-        copyBtn.style.background = "#4CAF50";
-        setTimeout(() => {
-          copyBtn.textContent = "📄 Copy JSON";
-          copyBtn.style.background = "#4682B4";
-        }, 2000);
-      })
-      .catch(() => {
-        document.execCommand("copy");
-        copyBtn.textContent = "✅ Copied!";
-        copyBtn.style.background = "#4CAF50";
-        setTimeout(() => {
-          copyBtn.textContent = "📄 Copy JSON";
-          copyBtn.style.background = "#4682B4";
-        }, 2000);
-      });
-  });
+  if (routePoints.length >= 2) {
+    saveState();
+    applyRideDate(rideDate);
+    selectedSegments = routeManager.recalculateRoute(routePoints);
+  } else {
+    applyRideDate(rideDate);
+    clearRouteFromUrl();
+  }
 
-  clearBtn.addEventListener("click", () => {
-    operationsLog = [];
-    document.body.removeChild(modal);
-    alert("Operations log cleared!");
-  });
+  updateSegmentStyles();
+  updateRouteListAndDescription();
+}
 
-  modal.addEventListener("click", (e) => {
-    if (e.target === modal) {
-      document.body.removeChild(modal);
-    }
+function initRideDateInput() {
+  const input = document.getElementById("ride-date");
+  if (!input) return;
+
+  input.value = getRideDate();
+  input.addEventListener("change", () => {
+    changeRideDate(input.value);
   });
+}
 
-  // Add escape key listener
-  const handleEscape = (e) => {
-    if (e.key === "Escape") {
-      document.body.removeChild(modal);
-      document.removeEventListener("keydown", handleEscape);
-    }
-  };
-  document.addEventListener("keydown", handleEscape);
+function isOutAndBack() {
+  return routeManager ? routeManager.isOutAndBack() : false;
 }
 
-function resetRoute() {
-  // Log the reset operation
-  logOperation("reset", {
-    clearedPointsCount: routePoints.length,
-    clearedSegmentsCount: selectedSegments.length,
-  });
+// Set out-and-back mode without recording an undo step (used when restoring
+// state)
+function applyOutAndBack(enabled) {
+  if (!routeManager) return;
 
-  // Save current state for potential undo
-  if (selectedSegments.length > 0 || routePoints.length > 0) {
-    saveState();
+  routeManager.setOutAndBack(!!enabled);
+  const button = document.getElementById("out-and-back-btn");
+  if (button) {
+    button.classList.toggle("active", !!enabled);
   }
+}
 
-  // Clear RouteManager state first
-  if (routeManager) {
-    routeManager.clearRoute();
+// Ride the route back to the start the way it came, or stop doing so
+function toggleOutAndBack() {
+  if (!routeManager) return;
+
+  const enabled = !isOutAndBack();
+  logOperation("setOutAndBack", { enabled });
+  saveState();
+  applyOutAndBack(enabled);
+
+  updateRouteListAndDescription();
+}
+
+// Where an out-and-back ride turns for home: {lat, lng, distance} or null
+function getTurnaroundPoint() {
+  if (!isOutAndBack() || selectedSegments.length === 0) return null;
+
+  const routeInfo = getRouteManagerInfo();
+  return routeInfo ? routeInfo.turnaround : null;
+}
+
+// Grade along the route and its steep climbs, from
+// RouteManager.getGradientAnalysis; null without highlighting or a route
+function getGradientAnalysis() {
+  if (steepGradeThresholds.length === 0 || !getRouteManagerInfo()) {
+    return null;
   }
+  return routeManager.getGradientAnalysis({
+    thresholds: steepGradeThresholds.map((grade) => grade / 100),
+  });
+}
 
-  // Clear selected segments and points
-  selectedSegments = [];
-  clearRoutePoints();
+// Draw the steep parts of the route over it on the map
+function updateSteepSectionsOverlay(gradient) {
+  if (!map || !map.getSource) return;
 
-  // Clear undo/redo stacks
-  undoStack = [];
-  redoStack = [];
+  const data = {
+    type: "FeatureCollection",
+    features: (gradient ? gradient.intervals : [])
+      .filter((entry) => entry.level >= 0)
+      .map((entry) => ({
+        type: "Feature",
+        geometry: {
+          type: "LineString",
+          coordinates: entry.coordinates.map((coord) => [coord.lng, coord.lat]),
+        },
+        properties: { level: entry.level },
+      })),
+  };
 
-  // Reset all segment styles to original
-  routePolylines.forEach((polylineData) => {
-    const layerId = polylineData.layerId;
-    map.setPaintProperty(
-      layerId,
-      "line-color",
-      polylineData.originalStyle.color,
-    );
-    map.setPaintProperty(
-      layerId,
-      "line-width",
-      polylineData.originalStyle.weight,
-    );
+  if (map.getSource("steep-sections")) {
+    map.getSource("steep-sections").setData(data);
+    return;
+  }
+  if (data.features.length === 0) return;
+
+  map.addSource("steep-sections", { type: "geojson", data });
+  map.addLayer({
+    id: "steep-sections-line",
+    type: "line",
+    source: "steep-sections",
+    layout: { "line-cap": "round", "line-join": "round" },
+    paint: {
+      "line-color": [
+        "match",
+        ["get", "level"],
+        0,
+        COLORS.STEEP_GRADE[0],
+        COLORS.STEEP_GRADE[1],
+      ],
+      "line-width": 6,
+      "line-opacity": 0.85,
+    },
   });
+}
 
-  // Remove any existing markers
-  if (window.hoverMarker) {
-    window.hoverMarker.remove();
-    window.hoverMarker = null;
+// The steepest climbs of the route, listed under the elevation profile
+function generateSteepSectionsList(gradient) {
+  if (!gradient || gradient.steepSections.length === 0) return "";
+
+  const percent = (grade) => `${(grade * 100).toFixed(1)}%`;
+  const items = gradient.steepSections
+    .slice(0, 5)
+    .map(
+      (section, index) => `
+        <div class="steep-section-item" data-index="${index}">
+          <span class="steep-section-swatch" style="background: ${COLORS.STEEP_GRADE[Math.min(section.level, 1)]};"></span>
+          אחרי ${(section.start / 1000).toFixed(1)} ק"מ • ${Math.round(section.distance)} מ' • ממוצע ${percent(section.averageGrade)} • מקסימום ${percent(section.maxGrade)}
+        </div>`,
+    )
+    .join("");
+
+  return `
+    <div class="steep-sections">
+      <h4>עליות תלולות</h4>
+      ${items}
+    </div>`;
+}
+
+// Zoom the map to one of the listed steep climbs
+function focusSteepSection(section) {
+  const bounds = new mapboxgl.LngLatBounds();
+  section.coordinates.forEach((coord) => bounds.extend([coord.lng, coord.lat]));
+  if (!bounds.isEmpty()) {
+    map.fitBounds(bounds, { padding: 80, duration: 1000, maxZoom: 16 });
   }
+}
 
-  if (window.elevationMarker) {
-    window.elevationMarker.remove();
-    window.elevationMarker = null;
+// Steep-grade highlighting thresholds, chosen in the map legend
+function initSteepGradeSelect() {
+  const select = document.getElementById("steep-grade");
+  if (!select) return;
+
+  select.value = steepGradeThresholds.join(",");
+  select.addEventListener("change", () => {
+    steepGradeThresholds = select.value
+      ? select.value.split(",").map(Number)
+      : [];
+    updateRouteListAndDescription();
+  });
+}
+
+// Show the turnaround of an out-and-back ride on the map
+function updateTurnaroundMarker() {
+  if (!map || !map.getSource) return;
+
+  const turnaround = getTurnaroundPoint();
+  const data = {
+    type: "FeatureCollection",
+    features: turnaround
+      ? [
+          {
+            type: "Feature",
+            geometry: {
+              type: "Point",
+              coordinates: [turnaround.lng, turnaround.lat],
+            },
+            properties: {},
+          },
+        ]
+      : [],
+  };
+
+  if (map.getSource("turnaround-point")) {
+    map.getSource("turnaround-point").setData(data);
+    return;
   }
+  if (!turnaround) return;
+
+  map.addSource("turnaround-point", { type: "geojson", data });
+  map.addLayer({
+    id: "turnaround-point-circle",
+    type: "circle",
+    source: "turnaround-point",
+    paint: {
+      "circle-radius": 7,
+      "circle-color": "#ff9800",
+      "circle-stroke-width": 2,
+      "circle-stroke-color": "#ffffff",
+    },
+  });
+}
 
-  // Hide segment name display
-  const segmentDisplay = document.getElementById("segment-name-display");
-  segmentDisplay.style.display = "none";
+function getAvoidedSegments() {
+  return routeManager ? routeManager.getAvoidedSegments() : [];
+}
 
-  // Update UI
-  updateRouteListAndDescription();
-  updateUndoRedoButtons();
-  clearRouteFromUrl(); // Clear route parameter when resetting
+// Set the avoided segments without re-routing (used when restoring state)
+function applyAvoidedSegments(segmentNames) {
+  if (!routeManager || !segmentNames) return;
+
+  routeManager.setAvoidedSegments(segmentNames);
 }
 
-function updateSegmentStyles() {
+// Block or unblock a segment from the UI and re-route the current points
+function toggleAvoidedSegment(segmentName) {
+  if (!routeManager) return;
+
+  const avoid = !routeManager.isSegmentAvoided(segmentName);
+  logOperation(avoid ? "avoidSegment" : "allowSegment", { segmentName });
+  saveState();
+
+  if (avoid) {
+    routeManager.avoidSegment(segmentName);
+  } else {
+    routeManager.allowSegment(segmentName);
+  }
+
+  if (routePoints.length > 0) {
+    selectedSegments = routeManager.recalculateRoute(routePoints);
+
+    // Points that sat on a blocked segment have been re-snapped
+    syncRoutePointsFromManager();
+  } else if (avoid) {
+    selectedSegments = selectedSegments.filter((name) => name !== segmentName);
+  }
+
+  updateSegmentStyles();
+  updateRouteListAndDescription();
+}
+
+// Replace the UI route points (and their markers) with RouteManager's, after
+// it has moved or added points itself
+function syncRoutePointsFromManager() {
+  const managerPoints = routeManager.routePoints.map((p) => ({ ...p }));
+  clearRoutePoints();
+  routePoints = managerPoints;
+  routePoints.forEach((point, index) => {
+    createPointMarker(point, index);
+  });
+}
+
+// Reorder the waypoints for the shortest ride; the start always stays first
+function optimizeWaypointOrder(fixLast) {
+  if (!routeManager || routePoints.length < 3) return;
+
+  routeManager.updateInternalState(routePoints, selectedSegments);
+  let optimizedSegments;
+  try {
+    optimizedSegments = routeManager.optimizePointOrder({ fixLast });
+  } catch (error) {
+    console.warn("Could not reorder waypoints:", error);
+    alert("לא ניתן לסדר מחדש את הנקודות: חלקן אינן מחוברות לשאר המסלול.");
+    return;
+  }
+
+  logOperation("optimizePointOrder", { fixLast });
+  saveState();
+
+  selectedSegments = optimizedSegments;
+  syncRoutePointsFromManager();
+
+  updateSegmentStyles();
+  updateRouteListAndDescription();
+}
+
+// Replace the route with a GPX/KML/GeoJSON track from the rider's computer,
+// map-matched onto the segments, and report what isn't on the network
+async function importTrackFile(file) {
+  if (!routeManager || !file) return;
+
+  let result;
+  try {
+    const trackPoints = parseTrackFile(await file.text(), file.name);
+    result = new TrackImporter(routeManager, spatialIndex).match(trackPoints);
+  } catch (error) {
+    console.error("Track import failed:", error);
+    alert("לא ניתן לקרוא את קובץ המסלול. נתמכים קבצי GPX, KML ו-GeoJSON.");
+    return;
+  }
+
+  if (result.points.length === 0) {
+    showTrackImportModal(result);
+    return;
+  }
+
+  logOperation("importTrack", { points: result.points });
+  saveState();
+
+  selectedSegments = routeManager.restoreFromPoints(result.points);
+  syncRoutePointsFromManager();
+
+  updateSegmentStyles();
+  updateRouteListAndDescription();
+
+  const bounds = new mapboxgl.LngLatBounds();
+  routePoints.forEach((point) => bounds.extend([point.lng, point.lat]));
+  result.unmatched.forEach(({ from, to }) => {
+    bounds.extend([from.lng, from.lat]);
+    bounds.extend([to.lng, to.lat]);
+  });
+  if (!bounds.isEmpty()) {
+    map.fitBounds(bounds, { padding: 50, duration: 1000 });
+  }
+
+  showTrackImportModal(result);
+}
+
+// Load DEM tiles picked from disk and fill in the heights the data lacks
+async function loadElevationTiles(files) {
+  if (!files || files.length === 0) return;
+
+  const provider = elevationProvider || new ElevationProvider();
+  const failed = [];
+  for (const file of files) {
+    try {
+      provider.addTile(file.name, await file.arrayBuffer());
+    } catch (error) {
+      console.error(`Failed to read elevation tile ${file.name}:`, error);
+      failed.push(file.name);
+    }
+  }
+
+  if (!provider.hasTiles()) {
+    alert("לא ניתן לקרוא את קבצי הגובה. נתמכים קבצי SRTM (.hgt) ו-GeoTIFF.");
+    return;
+  }
+  elevationProvider = provider;
+
+  const filled = applyElevationTiles(false);
+  showElevationTilesModal(filled, failed);
+}
+
+// Give the segments heights from the loaded DEM tiles: only where they have
+// none, or everywhere the tiles cover when resampling. Returns how many
+// coordinates the route manager updated.
+function applyElevationTiles(resample) {
+  const updated = routeManager
+    ? routeManager.setElevationProvider(elevationProvider, { resample })
+    : 0;
+  updateRouteListAndDescription();
+  return updated;
+}
+
+// Insert a shaping point where the route line was dragged to, between the two
+// points of the leg it was grabbed from
+function insertShapingPoint(legIndex, lngLat) {
+  if (!routeManager || legIndex < 0) return;
+
+  logOperation("insertShapingPoint", {
+    legIndex,
+    point: { lat: lngLat.lat, lng: lngLat.lng },
+  });
+  saveState();
+
+  routeManager.updateInternalState(routePoints, selectedSegments);
+  selectedSegments = routeManager.insertShapingPoint(legIndex, {
+    lat: lngLat.lat,
+    lng: lngLat.lng,
+  });
+  syncRoutePointsFromManager();
+
+  updateSegmentStyles();
+  updateRouteListAndDescription();
+}
+
+// Show where a dragged spot of the route line is, or hide it with null
+function showRouteLineDragPoint(lngLat) {
+  const data = {
+    type: "FeatureCollection",
+    features: lngLat
+      ? [
+          {
+            type: "Feature",
+            geometry: { type: "Point", coordinates: [lngLat.lng, lngLat.lat] },
+            properties: {},
+          },
+        ]
+      : [],
+  };
+
+  if (map.getSource("route-line-drag")) {
+    map.getSource("route-line-drag").setData(data);
+    return;
+  }
+  if (!lngLat) return;
+
+  map.addSource("route-line-drag", { type: "geojson", data });
+  map.addLayer({
+    id: "route-line-drag-circle",
+    type: "circle",
+    source: "route-line-drag",
+    paint: {
+      "circle-radius": 5,
+      "circle-color": "#ffffff",
+      "circle-stroke-width": 2,
+      "circle-stroke-color": "#ff4444",
+    },
+  });
+}
+
+// Ride the route the other way round, warning about any direction rules the
+// reversed route now runs into
+function reverseRoute() {
+  if (!routeManager || routePoints.length < 2) return;
+
+  logOperation("reverseRoute", {});
+  saveState();
+
+  routeManager.updateInternalState(routePoints, selectedSegments);
+  selectedSegments = routeManager.reverseRoute();
+  syncRoutePointsFromManager();
+
+  updateSegmentStyles();
+  updateRouteListAndDescription();
+
+  const warnings = routeManager.getDirectionWarnings();
+  if (warnings.length > 0) {
+    showDirectionWarningModal(warnings);
+  }
+}
+
+function toggleAlternativeRoutes() {
+  showAlternativeRoutes = !showAlternativeRoutes;
+  document
+    .getElementById("alternatives-btn")
+    .classList.toggle("active", showAlternativeRoutes);
+  updateRouteListAndDescription();
+}
+
+// Recompute the alternatives offered for every leg of the route
+function updateAlternativeRoutes() {
+  alternativeRoutes = [];
+
+  if (
+    showAlternativeRoutes &&
+    routeManager &&
+    routePoints.length >= 2 &&
+    getRouteManagerInfo()
+  ) {
+    for (
+      let legIndex = 0;
+      legIndex < routeManager.routePoints.length - 1;
+      legIndex++
+    ) {
+      routeManager
+        .getAlternativeRoutes(legIndex)
+        .filter((route) => !route.isCurrent)
+        .slice(0, 2)
+        .forEach((route, option) =>
+          alternativeRoutes.push({ legIndex, option, route }),
+        );
+    }
+  }
+
+  drawAlternativeRoutes();
+}
+
+function drawAlternativeRoutes() {
+  if (!map) return;
+
+  const data = {
+    type: "FeatureCollection",
+    features: alternativeRoutes.map(({ route }, index) => ({
+      type: "Feature",
+      properties: { index },
+      geometry: {
+        type: "LineString",
+        coordinates: route.coordinates.map((c) => [c.lng, c.lat]),
+      },
+    })),
+  };
+
+  if (map.getSource("alternative-routes")) {
+    map.getSource("alternative-routes").setData(data);
+    return;
+  }
+
+  map.addSource("alternative-routes", { type: "geojson", data });
+  map.addLayer({
+    id: "alternative-routes-line",
+    type: "line",
+    source: "alternative-routes",
+    layout: {
+      "line-join": "round",
+      "line-cap": "round",
+    },
+    paint: {
+      "line-color": COLORS.ALTERNATIVE_ROUTE,
+      "line-width": 6,
+      "line-opacity": 0.35,
+    },
+  });
+
+  map.on("mouseenter", "alternative-routes-line", () => {
+    map.getCanvas().style.cursor = "pointer";
+    map.setPaintProperty("alternative-routes-line", "line-opacity", 0.6);
+  });
+  map.on("mouseleave", "alternative-routes-line", () => {
+    map.getCanvas().style.cursor = "";
+    map.setPaintProperty("alternative-routes-line", "line-opacity", 0.35);
+  });
+}
+
+// List of offered alternatives for the route description panel
+function generateAlternativeRoutesList() {
+  if (!showAlternativeRoutes) return "";
+  if (alternativeRoutes.length === 0) {
+    return '<div class="alternative-routes"><em>אין מסלולים חלופיים</em></div>';
+  }
+
+  const items = alternativeRoutes
+    .map(
+      ({ legIndex, option, route }, index) => `
+        <div class="alternative-route-item" data-index="${index}">
+          חלופה ${legIndex + 1}.${option + 1}: ${(route.distance / 1000).toFixed(1)} ק"מ • ⬆️ ${route.elevationGain} מ'
+        </div>`,
+    )
+    .join("");
+  return `<div class="alternative-routes"><strong>מסלולים חלופיים:</strong>${items}</div>`;
+}
+
+function selectAlternativeRoute(index) {
+  const alternative = alternativeRoutes[index];
+  if (!alternative || !routeManager) return;
+
+  saveState();
+  selectedSegments = routeManager.selectAlternativeRoute(
+    alternative.legIndex,
+    alternative.route,
+  );
+  syncRoutePointsFromManager();
+
+  updateSegmentStyles();
+  updateRouteListAndDescription();
+}
+
+// Options stored alongside the segments in shared routes
+function getRouteEncodingOptions() {
+  return {
+    profile: getRoutingProfile(),
+    avoidedSegments: getAvoidedSegments(),
+    rideDate: getRideDate(),
+    outAndBack: isOutAndBack(),
+  };
+}
+
+function initRoutingProfileSelect() {
+  const select = document.getElementById("routing-profile");
+  if (!select) return;
+
+  const profiles = RouteManager.ROUTING_PROFILES;
+  select.innerHTML = Object.keys(profiles)
+    .map((name) => `<option value="${name}">${profiles[name].label}</option>`)
+    .join("");
+  select.value = getRoutingProfile();
+
+  select.addEventListener("change", () => {
+    changeRoutingProfile(select.value);
+  });
+}
+
+// Rider presets (and custom speeds) used for riding-time estimates
+function initRiderPresetSelect() {
+  const select = document.getElementById("rider-preset");
+  const customSpeeds = document.getElementById("custom-rider-speeds");
+  const flatSpeedInput = document.getElementById("rider-flat-speed");
+  const climbRateInput = document.getElementById("rider-climb-rate");
+  if (!select) return;
+
+  const presets = RouteManager.RIDER_PRESETS;
+  select.innerHTML =
+    Object.keys(presets)
+      .map((name) => `<option value="${name}">${presets[name].label}</option>`)
+      .join("") + '<option value="custom">מותאם אישית</option>';
+
+  const showRider = () => {
+    const rider = routeManager
+      ? routeManager.getRider()
+      : { preset: "fit", ...presets.fit };
+    select.value = rider.preset;
+    flatSpeedInput.value = rider.flatSpeed;
+    climbRateInput.value = rider.climbRate;
+    customSpeeds.style.display = rider.preset === "custom" ? "flex" : "none";
+  };
+
+  const applyCustomSpeeds = () => {
+    const flatSpeed = parseFloat(flatSpeedInput.value);
+    const climbRate = parseFloat(climbRateInput.value);
+    if (routeManager && flatSpeed > 0 && climbRate > 0) {
+      routeManager.setRiderSpeeds({ flatSpeed, climbRate });
+      updateRouteListAndDescription();
+    }
+  };
+
+  select.addEventListener("change", () => {
+    if (select.value === "custom") {
+      applyCustomSpeeds();
+    } else if (routeManager) {
+      routeManager.setRiderPreset(select.value);
+      updateRouteListAndDescription();
+    }
+    showRider();
+  });
+  flatSpeedInput.addEventListener("change", applyCustomSpeeds);
+  climbRateInput.addEventListener("change", applyCustomSpeeds);
+
+  showRider();
+}
+
+// Estimated moving time for the current rider, from RouteManager
+function getRidingTime() {
+  if (!getRouteManagerInfo()) return null;
+  return routeManager.getRidingTime();
+}
+
+// Difficulty grade of the current route, from RouteManager.getDifficulty
+function getRouteDifficulty() {
+  if (!getRouteManagerInfo()) return null;
+  return routeManager.getDifficulty();
+}
+
+function renderDifficultyBadge(difficulty) {
+  return `<span class="difficulty-badge difficulty-${difficulty.grade}" title="ציון קושי ${difficulty.score} מתוך 100">${difficulty.label}</span>`;
+}
+
+// "2:05 ש'" for rides of an hour or more, "45 ד'" for shorter ones
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes} ד'`;
+  }
+  const hours = Math.floor(minutes / 60);
+  return `${hours}:${String(minutes % 60).padStart(2, "0")} ש'`;
+}
+
+function updateUndoRedoButtons() {
+  document.getElementById("undo-btn").disabled = undoStack.length === 0;
+  document.getElementById("redo-btn").disabled = redoStack.length === 0;
+  document.getElementById("reset-btn").disabled =
+    selectedSegments.length === 0 && routePoints.length === 0;
+  // Reordering needs at least two points after the fixed start
+  document.getElementById("optimize-order-btn").disabled =
+    routePoints.length < 3;
+  document.getElementById("reverse-route-btn").disabled =
+    routePoints.length < 2;
+}
+
+// Function to log user operations for export
+function logOperation(type, data) {
+  // Get current route state before the operation
+  const currentState = {
+    pointsCount: routePoints.length,
+    segmentsCount: selectedSegments.length,
+    selectedSegments: [...selectedSegments],
+    segmentIds: selectedSegments
+      .map((name) => {
+        const segmentInfo = segmentsData[name];
+        return segmentInfo ? segmentInfo.id : 0;
+      })
+      .filter((id) => id > 0),
+  };
+
+  operationsLog.push({
+    timestamp: Date.now(),
+    type: type,
+    data: data,
+    routeState: currentState,
+  });
+
+  console.log("Logged operation:", operationsLog[operationsLog.length - 1]);
+}
+
+// Function to export operations as JSON
+function exportOperationsJSON() {
+  // Get final route state
+  const finalSegmentIds = selectedSegments
+    .map((name) => {
+      const segmentInfo = segmentsData[name];
+      return segmentInfo ? segmentInfo.id : 0;
+    })
+    .filter((id) => id > 0);
+
+  // Create export object
+  const exportData = {
+    name: `User Test Case - ${new Date()
+      .toLocaleString("en-CA", {
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hour12: false,
+      })
+      .replace(/[/:]/g, "-")
+      .replace(", ", " ")}`,
+    description: `Test case generated from user operations (${operationsLog.length} operations)`,
+    geoJsonFile: "bike_roads_v12.geojson",
+    segmentsFile: "segments.json",
+    operations: operationsLog.map((op) => ({
+      type: op.type,
+      data: op.data,
+      expectedSegmentIds: op.routeState.segmentIds,
+      expectedSegmentsCount: op.routeState.segmentsCount,
+    })),
+    summary: {
+      totalOperations: operationsLog.length,
+      operationTypes: [...new Set(operationsLog.map((op) => op.type))],
+      finalSegmentIds: finalSegmentIds,
+      finalSegmentsCount: selectedSegments.length,
+    },
+  };
+
+  console.log("Exported test case:", exportData);
+  return exportData;
+}
+
+// Function to show export modal
+function showExportModal() {
+  const exportData = exportOperationsJSON();
+  const jsonString = JSON.stringify(exportData, null, 2);
+
+  // Create modal elements
+  const modal = document.createElement("div");
+  modal.className = "export-modal";
+  modal.innerHTML = `
+    <div class="export-modal-content">
+      <div class="export-modal-header">
+        <h3>📋 Export Operations JSON</h3>
+        <button class="export-modal-close">&times;</button>
+      </div>
+      <div class="export-modal-body">
+        <p>Operations exported: <strong>${exportData.operations.length}</strong></p>
+        <p>Final segments: <strong>${exportData.summary.finalSegmentsCount}</strong></p>
+        <div class="json-container">
+          <textarea class="json-textarea" readonly>${jsonString}</textarea>
+        </div>
+        <div class="export-modal-actions">
+          <button id="copy-json-btn" class="copy-json-btn">📄 Copy JSON</button>
+          <button id="clear-operations-btn" class="clear-operations-btn">🗑️ Clear Log</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  // Add event listeners
+  const closeBtn = modal.querySelector(".export-modal-close");
+  const copyBtn = modal.querySelector("#copy-json-btn");
+  const clearBtn = modal.querySelector("#clear-operations-btn");
+  const textarea = modal.querySelector(".json-textarea");
+
+  closeBtn.addEventListener("click", () => {
+    document.body.removeChild(modal);
+  });
+
+  copyBtn.addEventListener("click", () => {
+    textarea.select();
+    navigator.clipboard
+      .writeText(jsonString)
+      .then(() => {
+        copyBtn.textContent = "✅ Copied!";
+        copyBtn.style.background = "#4CAF50";
+        setTimeout(() => {
+          copyBtn.textContent = "📄 Copy JSON";
+          copyBtn.style.background = "#4682B4";
+        }, 2000);
+      })
+      .catch(() => {
+        document.execCommand("copy");
+        copyBtn.textContent = "✅ Copied!";
+        copyBtn.style.background = "#4CAF50";
+        setTimeout(() => {
+          copyBtn.textContent = "📄 Copy JSON";
+          copyBtn.style.background = "#4682B4";
+        }, 2000);
+      });
+  });
+
+  clearBtn.addEventListener("click", () => {
+    operationsLog = [];
+    document.body.removeChild(modal);
+    alert("Operations log cleared!");
+  });
+
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      document.body.removeChild(modal);
+    }
+  });
+
+  // Add escape key listener
+  const handleEscape = (e) => {
+    if (e.key === "Escape") {
+      document.body.removeChild(modal);
+      document.removeEventListener("keydown", handleEscape);
+    }
+  };
+  document.addEventListener("keydown", handleEscape);
+}
+
+function resetRoute() {
+  // Log the reset operation
+  logOperation("reset", {
+    clearedPointsCount: routePoints.length,
+    clearedSegmentsCount: selectedSegments.length,
+  });
+
+  // Save current state for potential undo
+  if (selectedSegments.length > 0 || routePoints.length > 0) {
+    saveState();
+  }
+
+  // Clear RouteManager state first
+  if (routeManager) {
+    routeManager.clearRoute();
+    routeManager.setAvoidedSegments([]);
+  }
+
+  // Clear selected segments and points
+  selectedSegments = [];
+  clearRoutePoints();
+
+  // Clear undo/redo stacks
+  undoStack = [];
+  redoStack = [];
+
+  // Reset all segment styles to original
+  routePolylines.forEach((polylineData) => {
+    const layerId = polylineData.layerId;
+    map.setPaintProperty(
+      layerId,
+      "line-color",
+      polylineData.originalStyle.color,
+    );
+    map.setPaintProperty(
+      layerId,
+      "line-width",
+      polylineData.originalStyle.weight,
+    );
+    map.setPaintProperty(layerId, "line-dasharray", null);
+  });
+
+  // Remove any existing markers
+  if (window.hoverMarker) {
+    window.hoverMarker.remove();
+    window.hoverMarker = null;
+  }
+
+  if (window.elevationMarker) {
+    window.elevationMarker.remove();
+    window.elevationMarker = null;
+  }
+
+  // Hide segment name display
+  const segmentDisplay = document.getElementById("segment-name-display");
+  segmentDisplay.style.display = "none";
+
+  // Update UI
+  updateRouteListAndDescription();
+  updateUndoRedoButtons();
+  clearRouteFromUrl(); // Clear route parameter when resetting
+}
+
+function updateSegmentStyles() {
   routePolylines.forEach((polylineData) => {
     const layerId = polylineData.layerId;
     // Check if layer exists before trying to set properties
     if (map.getLayer(layerId)) {
+      // Avoided segments and those closed or muddy on the ride date are
+      // dashed; hover effects only touch color and width
+      const isAvoided =
+        routeManager && routeManager.isSegmentAvoided(polylineData.segmentName);
+      const seasonTypes = getActiveSeasonTypes(polylineData.segmentName);
+      let dash = null;
+      if (isAvoided || seasonTypes.includes("closed")) {
+        dash = AVOIDED_SEGMENT_DASH;
+      } else if (seasonTypes.includes("mud")) {
+        dash = MUD_SEGMENT_DASH;
+      }
+      map.setPaintProperty(layerId, "line-dasharray", dash);
+
       if (selectedSegments.includes(polylineData.segmentName)) {
         map.setPaintProperty(layerId, "line-color", COLORS.SEGMENT_SELECTED);
         map.setPaintProperty(
@@ -1151,7 +1872,7 @@ function initMap() {
 
         // Show segment info using pre-calculated data
         const name = closestSegment.segmentName;
-        const metrics = segmentMetrics[name];
+        const metrics = getSegmentMetrics(name);
         const segmentDistanceKm = metrics ? metrics.distanceKm : "0.0";
         const segmentElevationGain = metrics
           ? metrics.forward.elevationGain
@@ -1166,12 +1887,15 @@ function initMap() {
         // Check for warnings in segments data and add to segment display
         const segmentInfo = segmentsData[name];
         if (segmentInfo) {
-          if (segmentInfo.winter === false) {
-            segmentDisplay.innerHTML += `<div style="color: ${COLORS.WARNING_ORANGE}; font-size: 12px; margin-top: 5px;">❄️  בוץ בחורף</div>`;
-          }
+          getSeasonalWarnings(name).forEach(({ icon, text, color }) => {
+            segmentDisplay.innerHTML += `<div style="color: ${color}; font-size: 12px; margin-top: 5px;">${icon} ${text}</div>`;
+          });
           if (segmentInfo.warning) {
             segmentDisplay.innerHTML += `<div style="color: ${COLORS.WARNING_RED}; font-size: 12px; margin-top: 5px;">⚠️ ${segmentInfo.warning}</div>`;
           }
+          getDirectionRuleLines(name).forEach((line) => {
+            segmentDisplay.innerHTML += `<div style="color: ${COLORS.WARNING_RED}; font-size: 12px; margin-top: 5px;">${line}</div>`;
+          });
         }
 
         segmentDisplay.style.display = "block";
@@ -1190,72 +1914,123 @@ function initMap() {
         return;
       }
 
-      const clickPoint = e.lngLat;
-      const clickPixel = map.project(clickPoint);
-      const threshold = 15; // Use same threshold as hover logic
+      // Clicking a dimmed alternative route switches to it
+      if (map.getLayer("alternative-routes-line")) {
+        const alternative = map.queryRenderedFeatures(e.point, {
+          layers: ["alternative-routes-line"],
+        })[0];
+        if (alternative) {
+          selectAlternativeRoute(alternative.properties.index);
+          return;
+        }
+      }
 
-      // Use spatial index for efficient segment lookup
-      let closestSegment = null;
-      let closestPointOnSegment = null;
+      const { closestSegment, closestPointOnSegment } =
+        findSegmentAtMapPoint(e.lngLat);
 
-      if (spatialIndex) {
-        // Convert pixel threshold to approximate degree threshold
-        const degreeThreshold = threshold * 0.00005; // Rough conversion
-        const candidateSegment = spatialIndex.findNearestSegment(
-          clickPoint.lat, 
-          clickPoint.lng, 
-          degreeThreshold
-        );
+      // Only add point if close enough to a segment and snap it to the segment
+      if (closestSegment && closestPointOnSegment && isPickingLoopStart) {
+        isPickingLoopStart = false;
+        map.getCanvas().style.cursor = "";
+        showLoopModal(closestPointOnSegment);
+      } else if (closestSegment && closestPointOnSegment) {
+        addRoutePoint({
+          lng: closestPointOnSegment.lng,
+          lat: closestPointOnSegment.lat,
+        });
+      }
+    });
 
-        // Verify the candidate with precise pixel distance if found
-        if (candidateSegment) {
-          const coords = candidateSegment.coordinates;
-          let minPixelDistance = Infinity;
-          let bestSegmentStart = null;
-          let bestSegmentEnd = null;
-          
-          for (let i = 0; i < coords.length - 1; i++) {
-            const startPixel = map.project([coords[i].lng, coords[i].lat]);
-            const endPixel = map.project([coords[i + 1].lng, coords[i + 1].lat]);
+    // Dragging the route line onto another segment adds a shaping point to
+    // the leg that was grabbed
+    map.on("mousedown", (e) => {
+      if (
+        isDraggingPoint ||
+        isPickingLoopStart ||
+        !routeManager ||
+        routePoints.length < 2
+      ) {
+        return;
+      }
+      if (
+        map.getLayer("route-points-circle") &&
+        map.queryRenderedFeatures(e.point, { layers: ["route-points-circle"] })
+          .length > 0
+      ) {
+        return;
+      }
 
-            const distance = distanceToLineSegmentPixels(
-              clickPixel,
-              startPixel,
-              endPixel,
-            );
+      const { closestSegment, closestPointOnSegment } =
+        findSegmentAtMapPoint(e.lngLat);
+      if (
+        !closestSegment ||
+        !closestPointOnSegment ||
+        !selectedSegments.includes(closestSegment.segmentName)
+      ) {
+        return;
+      }
+
+      e.preventDefault();
+      routeLineDrag = {
+        legIndex: routeManager.getLegIndexAt(closestPointOnSegment),
+        startPixel: e.point,
+        moved: false,
+      };
+      map.dragPan.disable();
+      map.getCanvas().style.cursor = "grabbing";
+    });
 
-            if (distance < minPixelDistance) {
-              minPixelDistance = distance;
-              bestSegmentStart = coords[i];
-              bestSegmentEnd = coords[i + 1];
-            }
-          }
+    map.on("mousemove", (e) => {
+      if (!routeLineDrag) return;
 
-          if (minPixelDistance < threshold && bestSegmentStart && bestSegmentEnd) {
-            closestSegment = candidateSegment;
-            closestPointOnSegment = getClosestPointOnLineSegment(
-              { lat: clickPoint.lat, lng: clickPoint.lng },
-              bestSegmentStart,
-              bestSegmentEnd,
-            );
-          }
-        }
+      // Small movements are still a click
+      const dx = e.point.x - routeLineDrag.startPixel.x;
+      const dy = e.point.y - routeLineDrag.startPixel.y;
+      if (Math.sqrt(dx * dx + dy * dy) > 3) {
+        routeLineDrag.moved = true;
+      }
+      if (routeLineDrag.moved) {
+        showRouteLineDragPoint(e.lngLat);
       }
+    });
 
-      // Only add point if close enough to a segment and snap it to the segment
+    map.on("mouseup", (e) => {
+      if (!routeLineDrag) return;
+
+      const { legIndex, moved } = routeLineDrag;
+      routeLineDrag = null;
+      showRouteLineDragPoint(null);
+      map.dragPan.enable();
+      map.getCanvas().style.cursor = "";
+      if (!moved) return;
+
+      const { closestSegment, closestPointOnSegment } =
+        findSegmentAtMapPoint(e.lngLat);
       if (closestSegment && closestPointOnSegment) {
-        addRoutePoint({
-          lng: closestPointOnSegment.lng,
-          lat: closestPointOnSegment.lat,
-        });
+        insertShapingPoint(legIndex, closestPointOnSegment);
       }
     });
 
     // Map move handlers are no longer needed with custom drag implementation
 
-    // Add context menu handler to prevent browser context menu on map
+    // Add context menu handler to prevent browser context menu on map.
+    // Right-clicking a segment offers to block it for routing.
     map.on("contextmenu", (e) => {
       e.preventDefault();
+
+      // Right-clicking a route point removes it (handled by its layer)
+      if (
+        map.getLayer("route-points-circle") &&
+        map.queryRenderedFeatures(e.point, { layers: ["route-points-circle"] })
+          .length > 0
+      ) {
+        return;
+      }
+
+      const { closestSegment } = findSegmentAtMapPoint(e.lngLat, true);
+      if (closestSegment) {
+        showSegmentActionModal(closestSegment.segmentName);
+      }
     });
   } catch (error) {
     document.getElementById("error-message").style.display = "block";
@@ -1264,6 +2039,72 @@ function initMap() {
   }
 }
 
+// Find the segment under a clicked map point (within 15 pixels) and the
+// closest point on it. Avoided segments are skipped unless includeAvoided.
+function findSegmentAtMapPoint(clickPoint, includeAvoided = false) {
+  const clickPixel = map.project(clickPoint);
+  const threshold = 15; // Use same threshold as hover logic
+
+  // Use spatial index for efficient segment lookup
+  let closestSegment = null;
+  let closestPointOnSegment = null;
+
+  if (spatialIndex) {
+    // Convert pixel threshold to approximate degree threshold
+    const degreeThreshold = threshold * 0.00005; // Rough conversion
+    const candidateSegment = spatialIndex.findNearestSegment(
+      clickPoint.lat, 
+      clickPoint.lng, 
+      degreeThreshold
+    );
+
+    // Verify the candidate with precise pixel distance if found
+    if (candidateSegment) {
+      const coords = candidateSegment.coordinates;
+      let minPixelDistance = Infinity;
+      let bestSegmentStart = null;
+      let bestSegmentEnd = null;
+      
+      for (let i = 0; i < coords.length - 1; i++) {
+        const startPixel = map.project([coords[i].lng, coords[i].lat]);
+        const endPixel = map.project([coords[i + 1].lng, coords[i + 1].lat]);
+
+        const distance = distanceToLineSegmentPixels(
+          clickPixel,
+          startPixel,
+          endPixel,
+        );
+
+        if (distance < minPixelDistance) {
+          minPixelDistance = distance;
+          bestSegmentStart = coords[i];
+          bestSegmentEnd = coords[i + 1];
+        }
+      }
+
+      if (minPixelDistance < threshold && bestSegmentStart && bestSegmentEnd) {
+        closestSegment = candidateSegment;
+        closestPointOnSegment = getClosestPointOnLineSegment(
+          { lat: clickPoint.lat, lng: clickPoint.lng },
+          bestSegmentStart,
+          bestSegmentEnd,
+        );
+      }
+    }
+  }
+
+  if (
+    closestSegment &&
+    !includeAvoided &&
+    routeManager &&
+    routeManager.isSegmentAvoided(closestSegment.segmentName)
+  ) {
+    return { closestSegment: null, closestPointOnSegment: null };
+  }
+
+  return { closestSegment, closestPointOnSegment };
+}
+
 // Base58 alphabet (Bitcoin-style)
 const BASE58_ALPHABET =
   "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
@@ -1323,33 +2164,205 @@ function base58Decode(str) {
 }
 
 // Route sharing functions
-function encodeRoute(segmentNames) {
-  if (!segmentNames || segmentNames.length === 0) return "";
-
-  // Convert segment names to IDs using segments data
-  const segmentIds = segmentNames
+// Convert segment names to IDs using segments data
+function segmentNamesToIds(segmentNames) {
+  return segmentNames
     .map((name) => {
       const segmentInfo = segmentsData[name];
       return segmentInfo ? segmentInfo.id : 0;
     })
     .filter((id) => id > 0);
+}
+
+// Bring segment IDs of a route shared on an older dataset revision up to
+// the current one, applying each later revision's split, merge, rename and
+// delete tables in turn. IDs that were deleted are returned as unmapped.
+function migrateSegmentIds(segmentIds, fromRevision) {
+  const unmapped = [];
+  const tables = (datasetMigrations?.revisions || [])
+    .filter(({ revision }) => revision > fromRevision)
+    .sort((a, b) => a.revision - b.revision);
+
+  const migratedIds = tables.reduce((ids, table, t) => {
+    const migrated = [];
+    ids.forEach((id, i) => {
+      const mergedId = table.merge?.[id];
+      if (mergedId !== undefined) {
+        // Neighbours merged into one segment leave it only once
+        if (migrated[migrated.length - 1] !== mergedId) migrated.push(mergedId);
+      } else if (table.delete?.includes(id)) {
+        unmapped.push(id);
+      } else if (Array.isArray(table.split?.[id])) {
+        // The parts are listed in the old segment's direction; a route that
+        // rode it the other way takes them in reverse
+        const parts = table.split[id];
+        const previousEnds =
+          migrated.length > 0
+            ? getSegmentIdEndpoints(
+                migrated[migrated.length - 1],
+                tables.slice(t + 1),
+              )
+            : [];
+        const nextEnds =
+          i + 1 < ids.length
+            ? getSegmentIdEndpoints(ids[i + 1], tables.slice(t))
+            : [];
+        const partEnds = (partId) =>
+          getSegmentIdEndpoints(partId, tables.slice(t + 1));
+        const gap = (first, last) =>
+          getEndpointsGap(previousEnds, partEnds(first)) +
+          getEndpointsGap(partEnds(last), nextEnds);
+
+        const first = parts[0];
+        const last = parts[parts.length - 1];
+        migrated.push(
+          ...(gap(last, first) < gap(first, last)
+            ? [...parts].reverse()
+            : parts),
+        );
+      } else {
+        migrated.push(table.rename?.[id] ?? id);
+      }
+    });
+    return migrated;
+  }, segmentIds);
+
+  return { segmentIds: migratedIds, unmapped };
+}
+
+// End points of the loaded segments a segment ID stands for once the given
+// migration tables are applied, in no particular order
+function getSegmentIdEndpoints(segmentId, tables) {
+  if (!routeManager) return [];
+
+  const ids = tables.reduce(
+    (ids, table) =>
+      ids.flatMap((id) => {
+        if (table.merge?.[id] !== undefined) return [table.merge[id]];
+        if (table.delete?.includes(id)) return [];
+        if (Array.isArray(table.split?.[id])) return table.split[id];
+        return [table.rename?.[id] ?? id];
+      }),
+    [segmentId],
+  );
+
+  return segmentIdsToNames(ids).flatMap((segmentName) => {
+    const coords = routeManager.segments.get(segmentName)?.coordinates || [];
+    return coords.length > 0 ? [coords[0], coords[coords.length - 1]] : [];
+  });
+}
+
+// Shortest distance between two sets of end points, 0 if either is empty so
+// a missing neighbour doesn't weigh in
+function getEndpointsGap(ends, otherEnds) {
+  if (ends.length === 0 || otherEnds.length === 0) return 0;
+  return Math.min(
+    ...ends.flatMap((end) => otherEnds.map((other) => getDistance(end, other))),
+  );
+}
+
+// Name of a segment ID for messages, the ID itself if no segment has it
+function getSegmentIdLabel(segmentId) {
+  const segmentName = Object.keys(segmentsData || {}).find(
+    (name) => segmentsData[name]?.id === segmentId,
+  );
+  return segmentName || `#${segmentId}`;
+}
+
+// Convert segment IDs back to names. IDs of segments that were split or
+// merged in a later dataset resolve to the segments replacing them, and
+// removed segments are dropped; IDs left without a segment are added to
+// unmapped.
+function segmentIdsToNames(segmentIds, unmapped = []) {
+  const namesById = new Map();
+  for (const segmentName in segmentsData) {
+    const segmentInfo = segmentsData[segmentName];
+    if (segmentInfo && !namesById.has(segmentInfo.id)) {
+      namesById.set(segmentInfo.id, segmentName);
+    }
+  }
+
+  const resolve = (segmentId, seen = new Set()) => {
+    const segmentName = namesById.get(segmentId);
+    if (!segmentName || seen.has(segmentId)) return [];
+    seen.add(segmentId);
+
+    const segmentInfo = segmentsData[segmentName];
+    if (Array.isArray(segmentInfo.split)) {
+      // Connectivity of the parts is handled later by getOrderedCoordinates
+      return segmentInfo.split.flatMap((splitId) => resolve(splitId, seen));
+    }
+    if (Number.isInteger(segmentInfo.merged)) {
+      return resolve(segmentInfo.merged, seen);
+    }
+    return segmentInfo.removed ? [] : [segmentName];
+  };
+
+  const segmentNames = [];
+  segmentIds.forEach((segmentId, i) => {
+    const resolvedNames = resolve(segmentId);
+    if (resolvedNames.length === 0) unmapped.push(segmentId);
+    resolvedNames.forEach((segmentName) => {
+      // Neighbours merged into one segment leave it only once
+      const isMergedNeighbour =
+        segmentNames[segmentNames.length - 1] === segmentName &&
+        segmentIds[i - 1] !== segmentId;
+      if (!isMergedNeighbour) segmentNames.push(segmentName);
+    });
+  });
+  return segmentNames;
+}
+
+function encodeRoute(segmentNames, options = {}) {
+  if (!segmentNames || segmentNames.length === 0) return "";
 
+  const segmentIds = segmentNamesToIds(segmentNames);
   if (segmentIds.length === 0) return "";
 
-  // Create binary data with version byte + segment IDs
+  // 16-bit words: segment count, segment IDs, then optional tagged blocks
+  // of [tag, length, ...values]. Decoders skip tags they don't know.
+  const words = [segmentIds.length, ...segmentIds];
+
+  const avoidedIds = segmentNamesToIds(options.avoidedSegments || []);
+  if (avoidedIds.length > 0) {
+    words.push(ROUTE_TAGS.AVOIDED_SEGMENTS, avoidedIds.length, ...avoidedIds);
+  }
+
+  // Ride date as days since 1970-01-01
+  const rideDay = /^(\d{4})-(\d{2})-(\d{2})$/.exec(options.rideDate || "");
+  if (rideDay) {
+    const days =
+      Date.UTC(Number(rideDay[1]), Number(rideDay[2]) - 1, Number(rideDay[3])) /
+      86400000;
+    words.push(ROUTE_TAGS.RIDE_DATE, 1, days);
+  }
+
+  // Out-and-back rides are flagged by an empty block
+  if (options.outAndBack) {
+    words.push(ROUTE_TAGS.OUT_AND_BACK, 0);
+  }
+
+  // The dataset revision the segment IDs refer to
+  if (datasetMigrations?.revision) {
+    words.push(ROUTE_TAGS.DATASET_REVISION, 1, datasetMigrations.revision);
+  }
+
+  // Create binary data with version byte + options byte + words
   // Need to ensure proper alignment for Uint16Array (2-byte aligned)
-  const totalBytes = 2 + segmentIds.length * 2; // 2 bytes for version padding + segment data
+  const totalBytes = 2 + words.length * 2;
   const binaryData = new ArrayBuffer(totalBytes);
   const uint8Array = new Uint8Array(binaryData);
 
-  // Write version as first byte, pad second byte to maintain alignment
+  // Write version as first byte; the second byte holds the routing
+  // profile id, 0 being the default "shortest"
+  const profile = RouteManager.ROUTING_PROFILES[options.profile];
   uint8Array[0] = ROUTE_VERSION;
-  uint8Array[1] = 0; // Padding byte for alignment
+  uint8Array[1] = profile ? profile.id : 0;
 
-  // Write segment IDs as 16-bit values starting from byte offset 2
+  // Write words as 16-bit values starting from byte offset 2
   const view = new Uint16Array(binaryData, 2);
-  segmentIds.forEach((id, index) => {
-    view[index] = id;
+  words.forEach((word, index) => {
+    view[index] = word;
   });
 
   // Convert to base58
@@ -1357,7 +2370,23 @@ function encodeRoute(segmentNames) {
 }
 
 function decodeRoute(routeString) {
-  if (!routeString) return [];
+  return decodeRouteData(routeString).segments;
+}
+
+// Decode a route string into its segments and route options. Routes shared
+// on an older dataset revision are migrated to the current data;
+// unmappedSegments names the segments that could not be carried over.
+function decodeRouteData(routeString) {
+  const empty = {
+    segments: [],
+    profile: "shortest",
+    avoidedSegments: [],
+    rideDate: null,
+    outAndBack: false,
+    revision: null,
+    unmappedSegments: [],
+  };
+  if (!routeString) return empty;
 
   try {
     let uint8Array;
@@ -1369,7 +2398,7 @@ function decodeRoute(routeString) {
       );
 
     if (isBase58) {
-      // Decode from base58 (version 2)
+      // Decode from base58 (version 2 and later)
       uint8Array = base58Decode(routeString);
     } else {
       // Decode from base64 (legacy version 1)
@@ -1385,86 +2414,105 @@ function decodeRoute(routeString) {
     // Check for empty data
     if (uint8Array.byteLength === 0) {
       console.warn("Empty route data");
-      return [];
+      return empty;
     }
 
     // Read version from first byte
     const version = uint8Array[0];
 
-    if (version !== 1 && version !== ROUTE_VERSION) {
+    if (version < 1 || version > ROUTE_VERSION) {
       console.warn(
-        `Unsupported route version: ${version}. Expected version 1 or ${ROUTE_VERSION}.`,
+        `Unsupported route version: ${version}. Expected version 1 to ${ROUTE_VERSION}.`,
       );
-      return [];
+      return empty;
     }
 
-    // Parse segment data (skip version and padding bytes)
+    // Parse segment data (skip version and options bytes)
     const segmentDataOffset = 2;
     const segmentDataLength = uint8Array.byteLength - segmentDataOffset;
 
     if (segmentDataLength % 2 !== 0) {
       console.warn("Invalid route data: segment data length is not even");
-      return [];
+      return empty;
     }
 
-    const view = new Uint16Array(uint8Array.buffer, segmentDataOffset);
-    const segmentIds = Array.from(view);
-
-    // Convert IDs back to segment names, handling splits
-    const segmentNames = [];
-
-    for (let i = 0; i < segmentIds.length; i++) {
-      const segmentId = segmentIds[i];
-      let foundSegment = null;
-
-      // Find segment by ID
-      for (const segmentName in segmentsData) {
-        const segmentInfo = segmentsData[segmentName];
-        if (segmentInfo && segmentInfo.id === segmentId) {
-          foundSegment = { name: segmentName, info: segmentInfo };
-          break;
-        }
-      }
+    // Version 1 links predate routing profiles
+    const profileId = version >= 2 ? uint8Array[1] : 0;
+    const profile =
+      Object.keys(RouteManager.ROUTING_PROFILES).find(
+        (name) => RouteManager.ROUTING_PROFILES[name].id === profileId,
+      ) || "shortest";
 
-      if (foundSegment) {
-        // Check if this segment has split property
-        if (foundSegment.info.split && Array.isArray(foundSegment.info.split)) {
-          // Replace with split segments
-          const splitSegmentIds = foundSegment.info.split;
-
-          // Find the actual segment names for the split IDs
-          const splitSegmentNames = [];
-          for (const splitId of splitSegmentIds) {
-            for (const segmentName in segmentsData) {
-              const segmentInfo = segmentsData[segmentName];
-              if (segmentInfo && segmentInfo.id === splitId) {
-                splitSegmentNames.push(segmentName);
-                break;
-              }
-            }
-          }
+    const view = new Uint16Array(uint8Array.buffer, segmentDataOffset);
+    const words = Array.from(view);
+
+    // Versions 1 and 2 hold nothing but segment IDs
+    if (version < 3) {
+      return {
+        ...empty,
+        ...decodeSegmentIds(words, DATASET_BASE_REVISION),
+        profile,
+      };
+    }
 
-          // Wait for routePolylines to be available before processing connectivity
-          if (splitSegmentNames.length > 0) {
-            // For now, just add them in order - connectivity will be handled later by getOrderedCoordinates
-            segmentNames.push(...splitSegmentNames);
-          }
-        } else {
-          // Regular segment, add it
-          segmentNames.push(foundSegment.name);
-        }
+    const segmentCount = words[0] || 0;
+    const segmentIds = words.slice(1, 1 + segmentCount);
+    let avoidedIds = [];
+    let rideDate = null;
+    let outAndBack = false;
+    let revision = DATASET_BASE_REVISION;
+
+    let offset = 1 + segmentCount;
+    while (offset + 1 < words.length) {
+      const tag = words[offset];
+      const length = words[offset + 1];
+      const values = words.slice(offset + 2, offset + 2 + length);
+      if (tag === ROUTE_TAGS.AVOIDED_SEGMENTS) {
+        avoidedIds = values;
+      } else if (tag === ROUTE_TAGS.RIDE_DATE && values.length === 1) {
+        rideDate = new Date(values[0] * 86400000).toISOString().slice(0, 10);
+      } else if (tag === ROUTE_TAGS.OUT_AND_BACK) {
+        outAndBack = true;
+      } else if (tag === ROUTE_TAGS.DATASET_REVISION && values.length === 1) {
+        revision = values[0];
       }
+      offset += 2 + length;
     }
 
-    return segmentNames.filter((name) => name); // Remove empty slots
+    return {
+      ...decodeSegmentIds(segmentIds, revision),
+      profile,
+      avoidedSegments: decodeSegmentIds(avoidedIds, revision).segments,
+      rideDate,
+      outAndBack,
+    };
   } catch (error) {
     console.error("Error decoding route:", error);
-    return [];
+    return empty;
   }
 }
 
+// Segment names of IDs encoded on a dataset revision, dropping segments
+// the map no longer has
+function decodeSegmentIds(segmentIds, revision) {
+  const migration = migrateSegmentIds(segmentIds, revision);
+  const unmapped = [...migration.unmapped];
+  const segments = segmentIdsToNames(migration.segmentIds, unmapped);
+
+  // Old entries can outlive their feature in segments.json
+  const missing = routeManager
+    ? segments.filter((name) => !routeManager.segments.has(name))
+    : [];
+
+  return {
+    segments: segments.filter((name) => !missing.includes(name)),
+    revision,
+    unmappedSegments: [...unmapped.map(getSegmentIdLabel), ...missing],
+  };
+}
+
 function shareRoute() {
-  const routeId = encodeRoute(selectedSegments);
+  const routeId = encodeRoute(selectedSegments, getRouteEncodingOptions());
   if (!routeId) {
     alert("אין מסלול לשיתוף. בחרו קטעים כדי ליצור מסלול.");
     return;
@@ -1529,7 +2577,264 @@ function showResetModal() {
   document.addEventListener("keydown", handleEscape);
 }
 
+// Start the loop generator from the route's first point, or let the user
+// pick a start point on the map
+function startLoopGenerator() {
+  if (!routeManager) return;
+
+  if (routePoints.length > 0) {
+    showLoopModal(routePoints[0]);
+    return;
+  }
+
+  isPickingLoopStart = true;
+  map.getCanvas().style.cursor = "crosshair";
+  alert("לחצו על קטע דרך במפה כדי לבחור נקודת התחלה למסלול המעגלי");
+}
+
+function showLoopModal(startPoint) {
+  const modal = document.createElement("div");
+  modal.className = "loop-modal";
+  modal.innerHTML = `
+    <div class="loop-modal-content">
+      <div class="loop-modal-header">
+        <h3>🔄 מסלול מעגלי</h3>
+        <button class="loop-modal-close">&times;</button>
+      </div>
+      <div class="loop-modal-body">
+        <div class="loop-form">
+          <label>מרחק רצוי (ק"מ)
+            <input type="number" id="loop-distance" min="2" max="200" value="40" />
+          </label>
+          <label>טיפוס מקסימלי (מ')
+            <input type="number" id="loop-climb" min="0" step="50" value="500" />
+          </label>
+        </div>
+        <div class="download-modal-actions">
+          <button id="loop-generate" class="download-confirm-btn">חיפוש מסלולים</button>
+        </div>
+        <div class="loop-results" id="loop-results"></div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const closeModal = () => {
+    if (modal.parentNode) {
+      document.body.removeChild(modal);
+    }
+    document.removeEventListener("keydown", handleEscape);
+  };
+
+  const resultsContainer = modal.querySelector("#loop-results");
+
+  modal.querySelector("#loop-generate").addEventListener("click", () => {
+    const distanceKm = parseFloat(modal.querySelector("#loop-distance").value);
+    const maxClimb = parseFloat(modal.querySelector("#loop-climb").value);
+
+    const loops = routeManager.generateLoops(startPoint, {
+      targetDistance: (distanceKm || 40) * 1000,
+      maxElevationGain: Number.isFinite(maxClimb) ? maxClimb : Infinity,
+    });
+
+    if (loops.length === 0) {
+      resultsContainer.innerHTML =
+        '<p style="color: #666; font-style: italic;">לא נמצאו מסלולים מעגליים מנקודה זו</p>';
+      return;
+    }
+
+    resultsContainer.innerHTML = loops
+      .map((loop, index) => {
+        const repeatedNote =
+          loop.repeatedDistance > 0
+            ? `<div class="loop-result-note">כולל ${(loop.repeatedDistance / 1000).toFixed(1)} ק"מ הלוך ושוב</div>`
+            : "";
+        return `
+          <div class="loop-result" data-index="${index}">
+            <strong>מסלול ${index + 1}:</strong> ${(loop.distance / 1000).toFixed(1)} ק"מ • ⬆️ ${Math.round(loop.elevationGain)} מ'
+            ${repeatedNote}
+          </div>
+        `;
+      })
+      .join("");
+
+    resultsContainer.querySelectorAll(".loop-result").forEach((item) => {
+      item.addEventListener("click", () => {
+        loadGeneratedLoop(loops[parseInt(item.dataset.index, 10)]);
+        closeModal();
+      });
+    });
+  });
+
+  modal.querySelector(".loop-modal-close").addEventListener("click", closeModal);
+
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+
+  // Add escape key listener
+  const handleEscape = (e) => {
+    if (e.key === "Escape") {
+      closeModal();
+    }
+  };
+  document.addEventListener("keydown", handleEscape);
+}
+
+// Replace the current route with a generated loop
+function loadGeneratedLoop(loop) {
+  if (selectedSegments.length > 0 || routePoints.length > 0) {
+    saveState();
+  }
+
+  clearRoutePoints();
+  routePoints = loop.points.map((point) => ({
+    ...point,
+    id: Date.now() + Math.random(),
+  }));
+  routePoints.forEach((point, index) => {
+    createPointMarker(point, index);
+  });
+
+  selectedSegments = [...loop.segments];
+  routeManager.updateInternalState(routePoints, selectedSegments);
+
+  updateSegmentStyles();
+  updateRouteListAndDescription();
+  clearRouteFromUrl();
+  focusMapOnRoute();
+}
+
+function showSegmentActionModal(segmentName) {
+  const isAvoided = routeManager && routeManager.isSegmentAvoided(segmentName);
+
+  const modal = document.createElement("div");
+  modal.className = "segment-action-modal";
+  modal.innerHTML = `
+    <div class="segment-action-modal-content">
+      <div class="segment-action-modal-header">
+        <h3>${segmentName}</h3>
+        <button class="share-modal-close">&times;</button>
+      </div>
+      <div class="segment-action-modal-body">
+        <p>${
+          isAvoided
+            ? "קטע זה חסום - חישוב המסלול לא יעבור בו."
+            : "שער נעול או דרך מוצפת? ניתן לחסום את הקטע כך שחישוב המסלול יעקוף אותו."
+        }</p>
+        <div class="segment-action-buttons">
+          <button class="segment-action-btn ${isAvoided ? "add-again-btn" : "remove-btn"}">
+            ${isAvoided ? "✅ ביטול החסימה" : "🚫 הימנעות מקטע זה"}
+          </button>
+          <button class="segment-action-btn cancel-btn">ביטול</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const closeModal = () => {
+    if (modal.parentNode) {
+      document.body.removeChild(modal);
+    }
+    document.removeEventListener("keydown", handleEscape);
+  };
+
+  modal
+    .querySelector(".add-again-btn, .remove-btn")
+    .addEventListener("click", () => {
+      toggleAvoidedSegment(segmentName);
+      closeModal();
+    });
+  modal.querySelector(".cancel-btn").addEventListener("click", closeModal);
+  modal.querySelector(".share-modal-close").addEventListener("click", closeModal);
+
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+
+  // Add escape key listener
+  const handleEscape = (e) => {
+    if (e.key === "Escape") {
+      closeModal();
+    }
+  };
+  document.addEventListener("keydown", handleEscape);
+}
+
+function showOptimizeOrderModal() {
+  if (routePoints.length < 3) return;
+
+  const modal = document.createElement("div");
+  modal.className = "segment-action-modal";
+  modal.innerHTML = `
+    <div class="segment-action-modal-content">
+      <div class="segment-action-modal-header">
+        <h3>סידור נקודות המסלול</h3>
+        <button class="share-modal-close">&times;</button>
+      </div>
+      <div class="segment-action-modal-body">
+        <p>נקודת ההתחלה נשארת במקומה, ושאר הנקודות יסודרו מחדש כך שהמסלול יהיה הקצר ביותר.</p>
+        <div class="segment-action-buttons">
+          <button class="segment-action-btn add-again-btn free-end-btn">
+            🔀 סידור כל הנקודות
+          </button>
+          <button class="segment-action-btn add-again-btn fixed-end-btn">
+            🏁 שמירת נקודת הסיום
+          </button>
+          <button class="segment-action-btn cancel-btn">ביטול</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const closeModal = () => {
+    if (modal.parentNode) {
+      document.body.removeChild(modal);
+    }
+    document.removeEventListener("keydown", handleEscape);
+  };
+
+  modal.querySelector(".free-end-btn").addEventListener("click", () => {
+    optimizeWaypointOrder(false);
+    closeModal();
+  });
+  modal.querySelector(".fixed-end-btn").addEventListener("click", () => {
+    optimizeWaypointOrder(true);
+    closeModal();
+  });
+  modal.querySelector(".cancel-btn").addEventListener("click", closeModal);
+  modal.querySelector(".share-modal-close").addEventListener("click", closeModal);
+
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+
+  // Add escape key listener
+  const handleEscape = (e) => {
+    if (e.key === "Escape") {
+      closeModal();
+    }
+  };
+  document.addEventListener("keydown", handleEscape);
+}
+
 function showShareModal(shareUrl) {
+  const difficulty = getRouteDifficulty();
+  const difficultyHtml = difficulty
+    ? `<p class="share-difficulty">דרגת קושי: ${renderDifficultyBadge(difficulty)}</p>`
+    : "";
+
   // Create modal elements
   const modal = document.createElement("div");
   modal.className = "share-modal";
@@ -1540,6 +2845,7 @@ function showShareModal(shareUrl) {
         <button class="share-modal-close">&times;</button>
       </div>
       <div class="share-modal-body">
+        ${difficultyHtml}
         <div class="share-url-container">
           <input type="text" class="share-url-input" value="${shareUrl}" readonly>
           <button class="copy-url-btn">העתק קישור</button>
@@ -1622,18 +2928,89 @@ function shareToWhatsApp(url) {
   );
 }
 
-function getRouteParameter() {
-  const urlParams = new URLSearchParams(window.location.search);
-  return urlParams.get("route");
+function getRouteParameter() {
+  const urlParams = new URLSearchParams(window.location.search);
+  return urlParams.get("route");
+}
+
+function getDebugParameter() {
+  const urlParams = new URLSearchParams(window.location.search);
+  return urlParams.get("debug");
+}
+
+// Draw the network integrity report over the segments (?debug=network):
+// disconnected components and near-miss junctions as lines, dead ends as dots
+async function showNetworkDebugOverlay(geoJsonData) {
+  if (typeof NetworkChecker === "undefined") return;
+
+  const checker = new NetworkChecker();
+  const report = await checker.check(geoJsonData, segmentsData);
+
+  map.addSource("network-debug", {
+    type: "geojson",
+    data: checker.toGeoJson(report),
+  });
+  map.addLayer({
+    id: "network-debug-lines",
+    type: "line",
+    source: "network-debug",
+    filter: ["==", ["geometry-type"], "LineString"],
+    paint: {
+      "line-color": [
+        "match",
+        ["get", "issue"],
+        "near-miss",
+        COLORS.WARNING_RED,
+        COLORS.WARNING_ORANGE,
+      ],
+      "line-width": 6,
+      "line-opacity": 0.8,
+    },
+  });
+  map.addLayer({
+    id: "network-debug-points",
+    type: "circle",
+    source: "network-debug",
+    filter: ["==", ["geometry-type"], "Point"],
+    paint: {
+      "circle-radius": 6,
+      "circle-color": COLORS.WARNING_RED,
+      "circle-stroke-color": COLORS.HIGHLIGHT_WHITE,
+      "circle-stroke-width": 2,
+    },
+  });
+
+  ["network-debug-lines", "network-debug-points"].forEach((layerId) => {
+    map.on("click", layerId, (e) => {
+      new mapboxgl.Popup()
+        .setLngLat(e.lngLat)
+        .setText(e.features[0].properties.message)
+        .addTo(map);
+    });
+  });
 }
 
 function loadRouteFromUrl() {
   const routeParam = getRouteParameter();
 
   if (routeParam && segmentsData) {
-    const decodedSegments = decodeRoute(routeParam);
+    const {
+      segments: decodedSegments,
+      profile,
+      avoidedSegments,
+      rideDate,
+      outAndBack,
+      unmappedSegments,
+    } = decodeRouteData(routeParam);
+    if (unmappedSegments.length > 0) {
+      showUnmappedSegmentsModal(unmappedSegments, decodedSegments.length);
+    }
     if (decodedSegments.length > 0) {
       selectedSegments = decodedSegments;
+      applyRoutingProfile(profile);
+      applyAvoidedSegments(avoidedSegments);
+      applyRideDate(rideDate);
+      applyOutAndBack(outAndBack);
       // Wait a bit for map to be fully loaded before updating styles
       setTimeout(() => {
         updateSegmentStyles();
@@ -1696,6 +3073,18 @@ async function loadSegmentsData() {
     // Initialize with empty object to prevent errors
     segmentsData = {};
   }
+
+  // Without the migration tables routes are shared without a revision
+  try {
+    const response = await fetch("./dataset-migrations.json");
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    datasetMigrations = await response.json();
+  } catch (error) {
+    console.warn("Could not load dataset-migrations.json:", error);
+    datasetMigrations = null;
+  }
 }
 
 async function loadKMLFile() {
@@ -1706,6 +3095,10 @@ async function loadKMLFile() {
     const geoJsonData = await response.json();
     await parseGeoJSON(geoJsonData);
 
+    if (getDebugParameter() === "network") {
+      showNetworkDebugOverlay(geoJsonData);
+    }
+
     // Try to load route from URL after everything is loaded
     setTimeout(() => {
       loadRouteFromUrl();
@@ -1833,7 +3226,7 @@ async function parseGeoJSON(geoJsonData) {
         }
 
         // Get pre-calculated segment metrics
-        const metrics = segmentMetrics[name];
+        const metrics = getSegmentMetrics(name);
         const segmentDistanceKm = metrics ? metrics.distanceKm : "0.0";
         const segmentElevationGain = metrics
           ? metrics.forward.elevationGain
@@ -1850,12 +3243,15 @@ async function parseGeoJSON(geoJsonData) {
         // Check for warnings in segments data and add to segment display
         const segmentInfo = segmentsData[name];
         if (segmentInfo) {
-          if (segmentInfo.winter === false) {
-            segmentDisplay.innerHTML += `<div style="color: ${COLORS.WARNING_ORANGE}; font-size: 12px; margin-top: 5px;">❄️ בוץ בחורף</div>`;
-          }
+          getSeasonalWarnings(name).forEach(({ icon, text, color }) => {
+            segmentDisplay.innerHTML += `<div style="color: ${color}; font-size: 12px; margin-top: 5px;">${icon} ${text}</div>`;
+          });
           if (segmentInfo.warning) {
             segmentDisplay.innerHTML += `<div style="color: ${COLORS.WARNING_RED}; font-size: 12px; margin-top: 5px;">⚠️ ${segmentInfo.warning}</div>`;
           }
+          getDirectionRuleLines(name).forEach((line) => {
+            segmentDisplay.innerHTML += `<div style="color: ${COLORS.WARNING_RED}; font-size: 12px; margin-top: 5px;">${line}</div>`;
+          });
         }
       });
 
@@ -1944,6 +3340,14 @@ async function parseGeoJSON(geoJsonData) {
                 distanceFromStart += distanceToClosest;
               }
 
+              // The elevation profile knows the exact distance, and
+              // follows the hover with its cursor
+              const profilePoint =
+                showElevationProfileCursorNear(closestPointOnSegment);
+              if (profilePoint) {
+                distanceFromStart = profilePoint.distance;
+              }
+
               const distanceKm = (distanceFromStart / 1000).toFixed(1);
 
               // Show distance in top right display
@@ -1997,12 +3401,10 @@ async function parseGeoJSON(geoJsonData) {
           window.hoverMarker.remove();
           window.hoverMarker = null;
         }
+        hideElevationProfileCursor();
       });
     });
 
-    // Pre-calculate all segment metrics for fast access
-    preCalculateSegmentMetrics();
-
     // Initialize spatial index and populate it with all segments
     spatialIndex = new SpatialIndex();
     routePolylines.forEach(polylineData => {
@@ -2042,160 +3444,10 @@ function getDistance(point1, point2) {
   return R * c;
 }
 
-// Function to smooth elevation values using distance-based window smoothing
-function smoothElevations(coords, distanceWindow = 100) {
-  if (coords.length === 0) {
-    return coords;
-  }
-
-  // Ensure all coordinates have elevation values
-  const coordsWithElevation = coords.map((coord) => {
-    let elevation;
-    if (coord.elevation !== undefined) {
-      elevation = coord.elevation;
-    } else {
-      // Fallback calculation if elevation is not available
-      elevation =
-        200 + Math.sin(coord.lat * 10) * 100 + Math.cos(coord.lng * 8) * 50;
-    }
-    return {
-      lat: coord.lat,
-      lng: coord.lng,
-      elevation: elevation,
-    };
-  });
-
-  // Apply distance-based window smoothing
-  const smoothedElevations = distanceWindowSmoothing(
-    coordsWithElevation,
-    distanceWindow,
-    (index) => coordsWithElevation[index].elevation,
-    (accumulated, start, end) => accumulated / (end - start + 1),
-  );
-
-  // Preserve original first and last elevations
-  if (coordsWithElevation.length > 0) {
-    smoothedElevations[0] = coordsWithElevation[0].elevation;
-    smoothedElevations[coordsWithElevation.length - 1] =
-      coordsWithElevation[coordsWithElevation.length - 1].elevation;
-  }
-
-  // Create smoothed coordinate objects
-  const smoothed = coordsWithElevation.map((coord, index) => ({
-    lat: coord.lat,
-    lng: coord.lng,
-    elevation: smoothedElevations[index],
-  }));
-
-  return smoothed;
-}
-
-// Distance-based window smoothing algorithm
-function distanceWindowSmoothing(
-  points,
-  distanceWindow,
-  accumulate,
-  compute,
-  remove = null,
-) {
-  let result = [];
-
-  let start = 0,
-    end = 0,
-    accumulated = 0;
-
-  for (let i = 0; i < points.length; i++) {
-    // Remove points that are too far behind
-    while (
-      start + 1 < i &&
-      getDistance(points[start], points[i]) > distanceWindow
-    ) {
-      if (remove) {
-        accumulated -= remove(start);
-      } else {
-        accumulated -= accumulate(start);
-      }
-      start++;
-    }
-
-    // Add points that are within distance ahead
-    while (
-      end < points.length &&
-      getDistance(points[i], points[end]) <= distanceWindow
-    ) {
-      accumulated += accumulate(end);
-      end++;
-    }
-
-    result[i] = compute(accumulated, start, end - 1);
-  }
-
-  return result;
-}
-
-// Pre-calculate all segment metrics for fast access
-function preCalculateSegmentMetrics() {
-  segmentMetrics = {};
-
-  routePolylines.forEach((polylineData) => {
-    const coords = polylineData.coordinates;
-    const segmentName = polylineData.segmentName;
-
-    // Calculate distance
-    let distance = 0;
-    for (let i = 0; i < coords.length - 1; i++) {
-      distance += getDistance(coords[i], coords[i + 1]);
-    }
-
-    // Apply elevation smoothing before calculating gains/losses
-    const smoothedCoords = smoothElevations(coords, 100);
-
-    // Calculate elevation gains and losses in both directions using smoothed data
-    let elevationGainForward = 0;
-    let elevationLossForward = 0;
-    let elevationGainReverse = 0;
-    let elevationLossReverse = 0;
-
-    // Forward direction using smoothed elevations with minimum threshold
-    const minElevationChange = 1.0; // Ignore elevation changes smaller than 1 meter
-
-    for (let i = 0; i < smoothedCoords.length - 1; i++) {
-      const currentElevation = smoothedCoords[i].elevation;
-      const nextElevation = smoothedCoords[i + 1].elevation;
-
-      const elevationChange = nextElevation - currentElevation;
-
-      // Only count elevation changes that meet the minimum threshold
-      if (Math.abs(elevationChange) >= minElevationChange) {
-        if (elevationChange > 0) {
-          elevationGainForward += elevationChange;
-        } else {
-          elevationLossForward += Math.abs(elevationChange);
-        }
-      }
-    }
-
-    // Reverse direction (just swap the gains and losses)
-    elevationGainReverse = elevationLossForward;
-    elevationLossReverse = elevationGainForward;
-
-    // Store pre-calculated metrics
-    segmentMetrics[segmentName] = {
-      distance: distance,
-      distanceKm: (distance / 1000).toFixed(1),
-      forward: {
-        elevationGain: Math.round(elevationGainForward),
-        elevationLoss: Math.round(elevationLossForward),
-      },
-      reverse: {
-        elevationGain: Math.round(elevationGainReverse),
-        elevationLoss: Math.round(elevationLossReverse),
-      },
-      startPoint: coords[0],
-      endPoint: coords[coords.length - 1],
-      smoothedCoords: smoothedCoords, // Store smoothed coordinates for elevation profile
-    };
-  });
+// Distance and elevation metrics RouteManager pre-calculated for a segment
+function getSegmentMetrics(segmentName) {
+  const info = routeManager ? routeManager.getSegmentInfo(segmentName) : null;
+  return info ? info.metrics : null;
 }
 
 // Helper function to calculate distance from point to line segment
@@ -2289,75 +3541,92 @@ function getClosestPointOnLineSegment(point, lineStart, lineEnd) {
 
 // Function to check if route is continuous and find first broken segment
 function checkRouteContinuity() {
-  if (selectedSegments.length <= 1) {
-    return { isContinuous: true, brokenSegmentIndex: -1 };
-  }
-
-  const tolerance = 100; // 100 meters tolerance
-  const orderedCoords = getOrderedCoordinates();
-
-  if (orderedCoords.length === 0) {
+  if (!routeManager) {
     return { isContinuous: true, brokenSegmentIndex: -1 };
   }
+  return routeManager.checkSegmentsContinuity(selectedSegments, routePoints);
+}
 
-  // Check gaps in the ordered coordinates by looking at distances between consecutive segments
-  let coordIndex = 0;
-
-  for (let i = 0; i < selectedSegments.length - 1; i++) {
-    const currentSegmentName = selectedSegments[i];
-    const nextSegmentName = selectedSegments[i + 1];
-
-    const currentPolyline = routePolylines.find(
-      (p) => p.segmentName === currentSegmentName,
-    );
-    const nextPolyline = routePolylines.find(
-      (p) => p.segmentName === nextSegmentName,
-    );
+// Seasonal windows of a segment in effect on the ride date, as display lines
+function getSeasonalWarnings(segmentName) {
+  if (!routeManager) return [];
 
-    if (!currentPolyline || !nextPolyline) {
-      continue;
-    }
+  return routeManager.getActiveSeasons(segmentName).map((season) =>
+    season.type === "closed"
+      ? {
+          icon: "⛔",
+          text: season.note || "סגור בתאריך הרכיבה",
+          color: COLORS.WARNING_RED,
+        }
+      : {
+          icon: "❄️",
+          text: season.note || "בוץ בתאריך הרכיבה",
+          color: COLORS.WARNING_ORANGE,
+        },
+  );
+}
 
-    // Find where current segment ends in ordered coordinates
-    const currentSegmentLength = currentPolyline.coordinates.length;
-    const currentSegmentEndIndex = coordIndex + currentSegmentLength - 1;
+// Types of the seasonal windows of a segment in effect on the ride date
+function getActiveSeasonTypes(segmentName) {
+  if (!routeManager) return [];
+  return routeManager.getActiveSeasons(segmentName).map((season) => season.type);
+}
 
-    // Check if we have enough coordinates
-    if (currentSegmentEndIndex >= orderedCoords.length - 1) {
-      return { isContinuous: false, brokenSegmentIndex: i };
+// Direction rules of a segment (one-way, warnings or fees for one direction),
+// as display lines
+function getDirectionRuleLines(segmentName) {
+  const rules = routeManager
+    ? routeManager.getSegmentDirectionRules(segmentName)
+    : null;
+  if (!rules) return [];
+
+  const lines = [];
+  if (rules.oneWay) {
+    lines.push("⛔ קטע חד-סטרי");
+  }
+  ["forward", "reverse"].forEach((direction) => {
+    const note = rules[direction];
+    if (note && note.warning) {
+      lines.push(`${note.fee ? "💰" : "⚠️"} ${note.warning}`);
     }
+  });
+  return lines;
+}
 
-    const currentEnd = orderedCoords[currentSegmentEndIndex];
-    const nextStart = orderedCoords[currentSegmentEndIndex + 1];
-
-    const distance = getDistance(currentEnd, nextStart);
-
-    // If distance is greater than tolerance, route is broken
-    if (distance > tolerance) {
-      return { isContinuous: false, brokenSegmentIndex: i };
-    }
+// Direction rules the current route runs into, keyed by segment name; an
+// out-and-back ride can break a segment's rules both ways
+function getRouteDirectionWarnings() {
+  const warnings = new Map();
+  if (!routeManager) return warnings;
+
+  routeManager
+    .getDirectionWarnings(selectedSegments, routePoints)
+    .forEach((warning) =>
+      warnings.set(warning.segmentName, [
+        ...(warnings.get(warning.segmentName) || []),
+        warning,
+      ]),
+    );
+  return warnings;
+}
 
-    // Move to next segment in ordered coordinates
-    // Skip first coordinate of next segment if segments are well connected to avoid duplication
-    coordIndex += currentSegmentLength;
-    if (distance <= 50) {
-      // Well connected segments
-      coordIndex -= 1; // Account for coordinate that was skipped in getOrderedCoordinates
-    }
-  }
+// Warnings along the UI's route, from RouteManager.getRouteWarnings
+function getRouteWarnings() {
+  if (!routeManager) return [];
 
-  return { isContinuous: true, brokenSegmentIndex: -1 };
+  syncRouteManager();
+  return routeManager.getRouteWarnings();
 }
 
-// Function to check if any selected segments have winter warning and find all of them
-function hasWinterSegments() {
-  const winterSegments = [];
-  for (let i = 0; i < selectedSegments.length; i++) {
-    const segmentInfo = segmentsData[selectedSegments[i]];
-    if (segmentInfo && segmentInfo.winter === false) {
-      winterSegments.push(selectedSegments[i]);
-    }
-  }
+// Function to check if any selected segments are muddy on the ride date and find all of them
+function hasWinterSegments(warnings = getRouteWarnings()) {
+  const winterSegments = [
+    ...new Set(
+      warnings
+        .filter((warning) => warning.type === "mud")
+        .map((warning) => warning.segmentName),
+    ),
+  ];
   return {
     hasWinter: winterSegments.length > 0,
     winterSegments: winterSegments,
@@ -2366,14 +3635,16 @@ function hasWinterSegments() {
 }
 
 // Function to check if any selected segments have warnings and find all of them
-function hasSegmentWarnings() {
-  const warningSegments = [];
-  for (let i = 0; i < selectedSegments.length; i++) {
-    const segmentInfo = segmentsData[selectedSegments[i]];
-    if (segmentInfo && segmentInfo.warning) {
-      warningSegments.push(selectedSegments[i]);
-    }
-  }
+function hasSegmentWarnings(warnings = getRouteWarnings()) {
+  const warningSegments = [
+    ...new Set(
+      warnings
+        .filter((warning) =>
+          ["warning", "one-way", "closed"].includes(warning.type),
+        )
+        .map((warning) => warning.segmentName),
+    ),
+  ];
   return {
     hasWarnings: warningSegments.length > 0,
     warningSegments: warningSegments,
@@ -2381,18 +3652,18 @@ function hasSegmentWarnings() {
   };
 }
 
-// Function to update route warning visibility
-function updateRouteWarning() {
+// Function to update route warning visibility; RouteManager calls it with
+// the route's warnings whenever they change
+function updateRouteWarning(warnings = getRouteWarnings()) {
   const routeWarning = document.getElementById("route-warning");
   const winterWarning = document.getElementById("winter-warning");
   const segmentWarning = document.getElementById("segment-warning");
 
-  const continuityResult = checkRouteContinuity();
-  const winterResult = hasWinterSegments();
-  const warningsResult = hasSegmentWarnings();
+  const winterResult = hasWinterSegments(warnings);
+  const warningsResult = hasSegmentWarnings(warnings);
 
   // Show broken route warning
-  if (selectedSegments.length > 1 && !continuityResult.isContinuous) {
+  if (warnings.some((warning) => warning.type === "broken")) {
     routeWarning.style.display = "block";
   } else {
     routeWarning.style.display = "none";
@@ -2401,7 +3672,7 @@ function updateRouteWarning() {
   // Show winter warning with count
   if (winterResult.hasWinter) {
     const countText = winterResult.count > 1 ? ` (${winterResult.count})` : "";
-    winterWarning.innerHTML = `❄️בוץ בחורף${countText}`;
+    winterWarning.innerHTML = `❄️בוץ עונתי${countText}`;
     winterWarning.style.display = "block";
 
     // Reset winter warning cycling index when warnings change
@@ -2451,7 +3722,7 @@ function focusOnSegment(segmentName) {
   returnToStartingPosition();
 
   // Show segment details in display
-  const metrics = segmentMetrics[segmentName];
+  const metrics = getSegmentMetrics(segmentName);
   const segmentDistanceKm = metrics ? metrics.distanceKm : "0.0";
   const segmentElevationGain = metrics ? metrics.forward.elevationGain : 0;
   const segmentElevationLoss = metrics ? metrics.forward.elevationLoss : 0;
@@ -2462,12 +3733,15 @@ function focusOnSegment(segmentName) {
   // Check for warnings in segments data and add to segment display
   const segmentInfo = segmentsData[segmentName];
   if (segmentInfo) {
-    if (segmentInfo.winter === false) {
-      segmentDisplay.innerHTML += `<div style="color: ${COLORS.WARNING_ORANGE}; font-size: 12px; margin-top: 5px;">❄️ בוץ בחורף</div>`;
-    }
+    getSeasonalWarnings(segmentName).forEach(({ icon, text, color }) => {
+      segmentDisplay.innerHTML += `<div style="color: ${color}; font-size: 12px; margin-top: 5px;">${icon} ${text}</div>`;
+    });
     if (segmentInfo.warning) {
       segmentDisplay.innerHTML += `<div style="color: ${COLORS.WARNING_RED}; font-size: 12px; margin-top: 5px;">⚠️ ${segmentInfo.warning}</div>`;
     }
+    getDirectionRuleLines(segmentName).forEach((line) => {
+      segmentDisplay.innerHTML += `<div style="color: ${COLORS.WARNING_RED}; font-size: 12px; margin-top: 5px;">${line}</div>`;
+    });
   }
 
   segmentDisplay.style.display = "block";
@@ -2607,7 +3881,17 @@ function loadRouteFromEncoding(routeEncoding) {
   }
 
   try {
-    const decodedSegments = decodeRoute(routeEncoding);
+    const {
+      segments: decodedSegments,
+      profile,
+      avoidedSegments,
+      rideDate,
+      outAndBack,
+      unmappedSegments,
+    } = decodeRouteData(routeEncoding);
+    if (unmappedSegments.length > 0) {
+      showUnmappedSegmentsModal(unmappedSegments, decodedSegments.length);
+    }
     if (decodedSegments.length === 0) {
       console.warn("No segments decoded from route encoding");
       return false;
@@ -2640,6 +3924,10 @@ function loadRouteFromEncoding(routeEncoding) {
 
     // Add decoded segments to selection
     selectedSegments = [...decodedSegments];
+    applyRoutingProfile(profile);
+    applyAvoidedSegments(avoidedSegments);
+    applyRideDate(rideDate);
+    applyOutAndBack(outAndBack);
 
     // Update visual styles and UI
     updateSegmentStyles();
@@ -2659,197 +3947,99 @@ function loadRouteFromEncoding(routeEncoding) {
   }
 }
 
-// Function to order coordinates based on route connectivity
-function getOrderedCoordinates() {
-  if (selectedSegments.length === 0) {
-    return [];
+// Hand RouteManager the UI's route if the UI changed it without going
+// through the manager (undo, shared links); its route events fire then
+function syncRouteManager() {
+  if (!routeManager.hasRoute(routePoints, selectedSegments)) {
+    routeManager.updateInternalState(routePoints, selectedSegments);
   }
+}
 
-  let orderedCoords = [];
-
-  for (let i = 0; i < selectedSegments.length; i++) {
-    const segmentName = selectedSegments[i];
-    const polyline = routePolylines.find((p) => p.segmentName === segmentName);
-
-    if (!polyline) {
-      continue;
-    }
-
-    let coords = [...polyline.coordinates];
-
-    // For the first segment, check if we need to orient it correctly
-    if (i === 0) {
-      // If there's a second segment, orient the first segment to connect better
-      if (selectedSegments.length > 1) {
-        const nextSegmentName = selectedSegments[1];
-        const nextPolyline = routePolylines.find(
-          (p) => p.segmentName === nextSegmentName,
-        );
-
-        if (nextPolyline) {
-          const nextCoords = nextPolyline.coordinates;
-          const firstStart = coords[0];
-          const firstEnd = coords[coords.length - 1];
-          const nextStart = nextCoords[0];
-          const nextEnd = nextCoords[nextCoords.length - 1];
-
-          // Calculate all possible connection distances
-          const distances = [
-            getDistance(firstEnd, nextStart), // first end to next start
-            getDistance(firstEnd, nextEnd), // first end to next end
-            getDistance(firstStart, nextStart), // first start to next start
-            getDistance(firstStart, nextEnd), // first start to next end
-          ];
-
-          const minDistance = Math.min(...distances);
-          const minIndex = distances.indexOf(minDistance);
-
-          // If the best connection is from first start, reverse the first segment
-          if (minIndex === 2 || minIndex === 3) {
-            coords.reverse();
-          }
-        }
-      }
-      orderedCoords = [...coords];
-    } else {
-      // For subsequent segments, determine which end connects better
-      const lastPoint = orderedCoords[orderedCoords.length - 1];
-      const segmentStart = coords[0];
-      const segmentEnd = coords[coords.length - 1];
-
-      const distanceToStart = getDistance(lastPoint, segmentStart);
-      const distanceToEnd = getDistance(lastPoint, segmentEnd);
+// Route info from RouteManager, for the UI's route.
+// Its totals and coordinates are cut where the route starts or ends mid-segment.
+function getRouteManagerInfo() {
+  if (!routeManager) {
+    return null;
+  }
 
-      // If the end is closer, reverse the coordinates
-      if (distanceToEnd < distanceToStart) {
-        coords.reverse();
-      }
+  syncRouteManager();
+  if (selectedSegments.length === 0) {
+    return null;
+  }
+  return routeManager.getRouteInfo();
+}
 
-      // Add coordinates with better duplication handling
-      const firstPoint = coords[0];
-      const connectionDistance = getDistance(lastPoint, firstPoint);
+// Coordinates of the ride in order, as RouteManager joins its segments
+function getOrderedCoordinates() {
+  const routeInfo = getRouteManagerInfo();
+  return routeInfo ? routeInfo.orderedCoordinates : [];
+}
 
-      // If segments are well connected (within 50 meters), skip first point to avoid duplication
-      // If segments are far apart (gap > 50 meters), include all points to show the gap
-      if (connectionDistance <= 50) {
-        orderedCoords.push(...coords.slice(1));
-      } else {
-        orderedCoords.push(...coords);
-      }
-    }
+// Distance and climbing of the whole ride, in meters
+function getRouteTotals() {
+  const routeInfo = getRouteManagerInfo();
+  if (!routeInfo) {
+    return { distance: 0, elevationGain: 0, elevationLoss: 0 };
   }
 
-  return orderedCoords;
+  return {
+    distance: routeInfo.distance,
+    elevationGain: routeInfo.elevationGain,
+    elevationLoss: routeInfo.elevationLoss,
+  };
+}
+
+// Number of coordinates neither the data nor the DEM tiles have a height for
+function countMissingElevations(coords) {
+  return coords.filter((coord) => coord.missingElevation).length;
 }
 
 // Function to generate elevation profile
-function generateElevationProfile() {
-  const orderedCoords = getOrderedCoordinates();
-  if (orderedCoords.length === 0) return "";
+function generateElevationProfile(gradient = null) {
+  elevationProfileState = null;
+  if (!getRouteManagerInfo()) return "";
+
+  // The ride's smoothed coordinates with their distance along it, as
+  // RouteManager measures the climbing and gradients
+  const coordsWithElevation = routeManager.getElevationProfile();
+  if (coordsWithElevation.length === 0) return "";
 
   let elevationHtml = '<div class="elevation-profile">';
   elevationHtml += "<h4>גרף גובה (Elevation Profile)</h4>";
+  const missingElevations = countMissingElevations(getOrderedCoordinates());
+  if (missingElevations > 0) {
+    elevationHtml += `<div class="elevation-missing-note">⚠️ ל-${missingElevations} נקודות במסלול אין נתוני גובה והגובה שלהן מוערך לפי הנקודות הסמוכות. ניתן לטעון אריחי גובה כדי להשלים אותן.</div>`;
+  }
   elevationHtml +=
     '<div class="elevation-chart" id="elevation-chart" style="position: relative;">';
 
-  const totalDistance = orderedCoords.reduce((total, coord, index) => {
-    if (index === 0) return 0;
-    return total + getDistance(orderedCoords[index - 1], coord);
-  }, 0);
+  const totalDistance =
+    coordsWithElevation[coordsWithElevation.length - 1].distance;
 
   if (totalDistance === 0) {
     elevationHtml += "</div></div>";
     return elevationHtml;
   }
 
-  // Create continuous elevation profile with interpolation
+  const elevations = coordsWithElevation.map((c) => c.elevation);
+  const minElevation = Math.min(...elevations);
+  const maxElevation = Math.max(...elevations);
+  elevationProfileState = {
+    coords: coordsWithElevation,
+    totalDistance,
+    minElevation,
+    elevationRange: maxElevation - minElevation || 100,
+  };
+
+  // Sample the profile at every pixel of the chart
   const profileWidth = 300; // pixels
   const elevationData = [];
-
-  // First, apply smoothing to the entire route coordinates and calculate elevation for all coordinates
-  const routeWithElevation = orderedCoords.map((coord) => {
-    let elevation;
-    if (coord.elevation !== undefined) {
-      elevation = coord.elevation;
-    } else {
-      // Fallback: calculate elevation based on position (simulated)
-      elevation =
-        200 + Math.sin(coord.lat * 10) * 100 + Math.cos(coord.lng * 8) * 50;
-    }
-    return { ...coord, elevation };
-  });
-
-  // Apply smoothing to the entire route
-  const smoothedRouteCoords = smoothElevations(routeWithElevation, 100); // Slightly larger window for route-level smoothing
-
-  const coordsWithElevation = smoothedRouteCoords.map((coord, index) => {
-    const distance =
-      index === 0
-        ? 0
-        : smoothedRouteCoords.slice(0, index + 1).reduce((total, c, idx) => {
-            if (idx === 0) return 0;
-            return total + getDistance(smoothedRouteCoords[idx - 1], c);
-          }, 0);
-    return { ...coord, distance };
-  });
-
-  // Find min/max elevation
-  let minElevation = Math.min(...coordsWithElevation.map((c) => c.elevation));
-  let maxElevation = Math.max(...coordsWithElevation.map((c) => c.elevation));
-  const elevationRange = maxElevation - minElevation || 100;
-
-  // Create continuous profile by interpolating between points
   for (let x = 0; x <= profileWidth; x++) {
-    const distanceAtX = (x / profileWidth) * totalDistance;
-
-    // Find the two closest points to interpolate between
-    let beforePoint = null;
-    let afterPoint = null;
-
-    for (let i = 0; i < coordsWithElevation.length - 1; i++) {
-      if (
-        coordsWithElevation[i].distance <= distanceAtX &&
-        coordsWithElevation[i + 1].distance >= distanceAtX
-      ) {
-        beforePoint = coordsWithElevation[i];
-        afterPoint = coordsWithElevation[i + 1];
-        break;
-      }
-    }
-
-    let elevation, coord;
-    if (beforePoint && afterPoint && beforePoint !== afterPoint) {
-      // Interpolate elevation and coordinates
-      const ratio =
-        (distanceAtX - beforePoint.distance) /
-        (afterPoint.distance - beforePoint.distance);
-      elevation =
-        beforePoint.elevation +
-        (afterPoint.elevation - beforePoint.elevation) * ratio;
-      coord = {
-        lat: beforePoint.lat + (afterPoint.lat - beforePoint.lat) * ratio,
-        lng: beforePoint.lng + (afterPoint.lng - beforePoint.lng) * ratio,
-      };
-    } else if (beforePoint) {
-      elevation = beforePoint.elevation;
-      coord = beforePoint;
-    } else {
-      elevation = coordsWithElevation[0].elevation;
-      coord = coordsWithElevation[0];
-    }
-
-    const heightPercent = Math.max(
-      5,
-      ((elevation - minElevation) / elevationRange) * 80 + 10,
-    );
-    const distancePercent = (x / profileWidth) * 100;
-
+    const point = getElevationProfilePoint((x / profileWidth) * totalDistance);
     elevationData.push({
-      elevation,
-      distance: distanceAtX,
-      coord,
-      heightPercent,
-      distancePercent,
+      ...point,
+      heightPercent: getElevationHeightPercent(point.elevation),
+      distancePercent: (x / profileWidth) * 100,
       pixelX: x,
     });
   }
@@ -2885,9 +4075,43 @@ function generateElevationProfile() {
     </svg>
   `;
 
+  // Shade the steep climbs, joining neighbouring intervals of one level
+  if (gradient && gradient.distance > 0) {
+    const bands = [];
+    gradient.intervals.forEach((entry) => {
+      const last = bands[bands.length - 1];
+      if (entry.level < 0) return;
+      if (last && last.level === entry.level && last.end === entry.start) {
+        last.end = entry.end;
+      } else {
+        bands.push({ level: entry.level, start: entry.start, end: entry.end });
+      }
+    });
+    bands.forEach((band) => {
+      const left = (band.start / gradient.distance) * 100;
+      const width = ((band.end - band.start) / gradient.distance) * 100;
+      elevationHtml += `<div class="elevation-steep" style="left: ${left}%; width: ${width}%; background: ${COLORS.STEEP_GRADE[Math.min(band.level, 1)]};"></div>`;
+    });
+  }
+
+  // Mark where an out-and-back ride turns for home
+  const turnaround = getTurnaroundPoint();
+  if (turnaround) {
+    const turnaroundPercent = Math.min(
+      100,
+      (turnaround.distance / totalDistance) * 100,
+    );
+    elevationHtml += `<div class="elevation-turnaround" title="נקודת סיבוב" style="left: ${turnaroundPercent}%;"></div>`;
+  }
+
+  // Cursor, readout and drag selection, moved by the profile and map handlers
+  elevationHtml += '<div class="elevation-selection"></div>';
+  elevationHtml += '<div class="elevation-cursor"></div>';
+  elevationHtml += '<div class="elevation-readout"></div>';
+
   // Add invisible hover overlay that covers the entire height
   elevationHtml +=
-    '<div class="elevation-hover-overlay" style="position: absolute; top: 0; left: 0; width: 100%; height: 100%; cursor: pointer;"></div>';
+    '<div class="elevation-hover-overlay" style="position: absolute; top: 0; left: 0; width: 100%; height: 100%; cursor: crosshair;"></div>';
 
   elevationHtml += "</div>";
   elevationHtml += '<div class="elevation-labels">';
@@ -2896,251 +4120,300 @@ function generateElevationProfile() {
   elevationHtml += "</div>";
   elevationHtml += "</div>";
 
-  // Store elevation data globally for hover functionality
-  window.currentElevationData = elevationData;
-  window.currentTotalDistance = totalDistance;
-
   return elevationHtml;
 }
 
-function updateRouteListAndDescription() {
-  const routeDescription = document.getElementById("route-description");
-  const downloadButton = document.getElementById("download-gpx");
-  const descriptionPanel = document.getElementById("route-description-panel");
+// Height (percent of the chart) the profile draws an elevation at
+function getElevationHeightPercent(elevation) {
+  const { minElevation, elevationRange } = elevationProfileState;
+  return Math.max(5, ((elevation - minElevation) / elevationRange) * 80 + 10);
+}
 
-  if (selectedSegments.length === 0 && routePoints.length === 0) {
-    routeDescription.innerHTML =
-      "לחץ על המפה ליד קטעי דרך כדי לבנות את המסלול שלך.";
-    downloadButton.disabled = true;
-    updateRouteWarning();
-    updateUndoRedoButtons(); // Update reset button state
-    descriptionPanel.style.display = "none"; // Hide description panel
-    return;
-  } else {
-    descriptionPanel.style.display = "block"; // Ensure description panel is visible when segments are selected
-  }
+// Place, elevation and grade at a distance along the drawn profile. The
+// grade is measured over ELEVATION_GRADE_WINDOW meters around the point.
+function getElevationProfilePoint(distance) {
+  const { coords, totalDistance } = elevationProfileState;
+  const at = (target) => {
+    const clamped = Math.max(0, Math.min(totalDistance, target));
+    let low = 0;
+    let high = coords.length - 1;
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      if (coords[mid].distance <= clamped) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    const before = coords[low];
+    const after = coords[high];
+    const span = after.distance - before.distance;
+    const ratio = span > 0 ? (clamped - before.distance) / span : 0;
+    return {
+      lat: before.lat + (after.lat - before.lat) * ratio,
+      lng: before.lng + (after.lng - before.lng) * ratio,
+      elevation:
+        before.elevation + (after.elevation - before.elevation) * ratio,
+      distance: clamped,
+    };
+  };
 
-  // Calculate total distance using pre-calculated data
-  let totalDistance = 0;
-  let totalElevationGain = 0;
-  let totalElevationLoss = 0;
+  const point = at(distance);
+  const back = at(distance - ELEVATION_GRADE_WINDOW / 2);
+  const ahead = at(distance + ELEVATION_GRADE_WINDOW / 2);
+  const span = ahead.distance - back.distance;
+  return {
+    coord: { lat: point.lat, lng: point.lng },
+    elevation: point.elevation,
+    distance: point.distance,
+    grade: span > 0 ? (ahead.elevation - back.elevation) / span : 0,
+  };
+}
 
-  selectedSegments.forEach((segmentName) => {
-    const metrics = segmentMetrics[segmentName];
-    if (metrics) {
-      totalDistance += metrics.distance;
-    }
-  });
-
-  // Calculate elevation changes using pre-calculated data and smart directionality
-  totalElevationGain = 0;
-  totalElevationLoss = 0;
-
-  // Determine directionality for each segment and use pre-calculated elevation data
-  for (let segIndex = 0; segIndex < selectedSegments.length; segIndex++) {
-    const segmentName = selectedSegments[segIndex];
-    const metrics = segmentMetrics[segmentName];
-
-    if (!metrics) continue;
-
-    let isReversed = false;
-
-    // Determine if this segment needs to be reversed based on connectivity
-    if (segIndex > 0) {
-      // Get connection info from previous segment
-      const prevSegmentName = selectedSegments[segIndex - 1];
-      const prevMetrics = segmentMetrics[prevSegmentName];
-
-      if (prevMetrics) {
-        // Use pre-calculated endpoints to determine connectivity
-        const prevStart = prevMetrics.startPoint;
-        const prevEnd = prevMetrics.endPoint;
-        const currentStart = metrics.startPoint;
-        const currentEnd = metrics.endPoint;
-
-        // Check which connection makes more sense based on previous segment's orientation
-        let prevLastPoint;
-        if (segIndex === 1) {
-          // For the first connection, determine previous segment's orientation
-          if (selectedSegments.length > 1) {
-            const nextSegmentName = selectedSegments[1];
-            const nextMetrics = segmentMetrics[nextSegmentName];
-
-            if (nextMetrics) {
-              const distances = [
-                getDistance(prevEnd, currentStart),
-                getDistance(prevEnd, currentEnd),
-                getDistance(prevStart, currentStart),
-                getDistance(prevStart, currentEnd),
-              ];
-
-              const minIndex = distances.indexOf(Math.min(...distances));
-              prevLastPoint =
-                minIndex === 2 || minIndex === 3 ? prevStart : prevEnd;
-            } else {
-              prevLastPoint = prevEnd;
-            }
-          } else {
-            prevLastPoint = prevEnd;
-          }
-        } else {
-          // For subsequent segments, assume the previous one ended correctly
-          prevLastPoint = prevEnd; // This would need to be tracked better, but simplified for now
-        }
+// Move the profile cursor to a distance along the route and describe it;
+// the map marker follows unless the map is what is being hovered
+function showElevationProfileCursor(distance, moveMarker = true) {
+  const chart = document.getElementById("elevation-chart");
+  if (!chart || !elevationProfileState) return null;
+
+  const point = getElevationProfilePoint(distance);
+  const percent = (point.distance / elevationProfileState.totalDistance) * 100;
+
+  const cursor = chart.querySelector(".elevation-cursor");
+  cursor.style.left = `${percent}%`;
+  cursor.style.display = "block";
+
+  const readout = chart.querySelector(".elevation-readout");
+  readout.textContent = `${(point.distance / 1000).toFixed(1)} ק"מ • ${Math.round(point.elevation)} מ' • ${(point.grade * 100).toFixed(1)}%`;
+  readout.style.left = `${Math.min(Math.max(percent, 15), 85)}%`;
+  readout.style.display = "block";
+
+  if (moveMarker) {
+    if (!window.elevationMarker) {
+      const el = document.createElement("div");
+      el.className = "elevation-marker";
+      el.style.cssText = `
+        width: 16px;
+        height: 16px;
+        background: ${COLORS.ELEVATION_MARKER};
+        border: 3px solid white;
+        border-radius: 50%;
+        box-shadow: 0 2px 8px rgba(255, 0, 0, 0.6);
+        cursor: pointer;
+      `;
+      window.elevationMarker = new mapboxgl.Marker(el)
+        .setLngLat([point.coord.lng, point.coord.lat])
+        .addTo(map);
+    } else {
+      window.elevationMarker.setLngLat([point.coord.lng, point.coord.lat]);
+    }
+  }
 
-        const distanceToStart = getDistance(prevLastPoint, currentStart);
-        const distanceToEnd = getDistance(prevLastPoint, currentEnd);
+  return point;
+}
 
-        isReversed = distanceToEnd < distanceToStart;
-      }
-    } else if (selectedSegments.length > 1) {
-      // For first segment, check orientation with second segment
-      const nextSegmentName = selectedSegments[1];
-      const nextMetrics = segmentMetrics[nextSegmentName];
-
-      if (nextMetrics) {
-        const firstStart = metrics.startPoint;
-        const firstEnd = metrics.endPoint;
-        const nextStart = nextMetrics.startPoint;
-        const nextEnd = nextMetrics.endPoint;
-
-        const distances = [
-          getDistance(firstEnd, nextStart),
-          getDistance(firstEnd, nextEnd),
-          getDistance(firstStart, nextStart),
-          getDistance(firstStart, nextEnd),
-        ];
-
-        const minIndex = distances.indexOf(Math.min(...distances));
-        isReversed = minIndex === 2 || minIndex === 3;
-      }
+// Follow a point hovered on the map with the profile cursor; returns the
+// profile point nearest to it, or null when it is off the route
+function showElevationProfileCursorNear(mapPoint) {
+  if (!elevationProfileState) return null;
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  elevationProfileState.coords.forEach((coord) => {
+    const distance = getDistance(coord, mapPoint);
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearest = coord;
     }
+  });
+  if (!nearest || nearestDistance > 100) return null;
 
-    // Use pre-calculated elevation data based on direction
-    if (isReversed) {
-      totalElevationGain += metrics.reverse.elevationGain;
-      totalElevationLoss += metrics.reverse.elevationLoss;
-    } else {
-      totalElevationGain += metrics.forward.elevationGain;
-      totalElevationLoss += metrics.forward.elevationLoss;
-    }
+  return showElevationProfileCursor(nearest.distance, false);
+}
+
+function hideElevationProfileCursor() {
+  const chart = document.getElementById("elevation-chart");
+  if (chart) {
+    chart.querySelector(".elevation-cursor").style.display = "none";
+    chart.querySelector(".elevation-readout").style.display = "none";
+  }
+  if (window.elevationMarker) {
+    window.elevationMarker.remove();
+    window.elevationMarker = null;
   }
+}
 
-  totalElevationGain = Math.round(totalElevationGain);
-  totalElevationLoss = Math.round(totalElevationLoss);
+// Zoom the map to the stretch between two distances along the route
+function zoomToElevationProfileRange(from, to) {
+  const start = Math.min(from, to);
+  const end = Math.max(from, to);
+  const bounds = new mapboxgl.LngLatBounds();
+  elevationProfileState.coords
+    .filter((coord) => coord.distance >= start && coord.distance <= end)
+    .forEach((coord) => bounds.extend([coord.lng, coord.lat]));
+  [start, end].forEach((distance) => {
+    const { coord } = getElevationProfilePoint(distance);
+    bounds.extend([coord.lng, coord.lat]);
+  });
 
-  const totalDistanceKm = (totalDistance / 1000).toFixed(1);
+  map.fitBounds(bounds, { padding: 60, duration: 1000 });
+}
 
-  const elevationProfile = generateElevationProfile();
+// Hover or touch the profile to follow the route on the map; drag across it
+// with the mouse to zoom the map to that stretch
+function attachElevationProfileHandlers() {
+  const chart = document.getElementById("elevation-chart");
+  const overlay = chart && chart.querySelector(".elevation-hover-overlay");
+  if (!overlay || !elevationProfileState) return;
+
+  const selection = chart.querySelector(".elevation-selection");
+  const distanceAt = (clientX) => {
+    const rect = overlay.getBoundingClientRect();
+    const ratio = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+    return ratio * elevationProfileState.totalDistance;
+  };
+  let dragStart = null; // {clientX, distance} while the mouse button is down
 
-  routeDescription.innerHTML = `
-    <strong>מרחק:</strong> ${totalDistanceKm} ק"מ • <strong>⬆️</strong> ${totalElevationGain} מ' • <strong>⬇️</strong> ${totalElevationLoss} מ'
-    ${elevationProfile}
-  `;
+  const showSelection = (from, to) => {
+    const total = elevationProfileState.totalDistance;
+    selection.style.left = `${(Math.min(from, to) / total) * 100}%`;
+    selection.style.width = `${(Math.abs(to - from) / total) * 100}%`;
+    selection.style.display = "block";
+  };
 
-  downloadButton.disabled = false;
-  updateRouteWarning();
-  updateUndoRedoButtons(); // Update reset button state
+  overlay.addEventListener("mousedown", (e) => {
+    e.preventDefault();
+    dragStart = { clientX: e.clientX, distance: distanceAt(e.clientX) };
+  });
+
+  overlay.addEventListener("mousemove", (e) => {
+    const distance = distanceAt(e.clientX);
+    showElevationProfileCursor(distance);
+    if (dragStart) {
+      showSelection(dragStart.distance, distance);
+    }
+  });
+
+  const endDrag = (e) => {
+    if (!dragStart) return;
+    const { clientX, distance } = dragStart;
+    dragStart = null;
+    selection.style.display = "none";
+
+    // Short drags are clicks
+    if (Math.abs(e.clientX - clientX) > 5) {
+      zoomToElevationProfileRange(distance, distanceAt(e.clientX));
+    }
+  };
+  overlay.addEventListener("mouseup", endDrag);
+
+  overlay.addEventListener("mouseleave", (e) => {
+    endDrag(e);
+    hideElevationProfileCursor();
+  });
+
+  // Touch events for mobile
+  overlay.addEventListener("touchstart", (e) => {
+    e.preventDefault(); // Prevent scrolling
+    showElevationProfileCursor(distanceAt(e.touches[0].clientX));
+  });
+
+  overlay.addEventListener("touchmove", (e) => {
+    e.preventDefault(); // Prevent scrolling
+    showElevationProfileCursor(distanceAt(e.touches[0].clientX));
+  });
 
-  // Add elevation profile hover functionality after DOM is updated
-  setTimeout(() => {
-    const elevationOverlay = document.querySelector(".elevation-hover-overlay");
-    if (elevationOverlay && window.currentElevationData) {
-      // Common function to handle both mouse and touch events
-      const handleElevationInteraction = (clientX) => {
-        const rect = elevationOverlay.getBoundingClientRect();
-        const x = clientX - rect.left;
-        const xPercent = (x / rect.width) * 100;
-
-        // Find closest elevation data point
-        let closestPoint = null;
-        let minDistance = Infinity;
-
-        window.currentElevationData.forEach((point) => {
-          const distance = Math.abs(point.distancePercent - xPercent);
-          if (distance < minDistance) {
-            minDistance = distance;
-            closestPoint = point;
-          }
-        });
+  overlay.addEventListener("touchend", (e) => {
+    e.preventDefault();
+    // Don't hide immediately on touch end to allow viewing
+    setTimeout(hideElevationProfileCursor, 2000);
+  });
 
-        if (closestPoint) {
-          // Remove existing elevation marker if any
-          if (window.elevationMarker) {
-            window.elevationMarker.remove();
-          }
+  overlay.addEventListener("touchcancel", (e) => {
+    e.preventDefault();
+    hideElevationProfileCursor();
+  });
+}
 
-          // Create red circle marker
-          const el = document.createElement("div");
-          el.className = "elevation-marker";
-          el.style.cssText = `
-            width: 16px;
-            height: 16px;
-            background: ${COLORS.ELEVATION_MARKER};
-            border: 3px solid white;
-            border-radius: 50%;
-            box-shadow: 0 2px 8px rgba(255, 0, 0, 0.6);
-            cursor: pointer;
-          `;
+function updateRouteListAndDescription() {
+  const routeDescription = document.getElementById("route-description");
+  const downloadButton = document.getElementById("download-gpx");
+  const descriptionPanel = document.getElementById("route-description-panel");
 
-          window.elevationMarker = new mapboxgl.Marker(el)
-            .setLngLat([closestPoint.coord.lng, closestPoint.coord.lat])
-            .addTo(map);
+  // Routes the UI changed by itself reach RouteManager here
+  if (routeManager) {
+    syncRouteManager();
+  }
 
-          // Update segment display with elevation info
-          const segmentDisplay = document.getElementById(
-            "segment-name-display",
-          );
-          segmentDisplay.innerHTML = `📍 מרחק: ${(closestPoint.distance / 1000).toFixed(1)} km • גובה: ${Math.round(closestPoint.elevation)} m`;
-          segmentDisplay.style.display = "block";
-        }
-      };
+  updateTurnaroundMarker();
+  const gradient = getGradientAnalysis();
+  updateSteepSectionsOverlay(gradient);
 
-      const handleElevationLeave = () => {
-        // Remove elevation marker
-        if (window.elevationMarker) {
-          window.elevationMarker.remove();
-          window.elevationMarker = null;
-        }
+  if (selectedSegments.length === 0 && routePoints.length === 0) {
+    routeDescription.innerHTML =
+      "לחץ על המפה ליד קטעי דרך כדי לבנות את המסלול שלך.";
+    downloadButton.disabled = true;
+    updateRouteWarning();
+    updateUndoRedoButtons(); // Update reset button state
+    descriptionPanel.style.display = "none"; // Hide description panel
+    updateAlternativeRoutes();
+    return;
+  } else {
+    descriptionPanel.style.display = "block"; // Ensure description panel is visible when segments are selected
+  }
 
-        // Hide segment display
-        const segmentDisplay = document.getElementById("segment-name-display");
-        segmentDisplay.style.display = "none";
-      };
+  // RouteManager's totals count only the ridden part of segments the route
+  // starts or ends in
+  const {
+    distance: totalDistance,
+    elevationGain: totalElevationGain,
+    elevationLoss: totalElevationLoss,
+  } = getRouteTotals();
 
-      // Mouse events for desktop
-      elevationOverlay.addEventListener("mousemove", (e) => {
-        handleElevationInteraction(e.clientX);
-      });
+  const totalDistanceKm = (totalDistance / 1000).toFixed(1);
+  const ridingTime = getRidingTime();
+  const ridingTimeText = ridingTime
+    ? ` • <strong>⏱️</strong> ${formatDuration(ridingTime.totalTime)}`
+    : "";
+  const difficulty = getRouteDifficulty();
+  const difficultyText = difficulty
+    ? ` • <strong>קושי:</strong> ${renderDifficultyBadge(difficulty)}`
+    : "";
+
+  const elevationProfile = generateElevationProfile(gradient);
+  updateAlternativeRoutes();
 
-      elevationOverlay.addEventListener("mouseleave", handleElevationLeave);
+  routeDescription.innerHTML = `
+    <strong>מרחק:</strong> ${totalDistanceKm} ק"מ • <strong>⬆️</strong> ${totalElevationGain} מ' • <strong>⬇️</strong> ${totalElevationLoss} מ'${ridingTimeText}${difficultyText}
+    ${elevationProfile}
+    ${generateSteepSectionsList(gradient)}
+    ${generateAlternativeRoutesList()}
+  `;
 
-      // Touch events for mobile
-      elevationOverlay.addEventListener("touchstart", (e) => {
-        e.preventDefault(); // Prevent scrolling
-        const touch = e.touches[0];
-        handleElevationInteraction(touch.clientX);
+  routeDescription
+    .querySelectorAll(".steep-section-item")
+    .forEach((item) => {
+      item.addEventListener("click", () => {
+        focusSteepSection(
+          gradient.steepSections[parseInt(item.dataset.index, 10)],
+        );
       });
+    });
 
-      elevationOverlay.addEventListener("touchmove", (e) => {
-        e.preventDefault(); // Prevent scrolling
-        const touch = e.touches[0];
-        handleElevationInteraction(touch.clientX);
+  routeDescription
+    .querySelectorAll(".alternative-route-item")
+    .forEach((item) => {
+      item.addEventListener("click", () => {
+        selectAlternativeRoute(parseInt(item.dataset.index, 10));
       });
+    });
 
-      elevationOverlay.addEventListener("touchend", (e) => {
-        e.preventDefault();
-        // Don't hide immediately on touch end to allow viewing
-        // Instead, hide after a delay
-        setTimeout(handleElevationLeave, 2000);
-      });
+  downloadButton.disabled = false;
+  updateRouteWarning();
+  updateUndoRedoButtons(); // Update reset button state
 
-      elevationOverlay.addEventListener("touchcancel", (e) => {
-        e.preventDefault();
-        handleElevationLeave();
-      });
-    }
-  }, 100);
+  // Add elevation profile hover functionality after DOM is updated
+  attachElevationProfileHandlers();
 }
 
 function removeSegment(segmentName) {
@@ -3166,7 +4439,6 @@ function removeSegment(segmentName) {
 
     updateSegmentStyles();
     updateRouteListAndDescription();
-    updateRouteWarning(); // Ensure warnings are updated after removal
     clearRouteFromUrl(); // Clear route parameter when removing segments
   }
 }
@@ -3277,6 +4549,245 @@ function showLocationWarningModal() {
   document.addEventListener("keydown", handleEscape);
 }
 
+// Direction rules (one-way, tolls) the route runs into, from
+// RouteManager.getDirectionWarnings
+function showDirectionWarningModal(warnings) {
+  const lines = warnings
+    .map((warning) => {
+      const notes = [];
+      if (warning.oneWayViolation) {
+        notes.push("⛔ רכיבה נגד הכיוון המותר בקטע חד-סטרי");
+      }
+      if (warning.warning) {
+        notes.push(`${warning.fee ? "💰" : "⚠️"} ${warning.warning}`);
+      }
+      return `<p><strong>${warning.segmentName}</strong><br>${notes.join("<br>")}</p>`;
+    })
+    .join("");
+
+  const modal = document.createElement("div");
+  modal.className = "location-warning-modal";
+  modal.innerHTML = `
+    <div class="location-warning-modal-content">
+      <div class="location-warning-modal-header">
+        <h3>⚠️ הגבלות כיוון במסלול</h3>
+        <button class="location-warning-modal-close">&times;</button>
+      </div>
+      <div class="location-warning-modal-body">
+        ${lines}
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const closeModal = () => {
+    if (modal.parentNode) {
+      document.body.removeChild(modal);
+    }
+    document.removeEventListener("keydown", handleEscape);
+  };
+
+  modal
+    .querySelector(".location-warning-modal-close")
+    .addEventListener("click", closeModal);
+
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+
+  // Add escape key listener
+  const handleEscape = (e) => {
+    if (e.key === "Escape") {
+      closeModal();
+    }
+  };
+  document.addEventListener("keydown", handleEscape);
+}
+
+// How much of an imported track is on the network, and where it isn't, from
+// TrackImporter.match
+function showTrackImportModal(result) {
+  const km = (meters) => (meters / 1000).toFixed(1);
+  const matchedShare = result.totalDistance
+    ? Math.round((result.matchedDistance / result.totalDistance) * 100)
+    : 0;
+
+  let body;
+  if (result.points.length === 0) {
+    body = "<p>המסלול אינו עובר על אף קטע במפה</p>";
+  } else if (result.unmatched.length === 0) {
+    body = `<p>✅ כל ${km(result.totalDistance)} ק"מ של המסלול נמצאים במפה</p>`;
+  } else {
+    const stretches = result.unmatched
+      .map(
+        (stretch) =>
+          `<p>📍 אחרי ${km(stretch.startDistance)} ק"מ: <strong>${km(stretch.distance)} ק"מ</strong> מחוץ למפה</p>`,
+      )
+      .join("");
+    body = `
+      <p>${matchedShare}% מהמסלול (${km(result.matchedDistance)} מתוך ${km(result.totalDistance)} ק"מ) נמצא במפה.</p>
+      <p>קטעים שאינם במפה (${km(result.unmatchedDistance)} ק"מ):</p>
+      ${stretches}
+    `;
+  }
+
+  const modal = document.createElement("div");
+  modal.className = "location-warning-modal";
+  modal.innerHTML = `
+    <div class="location-warning-modal-content">
+      <div class="location-warning-modal-header">
+        <h3>📂 ייבוא מסלול</h3>
+        <button class="location-warning-modal-close">&times;</button>
+      </div>
+      <div class="location-warning-modal-body">
+        ${body}
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const closeModal = () => {
+    if (modal.parentNode) {
+      document.body.removeChild(modal);
+    }
+    document.removeEventListener("keydown", handleEscape);
+  };
+
+  modal
+    .querySelector(".location-warning-modal-close")
+    .addEventListener("click", closeModal);
+
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+
+  // Add escape key listener
+  const handleEscape = (e) => {
+    if (e.key === "Escape") {
+      closeModal();
+    }
+  };
+  document.addEventListener("keydown", handleEscape);
+}
+
+function showElevationTilesModal(filled, failed) {
+  const tileNames = elevationProvider.tiles.map((tile) => tile.name);
+  const failures = failed.length
+    ? `<p>⚠️ לא ניתן לקרוא: ${failed.join(", ")}</p>`
+    : "";
+
+  const modal = document.createElement("div");
+  modal.className = "location-warning-modal";
+  modal.innerHTML = `
+    <div class="location-warning-modal-content">
+      <div class="location-warning-modal-header">
+        <h3>⛰️ נתוני גובה</h3>
+        <button class="location-warning-modal-close">&times;</button>
+      </div>
+      <div class="location-warning-modal-body">
+        <p>נטענו ${tileNames.length} אריחי גובה: ${tileNames.join(", ")}</p>
+        <p>הושלם גובה ל-${filled} נקודות שחסר בהן גובה</p>
+        ${failures}
+        <div class="download-modal-actions" id="elevation-resample">
+          <button id="elevation-resample-btn" class="download-confirm-btn">דגימת גובה מחדש לכל הקטעים</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const closeModal = () => {
+    if (modal.parentNode) {
+      document.body.removeChild(modal);
+    }
+    document.removeEventListener("keydown", handleEscape);
+  };
+
+  modal
+    .querySelector("#elevation-resample-btn")
+    .addEventListener("click", () => {
+      const updated = applyElevationTiles(true);
+      modal.querySelector("#elevation-resample").innerHTML =
+        `<p>✅ עודכן גובה ל-${updated} נקודות מתוך האריחים</p>`;
+    });
+
+  modal
+    .querySelector(".location-warning-modal-close")
+    .addEventListener("click", closeModal);
+
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+
+  // Add escape key listener
+  const handleEscape = (e) => {
+    if (e.key === "Escape") {
+      closeModal();
+    }
+  };
+  document.addEventListener("keydown", handleEscape);
+}
+
+// Tell the user which segments of a shared route are gone from the map
+function showUnmappedSegmentsModal(unmappedSegments, remainingCount) {
+  const outcome =
+    remainingCount > 0
+      ? "המסלול נטען בקירוב הטוב ביותר על המפה העדכנית, ייתכן שיש בו פערים."
+      : "לא נותרו במסלול קטעים להצגה.";
+
+  const modal = document.createElement("div");
+  modal.className = "location-warning-modal";
+  modal.innerHTML = `
+    <div class="location-warning-modal-content">
+      <div class="location-warning-modal-header">
+        <h3>⚠️ המסלול שותף על גרסה קודמת של המפה</h3>
+        <button class="location-warning-modal-close">&times;</button>
+      </div>
+      <div class="location-warning-modal-body">
+        <p>הקטעים הבאים אינם קיימים עוד ולא ניתן היה להתאים להם קטע חלופי:</p>
+        <p>${unmappedSegments.join(", ")}</p>
+        <p>${outcome}</p>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const closeModal = () => {
+    if (modal.parentNode) {
+      document.body.removeChild(modal);
+    }
+    document.removeEventListener("keydown", handleEscape);
+  };
+
+  modal
+    .querySelector(".location-warning-modal-close")
+    .addEventListener("click", closeModal);
+
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+
+  // Add escape key listener
+  const handleEscape = (e) => {
+    if (e.key === "Escape") {
+      closeModal();
+    }
+  };
+  document.addEventListener("keydown", handleEscape);
+}
+
 // Search functionality
 function searchLocation() {
   const searchInput = document.getElementById("location-search");
@@ -3371,6 +4882,13 @@ function showDownloadModal() {
         <h4>תיאור המסלול</h4>
         <div id="download-route-description"></div>
 
+        <h4>הוראות ניווט</h4>
+        <div id="cue-sheet"></div>
+        <div class="cue-sheet-actions">
+          <button id="print-cue-sheet" class="cue-sheet-btn">🖨️ הדפסה</button>
+          <button id="download-cue-sheet" class="cue-sheet-btn">📄 CSV</button>
+        </div>
+
         <div class="download-modal-actions">
           <button id="download-gpx-final" class="download-confirm-btn">📥 הורדת GPX</button>
           <button id="share-route-modal" class="share-final-btn" title="שיתוף מסלול">🔗 שיתוף מסלול</button>
@@ -3388,6 +4906,15 @@ function showDownloadModal() {
       '<p style="color: #666; font-style: italic;">אין קטעים נבחרים</p>';
   } else {
     let segmentsHtml = '<div class="modal-route-list">';
+    const directionWarnings = getRouteDirectionWarnings();
+
+    // Riding time per route position, so a segment ridden twice shows each
+    // time on its own; out-and-back rides count both ways
+    const ridingTime = getRidingTime();
+    const segmentTimes = new Map();
+    (ridingTime ? ridingTime.segments : []).forEach(({ index, time }) => {
+      segmentTimes.set(index, (segmentTimes.get(index) || 0) + time);
+    });
     selectedSegments.forEach((segmentName, index) => {
       // Check for warnings
       let warningIcons = "";
@@ -3401,20 +4928,24 @@ function showDownloadModal() {
       //   }
       // }
 
+      const segmentTime = segmentTimes.has(index)
+        ? ` <span style="color: #666; font-size: 12px;">⏱️ ${formatDuration(segmentTimes.get(index))}</span>`
+        : "";
+
       segmentsHtml += `
         <div class="modal-segment-item">
-          <span><strong>${index + 1}.</strong> ${segmentName}${warningIcons}</span>
+          <span><strong>${index + 1}.</strong> ${segmentName}${warningIcons}${segmentTime}</span>
       `;
 
       // Add warning details below the segment name
       if (segmentInfo) {
-        if (segmentInfo.winter === false) {
+        getSeasonalWarnings(segmentName).forEach(({ icon, text, color }) => {
           segmentsHtml += `
-            <div style="color: #ff9800; font-size: 12px; margin-top: 5px; margin-right: 20px;">
-              ❄️ מסלול בוצי בחורף
+            <div style="color: ${color}; font-size: 12px; margin-top: 5px; margin-right: 20px;">
+              ${icon} ${text}
             </div>
           `;
-        }
+        });
         if (segmentInfo.warning) {
           segmentsHtml += `
             <div style="color: #f44336; font-size: 12px; margin-top: 5px; margin-right: 20px;">
@@ -3424,6 +4955,24 @@ function showDownloadModal() {
         }
       }
 
+      // Rules for the directions this route rides the segment in
+      (directionWarnings.get(segmentName) || []).forEach((directionWarning) => {
+        if (directionWarning.oneWayViolation) {
+          segmentsHtml += `
+            <div style="color: #f44336; font-size: 12px; margin-top: 5px; margin-right: 20px;">
+              ⛔ רכיבה נגד הכיוון המותר בקטע חד-סטרי
+            </div>
+          `;
+        }
+        if (directionWarning.warning) {
+          segmentsHtml += `
+            <div style="color: #f44336; font-size: 12px; margin-top: 5px; margin-right: 20px;">
+              ${directionWarning.fee ? "💰" : "⚠️"} ${directionWarning.warning}
+            </div>
+          `;
+        }
+      });
+
       segmentsHtml += "</div>";
     });
     segmentsHtml += "</div>";
@@ -3437,6 +4986,21 @@ function showDownloadModal() {
   downloadRouteDescription.innerHTML =
     document.getElementById("route-description").innerHTML;
 
+  // Populate the cue sheet
+  const cues = getCueSheet();
+  modal.querySelector("#cue-sheet").innerHTML =
+    cues.length > 0
+      ? renderCueSheetTable(cues)
+      : '<p style="color: #666; font-style: italic;">אין הוראות ניווט</p>';
+  modal.querySelector(".cue-sheet-actions").style.display =
+    cues.length > 0 ? "" : "none";
+  modal
+    .querySelector("#print-cue-sheet")
+    .addEventListener("click", () => printCueSheet(cues));
+  modal
+    .querySelector("#download-cue-sheet")
+    .addEventListener("click", () => downloadCueSheetCSV(cues));
+
   // Add event listeners
   const closeBtn = modal.querySelector(".download-modal-close");
   const downloadBtn = modal.querySelector("#download-gpx-final");
@@ -3472,30 +5036,153 @@ function showDownloadModal() {
   document.addEventListener("keydown", handleEscape);
 }
 
+// Turn-by-turn cues for the current route, from RouteManager.getCueSheet
+function getCueSheet() {
+  if (!getRouteManagerInfo()) return [];
+  return routeManager.getCueSheet();
+}
+
+const CUE_LABELS = {
+  start: { icon: "🚩", text: "התחלה" },
+  straight: { icon: "⬆️", text: "ישר" },
+  left: { icon: "⬅️", text: "שמאלה" },
+  right: { icon: "➡️", text: "ימינה" },
+  "sharp-left": { icon: "↩️", text: "חדה שמאלה" },
+  "sharp-right": { icon: "↪️", text: "חדה ימינה" },
+  "u-turn": { icon: "🔄", text: "פניית פרסה" },
+  finish: { icon: "🏁", text: "סיום" },
+};
+
+// Warning lines of a cue, as shown on the cue sheet
+function getCueWarningTexts(cue) {
+  const texts = cue.warnings.map((warning) => `⚠️ ${warning}`);
+  cue.seasons.forEach((season) =>
+    texts.push(
+      season.type === "closed"
+        ? `⛔ ${season.text || "סגור בתאריך הרכיבה"}`
+        : `❄️ ${season.text || "בוץ בתאריך הרכיבה"}`,
+    ),
+  );
+  if (cue.fee) {
+    texts.push("💰 בתשלום בכיוון זה");
+  }
+  if (cue.oneWayViolation) {
+    texts.push("⛔ רכיבה נגד הכיוון המותר בקטע חד-סטרי");
+  }
+  return texts;
+}
+
+function renderCueSheetTable(cues) {
+  const rows = cues
+    .map((cue) => {
+      const label = CUE_LABELS[cue.type];
+      const warnings = getCueWarningTexts(cue)
+        .map((text) => `<div class="cue-warning">${text}</div>`)
+        .join("");
+      return `
+        <tr>
+          <td>${(cue.distance / 1000).toFixed(1)}</td>
+          <td>${label.icon} ${label.text}</td>
+          <td>${cue.segmentName}${warnings}</td>
+        </tr>`;
+    })
+    .join("");
+
+  return `
+    <table class="cue-sheet-table">
+      <thead>
+        <tr><th>ק"מ</th><th>פנייה</th><th>קטע</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// Open the cue sheet on its own page and print it
+function printCueSheet(cues) {
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) return;
+
+  printWindow.document.write(`<!DOCTYPE html>
+<html lang="he" dir="rtl">
+<head>
+  <meta charset="UTF-8">
+  <title>הוראות ניווט</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 20px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: right; }
+    .cue-warning { color: #c62828; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <h2>הוראות ניווט</h2>
+  ${renderCueSheetTable(cues)}
+</body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+}
+
+function downloadCueSheetCSV(cues) {
+  const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  const lines = [
+    ['ק"מ', "פנייה", "זווית", "קטע", "אזהרות", "קו רוחב", "קו אורך"],
+    ...cues.map((cue) => [
+      (cue.distance / 1000).toFixed(2),
+      CUE_LABELS[cue.type].text,
+      Math.round(cue.angle),
+      cue.segmentName,
+      getCueWarningTexts(cue).join(" | "),
+      cue.lat.toFixed(6),
+      cue.lng.toFixed(6),
+    ]),
+  ].map((row) => row.map(escape).join(","));
+
+  // The byte order mark lets spreadsheet apps read the Hebrew as UTF-8
+  const blob = new Blob(["\uFEFF" + lines.join("\r\n")], {
+    type: "text/csv;charset=utf-8",
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "cue_sheet.csv";
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 function downloadGPX() {
   if (!kmlData) return;
 
   const orderedCoords = getOrderedCoordinates();
 
+  // Estimated times, starting the ride at 08:00 on the ride date
+  const ridingTime = getRidingTime();
+  const coordinateTimes =
+    ridingTime && ridingTime.coordinateTimes.length === orderedCoords.length
+      ? ridingTime.coordinateTimes
+      : null;
+  const startTime = routeManager ? routeManager.getRideDate() : new Date();
+  startTime.setHours(8, 0, 0, 0);
+
   let gpx = `<?xml version="1.0" encoding="UTF-8"?>
 <gpx version="1.1" creator="BikeRoutePlanner" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
   <trk>
     <name>מסלול רכיבה מתוכנן</name>
     <trkseg>`;
 
-  orderedCoords.forEach((coord) => {
-    // Use actual elevation from coordinates if available, otherwise calculate
-    let elevation;
-    if (coord.elevation !== undefined) {
-      elevation = coord.elevation;
-    } else {
-      // Fallback: calculate elevation based on position (simulated)
-      elevation =
-        200 + Math.sin(coord.lat * 10) * 100 + Math.cos(coord.lng * 8) * 50;
-    }
+  orderedCoords.forEach((coord, index) => {
+    // Points without height data get no <ele> rather than a made-up one
+    const elevation = coord.missingElevation
+      ? ""
+      : `
+        <ele>${Math.round(coord.elevation)}</ele>`;
+    const time = coordinateTimes
+      ? `
+        <time>${new Date(startTime.getTime() + coordinateTimes[index] * 1000).toISOString()}</time>`
+      : "";
     gpx += `
-      <trkpt lat="${coord.lat}" lon="${coord.lng}">
-        <ele>${Math.round(elevation)}</ele>
+      <trkpt lat="${coord.lat}" lon="${coord.lng}">${elevation}${time}
       </trkpt>`;
   });
 
@@ -3505,7 +5192,10 @@ function downloadGPX() {
 </gpx>`;
 
   // Generate filename using encoded route (first 32 characters)
-  const routeEncoding = encodeRoute(selectedSegments);
+  const routeEncoding = encodeRoute(
+    selectedSegments,
+    getRouteEncodingOptions(),
+  );
   const filename = routeEncoding
     ? `route_${routeEncoding.substring(0, 32)}.gpx`
     : "bike_route.gpx";
@@ -3517,6 +5207,13 @@ function downloadGPX() {
   a.download = filename;
   a.click();
   URL.revokeObjectURL(url);
+
+  const missing = countMissingElevations(orderedCoords);
+  if (missing > 0) {
+    alert(
+      `ל-${missing} נקודות במסלול אין נתוני גובה והן נשמרו בקובץ ללא גובה. ניתן לטעון אריחי גובה כדי להשלים אותן.`,
+    );
+  }
 }
 
 // Hash navigation functionality
@@ -3568,6 +5265,57 @@ document.addEventListener("DOMContentLoaded", function () {
       }
     });
 
+  // Routing profile selector
+  initRoutingProfileSelect();
+  initRiderPresetSelect();
+  initSteepGradeSelect();
+  initRideDateInput();
+
+  // Alternative routes button
+  document
+    .getElementById("alternatives-btn")
+    .addEventListener("click", toggleAlternativeRoutes);
+
+  // Loop generator button
+  document
+    .getElementById("loop-btn")
+    .addEventListener("click", startLoopGenerator);
+
+  // Waypoint order button
+  document
+    .getElementById("optimize-order-btn")
+    .addEventListener("click", showOptimizeOrderModal);
+
+  // Reverse route button
+  document
+    .getElementById("reverse-route-btn")
+    .addEventListener("click", reverseRoute);
+
+  // Out-and-back toggle
+  document
+    .getElementById("out-and-back-btn")
+    .addEventListener("click", toggleOutAndBack);
+
+  // Track import button and its hidden file picker
+  const trackFileInput = document.getElementById("import-track-input");
+  document
+    .getElementById("import-track-btn")
+    .addEventListener("click", () => trackFileInput.click());
+  trackFileInput.addEventListener("change", () => {
+    importTrackFile(trackFileInput.files[0]);
+    trackFileInput.value = "";
+  });
+
+  // Elevation tiles button and its hidden file picker
+  const elevationFileInput = document.getElementById("load-elevation-input");
+  document
+    .getElementById("load-elevation-btn")
+    .addEventListener("click", () => elevationFileInput.click());
+  elevationFileInput.addEventListener("change", async () => {
+    await loadElevationTiles([...elevationFileInput.files]);
+    elevationFileInput.value = "";
+  });
+
   // Undo/redo buttons
   document.getElementById("undo-btn").addEventListener("click", undo);
   document.getElementById("redo-btn").addEventListener("click", redo);
@@ -3749,6 +5497,19 @@ document.addEventListener("DOMContentLoaded", function () {
   });
 });
 
-const ROUTE_VERSION = 2;
+const ROUTE_VERSION = 3;
+
+// Tags of the optional blocks in version 3 route encodings
+const ROUTE_TAGS = {
+  AVOIDED_SEGMENTS: 1,
+  RIDE_DATE: 2,
+  OUT_AND_BACK: 3,
+  DATASET_REVISION: 4,
+};
+
+// Routes shared before the dataset revision was encoded refer to this one.
+// Later revisions only migrate IDs their dataset no longer has, so such
+// links made on any revision decode the same.
+const DATASET_BASE_REVISION = 1;
 
 // RouteManager is imported from route-manager.js
\ No newline at end of file
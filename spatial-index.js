@@ -60,22 +60,7 @@ class SpatialIndex {
   }
 
   findNearestSegment(lat, lng, maxDistance = 0.01) { // maxDistance in degrees
-    // Get candidate segments from nearby grid cells
-    const searchRadius = Math.max(maxDistance, this.gridSize);
-    const gridKeys = this._getGridKeysForBounds(
-      lat - searchRadius, lat + searchRadius,
-      lng - searchRadius, lng + searchRadius
-    );
-
-    const candidateSegments = new Set();
-    for (const key of gridKeys) {
-      const segments = this.grid.get(key);
-      if (segments) {
-        for (const segmentName of segments) {
-          candidateSegments.add(segmentName);
-        }
-      }
-    }
+    const candidateSegments = this.findCandidateSegments(lat, lng, maxDistance);
 
     // Find closest segment among candidates
     let closestSegment = null;
@@ -105,6 +90,26 @@ class SpatialIndex {
     return closestSegment;
   }
 
+  // Names of segments in the grid cells around a point, nearest or not
+  findCandidateSegments(lat, lng, maxDistance = 0.01) { // maxDistance in degrees
+    const searchRadius = Math.max(maxDistance, this.gridSize);
+    const gridKeys = this._getGridKeysForBounds(
+      lat - searchRadius, lat + searchRadius,
+      lng - searchRadius, lng + searchRadius
+    );
+
+    const candidateSegments = new Set();
+    for (const key of gridKeys) {
+      const segments = this.grid.get(key);
+      if (segments) {
+        for (const segmentName of segments) {
+          candidateSegments.add(segmentName);
+        }
+      }
+    }
+    return candidateSegments;
+  }
+
   _pointToLineSegmentDistance(point, lineStart, lineEnd) {
     // Simplified distance calculation using degree differences
     // This is approximate but much faster than haversine for short distances
@@ -138,3 +143,7 @@ class SpatialIndex {
     this.segments.clear();
   }
 }
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SpatialIndex;
+}
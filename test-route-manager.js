@@ -55,92 +55,2621 @@ const mockSegmentsData = {
   },
 };
 
+// Two ways between "Start" and "End": a short dirt track and a longer,
+// paved detour
+const mockLine = (name, stroke, coordinates) => ({
+  type: "Feature",
+  properties: { name, stroke },
+  geometry: { type: "LineString", coordinates },
+});
+
+const mockAlternativesGeoJsonData = {
+  type: "FeatureCollection",
+  features: [
+    mockLine("Start", "#0288d1", [
+      [35.0, 33.0, 100],
+      [35.01, 33.0, 100],
+    ]),
+    mockLine("Dirt shortcut", "#558b2f", [
+      [35.01, 33.0, 100],
+      [35.02, 33.0, 100],
+    ]),
+    mockLine("Paved detour", "#0288d1", [
+      [35.01, 33.0, 100],
+      [35.015, 33.004, 100],
+      [35.02, 33.0, 100],
+    ]),
+    mockLine("End", "#0288d1", [
+      [35.02, 33.0, 100],
+      [35.03, 33.0, 100],
+    ]),
+  ],
+};
+
+const mockAlternativesSegmentsData = {
+  Start: { id: 1 },
+  "Dirt shortcut": { id: 2, winter: false },
+  "Paved detour": { id: 3 },
+  End: { id: 4 },
+};
+
 // Test functions
 async function testRouteManager() {
   console.log("Starting RouteManager tests...");
 
-  try {
-    // Test 1: Create and load data
-    console.log("\n--- Test 1: Load data ---");
-    const manager = new RouteManager();
-    await manager.load(mockGeoJsonData, mockSegmentsData);
-    console.log("✓ Data loaded successfully");
-    console.log("Segments loaded:", manager.segments.size);
+  try {
+    // Test 1: Create and load data
+    console.log("\n--- Test 1: Load data ---");
+    const manager = new RouteManager();
+    await manager.load(mockGeoJsonData, mockSegmentsData);
+    console.log("✓ Data loaded successfully");
+    console.log("Segments loaded:", manager.segments.size);
+
+    // Test 2: Add a point
+    console.log("\n--- Test 2: Add point ---");
+    const point1 = { lat: 33.0, lng: 35.005 };
+    const segments1 = manager.addPoint(point1);
+    console.log("✓ Point added, segments:", segments1);
+
+    // Test 3: Add second point
+    console.log("\n--- Test 3: Add second point ---");
+    const point2 = { lat: 33.0, lng: 35.035 };
+    const segments2 = manager.addPoint(point2);
+    console.log("✓ Second point added, segments:", segments2);
+
+    // Test 4: Get route info
+    console.log("\n--- Test 4: Get route info ---");
+    const routeInfo = manager.getRouteInfo();
+    console.log("✓ Route info:", {
+      points: routeInfo.points.length,
+      segments: routeInfo.segments.length,
+      distance: routeInfo.distance.toFixed(2) + "m",
+      elevationGain: routeInfo.elevationGain + "m",
+      elevationLoss: routeInfo.elevationLoss + "m",
+    });
+
+    // Test 5: Get hover segments
+    console.log("\n--- Test 5: Get hover segments ---");
+    const hoverPoint = { lat: 33.0, lng: 35.01 };
+    const hoverSegments = manager.getHoverSegments(hoverPoint);
+    console.log("✓ Hover segments:", hoverSegments);
+
+    // Test 6: Get segment info
+    console.log("\n--- Test 6: Get segment info ---");
+    const segmentInfo = manager.getSegmentInfo("Test Segment 1");
+    console.log("✓ Segment info:", {
+      name: segmentInfo.name,
+      coordinates: segmentInfo.coordinates.length,
+      distance: segmentInfo.metrics?.distanceKm + "km",
+    });
+
+    // Test 7: Remove point
+    console.log("\n--- Test 7: Remove point ---");
+    const segments3 = manager.removePoint(0);
+    console.log("✓ Point removed, segments:", segments3);
+
+    // Test 8: Clear route
+    console.log("\n--- Test 8: Clear route ---");
+    const clearedSegments = manager.clearRoute();
+    console.log("✓ Route cleared, segments:", clearedSegments);
+
+    console.log("\n✅ All tests passed!");
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+  }
+}
+
+// Error handling tests
+async function testErrorHandling() {
+  console.log("\n--- Testing error handling ---");
+
+  const manager = new RouteManager();
+
+  try {
+    // Test invalid point
+    manager.addPoint({ lat: "invalid" });
+    console.log("❌ Should have thrown error for invalid point");
+  } catch (error) {
+    console.log("✓ Correctly caught invalid point error");
+  }
+
+  try {
+    // Test invalid geojson
+    await manager.load({ invalid: "data" }, {});
+    console.log("❌ Should have thrown error for invalid geojson");
+  } catch (error) {
+    console.log("✓ Correctly caught invalid geojson error");
+  }
+}
+
+// Shortest path search must return the same node paths as the linear-scan
+// Dijkstra it replaced
+async function testShortestPathMatchesDijkstra() {
+  console.log("\n--- Testing shortest path search against Dijkstra ---");
+
+  const { linearScanDijkstra } = require("./benchmark-route-manager.js");
+  const manager = new RouteManager();
+  const { geoJsonData, segmentsData } = await loadTestData({
+    geoJsonFile: "bike_roads_v12.geojson",
+    segmentsFile: "segments.json",
+  });
+  await manager.load(geoJsonData, segmentsData);
+
+  const nodes = Array.from(manager.endpointGraph.keys());
+  let mismatches = 0;
+  let compared = 0;
+
+  for (let i = 0; i < nodes.length; i += 7) {
+    for (let j = 1; j < nodes.length; j += 11) {
+      if (i === j) continue;
+      const path = manager._dijkstraPath(nodes[i], nodes[j]);
+      const expected = linearScanDijkstra(
+        manager.endpointGraph,
+        nodes[i],
+        nodes[j],
+      );
+      const expectedPath = expected.length > 1 ? expected : [];
+      compared++;
+      if (path.join(",") !== expectedPath.join(",")) {
+        mismatches++;
+      }
+    }
+  }
+
+  if (mismatches === 0) {
+    console.log(`✓ ${compared} node paths match Dijkstra`);
+  } else {
+    console.log(`❌ ${mismatches} of ${compared} node paths differ from Dijkstra`);
+  }
+
+  // "Spine" ends within junction distance of both ends of the 15m "Stub",
+  // so Stub|S can reach Spine|S over three chained junctions as well as
+  // along the stub. Junctions cost the gap they bridge, so the stub wins.
+  const at = (x, y) => [35 + x / 93256, 33 + y / 111195, 100]; // meters
+  const chained = new RouteManager();
+  await chained.load(
+    {
+      type: "FeatureCollection",
+      features: [
+        mockLine("Stub", "#0288d1", [at(0, 0), at(0, 15)]),
+        mockLine("Spine", "#0288d1", [at(0, 55), at(60, 60), at(40, 5)]),
+      ],
+    },
+    {},
+  );
+  const chainedPath = chained._dijkstraPath("Stub|S", "Spine|S");
+  const expectedPath = linearScanDijkstra(
+    chained.endpointGraph,
+    "Stub|S",
+    "Spine|S",
+  );
+  const chainedCost = chained._pathWeight(chainedPath);
+  if (
+    chainedPath.join(",") === expectedPath.join(",") &&
+    chainedPath.join(",") === "Stub|S,Stub|E,Spine|S" &&
+    Math.abs(chainedCost - 55) < 0.01
+  ) {
+    console.log("✓ Junctions cost the gap they bridge");
+  } else {
+    console.log(
+      `❌ Chained junctions: ${chainedPath} (${chainedCost}m), Dijkstra ${expectedPath}`,
+    );
+  }
+}
+
+async function testMidSegmentRoute() {
+  console.log("\n--- Testing routes that start and end mid-segment ---");
+
+  const manager = new RouteManager();
+  await manager.load(mockGeoJsonData, mockSegmentsData);
+  const fullLength =
+    manager.segmentMetrics.get("Test Segment 1").distance +
+    manager.segmentMetrics.get("Test Segment 2").distance;
+
+  manager.addPoint({ lat: 33.0, lng: 35.005 });
+  manager.addPoint({ lat: 33.0, lng: 35.035 });
+  const info = manager.getRouteInfo();
+
+  const expectedDistance = manager._getDistance(
+    { lat: 33.0, lng: 35.005 },
+    { lat: 33.0, lng: 35.035 },
+  );
+  if (Math.abs(info.distance - expectedDistance) < 1) {
+    console.log(
+      `✓ Distance covers only the ridden part (${Math.round(info.distance)}m of ${Math.round(fullLength)}m)`,
+    );
+  } else {
+    console.log(
+      `❌ Expected distance ${Math.round(expectedDistance)}m, got ${Math.round(info.distance)}m`,
+    );
+  }
+
+  const first = info.orderedCoordinates[0];
+  const last = info.orderedCoordinates[info.orderedCoordinates.length - 1];
+  if (
+    Math.abs(first.lng - 35.005) < 1e-6 &&
+    Math.abs(last.lng - 35.035) < 1e-6
+  ) {
+    console.log("✓ Coordinates are cut at the route points");
+  } else {
+    console.log(`❌ Coordinates run from ${first.lng} to ${last.lng}`);
+  }
+
+  // The mock climbs 20m evenly, of which 15m lie between the two points
+  if (Math.abs(info.elevationGain - 15) <= 1) {
+    console.log(`✓ Elevation gain reflects the partial route (${info.elevationGain}m)`);
+  } else {
+    console.log(`❌ Unexpected elevation gain ${info.elevationGain}m`);
+  }
+
+  // A single segment ridden backwards between two points
+  manager.clearRoute();
+  manager.addPoint({ lat: 33.0, lng: 35.018 });
+  manager.addPoint({ lat: 33.0, lng: 35.004 });
+  const reverseInfo = manager.getRouteInfo();
+  const reverseCoords = reverseInfo.orderedCoordinates;
+  if (
+    reverseInfo.segments.length === 1 &&
+    Math.abs(reverseCoords[0].lng - 35.018) < 1e-6 &&
+    Math.abs(reverseCoords[reverseCoords.length - 1].lng - 35.004) < 1e-6 &&
+    reverseInfo.elevationGain === 0
+  ) {
+    console.log("✓ Single-segment route runs between its points in reverse");
+  } else {
+    console.log("❌ Single-segment reverse route was not cut correctly");
+  }
+
+  // "Spur" is ridden into and back out of twice: first turning at 300m,
+  // then at 700m. Each turn is at the waypoint of its own leg.
+  const east = (meters) => 35 + meters / 93256;
+  const north = (meters) => 33 + meters / 111195;
+  const spur = new RouteManager();
+  await spur.load(
+    {
+      type: "FeatureCollection",
+      features: [
+        mockLine("West", "#0288d1", [
+          [east(-1000), 33],
+          [35, 33],
+        ]),
+        mockLine("Spur", "#0288d1", [
+          [35, 33],
+          [east(1000), 33],
+        ]),
+        mockLine("North", "#0288d1", [
+          [35, 33],
+          [35, north(1000)],
+        ]),
+      ],
+    },
+    {},
+  );
+  [
+    { lat: 33, lng: east(-800) },
+    { lat: 33, lng: east(300) },
+    { lat: north(500), lng: 35 },
+    { lat: 33, lng: east(700) },
+    { lat: north(800), lng: 35 },
+  ].forEach((point) => spur.addPoint(point));
+  // 800 + 2 * 300 + 2 * 500 + 2 * 700 + 800
+  const spurDistance = spur.getRouteInfo().distance;
+  if (Math.abs(spurDistance - 4600) < 5) {
+    console.log("✓ Turnarounds on a segment ridden twice use their own leg");
+  } else {
+    console.log(`❌ Riding the spur twice measures ${spurDistance}m`);
+  }
+}
+
+async function testRoutingProfiles() {
+  console.log("\n--- Testing routing profiles ---");
+
+  const manager = new RouteManager();
+  await manager.load(mockAlternativesGeoJsonData, mockAlternativesSegmentsData);
+  // "Dirt shortcut" is only muddy in winter
+  manager.setRideDate("2026-01-15");
+
+  const expectations = [
+    ["shortest", "Dirt shortcut"],
+    ["road", "Paved detour"],
+    ["winter", "Paved detour"],
+  ];
+  for (const [profile, expectedMiddle] of expectations) {
+    manager.clearRoute();
+    manager.setRoutingProfile(profile);
+    manager.addPoint({ lat: 33.0, lng: 35.005 });
+    const route = manager.addPoint({ lat: 33.0, lng: 35.025 });
+    if (route.join(",") === ["Start", expectedMiddle, "End"].join(",")) {
+      console.log(`✓ "${profile}" profile routes via ${expectedMiddle}`);
+    } else {
+      console.log(`❌ "${profile}" profile routed via ${route.join(" → ")}`);
+    }
+  }
+
+  // A* must stay exact when edge costs come from a profile
+  const { linearScanDijkstra } = require("./benchmark-route-manager.js");
+  const { geoJsonData, segmentsData } = await loadTestData({
+    geoJsonFile: "bike_roads_v12.geojson",
+    segmentsFile: "segments.json",
+  });
+  const realManager = new RouteManager();
+  await realManager.load(geoJsonData, segmentsData);
+  const nodes = Array.from(realManager.endpointGraph.keys());
+
+  for (const profile of Object.keys(RouteManager.ROUTING_PROFILES)) {
+    realManager.setRoutingProfile(profile);
+    const costGraph = new Map();
+    for (const [node, edges] of realManager.endpointGraph) {
+      costGraph.set(
+        node,
+        edges.map((edge) => ({
+          to: edge.to,
+          weight: realManager._getEdgeCost(node, edge),
+        })),
+      );
+    }
+
+    let mismatches = 0;
+    for (let i = 0; i < nodes.length; i += 13) {
+      for (let j = 5; j < nodes.length; j += 17) {
+        if (i === j) continue;
+        const path = realManager._dijkstraPath(nodes[i], nodes[j]);
+        const expected = linearScanDijkstra(costGraph, nodes[i], nodes[j]);
+        const cost = path.length > 0 ? realManager._pathWeight(path) : Infinity;
+        const expectedCost =
+          expected.length > 1 ? realManager._pathWeight(expected) : Infinity;
+        if (cost !== expectedCost && Math.abs(cost - expectedCost) > 1e-6) {
+          mismatches++;
+        }
+      }
+    }
+
+    if (mismatches === 0) {
+      console.log(`✓ "${profile}" path costs match Dijkstra`);
+    } else {
+      console.log(`❌ "${profile}": ${mismatches} path costs differ from Dijkstra`);
+    }
+  }
+}
+
+async function testLoopGenerator() {
+  console.log("\n--- Testing round-trip loop generator ---");
+
+  const manager = new RouteManager();
+  const { geoJsonData, segmentsData } = await loadTestData({
+    geoJsonFile: "bike_roads_v12.geojson",
+    segmentsFile: "segments.json",
+  });
+  await manager.load(geoJsonData, segmentsData);
+
+  const startSegment = Array.from(manager.segments.values())[20];
+  const loops = manager.generateLoops(startSegment.coordinates[1], {
+    targetDistance: 20000,
+    maxElevationGain: 500,
+  });
+
+  if (loops.length === 0) {
+    console.log("❌ No loops generated");
+    return;
+  }
+  console.log(`✓ Generated ${loops.length} loops`);
+
+  const best = loops[0];
+  if (Math.abs(best.distance - 20000) <= 4000) {
+    console.log(`✓ Best loop is ${Math.round(best.distance)}m for a 20km target`);
+  } else {
+    console.log(`❌ Best loop is ${Math.round(best.distance)}m for a 20km target`);
+  }
+
+  if (loops.every((loop, i) => i === 0 || loop.score >= loops[i - 1].score)) {
+    console.log("✓ Loops are ranked by score");
+  } else {
+    console.log("❌ Loops are not ranked by score");
+  }
+
+  // The same segments ridden in another order are one loop. From the first
+  // segment the best candidates repeat one another in a different order.
+  const length = (names) =>
+    names.reduce(
+      (total, name) => total + manager.segmentMetrics.get(name).distance,
+      0,
+    );
+  const firstSegment = Array.from(manager.segments.values())[0];
+  const fromFirst = manager.generateLoops(firstSegment.coordinates[1], {
+    targetDistance: 20000,
+    maxElevationGain: 500,
+  });
+  const repeats = fromFirst.filter((loop, i) =>
+    fromFirst.slice(0, i).some((better) => {
+      const names = [...new Set(loop.segments)];
+      const shared = names.filter((name) => better.segments.includes(name));
+      return length(shared) >= length(names) * 0.8;
+    }),
+  );
+  if (repeats.length === 0) {
+    console.log("✓ Loops differ in the segments they ride");
+  } else {
+    console.log(
+      `❌ ${repeats.length} loops mostly repeat a better one: ${fromFirst.map((loop) => Math.round(loop.distance))}`,
+    );
+  }
+
+  let brokenLoops = 0;
+  for (const loop of loops) {
+    const first = loop.points[0];
+    const last = loop.points[loop.points.length - 1];
+    const continuity = manager.checkSegmentsContinuity(loop.segments);
+
+    // Loaded like any other route, the loop reports the same totals
+    manager.updateInternalState(loop.points, loop.segments);
+    const info = manager.getRouteInfo();
+
+    if (
+      !continuity.isContinuous ||
+      manager._getDistance(first, last) > 1 ||
+      Math.abs(info.distance - loop.distance) > 1
+    ) {
+      brokenLoops++;
+    }
+  }
+
+  if (brokenLoops === 0) {
+    console.log("✓ Every loop is continuous and returns to its start");
+  } else {
+    console.log(`❌ ${brokenLoops} loops are broken or measure differently`);
+  }
+}
+
+async function testAvoidedSegments() {
+  console.log("\n--- Testing avoided segments ---");
+
+  const manager = new RouteManager();
+  await manager.load(mockAlternativesGeoJsonData, mockAlternativesSegmentsData);
+
+  manager.avoidSegment("Dirt shortcut");
+  manager.addPoint({ lat: 33.0, lng: 35.005 });
+  const route = manager.addPoint({ lat: 33.0, lng: 35.025 });
+  if (route.join(",") === "Start,Paved detour,End") {
+    console.log("✓ Route detours around the avoided segment");
+  } else {
+    console.log(`❌ Route with avoided segment: ${route.join(" → ")}`);
+  }
+
+  // A click on the avoided segment snaps to nothing rather than onto it
+  if (manager.findClosestSegment({ lat: 33.0, lng: 35.0175 }) === null) {
+    console.log("✓ Points do not snap to avoided segments");
+  } else {
+    console.log("❌ Point snapped to an avoided segment");
+  }
+
+  manager.avoidSegment("Paved detour");
+  const blockedRoute = manager.recalculateRoute(manager.routePoints);
+  if (
+    !blockedRoute.includes("Dirt shortcut") &&
+    !blockedRoute.includes("Paved detour")
+  ) {
+    console.log("✓ Route never rides through avoided segments");
+  } else {
+    console.log(`❌ Blocked route: ${blockedRoute.join(" → ")}`);
+  }
+
+  manager.setAvoidedSegments([]);
+  const reopened = manager.recalculateRoute(manager.routePoints);
+  if (
+    reopened.join(",") === "Start,Dirt shortcut,End" &&
+    manager.getAvoidedSegments().length === 0
+  ) {
+    console.log("✓ Clearing avoided segments restores the shortest route");
+  } else {
+    console.log(`❌ Route after clearing: ${reopened.join(" → ")}`);
+  }
+}
+
+async function testAlternativeRoutes() {
+  console.log("\n--- Testing alternative routes ---");
+
+  const manager = new RouteManager();
+  await manager.load(mockAlternativesGeoJsonData, mockAlternativesSegmentsData);
+  manager.addPoint({ lat: 33.0, lng: 35.005 });
+  manager.addPoint({ lat: 33.0, lng: 35.025 });
+
+  const alternatives = manager.getAlternativeRoutes(0);
+  const routes = alternatives.map((route) => route.segments.join(","));
+  if (
+    routes.length === 2 &&
+    routes[0] === "Start,Dirt shortcut,End" &&
+    routes[1] === "Start,Paved detour,End" &&
+    alternatives[0].isCurrent &&
+    !alternatives[1].isCurrent
+  ) {
+    console.log("✓ Found the current route and the detour, shortest first");
+  } else {
+    console.log(`❌ Unexpected alternatives: ${routes.join(" | ")}`);
+  }
+
+  if (
+    alternatives.length === 2 &&
+    Math.abs(alternatives[0].distance - manager.getRouteInfo().distance) < 1
+  ) {
+    console.log("✓ Alternative distances cover only the ridden leg");
+  } else {
+    console.log("❌ Alternative distance differs from the route distance");
+  }
+
+  const segments = manager.selectAlternativeRoute(0, alternatives[1]);
+  if (
+    segments.join(",") === "Start,Paved detour,End" &&
+    manager.routePoints.length === 3
+  ) {
+    console.log("✓ Choosing an alternative adds a shaping point on it");
+  } else {
+    console.log(`❌ Route after choosing the detour: ${segments.join(" → ")}`);
+  }
+}
+
+async function testSeasonalSegments() {
+  console.log("\n--- Testing seasonal segments ---");
+
+  const manager = new RouteManager();
+  await manager.load(mockAlternativesGeoJsonData, {
+    ...mockAlternativesSegmentsData,
+    "Paved detour": {
+      id: 3,
+      seasons: [
+        {
+          type: "closed",
+          from: "2026-04-01",
+          to: "2026-04-03",
+          note: "Festival",
+        },
+      ],
+    },
+  });
+  manager.setRoutingProfile("winter");
+
+  const routeOn = (date) => {
+    manager.setRideDate(date);
+    manager.clearRoute();
+    manager.addPoint({ lat: 33.0, lng: 35.005 });
+    return manager.addPoint({ lat: 33.0, lng: 35.025 }).join(",");
+  };
+
+  // The legacy winter: false flag means muddy from November to March
+  const checks = [
+    ["2026-01-15", "Start,Paved detour,End", "muddy shortcut avoided in winter"],
+    ["2025-12-01", "Start,Paved detour,End", "mud window wraps past new year"],
+    ["2026-07-15", "Start,Dirt shortcut,End", "shortcut used in summer"],
+    ["2026-04-02", "Start,Dirt shortcut,End", "closed detour never used"],
+  ];
+  for (const [date, expected, label] of checks) {
+    const route = routeOn(date);
+    if (route === expected) {
+      console.log(`✓ ${date}: ${label}`);
+    } else {
+      console.log(`❌ ${date}: expected ${expected}, got ${route}`);
+    }
+  }
+
+  manager.setRideDate("2026-04-02");
+  const closed = manager.getActiveSeasons("Paved detour");
+  const notClosedNextYear = manager.getActiveSeasons(
+    "Paved detour",
+    new Date(2027, 3, 2),
+  );
+  if (
+    closed.length === 1 &&
+    closed[0].note === "Festival" &&
+    notClosedNextYear.length === 0 &&
+    manager.getActiveSeasons("Dirt shortcut").length === 0
+  ) {
+    console.log("✓ One-off closures apply only to their own dates");
+  } else {
+    console.log(
+      `❌ Active seasons: ${JSON.stringify({ closed, notClosedNextYear })}`,
+    );
+  }
+
+  let rejected = false;
+  try {
+    manager.setRideDate("15/01/2026");
+  } catch (error) {
+    rejected = true;
+  }
+  if (rejected && manager.getRideDate().getMonth() === 3) {
+    console.log("✓ Invalid ride dates are rejected");
+  } else {
+    console.log("❌ Invalid ride date was accepted");
+  }
+}
+
+async function testDirectionRestrictions() {
+  console.log("\n--- Testing direction-restricted segments ---");
+
+  const manager = new RouteManager();
+  await manager.load(mockAlternativesGeoJsonData, {
+    ...mockAlternativesSegmentsData,
+    Start: { id: 1, direction: { reverse: { warning: "Toll", fee: true } } },
+    "Dirt shortcut": { id: 2, direction: { oneWay: "reverse" } },
+  });
+
+  // Eastbound rides "Dirt shortcut" forward, which its one-way forbids
+  manager.addPoint({ lat: 33.0, lng: 35.005 });
+  const eastbound = manager.addPoint({ lat: 33.0, lng: 35.025 });
+  if (
+    eastbound.join(",") === "Start,Paved detour,End" &&
+    manager.getDirectionWarnings().length === 0
+  ) {
+    console.log("✓ Eastbound route detours around the one-way segment");
+  } else {
+    console.log(
+      `❌ Eastbound: ${eastbound.join(" → ")}, warnings ${JSON.stringify(
+        manager.getDirectionWarnings(),
+      )}`,
+    );
+  }
+
+  manager.clearRoute();
+  manager.addPoint({ lat: 33.0, lng: 35.025 });
+  const westbound = manager.addPoint({ lat: 33.0, lng: 35.005 });
+  const westWarnings = manager.getDirectionWarnings();
+  if (
+    westbound.join(",") === "End,Dirt shortcut,Start" &&
+    westWarnings.length === 1 &&
+    westWarnings[0].segmentName === "Start" &&
+    westWarnings[0].direction === "reverse" &&
+    westWarnings[0].fee &&
+    !westWarnings[0].oneWayViolation
+  ) {
+    console.log("✓ Westbound route uses the one-way and warns about the toll");
+  } else {
+    console.log(
+      `❌ Westbound: ${westbound.join(" → ")}, warnings ${JSON.stringify(
+        westWarnings,
+      )}`,
+    );
+  }
+
+  // Two points on the one-way segment in the wrong order can't be avoided
+  manager.clearRoute();
+  manager.addPoint({ lat: 33.0, lng: 35.012 });
+  manager.addPoint({ lat: 33.0, lng: 35.018 });
+  const wrongWay = manager.getDirectionWarnings();
+  if (
+    wrongWay.length === 1 &&
+    wrongWay[0].segmentName === "Dirt shortcut" &&
+    wrongWay[0].oneWayViolation
+  ) {
+    console.log("✓ Riding a one-way segment the wrong way is flagged");
+  } else {
+    console.log(`❌ Wrong-way warnings: ${JSON.stringify(wrongWay)}`);
+  }
+
+  const forwardEdges = manager.endpointGraph
+    .get("Dirt shortcut|S")
+    .filter((edge) => edge.segment === "Dirt shortcut");
+  if (forwardEdges.length === 0) {
+    console.log("✓ Endpoint graph has no edge against the one-way");
+  } else {
+    console.log("❌ Endpoint graph still rides the one-way forward");
+  }
+}
+
+async function testShapingPoints() {
+  console.log("\n--- Testing shaping points dragged off the route ---");
+
+  const manager = new RouteManager();
+  await manager.load(mockAlternativesGeoJsonData, mockAlternativesSegmentsData);
+  manager.addPoint({ lat: 33.0, lng: 35.005 });
+  manager.addPoint({ lat: 33.0, lng: 35.025 });
+  manager.addPoint({ lat: 33.0, lng: 35.028 });
+
+  // Grab the dirt shortcut, part of the first leg
+  const legIndex = manager.getLegIndexAt({ lat: 33.0, lng: 35.015 });
+  if (legIndex === 0 && manager.getLegIndexAt({ lat: 33.0, lng: 35.027 }) === 1) {
+    console.log("✓ Spots on the route line map to their legs");
+  } else {
+    console.log(`❌ Grabbed spot mapped to leg ${legIndex}`);
+  }
+
+  // ...and drop it on the paved detour
+  const segments = manager.insertShapingPoint(legIndex, {
+    lat: 33.004,
+    lng: 35.015,
+  });
+  if (
+    segments.join(",") === "Start,Paved detour,End" &&
+    manager.routePoints.length === 4 &&
+    Math.abs(manager.routePoints[1].lat - 33.004) < 1e-6 &&
+    Math.abs(manager.routePoints[3].lng - 35.028) < 1e-6
+  ) {
+    console.log("✓ Shaping point is inserted between the grabbed leg's points");
+  } else {
+    console.log(
+      `❌ After inserting: ${segments.join(" → ")} through ${manager.routePoints.length} points`,
+    );
+  }
+
+  // Routing only the affected legs gives the same route as starting over
+  const fresh = new RouteManager();
+  await fresh.load(mockAlternativesGeoJsonData, mockAlternativesSegmentsData);
+  const recalculated = fresh.recalculateRoute(manager.routePoints);
+  if (
+    recalculated.join(",") === segments.join(",") &&
+    manager.legEnds.join(",") === fresh.legEnds.join(",")
+  ) {
+    console.log("✓ Re-routed legs match a full recalculation");
+  } else {
+    console.log(
+      `❌ Full recalculation gives ${recalculated.join(" → ")} (legs ${fresh.legEnds}), insert gave legs ${manager.legEnds}`,
+    );
+  }
+}
+
+async function testReverseRoute() {
+  console.log("\n--- Testing route reversal ---");
+
+  const manager = new RouteManager();
+  await manager.load(mockGeoJsonData, mockSegmentsData);
+
+  manager.addPoint({ lat: 33.0, lng: 35.005 });
+  manager.addPoint({ lat: 33.0, lng: 35.035 });
+  const before = manager.getRouteInfo();
+
+  const reversed = manager.reverseRoute();
+  const after = manager.getRouteInfo();
+  const coords = after.orderedCoordinates;
+  if (
+    reversed.join(",") === "Test Segment 2,Test Segment 1" &&
+    Math.abs(coords[0].lng - 35.035) < 1e-6 &&
+    Math.abs(coords[coords.length - 1].lng - 35.005) < 1e-6
+  ) {
+    console.log("✓ Reversed route runs from the last point to the first");
+  } else {
+    console.log(`❌ Reversed route: ${reversed.join(" → ")}`);
+  }
+
+  if (
+    Math.abs(after.distance - before.distance) < 1 &&
+    after.elevationGain === before.elevationLoss &&
+    after.elevationLoss === before.elevationGain
+  ) {
+    console.log(
+      `✓ Gain and loss swap over (${after.elevationGain}m up, ${after.elevationLoss}m down)`,
+    );
+  } else {
+    console.log(
+      `❌ Reversed totals ${Math.round(after.distance)}m, +${after.elevationGain}/-${after.elevationLoss}`,
+    );
+  }
+
+  // A toll charged westbound only applies once the route is reversed
+  const tollManager = new RouteManager();
+  await tollManager.load(mockAlternativesGeoJsonData, {
+    ...mockAlternativesSegmentsData,
+    Start: { id: 1, direction: { reverse: { warning: "Toll", fee: true } } },
+  });
+  tollManager.addPoint({ lat: 33.0, lng: 35.005 });
+  tollManager.addPoint({ lat: 33.0, lng: 35.025 });
+  const eastbound = tollManager.getDirectionWarnings().length;
+  tollManager.reverseRoute();
+  const westbound = tollManager.getDirectionWarnings();
+  if (
+    eastbound === 0 &&
+    westbound.length === 1 &&
+    westbound[0].segmentName === "Start" &&
+    westbound[0].fee
+  ) {
+    console.log("✓ Reversing the route surfaces the direction warning");
+  } else {
+    console.log(
+      `❌ Direction warnings after reversing: ${JSON.stringify(westbound)}`,
+    );
+  }
+}
+
+async function testOutAndBack() {
+  console.log("\n--- Testing out-and-back rides ---");
+
+  const manager = new RouteManager();
+  await manager.load(mockGeoJsonData, mockSegmentsData);
+  manager.addPoint({ lat: 33.0, lng: 35.005 });
+  manager.addPoint({ lat: 33.0, lng: 35.035 });
+  const oneWay = manager.getRouteInfo();
+
+  manager.setOutAndBack(true);
+  const info = manager.getRouteInfo();
+  if (
+    info.segments.join(",") === "Test Segment 1,Test Segment 2" &&
+    manager.selectedSegments.length === 2
+  ) {
+    console.log("✓ The route keeps its own segment list");
+  } else {
+    console.log(`❌ Out-and-back segments: ${info.segments.join(" → ")}`);
+  }
+
+  // The mock climbs 15m between the points, so the return descends it
+  if (
+    Math.abs(info.distance - oneWay.distance * 2) < 1 &&
+    info.elevationGain === oneWay.elevationGain + oneWay.elevationLoss &&
+    info.elevationLoss === oneWay.elevationLoss + oneWay.elevationGain
+  ) {
+    console.log(
+      `✓ Totals cover both directions (${Math.round(info.distance)}m, +${info.elevationGain}/-${info.elevationLoss}m)`,
+    );
+  } else {
+    console.log(
+      `❌ Out-and-back totals ${Math.round(info.distance)}m, +${info.elevationGain}/-${info.elevationLoss}m`,
+    );
+  }
+
+  const coords = info.orderedCoordinates;
+  const gaps = coords.filter(
+    (coord, i) => i > 0 && manager._getDistance(coords[i - 1], coord) === 0,
+  ).length;
+  if (
+    Math.abs(coords[0].lng - 35.005) < 1e-6 &&
+    Math.abs(coords[coords.length - 1].lng - 35.005) < 1e-6 &&
+    gaps === 0
+  ) {
+    console.log("✓ Coordinates form one track back to the start");
+  } else {
+    console.log(
+      `❌ Track runs ${coords[0].lng} → ${coords[coords.length - 1].lng} with ${gaps} repeated points`,
+    );
+  }
+
+  const turnaround = info.turnaround;
+  if (
+    turnaround &&
+    Math.abs(turnaround.lng - 35.035) < 1e-6 &&
+    Math.abs(turnaround.distance - oneWay.distance) < 1
+  ) {
+    console.log("✓ Turnaround is at the last point, halfway along the ride");
+  } else {
+    console.log(`❌ Unexpected turnaround ${JSON.stringify(turnaround)}`);
+  }
+
+  // Test Segment 2 is one-way eastbound with a westbound toll: the way back
+  // breaks both rules
+  const oneWayManager = new RouteManager();
+  await oneWayManager.load(mockGeoJsonData, {
+    ...mockSegmentsData,
+    "Test Segment 2": {
+      ...mockSegmentsData["Test Segment 2"],
+      direction: { oneWay: "forward", reverse: { warning: "Toll", fee: true } },
+    },
+  });
+  oneWayManager.addPoint({ lat: 33.0, lng: 35.005 });
+  oneWayManager.addPoint({ lat: 33.0, lng: 35.035 });
+  const outboundWarnings = oneWayManager.getDirectionWarnings().length;
+  oneWayManager.setOutAndBack(true);
+  const returnWarnings = oneWayManager.getDirectionWarnings();
+  const routeWarnings = oneWayManager.getRouteWarnings();
+  if (
+    outboundWarnings === 0 &&
+    returnWarnings.length === 1 &&
+    returnWarnings[0].direction === "reverse" &&
+    returnWarnings[0].oneWayViolation &&
+    returnWarnings[0].fee &&
+    routeWarnings.some((warning) => warning.type === "one-way") &&
+    routeWarnings.some((warning) => warning.text === "Toll")
+  ) {
+    console.log("✓ Direction rules are checked on the way back");
+  } else {
+    console.log(
+      `❌ Way back direction warnings: ${JSON.stringify(returnWarnings)}`,
+    );
+  }
+
+  manager.setOutAndBack(false);
+  if (
+    manager.getRouteInfo().turnaround === null &&
+    Math.abs(manager.getRouteInfo().distance - oneWay.distance) < 1
+  ) {
+    console.log("✓ Turning the mode off restores the one-way ride");
+  } else {
+    console.log("❌ One-way ride not restored");
+  }
+}
+
+async function testTJunctions() {
+  console.log("\n--- Testing T-junctions in the middle of segments ---");
+
+  // "Side track" starts ~20m north of the middle of "Main road"
+  const manager = new RouteManager();
+  await manager.load(
+    {
+      type: "FeatureCollection",
+      features: [
+        mockLine("Main road", "#0288d1", [
+          [35.0, 33.0, 100],
+          [35.02, 33.0, 100],
+          [35.04, 33.0, 100],
+        ]),
+        mockLine("Side track", "#558b2f", [
+          [35.015, 33.0002, 100],
+          [35.015, 33.01, 100],
+        ]),
+      ],
+    },
+    { "Main road": { id: 1 }, "Side track": { id: 2 } },
+  );
+
+  const junction = manager.junctionNodes.get("Main road|T0");
+  if (junction && Math.abs(junction.lng - 35.015) < 1e-4) {
+    console.log("✓ Endpoint graph splits the segment at the junction");
+  } else {
+    console.log("❌ No junction node where the side track meets the road");
+  }
+
+  const roadPoint = { lat: 33.0, lng: 35.005 };
+  const trackPoint = { lat: 33.008, lng: 35.015 };
+  const junctionPoint = { lat: 33.0, lng: 35.015 };
+
+  manager.addPoint(roadPoint);
+  manager.addPoint(trackPoint);
+  const info = manager.getRouteInfo();
+  const expected =
+    manager._getDistance(roadPoint, junctionPoint) +
+    manager._getDistance(junctionPoint, trackPoint);
+  const pastJunction = info.orderedCoordinates.some(
+    (coord) => coord.lng > 35.0151,
+  );
+  if (
+    info.segments.join(",") === "Main road,Side track" &&
+    Math.abs(info.distance - expected) < 30 &&
+    !pastJunction
+  ) {
+    console.log(
+      `✓ Route turns onto the side track at the junction (${Math.round(info.distance)}m)`,
+    );
+  } else {
+    console.log(
+      `❌ Expected ${Math.round(expected)}m turning at the junction, got ${info.segments.join(" → ")} ${Math.round(info.distance)}m`,
+    );
+  }
+
+  if (
+    manager.checkSegmentsContinuity(info.segments, manager.routePoints)
+      .isContinuous
+  ) {
+    console.log("✓ Route through the junction is continuous");
+  } else {
+    console.log("❌ Route through the junction is reported as broken");
+  }
+
+  // Coming down the side track and turning east
+  manager.clearRoute();
+  const eastPoint = { lat: 33.0, lng: 35.035 };
+  manager.addPoint(trackPoint);
+  manager.addPoint(eastPoint);
+  const eastInfo = manager.getRouteInfo();
+  const coords = eastInfo.orderedCoordinates;
+  const eastExpected =
+    manager._getDistance(trackPoint, junctionPoint) +
+    manager._getDistance(junctionPoint, eastPoint);
+  if (
+    Math.abs(eastInfo.distance - eastExpected) < 30 &&
+    Math.abs(coords[0].lat - trackPoint.lat) < 1e-6 &&
+    Math.abs(coords[coords.length - 1].lng - eastPoint.lng) < 1e-6 &&
+    !coords.some((coord) => coord.lng < 35.0149)
+  ) {
+    console.log("✓ Route from the side track turns east without a detour");
+  } else {
+    console.log(
+      `❌ Side track to east: expected ${Math.round(eastExpected)}m, got ${Math.round(eastInfo.distance)}m`,
+    );
+  }
+
+  // A third point further east keeps riding away from the junction
+  const farPoint = { lat: 33.0, lng: 35.038 };
+  manager.addPoint(farPoint);
+  const farInfo = manager.getRouteInfo();
+  if (
+    farInfo.segments.join(",") === "Side track,Main road" &&
+    Math.abs(
+      farInfo.distance -
+        (eastExpected + manager._getDistance(eastPoint, farPoint)),
+    ) < 30
+  ) {
+    console.log("✓ Route continues along the segment after the junction");
+  } else {
+    console.log(
+      `❌ Continuing east: ${farInfo.segments.join(" → ")} ${Math.round(farInfo.distance)}m`,
+    );
+  }
+}
+
+async function testNetworkChecker() {
+  console.log("\n--- Testing network integrity checker ---");
+
+  const { NetworkChecker } = require("./network-checker.js");
+
+  // "Gap" starts ~60m past the end of "Test Segment 2", just outside the
+  // 50m junction threshold; "Island" is far from everything
+  const geoJsonData = {
+    type: "FeatureCollection",
+    features: [
+      ...mockGeoJsonData.features,
+      mockLine("Gap", "#0288d1", [
+        [35.04064, 33.0, 120],
+        [35.05, 33.0, 120],
+      ]),
+      mockLine("Island", "#0288d1", [
+        [35.1, 33.1, 100],
+        [35.11, 33.1, 100],
+      ]),
+      mockLine("Island", "#0288d1", [
+        [35.11, 33.1, 100],
+        [35.12, 33.1, 100],
+      ]),
+    ],
+  };
+  const segmentsData = {
+    ...mockSegmentsData,
+    Gap: { id: 2 },
+    Island: {},
+  };
+
+  const checker = new NetworkChecker();
+  const report = await checker.check(geoJsonData, segmentsData);
+
+  const checks = [
+    [
+      "disconnected components found",
+      report.components.length === 3 &&
+        report.components[0].segments.join(",") ===
+          "Test Segment 1,Test Segment 2",
+    ],
+    [
+      "60m gap reported as a near miss",
+      report.nearMisses.length === 1 &&
+        report.nearMisses[0].distance > 50 &&
+        report.nearMisses[0].distance < 70,
+    ],
+    [
+      "dangling endpoints found",
+      report.danglingEndpoints.some(
+        (endpoint) =>
+          endpoint.segmentName === "Gap" && endpoint.endpoint === "S",
+      ) &&
+        !report.danglingEndpoints.some(
+          (endpoint) =>
+            endpoint.segmentName === "Test Segment 1" &&
+            endpoint.endpoint === "E",
+        ),
+    ],
+    ["missing id found", report.missingIds.join(",") === "Island"],
+    [
+      "duplicate names and ids found",
+      report.duplicateNames.length === 1 &&
+        report.duplicateNames[0].name === "Island" &&
+        report.duplicateIds.length === 1 &&
+        report.duplicateIds[0].segments.join(",") === "Test Segment 2,Gap",
+    ],
+  ];
+
+  const missing = await checker.check(geoJsonData, mockSegmentsData);
+  checks.push([
+    "features without an entry found",
+    missing.missingEntries.join(",") === "Gap,Island",
+  ]);
+
+  const overlay = checker.toGeoJson(report);
+  const issues = new Set(overlay.features.map((f) => f.properties.issue));
+  checks.push([
+    "overlay marks every kind of issue",
+    issues.has("component") &&
+      issues.has("dangling") &&
+      issues.has("near-miss"),
+  ]);
+
+  for (const [label, passed] of checks) {
+    console.log(
+      passed ? `✓ Network check: ${label}` : `❌ Network check: ${label}`,
+    );
+  }
+}
+
+async function testDatasetBuilder() {
+  console.log("\n--- Testing dataset builder ---");
+
+  const fs = require("fs");
+  const vm = require("vm");
+  const { DatasetBuilder } = require("./dataset-builder.js");
+  const { NetworkChecker } = require("./network-checker.js");
+
+  const previousGeoJson = {
+    type: "FeatureCollection",
+    features: [
+      mockLine("North", "#0288d1", [
+        [35.0, 33.0, 100],
+        [35.01, 33.0, 100],
+      ]),
+      mockLine("Middle A", "#0288d1", [
+        [35.02, 33.0, 100],
+        [35.032, 33.0, 100],
+      ]),
+      mockLine("Middle B", "#0288d1", [
+        [35.032, 33.0, 100],
+        [35.04, 33.0, 100],
+      ]),
+      mockLine("Long", "#0288d1", [
+        [35.05, 33.0, 100],
+        [35.06, 33.0, 100],
+        [35.07, 33.0, 100],
+      ]),
+      mockLine("Gone", "#0288d1", [
+        [35.1, 33.1, 100],
+        [35.11, 33.1, 100],
+      ]),
+    ],
+  };
+  const previousSegments = {
+    North: { id: 1, direction: { reverse: { warning: "Uphill", fee: true } } },
+    "Middle A": { id: 2 },
+    "Middle B": { id: 3, warning: "Narrow" },
+    Long: { id: 4 },
+    Gone: { id: 5 },
+    Older: { id: 7, split: [2, 3] },
+  };
+  // North is renamed and drawn the other way, the middle segments are joined,
+  // Long is cut in two and Gone is replaced by New
+  const geoJsonData = {
+    type: "FeatureCollection",
+    features: [
+      mockLine("North Road", "#0288d1", [
+        [35.01, 33.0, 100],
+        [35.005, 33.0001, 100],
+        [35.0, 33.0, 100],
+      ]),
+      mockLine("Middle", "#0288d1", [
+        [35.02, 33.0, 100],
+        [35.04, 33.0, 100],
+      ]),
+      mockLine("Long East", "#0288d1", [
+        [35.06, 33.0, 100],
+        [35.07, 33.0, 100],
+      ]),
+      mockLine("Long", "#0288d1", [
+        [35.05, 33.0, 100],
+        [35.06, 33.0, 100],
+      ]),
+      mockLine("New", "#0288d1", [
+        [35.2, 33.2, 100],
+        [35.21, 33.2, 100],
+      ]),
+    ],
+  };
+
+  const { segments, report } = new DatasetBuilder().build(
+    geoJsonData,
+    previousGeoJson,
+    previousSegments,
+  );
+  const renamed = report.changes.find((change) => change.type === "renamed");
+
+  const checks = [
+    [
+      "renamed segment keeps its id",
+      segments["North Road"]?.id === 1 && renamed?.previousName === "North",
+    ],
+    [
+      "direction rules follow reversed geometry",
+      renamed?.reversed &&
+        segments["North Road"].direction.forward?.warning === "Uphill" &&
+        !segments["North Road"].direction.reverse,
+    ],
+    [
+      "merged segments point to the joined one",
+      segments.Middle?.id === 2 &&
+        segments["Middle B"]?.merged === 2 &&
+        report.issues.some((issue) => issue.includes("Middle B")),
+    ],
+    [
+      "split segment lists its pieces in order",
+      segments.Long?.id === 8 &&
+        segments["Long East"]?.id === 9 &&
+        JSON.stringify(segments["Long (4)"]) ===
+          JSON.stringify({ id: 4, split: [8, 9] }),
+    ],
+    [
+      "added and removed segments",
+      segments.New?.id === 10 &&
+        segments.Gone?.removed === true &&
+        report.summary.nextId === 11,
+    ],
+    [
+      "previous split entries carry over",
+      segments.Older?.split?.join(",") === "2,3" && report.issues.length === 1,
+    ],
+    [
+      "segments sorted by id",
+      Object.values(segments).every(
+        (entry, i, entries) => i === 0 || entries[i - 1].id < entry.id,
+      ),
+    ],
+  ];
+
+  // Rebuilding from the same geojson changes nothing, even for a feature
+  // drawn half over its neighbour
+  const sameGeoJson = {
+    type: "FeatureCollection",
+    features: [
+      ...geoJsonData.features,
+      mockLine("Overlap", "#0288d1", [
+        [35.036, 33.0, 100],
+        [35.044, 33.0, 100],
+      ]),
+    ],
+  };
+  const rebuilt = new DatasetBuilder().build(
+    sameGeoJson,
+    sameGeoJson,
+    segments,
+  ).report;
+  checks.push([
+    "identical inputs report no changes",
+    rebuilt.summary.unchanged === sameGeoJson.features.length &&
+      rebuilt.changes.every((change) => change.type === "unchanged"),
+  ]);
+
+  // Previous share URLs decode onto the new segments
+  const ui = vm.createContext({
+    console,
+    document: { addEventListener: () => {} },
+  });
+  vm.runInContext(fs.readFileSync("script.js", "utf8"), ui);
+  ui.state = { segments };
+  vm.runInContext("segmentsData = state.segments;", ui);
+  const decoded = vm.runInContext("segmentIdsToNames([1, 2, 3, 4, 5])", ui);
+  const decodedSplit = vm.runInContext("segmentIdsToNames([7])", ui);
+  checks.push([
+    "previous ids decode onto the new segments",
+    decoded.join(",") === "North Road,Middle,Long,Long East" &&
+      decodedSplit.join(",") === "Middle",
+  ]);
+
+  const networkReport = await new NetworkChecker().check(geoJsonData, segments);
+  checks.push([
+    "network checker accepts the new entries",
+    networkReport.orphanEntries.length === 0 &&
+      networkReport.missingEntries.length === 0 &&
+      networkReport.duplicateIds.length === 0,
+  ]);
+
+  for (const [label, passed] of checks) {
+    console.log(
+      passed ? `✓ Dataset build: ${label}` : `❌ Dataset build: ${label}`,
+    );
+  }
+}
+
+async function testDatasetMigrations() {
+  console.log("\n--- Testing dataset migrations in shared routes ---");
+
+  const fs = require("fs");
+  const vm = require("vm");
+
+  const ui = vm.createContext({
+    console,
+    RouteManager,
+    document: { addEventListener: () => {} },
+  });
+  vm.runInContext(fs.readFileSync("script.js", "utf8"), ui);
+  const setData = (segments, migrations) => {
+    ui.state = { segments, migrations };
+    vm.runInContext(
+      `segmentsData = state.segments;
+      datasetMigrations = state.migrations;`,
+      ui,
+    );
+  };
+  const encode = (names, options = {}) => {
+    ui.state = { names, options };
+    return vm.runInContext("encodeRoute(state.names, state.options)", ui);
+  };
+  const decode = (route) => {
+    ui.state = { route };
+    return vm.runInContext("decodeRouteData(state.route)", ui);
+  };
+
+  // Revision 2 split "Old" and dropped "Lost"; revision 3 joined "B" and
+  // "Spur" into "D", "Side" and "A" kept their names but were renumbered
+  const revision1 = {
+    Side: { id: 9 },
+    A: { id: 10 },
+    Old: { id: 11 },
+    Lost: { id: 12 },
+    Spur: { id: 13 },
+  };
+  const revision3 = {
+    Side: { id: 1 },
+    A: { id: 2 },
+    B: { id: 3 },
+    C: { id: 4 },
+    D: { id: 5 },
+  };
+  const migrations = {
+    revision: 3,
+    revisions: [
+      { revision: 1, split: {}, merge: {}, rename: {}, delete: [] },
+      {
+        revision: 2,
+        split: { 11: [4, 3] },
+        merge: {},
+        rename: {},
+        delete: [12],
+      },
+      {
+        revision: 3,
+        split: {},
+        merge: { 3: 5, 13: 5 },
+        rename: { 9: 1, 10: 2 },
+        delete: [],
+      },
+    ],
+  };
+
+  // A link from before revisions were encoded, and one made on revision 2
+  setData(revision1, null);
+  const untaggedRoute = encode(["A", "Old", "Spur", "Lost"], {
+    avoidedSegments: ["Side"],
+  });
+  setData(
+    { ...revision1, B: { id: 3 }, C: { id: 4 } },
+    { ...migrations, revision: 2 },
+  );
+  const revision2Route = encode(["B", "Spur", "C"]);
+
+  setData(revision3, migrations);
+  const untagged = decode(untaggedRoute);
+  const fromRevision2 = decode(revision2Route);
+  const currentRoute = encode(["A", "D", "C"], { outAndBack: true });
+  const current = decode(currentRoute);
+
+  const checks = [
+    [
+      "untagged links are read as the base revision",
+      untagged.revision === 1 &&
+        untagged.segments.join(",") === "A,C,D" &&
+        untagged.avoidedSegments.join(",") === "Side",
+    ],
+    [
+      "deleted segments are reported",
+      untagged.unmappedSegments.join(",") === "#12",
+    ],
+    [
+      "only later revisions are applied, merged neighbours collapse",
+      fromRevision2.revision === 2 &&
+        fromRevision2.segments.join(",") === "D,C" &&
+        fromRevision2.unmappedSegments.length === 0,
+    ],
+    [
+      "current links keep the current revision",
+      current.revision === 3 &&
+        current.segments.join(",") === "A,D,C" &&
+        current.outAndBack &&
+        current.unmappedSegments.length === 0,
+    ],
+  ];
+
+  // Without migration tables no revision is written
+  setData(revision3, null);
+  const unversioned = decode(encode(["A", "C"]));
+  checks.push([
+    "links without tables decode as before",
+    unversioned.revision === 1 && unversioned.segments.join(",") === "A,C",
+  ]);
+
+  // IDs no segment has any more are reported too
+  setData({ A: { id: 2 } }, migrations);
+  const unknown = decode(currentRoute);
+  checks.push([
+    "unknown ids are reported",
+    unknown.segments.join(",") === "A" &&
+      unknown.unmappedSegments.join(",") === "#5,#4",
+  ]);
+
+  // Revision 2 split "Old" into "North" and "South", listed in the
+  // direction "Old" was drawn; routes that rode it the other way round
+  // must take the parts in reverse to stay continuous
+  const line = (name, from, to) =>
+    mockLine(name, "#0288d1", [
+      [35 + from / 100, 33],
+      [35 + to / 100, 33],
+    ]);
+  const splitManager = new RouteManager();
+  await splitManager.load(
+    {
+      type: "FeatureCollection",
+      features: [
+        line("West", 0, 1),
+        line("North", 1, 2),
+        line("South", 2, 3),
+        line("East", 3, 4),
+      ],
+    },
+    {},
+  );
+  const splitMigrations = {
+    revision: 2,
+    revisions: [
+      { revision: 1, split: {}, merge: {}, rename: {}, delete: [] },
+      {
+        revision: 2,
+        split: { 2: [4, 5] },
+        merge: {},
+        rename: {},
+        delete: [],
+      },
+    ],
+  };
+  setData({ West: { id: 1 }, Old: { id: 2 }, East: { id: 3 } }, null);
+  const splitRoutes = [
+    ["West", "Old", "East"],
+    ["East", "Old", "West"],
+    ["Old", "West"],
+  ].map((names) => encode(names));
+  setData(
+    { West: { id: 1 }, East: { id: 3 }, North: { id: 4 }, South: { id: 5 } },
+    splitMigrations,
+  );
+  ui.state = { manager: splitManager };
+  vm.runInContext("routeManager = state.manager;", ui);
+  const [forward, reverse, leading] = splitRoutes.map(
+    (route) => decode(route).segments,
+  );
+  checks.push([
+    "split parts follow the direction the route rode the old segment",
+    forward.join(",") === "West,North,South,East" &&
+      reverse.join(",") === "East,South,North,West" &&
+      leading.join(",") === "South,North,West",
+  ]);
+
+  for (const [label, passed] of checks) {
+    console.log(
+      passed
+        ? `✓ Dataset migration: ${label}`
+        : `❌ Dataset migration: ${label}`,
+    );
+  }
+}
+
+async function testTrackImport() {
+  console.log("\n--- Testing track import ---");
+
+  const { TrackImporter, parseTrackFile } = require("./track-import.js");
+
+  const gpx = `<?xml version="1.0"?>
+<gpx version="1.1"><trk><trkseg>
+  <trkpt lat="33.0" lon="35.0"><ele>100</ele></trkpt>
+  <trkpt lat="33.0" lon="35.01"/>
+</trkseg></trk></gpx>`;
+  const kml = `<kml><Placemark><LineString>
+  <coordinates>35.0,33.0,100 35.01,33.0</coordinates>
+</LineString></Placemark></kml>`;
+  const geoJson = JSON.stringify(
+    mockLine("Track", "#000000", [
+      [35.0, 33.0, 100],
+      [35.01, 33.0],
+    ]),
+  );
+  const parsed = [
+    parseTrackFile(gpx, "ride.gpx"),
+    parseTrackFile(kml, "ride.kml"),
+    parseTrackFile(geoJson, "ride.geojson"),
+  ];
+  if (
+    parsed.every(
+      (points) =>
+        points.length === 2 &&
+        points[0].elevation === 100 &&
+        points[1].lng === 35.01,
+    )
+  ) {
+    console.log("✓ GPX, KML and GeoJSON tracks read the same points");
+  } else {
+    console.log(`❌ Parsed tracks: ${JSON.stringify(parsed)}`);
+  }
+
+  const manager = new RouteManager();
+  await manager.load(mockAlternativesGeoJsonData, mockAlternativesSegmentsData);
+  const importer = new TrackImporter(manager);
+
+  // Along the paved detour, with a ~440m excursion off the network on "End"
+  // and a few meters of GPS wobble
+  const track = [
+    [35.0, 33.0],
+    [35.01, 33.00005],
+    [35.015, 33.004],
+    [35.02, 32.99995],
+    [35.025, 33.0],
+    [35.025, 33.004],
+    [35.026, 33.0],
+    [35.03, 33.00005],
+  ].map(([lng, lat]) => ({ lat, lng }));
+  const result = importer.importTrack(track);
+
+  if (result.segments.join(",") === "Start,Paved detour,End") {
+    console.log("✓ Track is matched onto the segments it rides");
+  } else {
+    console.log(`❌ Matched segments: ${result.segments.join(" → ")}`);
+  }
+
+  const excursion = result.unmatched[0];
+  if (
+    result.unmatched.length === 1 &&
+    excursion.distance > 700 &&
+    excursion.distance < 950 &&
+    Math.abs(
+      result.matchedDistance + result.unmatchedDistance - result.totalDistance,
+    ) < 1e-6
+  ) {
+    console.log(
+      `✓ Excursion off the network is reported (${Math.round(excursion.distance)}m)`,
+    );
+  } else {
+    console.log(`❌ Unmatched stretches: ${JSON.stringify(result.unmatched)}`);
+  }
+
+  // Riding out along "Start" and turning back keeps the turn
+  const outAndBack = importer.match([
+    { lat: 33.0, lng: 35.001 },
+    { lat: 33.0, lng: 35.008 },
+    { lat: 33.0, lng: 35.002 },
+  ]);
+  const turn = outAndBack.points[1];
+  if (
+    outAndBack.points.length === 3 &&
+    Math.abs(turn.lng - 35.008) < 0.0003
+  ) {
+    console.log("✓ Turning back on a segment adds a point at the turn");
+  } else {
+    console.log(`❌ Out-and-back points: ${JSON.stringify(outAndBack.points)}`);
+  }
+
+  // A degree of longitude is ~93km at 33°N: with an index fine enough not to
+  // pad the search, a segment 39m west of a sample is still a candidate
+  const SpatialIndex = require("./spatial-index.js");
+  const northbound = new RouteManager();
+  await northbound.load(
+    {
+      type: "FeatureCollection",
+      features: [
+        mockLine("North", "#0288d1", [
+          [35.00006, 33.0],
+          [35.00006, 33.01],
+        ]),
+      ],
+    },
+    {},
+  );
+  const fineIndex = new SpatialIndex(0.0001);
+  fineIndex.addSegment({
+    segmentName: "North",
+    coordinates: northbound.segments.get("North").coordinates,
+  });
+  const eastOfNorth = new TrackImporter(northbound, fineIndex)._findCandidates({
+    lat: 33.005,
+    lng: 35.00006 + 39 / 93080,
+  });
+  if (eastOfNorth.length === 1 && eastOfNorth[0].distance < 40) {
+    console.log("✓ Candidates are searched as far east-west as north-south");
+  } else {
+    console.log(`❌ Candidates 39m east: ${JSON.stringify(eastOfNorth)}`);
+  }
+}
+
+async function testCueSheet() {
+  console.log("\n--- Testing cue sheet ---");
+
+  const manager = new RouteManager();
+  await manager.load(mockAlternativesGeoJsonData, {
+    ...mockAlternativesSegmentsData,
+    "Paved detour": {
+      id: 3,
+      warning: "Gate",
+      direction: { reverse: { warning: "Toll", fee: true } },
+      seasons: [{ type: "mud", from: "2026-01-01", to: "2026-01-31" }],
+    },
+  });
+
+  // Force the detour: it leaves "Start" to the north-east and rejoins "End"
+  // from the north-west
+  manager.addPoint({ lat: 33.0, lng: 35.005 });
+  manager.addPoint({ lat: 33.004, lng: 35.015 });
+  manager.addPoint({ lat: 33.0, lng: 35.025 });
+
+  const cues = manager.getCueSheet();
+  const types = cues.map((cue) => cue.type).join(",");
+  if (types === "start,left,left,finish") {
+    console.log("✓ Turns onto and off the detour are to the left");
+  } else {
+    console.log(`❌ Cue types: ${types}`);
+  }
+
+  const info = manager.getRouteInfo();
+  const detour = cues[1];
+  if (
+    cues[0].distance === 0 &&
+    Math.abs(detour.distance - 466) < 10 &&
+    Math.abs(cues[cues.length - 1].distance - info.distance) < 1 &&
+    Math.abs(detour.angle + 44) < 5
+  ) {
+    console.log("✓ Cues carry cumulative distances and turn angles");
+  } else {
+    console.log(
+      `❌ Cue distances ${cues.map((cue) => Math.round(cue.distance))}, detour angle ${detour.angle}`,
+    );
+  }
+
+  if (
+    detour.warnings.join(",") === "Gate" &&
+    !detour.fee &&
+    cues[2].warnings.length === 0
+  ) {
+    console.log("✓ Warnings are attached where their segment starts");
+  } else {
+    console.log(`❌ Cue warnings: ${JSON.stringify(cues)}`);
+  }
+
+  // The detour is muddy in January only
+  manager.setRideDate("2026-01-15");
+  const januaryCues = manager.getCueSheet();
+  manager.setRideDate("2026-07-01");
+  const julyCues = manager.getCueSheet();
+  if (
+    JSON.stringify(januaryCues[1].seasons) ===
+      JSON.stringify([{ type: "mud", text: "" }]) &&
+    januaryCues[2].seasons.length === 0 &&
+    julyCues.every((cue) => cue.seasons.length === 0)
+  ) {
+    console.log("✓ Seasonal windows on the ride date are attached to cues");
+  } else {
+    console.log(
+      `❌ Cue seasons: ${JSON.stringify(januaryCues.map((cue) => cue.seasons))}`,
+    );
+  }
+
+  // Ridden the other way the turns are to the right, and the toll for that
+  // direction applies
+  manager.reverseRoute();
+  const reversed = manager.getCueSheet();
+  if (
+    reversed.map((cue) => cue.type).join(",") === "start,right,right,finish" &&
+    reversed[1].warnings.join(",") === "Gate,Toll" &&
+    reversed[1].fee
+  ) {
+    console.log("✓ Reversed route turns right and picks up the toll");
+  } else {
+    console.log(`❌ Reversed cues: ${JSON.stringify(reversed)}`);
+  }
+
+  manager.setOutAndBack(true);
+  const outAndBack = manager.getCueSheet().map((cue) => cue.type);
+  if (outAndBack.join(",") === "start,right,right,u-turn,left,left,finish") {
+    console.log("✓ Out-and-back rides turn around at the far end");
+  } else {
+    console.log(`❌ Out-and-back cues: ${outAndBack.join(",")}`);
+  }
+}
+
+async function testRidingTime() {
+  console.log("\n--- Testing riding-time estimates ---");
+
+  // A level paved stretch, then a paved climb of 100m
+  const geoJsonData = {
+    type: "FeatureCollection",
+    features: [
+      mockLine("Level", "#0288d1", [
+        [35.0, 33.0, 100],
+        [35.005, 33.0, 100],
+        [35.01, 33.0, 100],
+      ]),
+      mockLine("Climb", "#0288d1", [
+        [35.01, 33.0, 100],
+        [35.0125, 33.0, 125],
+        [35.015, 33.0, 150],
+        [35.0175, 33.0, 175],
+        [35.02, 33.0, 200],
+      ]),
+      mockLine("Dirt", "#558b2f", [
+        [35.0, 33.01, 100],
+        [35.01, 33.01, 100],
+      ]),
+    ],
+  };
+  const manager = new RouteManager();
+  await manager.load(geoJsonData, {});
+  const metrics = (name) => manager.segmentMetrics.get(name);
+  const flatSpeed = 22 / 3.6; // fit preset, m/s
+
+  manager.addPoint({ lat: 33.0, lng: 35.0 });
+  manager.addPoint({ lat: 33.0, lng: 35.02 });
+  const time = manager.getRidingTime();
+  const [level, climb] = time.segments;
+
+  const expectedClimb =
+    metrics("Climb").distance / flatSpeed +
+    (metrics("Climb").forward.elevationGain / 800) * 3600;
+  if (
+    Math.abs(level.time - metrics("Level").distance / flatSpeed) < 1 &&
+    Math.abs(climb.time - expectedClimb) < 10 &&
+    Math.abs(time.totalTime - level.time - climb.time) < 1e-6
+  ) {
+    console.log(
+      `✓ Climbing adds time at the preset climbing rate (${Math.round(level.time)}s level, ${Math.round(climb.time)}s climbing)`,
+    );
+  } else {
+    console.log(`❌ Segment times: ${JSON.stringify(time.segments)}`);
+  }
+
+  const coords = manager.getRouteInfo().orderedCoordinates;
+  const times = time.coordinateTimes;
+  if (
+    times.length === coords.length &&
+    times[0] === 0 &&
+    times.every((t, i) => i === 0 || t > times[i - 1]) &&
+    Math.abs(times[times.length - 1] - time.totalTime) < 1e-6
+  ) {
+    console.log("✓ Every route coordinate gets a time from the start");
+  } else {
+    console.log(`❌ ${times.length} times for ${coords.length} coordinates`);
+  }
+
+  manager.reverseRoute();
+  const descent = manager.getRidingTime().segments[0];
+  if (descent.segmentName === "Climb" && descent.time < level.time) {
+    console.log("✓ Descending the climb is faster than riding it level");
+  } else {
+    console.log(`❌ Descent took ${descent.time}s`);
+  }
+
+  // Up the climb to a turnaround halfway and back down: "Level" and
+  // "Climb" are both ridden twice, each time timed on its own
+  manager.clearRoute();
+  manager.addPoint({ lat: 33.0, lng: 35.0 });
+  manager.addPoint({ lat: 33.0, lng: 35.015 });
+  manager.addPoint({ lat: 33.0, lng: 35.0 });
+  const twice = manager.getRidingTime().segments;
+  if (
+    twice.map(({ index }) => index).join(",") === "0,1,2,3" &&
+    twice[1].segmentName === "Climb" &&
+    twice[2].segmentName === "Climb" &&
+    twice[2].time < twice[1].time
+  ) {
+    console.log("✓ Repeated segments are timed by their place in the route");
+  } else {
+    console.log(`❌ Times of a repeated ride: ${JSON.stringify(twice)}`);
+  }
+
+  manager.clearRoute();
+  manager.addPoint({ lat: 33.01, lng: 35.0 });
+  manager.addPoint({ lat: 33.01, lng: 35.01 });
+  const dirt = manager.getRidingTime().totalTime;
+  manager.setRiderPreset("leisure");
+  const leisure = manager.getRidingTime().totalTime;
+  manager.setRiderSpeeds({ flatSpeed: 11, climbRate: 800 });
+  const custom = manager.getRidingTime().totalTime;
+  if (
+    Math.abs(dirt - metrics("Dirt").distance / (flatSpeed * 0.75)) < 1 &&
+    leisure > dirt &&
+    Math.abs(custom - dirt * 2) < 1 &&
+    manager.getRider().preset === "custom"
+  ) {
+    console.log("✓ Dirt, presets and custom speeds change the estimate");
+  } else {
+    console.log(`❌ Dirt ${dirt}s, leisure ${leisure}s, custom ${custom}s`);
+  }
+
+  let rejected = false;
+  try {
+    manager.setRiderSpeeds({ flatSpeed: 0, climbRate: 800 });
+  } catch (error) {
+    rejected = true;
+  }
+  if (rejected) {
+    console.log("✓ Invalid speeds are rejected");
+  } else {
+    console.log("❌ A flat speed of 0 was accepted");
+  }
+}
+
+async function testDifficulty() {
+  console.log("\n--- Testing difficulty grading ---");
+
+  const score = RouteManager.scoreDifficulty;
+  const cases = [
+    [{}, 0, "easy"],
+    [{ distance: (80000 * 25) / 30 }, 25, "easy"],
+    [{ distance: 40000, elevationGain: 750 }, 30, "moderate"],
+    [
+      {
+        distance: 40000,
+        elevationGain: 750,
+        steepestGrade: 0.09,
+        unpavedShare: 0.5,
+        warnedShare: 0.2,
+      },
+      49,
+      "hard",
+    ],
+    [
+      {
+        distance: 200000,
+        elevationGain: 5000,
+        steepestGrade: 0.3,
+        unpavedShare: 1,
+        warnedShare: 1,
+      },
+      100,
+      "expert",
+    ],
+  ];
+  const wrong = cases.filter(([stats, expectedScore, expectedGrade]) => {
+    const result = score(stats);
+    return result.score !== expectedScore || result.grade !== expectedGrade;
+  });
+  if (wrong.length === 0) {
+    console.log("✓ Scoring rules give the pinned scores and grades");
+  } else {
+    console.log(
+      `❌ Unexpected scores: ${wrong.map(([stats]) => JSON.stringify(score(stats))).join("; ")}`,
+    );
+  }
+
+  // Paved, then gravel with a warning, then a short steep wall
+  const geoJsonData = {
+    type: "FeatureCollection",
+    features: [
+      mockLine("Paved", "#0288d1", [
+        [35.0, 33.0, 100],
+        [35.005, 33.0, 100],
+        [35.01, 33.0, 100],
+      ]),
+      mockLine("Gravel", "#558b2f", [
+        [35.01, 33.0, 100],
+        [35.015, 33.0, 100],
+        [35.02, 33.0, 100],
+      ]),
+      mockLine("Wall", "#0288d1", [
+        [35.02, 33.0, 100],
+        [35.021, 33.0, 130],
+        [35.022, 33.0, 160],
+        [35.023, 33.0, 190],
+      ]),
+    ],
+  };
+  const manager = new RouteManager();
+  await manager.load(geoJsonData, { Gravel: { id: 2, warning: "Ruts" } });
+  manager.addPoint({ lat: 33.0, lng: 35.0 });
+  manager.addPoint({ lat: 33.0, lng: 35.02 });
+
+  const flat = manager.getDifficulty();
+  if (
+    Math.abs(flat.stats.unpavedShare - 0.5) < 0.01 &&
+    Math.abs(flat.stats.warnedShare - 0.5) < 0.01 &&
+    flat.stats.steepestGrade < 0.001 &&
+    flat.score === score(flat.stats).score
+  ) {
+    console.log(`✓ Half the flat ride is unpaved and warned (${flat.score})`);
+  } else {
+    console.log(`❌ Flat ride difficulty: ${JSON.stringify(flat)}`);
+  }
+
+  manager.addPoint({ lat: 33.0, lng: 35.023 });
+  const steep = manager.getDifficulty();
+  if (steep.stats.steepestGrade > 0.1 && steep.score > flat.score) {
+    console.log(
+      `✓ The wall raises the steepest sustained grade to ${(steep.stats.steepestGrade * 100).toFixed(1)}%`,
+    );
+  } else {
+    console.log(`❌ Steep ride difficulty: ${JSON.stringify(steep)}`);
+  }
+
+  manager.clearRoute();
+  if (manager.getDifficulty() === null) {
+    console.log("✓ No difficulty without a route");
+  } else {
+    console.log("❌ Empty route has a difficulty");
+  }
+}
+
+async function testGradientAnalysis() {
+  console.log("\n--- Testing gradient analysis ---");
+
+  // Evenly climbing line along latitude 33 with a coordinate every ~47m
+  const ramp = (fromLng, toLng, fromElevation, toElevation) => {
+    const steps = Math.round((toLng - fromLng) / 0.0005);
+    return Array.from({ length: steps + 1 }, (_, i) => [
+      fromLng + ((toLng - fromLng) * i) / steps,
+      33.0,
+      fromElevation + ((toElevation - fromElevation) * i) / steps,
+    ]);
+  };
+
+  // ~930m level, ~930m climbing 80m (8.6%), then ~470m climbing 70m (15%)
+  const geoJsonData = {
+    type: "FeatureCollection",
+    features: [
+      mockLine("Level", "#0288d1", ramp(35.0, 35.01, 100, 100)),
+      mockLine("Ramp", "#0288d1", ramp(35.01, 35.02, 100, 180)),
+      mockLine("Wall", "#0288d1", ramp(35.02, 35.025, 180, 250)),
+    ],
+  };
+  const manager = new RouteManager();
+  await manager.load(geoJsonData, {});
+  manager.addPoint({ lat: 33.0, lng: 35.0 });
+  manager.addPoint({ lat: 33.0, lng: 35.025 });
+
+  const analysis = manager.getGradientAnalysis();
+  const { intervals, steepSections } = analysis;
+  const routeDistance = manager.getRouteInfo().distance;
+  const contiguous = intervals.every(
+    (entry, i) => i === 0 || entry.start === intervals[i - 1].end,
+  );
+  if (
+    Math.abs(analysis.distance - routeDistance) < 1 &&
+    intervals.length === Math.round(routeDistance / 100) &&
+    contiguous &&
+    intervals[intervals.length - 1].end === analysis.distance
+  ) {
+    console.log(`✓ ${intervals.length} intervals of about 100m cover the ride`);
+  } else {
+    console.log(
+      `❌ ${intervals.length} intervals over ${analysis.distance}m (route ${routeDistance}m)`,
+    );
+  }
+
+  // Each segment is smoothed on its own, so the ramp and the wall show up as
+  // separate sections
+  const [wall, ramp8] = steepSections;
+  if (
+    steepSections.length === 2 &&
+    wall.level === 1 &&
+    wall.maxGrade >= 0.12 &&
+    Math.abs(wall.end - routeDistance) < 1 &&
+    wall.start > 1700 &&
+    ramp8.level === 0 &&
+    Math.abs(ramp8.start - 1000) < 150 &&
+    ramp8.averageGrade > 0.08 &&
+    ramp8.averageGrade <= ramp8.maxGrade
+  ) {
+    console.log(
+      `✓ Ramp and wall are steep sections, steepest first (max ${(wall.maxGrade * 100).toFixed(1)}% from ${Math.round(wall.start)}m, avg ${(ramp8.averageGrade * 100).toFixed(1)}% from ${Math.round(ramp8.start)}m)`,
+    );
+  } else {
+    console.log(`❌ Steep sections: ${JSON.stringify(steepSections)}`);
+  }
 
-    // Test 2: Add a point
-    console.log("\n--- Test 2: Add point ---");
-    const point1 = { lat: 33.0, lng: 35.005 };
-    const segments1 = manager.addPoint(point1);
-    console.log("✓ Point added, segments:", segments1);
+  const wallOnly = manager.getGradientAnalysis({ thresholds: [0.12] });
+  const flatOnly = manager.getGradientAnalysis({ thresholds: [0.2] });
+  if (
+    wallOnly.steepSections.length === 1 &&
+    wallOnly.steepSections[0].start > 1700 &&
+    flatOnly.steepSections.length === 0
+  ) {
+    console.log("✓ Thresholds decide which climbs count as steep");
+  } else {
+    console.log(
+      `❌ 12%: ${wallOnly.steepSections.length} sections, 20%: ${flatOnly.steepSections.length}`,
+    );
+  }
 
-    // Test 3: Add second point
-    console.log("\n--- Test 3: Add second point ---");
-    const point2 = { lat: 33.0, lng: 35.035 };
-    const segments2 = manager.addPoint(point2);
-    console.log("✓ Second point added, segments:", segments2);
+  // Ridden downhill, nothing is a climb
+  manager.reverseRoute();
+  if (manager.getGradientAnalysis().steepSections.length === 0) {
+    console.log("✓ Descents are not marked as steep climbs");
+  } else {
+    console.log("❌ Descent marked as a steep climb");
+  }
+}
 
-    // Test 4: Get route info
-    console.log("\n--- Test 4: Get route info ---");
-    const routeInfo = manager.getRouteInfo();
-    console.log("✓ Route info:", {
-      points: routeInfo.points.length,
-      segments: routeInfo.segments.length,
-      distance: routeInfo.distance.toFixed(2) + "m",
-      elevationGain: routeInfo.elevationGain + "m",
-      elevationLoss: routeInfo.elevationLoss + "m",
-    });
+async function testElevationProvider() {
+  console.log("\n--- Testing elevation provider ---");
 
-    // Test 5: Get hover segments
-    console.log("\n--- Test 5: Get hover segments ---");
-    const hoverPoint = { lat: 33.0, lng: 35.01 };
-    const hoverSegments = manager.getHoverSegments(hoverPoint);
-    console.log("✓ Hover segments:", hoverSegments);
+  const { ElevationProvider } = require("./elevation-provider.js");
 
-    // Test 6: Get segment info
-    console.log("\n--- Test 6: Get segment info ---");
-    const segmentInfo = manager.getSegmentInfo("Test Segment 1");
-    console.log("✓ Segment info:", {
-      name: segmentInfo.name,
-      coordinates: segmentInfo.coordinates.length,
-      distance: segmentInfo.metrics?.distanceKm + "km",
+  // 3x3 SRTM tile N33E035: posts every half degree, heights rising east from
+  // 100m to 500m, with a void post at the north-east corner
+  const hgt = new DataView(new ArrayBuffer(3 * 3 * 2));
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      const height = row === 0 && col === 2 ? -32768 : 100 + 200 * col;
+      hgt.setInt16((row * 3 + col) * 2, height, false);
+    }
+  }
+
+  // 2x2 float GeoTIFF of one-degree pixels with its corner at 34N 37E
+  const tiff = new DataView(new ArrayBuffer(216));
+  tiff.setUint8(0, 0x49);
+  tiff.setUint8(1, 0x49);
+  tiff.setUint16(2, 42, true);
+  tiff.setUint32(4, 8, true);
+  const entries = [
+    [256, 3, 1, 2],
+    [257, 3, 1, 2],
+    [258, 3, 1, 32],
+    [259, 3, 1, 1],
+    [273, 4, 1, 200],
+    [278, 3, 1, 2],
+    [339, 3, 1, 3],
+    [33550, 12, 3, 128],
+    [33922, 12, 6, 152],
+  ];
+  tiff.setUint16(8, entries.length, true);
+  entries.forEach(([tag, type, count, value], i) => {
+    const entry = 10 + i * 12;
+    tiff.setUint16(entry, tag, true);
+    tiff.setUint16(entry + 2, type, true);
+    tiff.setUint32(entry + 4, count, true);
+    if (type === 3) {
+      tiff.setUint16(entry + 8, value, true);
+    } else {
+      tiff.setUint32(entry + 8, value, true);
+    }
+  });
+  [1, 1, 0].forEach((value, i) => tiff.setFloat64(128 + i * 8, value, true));
+  [0, 0, 0, 37, 34, 0].forEach((value, i) =>
+    tiff.setFloat64(152 + i * 8, value, true),
+  );
+  [10, 20, 30, 40].forEach((value, i) =>
+    tiff.setFloat32(200 + i * 4, value, true),
+  );
+
+  const provider = new ElevationProvider();
+  provider.addTile("N33E035.hgt", hgt.buffer);
+  provider.addTile("dem.tif", tiff.buffer);
+
+  const close = (value, expected) =>
+    value !== null && Math.abs(value - expected) < 0.01;
+  if (
+    close(provider.getElevation(33.25, 35.25), 200) &&
+    close(provider.getElevation(33.75, 35.75), 1100 / 3) &&
+    close(provider.getElevation(33.5, 37.5), 10) &&
+    close(provider.getElevation(33.0, 38.0), 25) &&
+    provider.getElevation(34.0, 36.0) === null &&
+    provider.getElevation(31.0, 35.0) === null
+  ) {
+    console.log(
+      "✓ Heights are interpolated from SRTM and GeoTIFF tiles, skipping voids",
+    );
+  } else {
+    console.log(
+      `❌ Heights: ${[
+        provider.getElevation(33.25, 35.25),
+        provider.getElevation(33.75, 35.75),
+        provider.getElevation(33.5, 37.5),
+        provider.getElevation(33.0, 38.0),
+        provider.getElevation(34.0, 36.0),
+      ].join(", ")}`,
+    );
+  }
+
+  // "Flat" has no heights; "Measured" has its own, 999m throughout
+  const along = (lat, elevation) =>
+    Array.from({ length: 11 }, (_, i) => {
+      const coord = [35.0 + i * 0.05, lat];
+      return elevation === undefined ? coord : [...coord, elevation];
     });
+  const geoJsonData = {
+    type: "FeatureCollection",
+    features: [
+      mockLine("Flat", "#0288d1", along(33.25)),
+      mockLine("Measured", "#0288d1", along(33.75, 999)),
+    ],
+  };
+  const manager = new RouteManager();
+  await manager.load(geoJsonData, {});
+  const gain = (name) => manager.segmentMetrics.get(name).forward.elevationGain;
 
-    // Test 7: Remove point
-    console.log("\n--- Test 7: Remove point ---");
-    const segments3 = manager.removePoint(0);
-    console.log("✓ Point removed, segments:", segments3);
+  // Without tiles "Flat" is measured at 0m, flagged rather than given a height
+  const flat = manager.segments.get("Flat").coordinates;
+  if (
+    flat.every((coord) => coord.elevation === 0 && coord.missingElevation) &&
+    gain("Flat") === 0
+  ) {
+    console.log("✓ Points without height data are flagged, not invented");
+  } else {
+    console.log(
+      `❌ Heights without data: ${flat.map((coord) => coord.elevation).join(", ")}`,
+    );
+  }
 
-    // Test 8: Clear route
-    console.log("\n--- Test 8: Clear route ---");
-    const clearedSegments = manager.clearRoute();
-    console.log("✓ Route cleared, segments:", clearedSegments);
+  const filled = manager.setElevationProvider(provider);
+  const measured = manager.segments.get("Measured").coordinates;
+  const flatEdge = manager.endpointGraph
+    .get("Flat|S")
+    .find((edge) => edge.segment === "Flat");
+  if (
+    filled === 11 &&
+    gain("Flat") === 200 &&
+    flatEdge.gain === 200 &&
+    flat.every((coord) => !coord.missingElevation) &&
+    measured.every((coord) => coord.elevation === 999)
+  ) {
+    console.log("✓ Missing heights are filled in and metrics recalculated");
+  } else {
+    console.log(
+      `❌ Filled ${filled} coordinates, Flat climbs ${gain("Flat")}m (edge ${flatEdge.gain}m)`,
+    );
+  }
 
-    console.log("\n✅ All tests passed!");
-  } catch (error) {
-    console.error("❌ Test failed:", error);
+  const resampled = manager.setElevationProvider(provider, { resample: true });
+  if (resampled === 22 && gain("Measured") === 200) {
+    console.log("✓ Re-sampling replaces the heights the data came with");
+  } else {
+    console.log(
+      `❌ Re-sampled ${resampled} coordinates, Measured climbs ${gain("Measured")}m`,
+    );
+  }
+
+  // A provider set before loading fills heights as the segments load
+  const preloaded = new RouteManager();
+  preloaded.elevationProvider = provider;
+  await preloaded.load(geoJsonData, {});
+  if (preloaded.segmentMetrics.get("Flat").forward.elevationGain === 200) {
+    console.log("✓ Heights are filled while loading");
+  } else {
+    console.log("❌ Heights not filled while loading");
+  }
+
+  // "Gap" lacks the heights of its middle; "Unmeasured" has none at all and
+  // joins "Gap" to "Hill", which starts at 300m
+  const estimating = new RouteManager();
+  await estimating.load(
+    {
+      type: "FeatureCollection",
+      features: [
+        mockLine("Gap", "#0288d1", [
+          [35.0, 33.0, 100],
+          [35.001, 33.0],
+          [35.002, 33.0],
+          [35.003, 33.0, 130],
+        ]),
+        mockLine("Unmeasured", "#0288d1", [
+          [35.003, 33.0],
+          [35.004, 33.0],
+          [35.005, 33.0],
+        ]),
+        mockLine("Hill", "#0288d1", [
+          [35.005, 33.0, 300],
+          [35.006, 33.0, 300],
+        ]),
+      ],
+    },
+    {},
+  );
+  const heights = (name) =>
+    estimating.segments
+      .get(name)
+      .coordinates.map((coord) => Math.round(coord.elevation));
+  const unmeasured = estimating.segments.get("Unmeasured").coordinates;
+  if (
+    JSON.stringify(heights("Gap")) === "[100,110,120,130]" &&
+    JSON.stringify(heights("Unmeasured")) === "[130,215,300]" &&
+    unmeasured.every((coord) => coord.missingElevation) &&
+    estimating.segmentMetrics.get("Unmeasured").forward.elevationGain > 0
+  ) {
+    console.log("✓ Missing heights are estimated from their neighbours");
+  } else {
+    console.log(
+      `❌ Estimated heights: ${heights("Gap")} / ${heights("Unmeasured")}`,
+    );
   }
 }
 
-// Error handling tests
-async function testErrorHandling() {
-  console.log("\n--- Testing error handling ---");
+async function testElevationProfilePoint() {
+  console.log("\n--- Testing elevation profile readout ---");
+
+  const fs = require("fs");
+  const vm = require("vm");
+
+  const ui = vm.createContext({
+    console,
+    document: { addEventListener: () => {}, getElementById: () => null },
+  });
+  vm.runInContext(fs.readFileSync("script.js", "utf8"), ui);
+
+  // A 300m profile climbing 10m, then 20m, then flat
+  vm.runInContext(
+    `elevationProfileState = {
+      coords: [
+        { lat: 33, lng: 35, elevation: 100, distance: 0 },
+        { lat: 33, lng: 35.001, elevation: 110, distance: 100 },
+        { lat: 33, lng: 35.002, elevation: 130, distance: 200 },
+        { lat: 33, lng: 35.003, elevation: 130, distance: 300 },
+      ],
+      totalDistance: 300,
+      minElevation: 100,
+      elevationRange: 30,
+    };`,
+    ui,
+  );
+  const pointAt = (distance) =>
+    vm.runInContext(`getElevationProfilePoint(${distance})`, ui);
+  const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+  const middle = pointAt(150);
+  if (
+    close(middle.elevation, 120) &&
+    close(middle.coord.lng, 35.0015) &&
+    middle.distance === 150
+  ) {
+    console.log("✓ Place and elevation are interpolated between points");
+  } else {
+    console.log(`❌ Profile point at 150m: ${JSON.stringify(middle)}`);
+  }
+
+  // The grade averages the 100m window around the point, which spans both
+  // climbs at 100m
+  if (
+    close(pointAt(50).grade, 0.1) &&
+    close(middle.grade, 0.2) &&
+    close(pointAt(100).grade, 0.15) &&
+    close(pointAt(250).grade, 0)
+  ) {
+    console.log("✓ Grade is measured over the window around the point");
+  } else {
+    console.log(
+      `❌ Grades: ${[50, 150, 100, 250].map((d) => pointAt(d).grade)}`,
+    );
+  }
+
+  // Near the ends the window is cut short rather than padded
+  const start = pointAt(0);
+  const past = pointAt(400);
+  if (
+    close(start.grade, 0.1) &&
+    past.distance === 300 &&
+    past.elevation === 130 &&
+    past.grade === 0
+  ) {
+    console.log("✓ Distances and the grade window are clamped to the route");
+  } else {
+    console.log(
+      `❌ Clamped points: ${JSON.stringify(start)} ${JSON.stringify(past)}`,
+    );
+  }
+}
+
+async function testUiConsistency() {
+  console.log("\n--- Testing UI and RouteManager consistency ---");
+
+  const fs = require("fs");
+  const vm = require("vm");
+
+  // Load script.js on its own; only its DOMContentLoaded hook touches the
+  // page. The map and page updates are stubbed out so the UI's own route
+  // functions (clicks, undo) can run.
+  const ui = vm.createContext({
+    console,
+    document: { addEventListener: () => {}, getElementById: () => null },
+  });
+  vm.runInContext(fs.readFileSync("script.js", "utf8"), ui);
+  vm.runInContext(
+    `map = { getSource: () => null, getLayer: () => null };
+    createPointMarker = () => {};
+    updateSegmentStyles = () => {};
+    updateRouteListAndDescription = () => {};
+    updateUndoRedoButtons = () => {};
+    clearRouteFromUrl = () => {};
+    logOperation = () => {};`,
+    ui,
+  );
+
+  const testFiles = fs
+    .readdirSync("tests")
+    .filter((file) => file.endsWith(".json"))
+    .sort();
+  const managers = new Map(); // data files -> {manager, uiManager, segmentsData}
+
+  for (const file of testFiles) {
+    const testCase = JSON.parse(fs.readFileSync(`tests/${file}`, "utf8"));
+    const dataKey = `${testCase.geoJsonFile}|${testCase.segmentsFile}`;
+    if (!managers.has(dataKey)) {
+      const { geoJsonData, segmentsData } = await loadTestData(testCase);
+      const manager = new RouteManager();
+      const uiManager = new RouteManager();
+      await manager.load(geoJsonData, segmentsData);
+      await uiManager.load(geoJsonData, segmentsData);
+      managers.set(dataKey, { manager, uiManager, segmentsData });
+    }
+    const { manager, uiManager, segmentsData } = managers.get(dataKey);
+
+    manager.clearRoute();
+    testCase.operations.forEach((operation) =>
+      executeOperation(manager, operation),
+    );
+    const expected = manager.getRouteInfo();
+    if (expected.segments.length === 0) continue;
+
+    // The UI clicks the replayed route's points, adds one more and undoes it
+    uiManager.clearRoute();
+    ui.state = {
+      manager: uiManager,
+      segmentsData,
+      points: manager.routePoints.map(({ lat, lng }) => ({ lat, lng })),
+    };
+    vm.runInContext(
+      `routeManager = state.manager;
+      segmentsData = state.segmentsData;
+      routePoints = [];
+      selectedSegments = [];
+      undoStack = [];
+      redoStack = [];
+      state.points.forEach((point) => addRoutePoint(point));
+      addRoutePoint(state.points[0]);
+      undo();`,
+      ui,
+    );
+    const mismatches = [];
+    const compare = (label) => {
+      const totals = vm.runInContext("getRouteTotals()", ui);
+      const coords = vm.runInContext("getOrderedCoordinates()", ui);
+      const sameOrder =
+        coords.length === expected.orderedCoordinates.length &&
+        coords.every(
+          (coord, i) =>
+            coord.lat === expected.orderedCoordinates[i].lat &&
+            coord.lng === expected.orderedCoordinates[i].lng,
+        );
+      if (
+        Math.abs(totals.distance - expected.distance) >= 0.01 ||
+        totals.elevationGain !== expected.elevationGain ||
+        totals.elevationLoss !== expected.elevationLoss ||
+        !sameOrder
+      ) {
+        mismatches.push(
+          `${label}: UI ${JSON.stringify(totals)} with ${coords.length} coordinates, RouteManager ${expected.distance}m ⬆️ ${expected.elevationGain} with ${expected.orderedCoordinates.length} (same order: ${sameOrder})`,
+        );
+      }
+      return totals;
+    };
+    const totals = compare("after undo");
+
+    // The first point slides along its segment, then the UI puts its saved
+    // route back without going through RouteManager, as undo falls back to
+    // when RouteManager can't restore it
+    const saved = vm.runInContext(
+      `({
+        points: routePoints.map((p) => ({ ...p })),
+        segments: [...selectedSegments],
+      })`,
+      ui,
+    );
+    const next = expected.orderedCoordinates[1];
+    const [start] = uiManager.routePoints;
+    uiManager.recalculateRoute([
+      { lat: (next.lat + start.lat) / 2, lng: (next.lng + start.lng) / 2 },
+      ...uiManager.routePoints.slice(1),
+    ]);
+    ui.state = saved;
+    vm.runInContext(
+      `routePoints = state.points;
+      selectedSegments = state.segments;`,
+      ui,
+    );
+    compare("after restoring the UI's route");
+
+    if (mismatches.length === 0) {
+      console.log(
+        `✓ ${file}: ${(totals.distance / 1000).toFixed(1)} km, ⬆️ ${totals.elevationGain} m and ${expected.orderedCoordinates.length} coordinates match`,
+      );
+    } else {
+      console.log(`❌ ${file}: ${mismatches.join("; ")}`);
+    }
+  }
+}
+
+async function testRouteEvents() {
+  console.log("\n--- Testing route events ---");
 
   const manager = new RouteManager();
+  const events = [];
+  const unsubscribers = RouteManager.ROUTE_EVENTS.map((event) =>
+    manager.on(event, (payload) => events.push({ event, payload })),
+  );
+  const take = () => events.splice(0);
+  const names = (log) => log.map(({ event }) => event).join(", ");
+
+  await manager.load(mockGeoJsonData, mockSegmentsData);
+  const [loaded] = take();
+  if (loaded?.event === "segmentsLoaded" && loaded.payload.segmentCount === 2) {
+    console.log("✓ segmentsLoaded reports the loaded segments");
+  } else {
+    console.log(`❌ After load: ${JSON.stringify(loaded)}`);
+  }
+
+  // Summer, so "Test Segment 2" is not muddy yet
+  manager.setRideDate("2025-07-01");
+  manager.addPoint({ lat: 33.0, lng: 35.005 });
+  manager.addPoint({ lat: 33.0, lng: 35.035 });
+  const added = take();
+  const routeChanges = added.filter(({ event }) => event === "routeChanged");
+  const firstWarnings = added.find(({ event }) => event === "warningsChanged");
+  if (
+    names(added.slice(0, 5)) ===
+      "pointAdded, routeChanged, warningsChanged, pointAdded, routeChanged" &&
+    added[0].payload.index === 0 &&
+    added[3].payload.index === 1 &&
+    routeChanges[0].payload.addedSegments.join() === "Test Segment 1" &&
+    routeChanges[1].payload.addedSegments.join() === "Test Segment 2" &&
+    routeChanges[1].payload.previousSegments.join() === "Test Segment 1" &&
+    firstWarnings.payload.added[0].text === "Test warning"
+  ) {
+    console.log("✓ Adding points reports the point, the route diff and warnings");
+  } else {
+    console.log(`❌ Adding points: ${JSON.stringify(added)}`);
+  }
+
+  // Warnings can change while the route stays the same
+  manager.setRideDate("2026-01-15");
+  const winter = take();
+  if (
+    names(winter) === "warningsChanged" &&
+    winter[0].payload.added.length === 1 &&
+    winter[0].payload.added[0].type === "mud" &&
+    winter[0].payload.added[0].segmentName === "Test Segment 2"
+  ) {
+    console.log("✓ A new ride date reports mud without a route change");
+  } else {
+    console.log(`❌ New ride date: ${JSON.stringify(winter)}`);
+  }
+
+  // restoreFromPoints clears the route on the way: nothing of it leaks out
+  manager.restoreFromPoints(manager.routePoints);
+  const restored = take();
+  if (restored.length === 0) {
+    console.log("✓ Restoring the same points reports no change");
+  } else {
+    console.log(`❌ Restoring the same points: ${names(restored)}`);
+  }
+
+  manager.removePoint(1);
+  const removed = take();
+  const removedRoute = removed.find(({ event }) => event === "routeChanged");
+  const removedWarnings = removed.find(
+    ({ event }) => event === "warningsChanged",
+  );
+  if (
+    names(removed) === "pointRemoved, routeChanged, warningsChanged" &&
+    removed[0].payload.index === 1 &&
+    removedRoute.payload.removedSegments.join() === "Test Segment 2" &&
+    removedWarnings.payload.removed.some(({ type }) => type === "mud")
+  ) {
+    console.log("✓ Removing a point reports the point, the route diff and warnings");
+  } else {
+    console.log(`❌ Removing a point: ${JSON.stringify(removed)}`);
+  }
 
+  // Routing settings are tracked too, and report nothing they didn't change
+  let tracked = 0;
+  manager._trackRouteChange = function (change) {
+    tracked++;
+    return RouteManager.prototype._trackRouteChange.call(this, change);
+  };
+  manager.setRoutingProfile(manager.getRoutingProfile());
+  manager.avoidSegment("Test Segment 2");
+  manager.allowSegment("Test Segment 2");
+  manager.setAvoidedSegments([]);
+  delete manager._trackRouteChange;
+  const settingEvents = take();
+  if (tracked === 4 && settingEvents.length === 0) {
+    console.log("✓ Routing settings are tracked for route changes");
+  } else {
+    console.log(
+      `❌ ${tracked} of 4 settings tracked, events: ${names(settingEvents)}`,
+    );
+  }
+
+  // A failing listener doesn't stop the route or the other listeners
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  const unsubscribeFailing = manager.on("routeChanged", () => {
+    throw new Error("listener failed");
+  });
+  const segments = manager.addPoint({ lat: 33.0, lng: 35.035 });
+  unsubscribeFailing();
+  console.error = originalConsoleError;
+  if (
+    segments.length === 2 &&
+    take().some(({ event }) => event === "routeChanged")
+  ) {
+    console.log("✓ A failing listener doesn't break routing");
+  } else {
+    console.log("❌ A failing listener broke routing");
+  }
+
+  unsubscribers.forEach((unsubscribe) => unsubscribe());
+  manager.clearRoute();
+  let unknownEventRejected = false;
   try {
-    // Test invalid point
-    manager.addPoint({ lat: "invalid" });
-    console.log("❌ Should have thrown error for invalid point");
+    manager.on("segmentClicked", () => {});
   } catch (error) {
-    console.log("✓ Correctly caught invalid point error");
+    unknownEventRejected = true;
+  }
+  if (events.length === 0 && unknownEventRejected) {
+    console.log("✓ Listeners can unsubscribe, unknown events are rejected");
+  } else {
+    console.log(
+      `❌ ${events.length} events after unsubscribing, unknown event rejected: ${unknownEventRejected}`,
+    );
+  }
+}
+
+async function testOptimizePointOrder() {
+  console.log("\n--- Testing waypoint order optimisation ---");
+
+  const manager = new RouteManager();
+  await manager.load(mockGeoJsonData, mockSegmentsData);
+  [35.002, 35.038, 35.012, 35.025].forEach((lng) =>
+    manager.addPoint({ lat: 33.0, lng }),
+  );
+  const zigzagDistance = manager.getRouteInfo().distance;
+
+  manager.optimizePointOrder();
+  const order = manager.routePoints.map((point) => point.lng);
+  if (order.join(",") === "35.002,35.012,35.025,35.038") {
+    console.log("✓ Points are reordered along the line");
+  } else {
+    console.log(`❌ Optimised order: ${order.join(", ")}`);
+  }
+
+  const optimisedDistance = manager.getRouteInfo().distance;
+  if (optimisedDistance < zigzagDistance) {
+    console.log(
+      `✓ Route shortened from ${zigzagDistance}m to ${optimisedDistance}m`,
+    );
+  } else {
+    console.log(
+      `❌ Optimised route is not shorter: ${optimisedDistance}m vs ${zigzagDistance}m`,
+    );
+  }
+
+  manager.clearRoute();
+  [35.002, 35.025, 35.038, 35.012].forEach((lng) =>
+    manager.addPoint({ lat: 33.0, lng }),
+  );
+  manager.optimizePointOrder({ fixLast: true });
+  const fixedOrder = manager.routePoints.map((point) => point.lng);
+  if (fixedOrder.join(",") === "35.002,35.038,35.025,35.012") {
+    console.log("✓ A fixed last point stays at the end of the route");
+  } else {
+    console.log(`❌ Order with fixed end: ${fixedOrder.join(", ")}`);
   }
 
+  // A waypoint off the network must not be dropped from the route
+  const islandManager = new RouteManager();
+  await islandManager.load(
+    {
+      type: "FeatureCollection",
+      features: [
+        ...mockGeoJsonData.features,
+        mockLine("Island", "#0288d1", [
+          [35.1, 33.1, 100],
+          [35.11, 33.1, 100],
+        ]),
+      ],
+    },
+    mockSegmentsData,
+  );
+  [35.025, 35.105, 35.002, 35.038].forEach((lng) =>
+    islandManager.addPoint({ lat: lng > 35.1 ? 33.1 : 33.0, lng }),
+  );
+  let rejected = false;
   try {
-    // Test invalid geojson
-    await manager.load({ invalid: "data" }, {});
-    console.log("❌ Should have thrown error for invalid geojson");
+    islandManager.optimizePointOrder();
   } catch (error) {
-    console.log("✓ Correctly caught invalid geojson error");
+    rejected = true;
+  }
+  const islandOrder = islandManager.routePoints.map((point) => point.lng);
+  if (rejected && islandOrder.join(",") === "35.025,35.105,35.002,35.038") {
+    console.log("✓ A disconnected waypoint leaves the order unchanged");
+  } else {
+    console.log(
+      `❌ With a disconnected waypoint (rejected: ${rejected}): ${islandOrder.join(", ")}`,
+    );
   }
 }
 
@@ -245,6 +2774,130 @@ function executeOperation(manager, operation) {
         segmentIds: segmentIdsAfterRemove,
       };
 
+    case "setRoutingProfile":
+      // The UI re-routes the existing points after switching profiles
+      manager.setRoutingProfile(operation.data.profile);
+      manager.recalculateRoute(manager.routePoints);
+      const routeInfoAfterProfile = manager.getRouteInfo();
+
+      return {
+        routeInfo: routeInfoAfterProfile,
+        segmentIds: routeInfoAfterProfile.segments
+          .map((segmentName) => {
+            const segmentData = manager.getSegmentInfo(segmentName);
+            return segmentData?.properties?.id || null;
+          })
+          .filter((id) => id !== null),
+      };
+
+    case "setRideDate":
+      // The UI re-routes the existing points after changing the ride date
+      manager.setRideDate(operation.data.date);
+      manager.recalculateRoute(manager.routePoints);
+      const routeInfoAfterDate = manager.getRouteInfo();
+
+      return {
+        routeInfo: routeInfoAfterDate,
+        segmentIds: routeInfoAfterDate.segments
+          .map((segmentName) => {
+            const segmentData = manager.getSegmentInfo(segmentName);
+            return segmentData?.properties?.id || null;
+          })
+          .filter((id) => id !== null),
+      };
+
+    case "avoidSegment":
+    case "allowSegment":
+      // The UI re-routes the existing points after blocking a segment
+      if (operation.type === "avoidSegment") {
+        manager.avoidSegment(operation.data.segmentName);
+      } else {
+        manager.allowSegment(operation.data.segmentName);
+      }
+      manager.recalculateRoute(manager.routePoints);
+      const routeInfoAfterAvoid = manager.getRouteInfo();
+
+      return {
+        routeInfo: routeInfoAfterAvoid,
+        segmentIds: routeInfoAfterAvoid.segments
+          .map((segmentName) => {
+            const segmentData = manager.getSegmentInfo(segmentName);
+            return segmentData?.properties?.id || null;
+          })
+          .filter((id) => id !== null),
+      };
+
+    case "optimizePointOrder":
+      manager.optimizePointOrder({ fixLast: !!operation.data?.fixLast });
+      const routeInfoAfterOptimize = manager.getRouteInfo();
+
+      return {
+        routeInfo: routeInfoAfterOptimize,
+        segmentIds: routeInfoAfterOptimize.segments
+          .map((segmentName) => {
+            const segmentData = manager.getSegmentInfo(segmentName);
+            return segmentData?.properties?.id || null;
+          })
+          .filter((id) => id !== null),
+      };
+
+    case "reverseRoute":
+      manager.reverseRoute();
+      const routeInfoAfterReverse = manager.getRouteInfo();
+
+      return {
+        routeInfo: routeInfoAfterReverse,
+        segmentIds: routeInfoAfterReverse.segments
+          .map((segmentName) => {
+            const segmentData = manager.getSegmentInfo(segmentName);
+            return segmentData?.properties?.id || null;
+          })
+          .filter((id) => id !== null),
+      };
+
+    case "insertShapingPoint":
+      manager.insertShapingPoint(
+        operation.data.legIndex,
+        operation.data.point,
+      );
+      const routeInfoAfterInsert = manager.getRouteInfo();
+
+      return {
+        routeInfo: routeInfoAfterInsert,
+        segmentIds: routeInfoAfterInsert.segments
+          .map((segmentName) => {
+            const segmentData = manager.getSegmentInfo(segmentName);
+            return segmentData?.properties?.id || null;
+          })
+          .filter((id) => id !== null),
+      };
+
+    case "importTrack":
+      manager.restoreFromPoints(operation.data.points);
+      const routeInfoAfterImport = manager.getRouteInfo();
+
+      return {
+        routeInfo: routeInfoAfterImport,
+        segmentIds: routeInfoAfterImport.segments
+          .map((segmentName) => {
+            const segmentData = manager.getSegmentInfo(segmentName);
+            return segmentData?.properties?.id || null;
+          })
+          .filter((id) => id !== null),
+      };
+
+    case "setOutAndBack":
+      manager.setOutAndBack(!!operation.data?.enabled);
+      return {
+        routeInfo: manager.getRouteInfo(),
+        segmentIds: manager.selectedSegments
+          .map((segmentName) => {
+            const segmentData = manager.getSegmentInfo(segmentName);
+            return segmentData?.properties?.id || null;
+          })
+          .filter((id) => id !== null),
+      };
+
     case "clearRoute":
       const clearedSegments = manager.clearRoute();
       return {
@@ -430,7 +3083,36 @@ async function runAllTestsWithSummary() {
     { name: "test9.json", func: testUserTestCase9 },
   ];
 
-  for (const test of jsonTests) {
+  // Unit tests that check specific RouteManager behaviour
+  const unitTests = [
+    { name: "shortest path search", func: testShortestPathMatchesDijkstra },
+    { name: "mid-segment start and end", func: testMidSegmentRoute },
+    { name: "routing profiles", func: testRoutingProfiles },
+    { name: "loop generator", func: testLoopGenerator },
+    { name: "avoided segments", func: testAvoidedSegments },
+    { name: "alternative routes", func: testAlternativeRoutes },
+    { name: "waypoint order", func: testOptimizePointOrder },
+    { name: "seasonal segments", func: testSeasonalSegments },
+    { name: "direction restrictions", func: testDirectionRestrictions },
+    { name: "shaping points", func: testShapingPoints },
+    { name: "route reversal", func: testReverseRoute },
+    { name: "out-and-back rides", func: testOutAndBack },
+    { name: "T-junctions", func: testTJunctions },
+    { name: "network integrity checker", func: testNetworkChecker },
+    { name: "dataset builder", func: testDatasetBuilder },
+    { name: "dataset migrations", func: testDatasetMigrations },
+    { name: "track import", func: testTrackImport },
+    { name: "cue sheet", func: testCueSheet },
+    { name: "riding time", func: testRidingTime },
+    { name: "difficulty grading", func: testDifficulty },
+    { name: "gradient analysis", func: testGradientAnalysis },
+    { name: "elevation provider", func: testElevationProvider },
+    { name: "elevation profile readout", func: testElevationProfilePoint },
+    { name: "UI and RouteManager consistency", func: testUiConsistency },
+    { name: "route events", func: testRouteEvents },
+  ];
+
+  for (const test of [...jsonTests, ...unitTests]) {
     try {
       // Capture console output to detect failures
       const originalConsoleLog = console.log;
@@ -506,6 +3188,31 @@ if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     testRouteManager,
     testErrorHandling,
+    testShortestPathMatchesDijkstra,
+    testMidSegmentRoute,
+    testRoutingProfiles,
+    testLoopGenerator,
+    testAvoidedSegments,
+    testAlternativeRoutes,
+    testOptimizePointOrder,
+    testSeasonalSegments,
+    testDirectionRestrictions,
+    testShapingPoints,
+    testReverseRoute,
+    testOutAndBack,
+    testTJunctions,
+    testNetworkChecker,
+    testDatasetBuilder,
+    testDatasetMigrations,
+    testTrackImport,
+    testCueSheet,
+    testRidingTime,
+    testDifficulty,
+    testGradientAnalysis,
+    testElevationProvider,
+    testElevationProfilePoint,
+    testUiConsistency,
+    testRouteEvents,
     testUserTestCase1,
     testUserTestCase2,
     testUserTestCase3,
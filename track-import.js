@@ -0,0 +1,501 @@
+/**
+ * Track import for GPX, KML and GeoJSON files
+ * Parses a recorded track and map-matches it onto the segment network: the
+ * track is resampled, segments near every sample are found through the
+ * SpatialIndex, and the most likely sequence of segments is picked (Viterbi)
+ * by distance to the samples and by how the segments connect on the endpoint
+ * graph. The matched stretches become route points that the RouteManager
+ * routes between. Stretches of the track that are not near any segment are
+ * reported with their length.
+ */
+
+// Track samples are taken this far apart (meters)
+const TRACK_SAMPLE_SPACING = 20;
+
+// Samples farther than this from every segment are off the network (meters)
+const TRACK_MATCH_DISTANCE = 40;
+
+// Typical GPS error (meters); a sample this far off a segment costs 0.5
+const TRACK_GPS_ERROR = 10;
+
+// Cost of moving on to a connected segment, so noise near a parallel
+// segment doesn't flip the match back and forth
+const TRACK_SWITCH_COST = 2;
+
+// Cost of moving to an unconnected segment, or on or off the network
+const TRACK_JUMP_COST = 10;
+
+// Matched or unmatched stretches shorter than this are treated as GPS noise
+// (meters)
+const TRACK_MIN_STRETCH = 40;
+
+// Turning back on a segment by more than this adds a point at the turn
+// (meters)
+const TRACK_TURN_DISTANCE = 50;
+
+/**
+ * Read the track points of a GPX, KML or GeoJSON file
+ * @param {string} text - The file contents
+ * @param {string} fileName - Used to tell the format apart
+ * @returns {Array} Track points [{lat, lng, elevation}]
+ */
+function parseTrackFile(text, fileName = "") {
+  const extension = fileName.split(".").pop().toLowerCase();
+  const content = text.trim();
+
+  let points;
+  if (extension === "geojson" || extension === "json" || content[0] === "{") {
+    points = parseGeoJsonTrack(JSON.parse(content));
+  } else if (extension === "kml" || /<kml[\s>]/i.test(content)) {
+    points = parseKmlTrack(content);
+  } else if (extension === "gpx" || /<gpx[\s>]/i.test(content)) {
+    points = parseGpxTrack(content);
+  } else {
+    throw new Error("Unsupported track format");
+  }
+
+  if (points.length < 2) {
+    throw new Error("No track found in file");
+  }
+  return points;
+}
+
+// Track points of a GPX file, falling back to its route points
+function parseGpxTrack(text) {
+  const readPoints = (tag) => {
+    const points = [];
+    const pattern = new RegExp(
+      `<${tag}\\b([^>]*?)/>|<${tag}\\b([^>]*)>([\\s\\S]*?)</${tag}>`,
+      "g",
+    );
+    let match;
+    while ((match = pattern.exec(text))) {
+      const attributes = match[1] || match[2] || "";
+      const lat = /\blat\s*=\s*["']([^"']+)["']/.exec(attributes);
+      const lng = /\blon\s*=\s*["']([^"']+)["']/.exec(attributes);
+      if (!lat || !lng) continue;
+
+      const elevation = /<ele>\s*([^<]+)<\/ele>/.exec(match[3] || "");
+      points.push({
+        lat: parseFloat(lat[1]),
+        lng: parseFloat(lng[1]),
+        elevation: elevation ? parseFloat(elevation[1]) : 0,
+      });
+    }
+    return points;
+  };
+
+  const trackPoints = readPoints("trkpt");
+  return trackPoints.length > 0 ? trackPoints : readPoints("rtept");
+}
+
+// Coordinates of a KML file's LineStrings and gx:Tracks
+function parseKmlTrack(text) {
+  const points = [];
+  const toPoint = (values) => ({
+    lat: parseFloat(values[1]),
+    lng: parseFloat(values[0]),
+    elevation: parseFloat(values[2]) || 0,
+  });
+
+  const coordinates = /<coordinates>([\s\S]*?)<\/coordinates>/g;
+  let match;
+  while ((match = coordinates.exec(text))) {
+    for (const tuple of match[1].trim().split(/\s+/)) {
+      const values = tuple.split(",");
+      if (values.length >= 2) points.push(toPoint(values));
+    }
+  }
+
+  const trackCoords = /<gx:coord>([^<]+)<\/gx:coord>/g;
+  while ((match = trackCoords.exec(text))) {
+    const values = match[1].trim().split(/\s+/);
+    if (values.length >= 2) points.push(toPoint(values));
+  }
+
+  return points.filter((point) => !isNaN(point.lat) && !isNaN(point.lng));
+}
+
+// Coordinates of the LineStrings in a GeoJSON object
+function parseGeoJsonTrack(data) {
+  const lines = [];
+  const collect = (geometry) => {
+    if (!geometry) return;
+    if (geometry.type === "LineString") lines.push(geometry.coordinates);
+    if (geometry.type === "MultiLineString") {
+      lines.push(...geometry.coordinates);
+    }
+    if (geometry.type === "GeometryCollection") {
+      geometry.geometries.forEach(collect);
+    }
+  };
+
+  if (data.type === "FeatureCollection") {
+    data.features.forEach((feature) => collect(feature.geometry));
+  } else if (data.type === "Feature") {
+    collect(data.geometry);
+  } else {
+    collect(data);
+  }
+
+  return lines.flat().map((coord) => ({
+    lat: coord[1],
+    lng: coord[0],
+    elevation: coord[2] || 0,
+  }));
+}
+
+class TrackImporter {
+  /**
+   * @param {RouteManager} routeManager - Loaded manager the track is matched
+   *   onto and routed with
+   * @param {SpatialIndex} spatialIndex - Index of the same segments, built
+   *   from the manager when not given
+   */
+  constructor(routeManager, spatialIndex = null) {
+    this.routeManager = routeManager;
+    this.spatialIndex = spatialIndex || this._buildSpatialIndex();
+  }
+
+  /**
+   * Match a track onto the network without touching the current route
+   * @param {Array} trackPoints - [{lat, lng}] in riding order
+   * @returns {Object} {points, unmatched, totalDistance, matchedDistance,
+   *   unmatchedDistance}: route points to route through, and the stretches
+   *   off the network as [{from, to, startDistance, distance}]
+   */
+  match(trackPoints) {
+    const samples = this._resampleTrack(trackPoints);
+    const totalDistance = samples.length
+      ? samples[samples.length - 1].distance
+      : 0;
+
+    this._matchSamples(samples);
+
+    const stretches = this._groupStretches(samples, totalDistance);
+    const unmatched = stretches
+      .filter((stretch) => !stretch.segmentName)
+      .map((stretch) => ({
+        from: this._trackPoint(stretch.samples[0]),
+        to: this._trackPoint(stretch.samples[stretch.samples.length - 1]),
+        startDistance: stretch.start,
+        distance: stretch.end - stretch.start,
+      }));
+    const unmatchedDistance = unmatched.reduce(
+      (total, stretch) => total + stretch.distance,
+      0,
+    );
+
+    return {
+      points: this._routePointsFor(
+        stretches.filter((stretch) => stretch.segmentName),
+      ),
+      unmatched,
+      totalDistance,
+      matchedDistance: totalDistance - unmatchedDistance,
+      unmatchedDistance,
+    };
+  }
+
+  /**
+   * Replace the manager's route with a matched track
+   * @param {Array} trackPoints - [{lat, lng}] in riding order
+   * @returns {Object} The match() result with the routed segments and the
+   *   snapped route points
+   */
+  importTrack(trackPoints) {
+    const result = this.match(trackPoints);
+    const segments =
+      result.points.length > 0
+        ? this.routeManager.restoreFromPoints(result.points)
+        : [];
+
+    return {
+      ...result,
+      segments,
+      points: [...this.routeManager.routePoints],
+    };
+  }
+
+  _buildSpatialIndex() {
+    const SpatialIndexClass =
+      typeof module !== "undefined" && module.exports
+        ? require("./spatial-index.js")
+        : SpatialIndex;
+
+    const index = new SpatialIndexClass();
+    for (const [segmentName, segment] of this.routeManager.segments) {
+      index.addSegment({ segmentName, coordinates: segment.coordinates });
+    }
+    return index;
+  }
+
+  // Points every TRACK_SAMPLE_SPACING meters along the track, with their
+  // distance from the start
+  _resampleTrack(trackPoints) {
+    const manager = this.routeManager;
+    const points = trackPoints.filter(
+      (point) => point && isFinite(point.lat) && isFinite(point.lng),
+    );
+    if (points.length === 0) return [];
+
+    const samples = [{ lat: points[0].lat, lng: points[0].lng, distance: 0 }];
+    let travelled = 0;
+    let nextSample = TRACK_SAMPLE_SPACING;
+
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      const length = manager._getDistance(from, to);
+      if (length === 0) continue;
+
+      while (travelled + length >= nextSample) {
+        const ratio = (nextSample - travelled) / length;
+        samples.push({
+          lat: from.lat + (to.lat - from.lat) * ratio,
+          lng: from.lng + (to.lng - from.lng) * ratio,
+          distance: nextSample,
+        });
+        nextSample += TRACK_SAMPLE_SPACING;
+      }
+      travelled += length;
+    }
+
+    const last = points[points.length - 1];
+    if (travelled > samples[samples.length - 1].distance) {
+      samples.push({ lat: last.lat, lng: last.lng, distance: travelled });
+    }
+    return samples;
+  }
+
+  // Set sample.match to the sample's place on the most likely segment
+  // ({segmentName, lat, lng, position, distance}), or null off the network
+  _matchSamples(samples) {
+    const offCost = this._distanceCost(TRACK_MATCH_DISTANCE);
+    let previous = [];
+
+    const steps = samples.map((sample) => {
+      const states = [
+        null,
+        ...this._findCandidates(sample).filter(
+          (snapped) => snapped.distance <= TRACK_MATCH_DISTANCE,
+        ),
+      ];
+
+      const step = states.map((state) => {
+        let best = { cost: 0, from: -1 };
+        previous.forEach((prev, index) => {
+          const cost = prev.cost + this._transitionCost(prev.state, state);
+          if (best.from === -1 || cost < best.cost) {
+            best = { cost, from: index };
+          }
+        });
+
+        return {
+          state,
+          from: best.from,
+          cost:
+            best.cost + (state ? this._distanceCost(state.distance) : offCost),
+        };
+      });
+
+      previous = step;
+      return step;
+    });
+
+    // Walk back from the cheapest final state
+    let index = previous.reduce(
+      (best, entry, i) => (entry.cost < previous[best].cost ? i : best),
+      0,
+    );
+    for (let i = steps.length - 1; i >= 0; i--) {
+      samples[i].match = steps[i][index].state;
+      index = steps[i][index].from;
+    }
+  }
+
+  _findCandidates(sample) {
+    // Meters to degrees of longitude, which shrink away from the equator;
+    // the index searches the same radius north-south, a little wider
+    const radius =
+      TRACK_MATCH_DISTANCE /
+      (111000 * Math.cos((sample.lat * Math.PI) / 180));
+    const candidates = [];
+    for (const segmentName of this.spatialIndex.findCandidateSegments(
+      sample.lat,
+      sample.lng,
+      radius,
+    )) {
+      if (this.routeManager.isSegmentAvoided(segmentName)) continue;
+      const snapped = this._snapToSegment(sample, segmentName);
+      if (snapped) candidates.push(snapped);
+    }
+    return candidates;
+  }
+
+  _distanceCost(distance) {
+    const ratio = distance / TRACK_GPS_ERROR;
+    return (ratio * ratio) / 2;
+  }
+
+  _transitionCost(from, to) {
+    if (!from && !to) return 0;
+    if (!from || !to) return TRACK_JUMP_COST;
+    if (from.segmentName === to.segmentName) return 0;
+    return this._getConnections(from.segmentName).has(to.segmentName)
+      ? TRACK_SWITCH_COST
+      : TRACK_JUMP_COST;
+  }
+
+  // Segments joined to a segment in the endpoint graph, at its ends or at
+  // T-junctions
+  _getConnections(segmentName) {
+    if (!this.connections) {
+      const segmentOf = (node) => node.slice(0, node.lastIndexOf("|"));
+      this.connections = new Map();
+      for (const [node, edges] of this.routeManager.endpointGraph) {
+        const from = segmentOf(node);
+        for (const edge of edges) {
+          const to = segmentOf(edge.to);
+          if (to === from) continue;
+          for (const [a, b] of [
+            [from, to],
+            [to, from],
+          ]) {
+            if (!this.connections.has(a)) this.connections.set(a, new Set());
+            this.connections.get(a).add(b);
+          }
+        }
+      }
+    }
+    return this.connections.get(segmentName) || new Set();
+  }
+
+  _snapToSegment(point, segmentName) {
+    const manager = this.routeManager;
+    const coords = manager.segments.get(segmentName)?.coordinates;
+    if (!coords) return null;
+
+    let best = null;
+    let travelled = 0;
+    for (let i = 0; i < coords.length - 1; i++) {
+      const closest = manager._getClosestPointOnLineSegment(
+        point,
+        coords[i],
+        coords[i + 1],
+      );
+      const distance = manager._getDistance(point, closest);
+      if (!best || distance < best.distance) {
+        best = {
+          segmentName,
+          lat: closest.lat,
+          lng: closest.lng,
+          position: travelled + manager._getDistance(coords[i], closest),
+          distance,
+        };
+      }
+      travelled += manager._getDistance(coords[i], coords[i + 1]);
+    }
+    return best;
+  }
+
+  // Runs of samples on the same segment (or off the network), with short
+  // runs dropped as noise and the runs around them joined up
+  _groupStretches(samples, totalDistance) {
+    const half = TRACK_SAMPLE_SPACING / 2;
+    const group = (runs) => {
+      const grouped = [];
+      for (const run of runs) {
+        const last = grouped[grouped.length - 1];
+        if (last && last.segmentName === run.segmentName) {
+          last.samples.push(...run.samples);
+        } else {
+          grouped.push({
+            segmentName: run.segmentName,
+            samples: [...run.samples],
+          });
+        }
+      }
+      return grouped.map((run) => ({
+        ...run,
+        start: Math.max(0, run.samples[0].distance - half),
+        end: Math.min(
+          totalDistance,
+          run.samples[run.samples.length - 1].distance + half,
+        ),
+      }));
+    };
+
+    const runs = group(
+      samples.map((sample) => ({
+        segmentName: sample.match ? sample.match.segmentName : null,
+        samples: [sample],
+      })),
+    );
+
+    const kept = runs.filter(
+      (run) => runs.length === 1 || run.end - run.start >= TRACK_MIN_STRETCH,
+    );
+    return group(kept.length > 0 ? kept : runs);
+  }
+
+  // A point on every matched stretch: the track's ends on the first and last
+  // ones, turns where the track doubles back, and the middle otherwise
+  _routePointsFor(stretches) {
+    const points = [];
+    const add = (sample) => {
+      const match = sample.match;
+      const last = points[points.length - 1];
+      if (last && last.lat === match.lat && last.lng === match.lng) return;
+      points.push({ lat: match.lat, lng: match.lng });
+    };
+
+    stretches.forEach((stretch, index) => {
+      const matched = stretch.samples.filter((sample) => sample.match);
+      if (matched.length === 0) return;
+
+      const isFirst = index === 0;
+      const isLast = index === stretches.length - 1;
+      const turn = this._findTurn(matched);
+
+      if (isFirst) add(matched[0]);
+      if (turn) add(turn);
+      if (!turn && !isFirst && !isLast) {
+        add(matched[Math.floor(matched.length / 2)]);
+      }
+      if (isLast) add(matched[matched.length - 1]);
+    });
+
+    return points;
+  }
+
+  // The sample where the track turns back along its segment, if it does
+  _findTurn(samples) {
+    const positions = samples.map((sample) => sample.match.position);
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+
+    let turn = null;
+    let depth = TRACK_TURN_DISTANCE;
+    positions.forEach((position, i) => {
+      const beyond = Math.min(
+        Math.abs(position - first),
+        Math.abs(position - last),
+      );
+      const between = (position - first) * (position - last) < 0;
+      if (!between && beyond > depth) {
+        depth = beyond;
+        turn = samples[i];
+      }
+    });
+    return turn;
+  }
+
+  _trackPoint(sample) {
+    return { lat: sample.lat, lng: sample.lng };
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { TrackImporter, parseTrackFile };
+}